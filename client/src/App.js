@@ -1,10 +1,16 @@
-import React, { useRef, useEffect } from "react";
+import React, { useRef } from "react";
 import { Routes, Route, Link, useLocation } from "react-router-dom";
 import 'bootstrap/dist/css/bootstrap.min.css';
 
 import CustomerListPage from "./pages/CustomerListPage";
 import CustomerFormPage from "./pages/CustomerFormPage";
 import CustomerDetailPage from "./pages/CustomerDetailPage";
+import LoginPage from "./pages/LoginPage";
+import TrashPage from "./pages/TrashPage";
+import ImportPage from "./pages/ImportPage";
+import DuplicatesPage from "./pages/DuplicatesPage";
+import { RequireAuth, useAuth } from "./auth";
+import { OfflineIndicator, useOffline } from "./offline";
 import "./App.css";
 
 function App() {
@@ -14,6 +20,15 @@ function App() {
 
 
   const location = useLocation();
+  const { user, logout, can } = useAuth();
+  const { queue, forget } = useOffline();
+
+  // Signing out clears what is kept for offline use, changes not sent yet included.
+  async function signOut() {
+    if (queue.length && !window.confirm(`${queue.length} change(s) made offline have not been sent yet and will be lost. Log out anyway?`)) return;
+    await forget();
+    await logout();
+  }
 
   return (
     <div className="app-container">
@@ -21,31 +36,52 @@ function App() {
         <Link to="/" className="logo" ref={logoRef}>
           Customer<span>Manager</span>
         </Link>
-        <nav ref={navRef}>
-          <Link
-            to="/"
-            className={location.pathname === "/" ? "active" : ""}
-          >
-            Customers
-          </Link>
-          <Link
-            to="/customers/new"
-            className={location.pathname === "/customers/new" ? "active" : ""}
-          >
-            New Customer
-          </Link>
-        </nav>
+        {user && (
+          <nav ref={navRef}>
+            <Link
+              to="/"
+              className={location.pathname === "/" ? "active" : ""}
+            >
+              Customers
+            </Link>
+            {can('agent') && (
+              <Link
+                to="/customers/new"
+                className={location.pathname === "/customers/new" ? "active" : ""}
+              >
+                New Customer
+              </Link>
+            )}
+            {can('admin') && (
+              <Link
+                to="/trash"
+                className={location.pathname === "/trash" ? "active" : ""}
+              >
+                Trash
+              </Link>
+            )}
+            <OfflineIndicator />
+            <div className="user-menu">
+              <span>{user.username} <span className="role">({user.role})</span></span>
+              <button onClick={signOut}>Logout</button>
+            </div>
+          </nav>
+        )}
       </header>
 
       <main>
         <Routes>
-          <Route path="/" element={<CustomerListPage />} />
-          <Route path="/customers/new" element={<CustomerFormPage />} />
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/" element={<RequireAuth><CustomerListPage /></RequireAuth>} />
+          <Route path="/customers/new" element={<RequireAuth role="agent"><CustomerFormPage /></RequireAuth>} />
+          <Route path="/customers/import" element={<RequireAuth role="agent"><ImportPage /></RequireAuth>} />
+          <Route path="/customers/duplicates" element={<RequireAuth><DuplicatesPage /></RequireAuth>} />
           <Route
             path="/customers/:id/edit"
-            element={<CustomerFormPage editMode />}
+            element={<RequireAuth role="agent"><CustomerFormPage editMode /></RequireAuth>}
           />
-          <Route path="/customers/:id" element={<CustomerDetailPage />} />
+          <Route path="/customers/:id" element={<RequireAuth><CustomerDetailPage /></RequireAuth>} />
+          <Route path="/trash" element={<RequireAuth role="admin"><TrashPage /></RequireAuth>} />
         </Routes>
       </main>
     </div>
@@ -5,4 +5,73 @@ const api = axios.create({
   timeout: 10000,
 });
 
-export default api;
\ No newline at end of file
+// Session token and 401 handling are owned by AuthProvider (see auth.js).
+let authToken = null;
+let unauthorizedHandler = null;
+
+export function setAuthToken(token){ authToken = token; }
+export function onUnauthorized(handler){ unauthorizedHandler = handler; }
+
+// Full URL of an API path for EventSource, which cannot send the
+// Authorization header: the session token goes along as ?access_token=.
+export function streamUrl(path, params = {}){
+  const url = new URL(`${api.defaults.baseURL}${path}`, window.location.href);
+  Object.entries({ ...params, access_token: authToken }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  });
+  return url.toString();
+}
+
+api.interceptors.request.use(config => {
+  if (authToken) config.headers.Authorization = `Bearer ${authToken}`;
+  return config;
+});
+
+// What every failed request rejects with. `code` is the server's error code
+// (VALIDATION_FAILED, PHONE_NUMBER_TAKEN, ...) or NETWORK_ERROR / TIMEOUT
+// when no answer came back; `fieldErrors` maps request fields to the first
+// message about them, for forms to show next to their inputs.
+export class ApiError extends Error {
+  constructor({ status, code, message, errors = [], response }){
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.fieldErrors = {};
+    errors.forEach(({ path, msg }) => { if (path && !this.fieldErrors[path]) this.fieldErrors[path] = msg; });
+    this.response = response;
+  }
+}
+
+function toApiError(err){
+  const { response } = err;
+  if (!response) {
+    const timedOut = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT';
+    return new ApiError({
+      status: 0,
+      code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR',
+      message: timedOut ? 'The server took too long to answer' : 'Cannot reach the server',
+    });
+  }
+  // Blob downloads carry their error body as a blob; only JSON bodies are read.
+  const data = response.data && typeof response.data === 'object' && !(response.data instanceof Blob) ? response.data : {};
+  return new ApiError({
+    status: response.status,
+    code: data.code || 'HTTP_ERROR',
+    message: data.message || `Request failed (${response.status})`,
+    errors: Array.isArray(data.errors) ? data.errors : [],
+    response,
+  });
+}
+
+api.interceptors.response.use(
+  res => res,
+  err => {
+    if (axios.isCancel(err)) return Promise.reject(err);
+    if (err?.response?.status === 401 && authToken && unauthorizedHandler) unauthorizedHandler();
+    return Promise.reject(toApiError(err));
+  }
+);
+
+export default api;
@@ -0,0 +1,440 @@
+// Generated from server/openapi.js by "npm run openapi:client" in server/;
+// do not edit by hand.
+import api from './api';
+
+/**
+ * @typedef {Object} Customer
+ * @property {number} id
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {string} phone_number As entered
+ * @property {string|null} phone_e164 phone_number in E.164 form
+ * @property {string|null} email Lower-cased
+ * @property {string|null} date_of_birth
+ * @property {string|null} notes
+ * @property {string[]} tags Tag names, alphabetical
+ * @property {string|null} created_at
+ * @property {string|null} updated_at Changed by every update
+ * @property {string|null} deleted_at Set while the customer is in the trash
+ * @property {number} version Incremented by every change to the customer or its addresses
+ */
+
+/**
+ * @typedef {Customer & { addresses: Address[] }} CustomerWithAddresses
+ */
+
+/**
+ * @typedef {Customer & { primary_city: string|null, highlight?: { name?: string, address?: string|null, phone_number?: string } }} CustomerListItem
+ */
+
+/**
+ * @typedef {Object} NewCustomer
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {string} phone_number Any common notation, e.g. "98765 43210" or "+1 415 555 2671"
+ * @property {string|null} [email]
+ * @property {string|null} [date_of_birth] YYYY-MM-DD, not in the future
+ * @property {string|null} [notes] At most 2000 characters
+ * @property {string[]} [tags] At most 20 names of 1 to 30 characters
+ * @property {AddressInput[]} [addresses] The first one becomes the primary address
+ */
+
+/**
+ * Only the given fields change. An empty email, date_of_birth or notes clears it; tags replace the current ones.
+ * @typedef {Object} CustomerUpdate
+ * @property {string} [first_name]
+ * @property {string} [last_name]
+ * @property {string} [phone_number]
+ * @property {string|null} [email]
+ * @property {string|null} [date_of_birth]
+ * @property {string|null} [notes]
+ * @property {string[]} [tags]
+ * @property {number} [version] The version the change is based on; see If-Match
+ */
+
+/**
+ * @typedef {Object} Address
+ * @property {number} id
+ * @property {number} customer_id
+ * @property {string} address_details
+ * @property {string} city
+ * @property {string} state
+ * @property {string} pin_code
+ * @property {'home'|'work'|'billing'|'shipping'|'other'} type
+ * @property {0|1} is_primary Exactly one live address of a customer is primary
+ * @property {string|null} deleted_at
+ * @property {number} version Incremented by every change to the address
+ */
+
+/**
+ * @typedef {Object} AddressInput
+ * @property {string} address_details
+ * @property {string} city
+ * @property {string} state
+ * @property {string} pin_code Six digits; spaces are ignored
+ * @property {'home'|'work'|'billing'|'shipping'|'other'} [type] Defaults to other
+ */
+
+/**
+ * City and state may be left out when the pin code is known; given ones must match it.
+ * @typedef {Object} NewAddress
+ * @property {string} address_details
+ * @property {string|null} [city]
+ * @property {string|null} [state]
+ * @property {string} pin_code
+ * @property {'home'|'work'|'billing'|'shipping'|'other'} [type] Defaults to other
+ */
+
+/**
+ * Only the given fields change. A new pin code brings its own city and state unless they are given too.
+ * @typedef {Object} AddressUpdate
+ * @property {string} [address_details]
+ * @property {string} [city]
+ * @property {string} [state]
+ * @property {string} [pin_code]
+ * @property {'home'|'work'|'billing'|'shipping'|'other'} [type]
+ * @property {number} [version] The version the change is based on; see If-Match
+ */
+
+/**
+ * @typedef {Object} PinCode
+ * @property {string} pin_code
+ * @property {string[]} states Every state the pin code may belong to; one for most
+ * @property {string|null} city Null unless the pin code itself is known
+ * @property {string[]} aliases Other accepted spellings of the city
+ */
+
+/**
+ * @typedef {Object} FacetValue
+ * @property {string} value
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} Facets
+ * @property {FacetValue[]} city
+ * @property {FacetValue[]} state
+ * @property {FacetValue[]} tag
+ * @property {{ none: number, multiple: number }} addresses
+ */
+
+/**
+ * page and total only when paging by number
+ * @typedef {Object} PageMeta
+ * @property {number} [page]
+ * @property {number} limit
+ * @property {number} [total]
+ * @property {string|null} next_cursor Pass as `after` for the next slice
+ * @property {string|null} prev_cursor Pass as `before` for the previous slice
+ */
+
+/**
+ * @typedef {Object} DuplicatePair
+ * @property {number} score
+ * @property {{ name: number, phone: number, address: number }} signals
+ * @property {CustomerWithAddresses[]} customers The older customer first
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id
+ * @property {'customer'|'address'} entity
+ * @property {number} entity_id
+ * @property {number} customer_id
+ * @property {'create'|'update'|'delete'|'restore'|'purge'|'merge'} action
+ * @property {Object|null} before The customer or address before the change
+ * @property {Object|null} after The customer or address after the change
+ * @property {{ id: number, username: string }|null} actor
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} ImportReport
+ * @property {boolean} dry_run
+ * @property {string[]} headers Column headers of the file
+ * @property {Object<string, string|null>} mapping Field to column header
+ * @property {{ total: number, valid: number, invalid: number, created: number }} summary
+ * @property {({ row: number, status: 'valid'|'invalid'|'created', data: Object, errors: FieldError[], customer_id?: number })[]} rows
+ */
+
+/**
+ * The customers are given either as `ids` or as `filter`, at most 1000 of them.
+ * @typedef {Object} BatchRequest
+ * @property {'delete'|'add_tags'|'remove_tags'|'update_addresses'} action delete moves to the trash and needs the admin role; update_addresses sets city and/or state on every live address
+ * @property {number[]} [ids]
+ * @property {{ search?: string, sort?: string, city?: string[], state?: string[], pin_code?: string[], tag?: string[], created_after?: string, addresses?: 'none'|'multiple', deleted?: 'only'|'include' }} [filter] The list filters, as for GET /customers: every customer matching them
+ * @property {string[]} [tags] For add_tags and remove_tags; matched regardless of case
+ * @property {string} [city] For update_addresses
+ * @property {string} [state] For update_addresses
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {{ id: number, success: boolean, code?: string, message?: string }[]} results One per customer, in the order they were given or matched
+ * @property {number} succeeded
+ * @property {number} failed
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {string} path Request field, e.g. "phone_number" or "addresses[0].city"
+ * @property {string} msg
+ */
+
+/**
+ * @typedef {Object} Error
+ * @property {false} success
+ * @property {string} code Stable name of the failure, e.g. VALIDATION_FAILED or PHONE_NUMBER_TAKEN
+ * @property {string} message
+ * @property {FieldError[]} [errors] The fields at fault, when there are any
+ * @property {*} [data] With VERSION_CONFLICT, the current state of the record
+ */
+
+/**
+ * List, search and filter customers.
+ * Pages by `page`, or by keyset with `after` / `before` taken from `meta.next_cursor` / `meta.prev_cursor`.
+ *
+ * GET /customers -> 200
+ * @param {{ page?: number, limit?: number, after?: string, before?: string, search?: string, city?: string[], state?: string[], pin_code?: string[], tag?: string[], created_after?: string, addresses?: 'none'|'multiple', ids?: number[], sort?: string, deleted?: 'only'|'include' }} [query]
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: CustomerListItem[], meta: PageMeta }>}
+ */
+export function listCustomers(query, config){
+  return api.get('/customers', { ...config, params: query }).then(res => res.data);
+}
+
+/**
+ * Create a customer, optionally with addresses.
+ *
+ * POST /customers -> 201
+ * @param {NewCustomer} body
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: CustomerWithAddresses, message: string }>}
+ */
+export function createCustomer(body, config){
+  return api.post('/customers', body, config).then(res => res.data);
+}
+
+/**
+ * Counts per city, state, tag and address count for the list filters.
+ *
+ * GET /customers/facets -> 200
+ * @param {{ search?: string, city?: string[], state?: string[], pin_code?: string[], tag?: string[], created_after?: string, addresses?: 'none'|'multiple', ids?: number[], sort?: string, deleted?: 'only'|'include' }} [query]
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: Facets }>}
+ */
+export function getCustomerFacets(query, config){
+  return api.get('/customers/facets', { ...config, params: query }).then(res => res.data);
+}
+
+/**
+ * Pairs of customers that may be the same person, best match first.
+ *
+ * GET /customers/duplicates -> 200
+ * @param {{ customer_id?: number, min_score?: number, limit?: number }} [query]
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: DuplicatePair[] }>}
+ */
+export function findDuplicateCustomers(query, config){
+  return api.get('/customers/duplicates', { ...config, params: query }).then(res => res.data);
+}
+
+/**
+ * Download every customer matching the list filters.
+ *
+ * GET /customers/export -> 200
+ * @param {{ format?: 'csv'|'json'|'xlsx', search?: string, city?: string[], state?: string[], pin_code?: string[], tag?: string[], created_after?: string, addresses?: 'none'|'multiple', ids?: number[], sort?: string, deleted?: 'only'|'include' }} [query]
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<import('axios').AxiosResponse<Blob>>} the whole response, for its headers (text/csv)
+ */
+export function exportCustomers(query, config){
+  return api.get('/customers/export', { responseType: 'blob', ...config, params: query });
+}
+
+/**
+ * Import customers from a CSV or XLSX file.
+ * With `dry_run`, only reports what would be imported. Rows with errors are skipped.
+ *
+ * POST /customers/import -> 200
+ * @param {FormData} body with file, mapping
+ * @param {{ dry_run?: boolean }} [query]
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: ImportReport, message: string }>}
+ */
+export function importCustomers(body, query, config){
+  return api.post('/customers/import', body, { ...config, params: query }).then(res => res.data);
+}
+
+/**
+ * Apply one action to many customers.
+ * Runs in a single transaction. Customers succeed or fail one by one: a failure undoes only that customer's changes and is reported in its result.
+ *
+ * POST /customers/batch -> 200
+ * @param {BatchRequest} body
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: BatchResult, message: string }>}
+ */
+export function batchCustomers(body, config){
+  return api.post('/customers/batch', body, config).then(res => res.data);
+}
+
+/**
+ * Permanently remove what has been in the trash too long.
+ *
+ * POST /customers/purge -> 200
+ * @param {{ older_than_days?: number }} [body]
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: { customers: number, addresses: number, cutoff: string }, message: string }>}
+ */
+export function purgeCustomers(body, config){
+  return api.post('/customers/purge', body, config).then(res => res.data);
+}
+
+/**
+ * A customer with its addresses.
+ *
+ * GET /customers/{id} -> 200
+ * @param {number} id Customer id
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: CustomerWithAddresses }>}
+ */
+export function getCustomer(id, config){
+  return api.get(`/customers/${encodeURIComponent(id)}`, config).then(res => res.data);
+}
+
+/**
+ * Change some fields of a customer.
+ *
+ * PUT /customers/{id} -> 200
+ * @param {number} id Customer id
+ * @param {CustomerUpdate} body
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: Customer, message: string }>}
+ */
+export function updateCustomer(id, body, config){
+  return api.put(`/customers/${encodeURIComponent(id)}`, body, config).then(res => res.data);
+}
+
+/**
+ * Move a customer and its addresses to the trash.
+ *
+ * DELETE /customers/{id} -> 200
+ * @param {number} id Customer id
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, message: string }>}
+ */
+export function deleteCustomer(id, config){
+  return api.delete(`/customers/${encodeURIComponent(id)}`, config).then(res => res.data);
+}
+
+/**
+ * Take a customer back out of the trash.
+ *
+ * POST /customers/{id}/restore -> 200
+ * @param {number} id Customer id
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: CustomerWithAddresses, message: string }>}
+ */
+export function restoreCustomer(id, config){
+  return api.post(`/customers/${encodeURIComponent(id)}/restore`, undefined, config).then(res => res.data);
+}
+
+/**
+ * Fold another customer into this one.
+ * The duplicate's addresses and tags move over and it goes to the trash.
+ *
+ * POST /customers/{id}/merge -> 200
+ * @param {number} id Customer id
+ * @param {{ duplicate_id: number, keep?: Object<string, 'survivor'|'duplicate'> }} body
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: CustomerWithAddresses, message: string }>}
+ */
+export function mergeCustomers(id, body, config){
+  return api.post(`/customers/${encodeURIComponent(id)}/merge`, body, config).then(res => res.data);
+}
+
+/**
+ * Changes to the customer and its addresses, newest first.
+ *
+ * GET /customers/{id}/history -> 200
+ * @param {number} id Customer id
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: HistoryEntry[] }>}
+ */
+export function getCustomerHistory(id, config){
+  return api.get(`/customers/${encodeURIComponent(id)}/history`, config).then(res => res.data);
+}
+
+/**
+ * Live addresses of a customer.
+ *
+ * GET /customers/{id}/addresses -> 200
+ * @param {number} id Customer id
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: Address[] }>}
+ */
+export function listCustomerAddresses(id, config){
+  return api.get(`/customers/${encodeURIComponent(id)}/addresses`, config).then(res => res.data);
+}
+
+/**
+ * Add an address; the first one becomes the primary address.
+ *
+ * POST /customers/{id}/addresses -> 201
+ * @param {number} id Customer id
+ * @param {NewAddress} body
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: Address, message: string }>}
+ */
+export function addCustomerAddress(id, body, config){
+  return api.post(`/customers/${encodeURIComponent(id)}/addresses`, body, config).then(res => res.data);
+}
+
+/**
+ * City and state of a pin code, to fill in address forms.
+ *
+ * GET /addresses/pin-codes/{pinCode} -> 200
+ * @param {string} pinCode
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: PinCode }>}
+ */
+export function lookupPinCode(pinCode, config){
+  return api.get(`/addresses/pin-codes/${encodeURIComponent(pinCode)}`, config).then(res => res.data);
+}
+
+/**
+ * Change some fields of an address.
+ *
+ * PUT /addresses/{addressId} -> 200
+ * @param {number} addressId Address id
+ * @param {AddressUpdate} body
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: Address, message: string }>}
+ */
+export function updateAddress(addressId, body, config){
+  return api.put(`/addresses/${encodeURIComponent(addressId)}`, body, config).then(res => res.data);
+}
+
+/**
+ * Move an address to the trash; the oldest remaining one becomes primary if need be.
+ *
+ * DELETE /addresses/{addressId} -> 200
+ * @param {number} addressId Address id
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, message: string }>}
+ */
+export function deleteAddress(addressId, config){
+  return api.delete(`/addresses/${encodeURIComponent(addressId)}`, config).then(res => res.data);
+}
+
+/**
+ * Make this the customer's primary address.
+ *
+ * POST /addresses/{addressId}/primary -> 200
+ * @param {number} addressId Address id
+ * @param {import('axios').AxiosRequestConfig} [config]
+ * @returns {Promise<{ success: true, data: Address, message: string }>}
+ */
+export function setPrimaryAddress(addressId, config){
+  return api.post(`/addresses/${encodeURIComponent(addressId)}/primary`, undefined, config).then(res => res.data);
+}
@@ -0,0 +1,74 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import api, { setAuthToken, onUnauthorized } from './api';
+
+// Same order as the server: each role includes the ones before it.
+export const ROLES = ['viewer', 'agent', 'admin'];
+
+const STORAGE_KEY = 'session';
+
+function loadSession(){
+  try{
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!session || new Date(session.expires_at) <= new Date()) return null;
+    return session;
+  }catch(err){ return null; }
+}
+
+function saveSession(session){
+  setAuthToken(session?.token || null);
+  if (session) localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  else localStorage.removeItem(STORAGE_KEY);
+}
+
+const AuthContext = createContext(null);
+
+export function AuthProvider({ children }){
+  const [session, setSession] = useState(() => {
+    const initial = loadSession();
+    setAuthToken(initial?.token || null);
+    return initial;
+  });
+
+  function store(next){
+    saveSession(next);
+    setSession(next);
+  }
+
+  // An expired or revoked session anywhere in the app sends the user back to login.
+  useEffect(() => {
+    onUnauthorized(() => { saveSession(null); setSession(null); });
+    return () => onUnauthorized(null);
+  }, []);
+
+  async function login(username, password){
+    const res = await api.post('/auth/login', { username, password });
+    store(res.data.data);
+  }
+
+  async function logout(){
+    try{ await api.post('/auth/logout'); }
+    catch(err){ console.error(err); }
+    finally{ store(null); }
+  }
+
+  const user = session?.user || null;
+  function can(role){ return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role); }
+
+  return (
+    <AuthContext.Provider value={{ user, login, logout, can }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth(){ return useContext(AuthContext); }
+
+// Route guard: sends anonymous users to /login and hides pages above their role.
+export function RequireAuth({ role = 'viewer', children }){
+  const { user, can } = useAuth();
+  const location = useLocation();
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+  if (!can(role)) return <div className="card p-4">You do not have permission to view this page.</div>;
+  return children;
+}
@@ -0,0 +1,96 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef } from 'react';
+import { streamUrl } from './api';
+import { useAuth } from './auth';
+
+// Changes arriving this close together reach the pages as one batch, so a
+// customer deleted with its addresses means one reload, not several.
+const BATCH_MS = 300;
+// EventSource retries dropped connections itself; when it gives up (the
+// server answered with an error) a new one is opened after this, doubling
+// up to MAX_RECONNECT_MS.
+const RECONNECT_MS = 2000;
+const MAX_RECONNECT_MS = 60000;
+
+const ChangeEventsContext = createContext(null);
+
+// One stream of GET /api/events for the whole app while someone is signed
+// in. A stream that has to be replaced carries on from the last event seen.
+export function ChangeEventsProvider({ children }){
+  const { user } = useAuth();
+  const listeners = useRef(new Set());
+
+  const subscribe = useCallback(listener => {
+    listeners.current.add(listener);
+    return () => listeners.current.delete(listener);
+  }, []);
+
+  useEffect(() => {
+    if (!user) return undefined;
+    let source = null;
+    let lastEventId = null;
+    let batch = [];
+    let batchTimer = null;
+    let reconnectTimer = null;
+    let delay = RECONNECT_MS;
+
+    // null tells the listeners that too much was missed to list.
+    function deliver(entries){
+      listeners.current.forEach(listener => listener(entries));
+    }
+
+    function connect(){
+      source = new EventSource(streamUrl('/events', { last_event_id: lastEventId }));
+      source.addEventListener('ready', e => {
+        delay = RECONNECT_MS;
+        if (e.lastEventId) lastEventId = e.lastEventId;
+      });
+      source.addEventListener('reset', e => {
+        lastEventId = e.lastEventId;
+        clearTimeout(batchTimer);
+        batchTimer = null;
+        batch = [];
+        deliver(null);
+      });
+      source.addEventListener('change', e => {
+        lastEventId = e.lastEventId;
+        batch.push(JSON.parse(e.data));
+        if (!batchTimer) batchTimer = setTimeout(() => {
+          batchTimer = null;
+          const entries = batch;
+          batch = [];
+          deliver(entries);
+        }, BATCH_MS);
+      });
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        reconnectTimer = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, MAX_RECONNECT_MS);
+      };
+    }
+
+    connect();
+    return () => {
+      source.close();
+      clearTimeout(batchTimer);
+      clearTimeout(reconnectTimer);
+    };
+  }, [user]);
+
+  return <ChangeEventsContext.Provider value={subscribe}>{children}</ChangeEventsContext.Provider>;
+}
+
+// Calls `onChanges` with each batch of audit entries (see the server's
+// AuditEntry) for changes to customers and addresses, or with null when the
+// stream missed too many of them and everything should be reloaded.
+export function useChangeEvents(onChanges){
+  const subscribe = useContext(ChangeEventsContext);
+  const handler = useRef(onChanges);
+  useEffect(() => { handler.current = onChanges; });
+  useEffect(() => subscribe(entries => handler.current(entries)), [subscribe]);
+}
+
+// "edited by alice", for banners about other people's changes.
+export function describeChange(entry){
+  const verbs = { create: 'added', update: 'edited', delete: 'deleted', restore: 'restored', purge: 'purged', merge: 'merged' };
+  return `${verbs[entry.action] || 'changed'} by ${entry.actor?.username || 'someone else'}`;
+}
@@ -0,0 +1,16 @@
+import React from 'react';
+
+// The first message about `name` in an ApiError's fieldErrors, including
+// messages about its items such as tags[1].
+export function fieldError(fieldErrors, name){
+  if (!fieldErrors) return undefined;
+  if (fieldErrors[name]) return fieldErrors[name];
+  const key = Object.keys(fieldErrors).find(path => path.startsWith(`${name}[`) || path.startsWith(`${name}.`));
+  return key && fieldErrors[key];
+}
+
+// Inline message under a form input.
+export function FieldError({ errors, name }){
+  const message = fieldError(errors, name);
+  return message ? <div className="field-error">{message}</div> : null;
+}
@@ -2,14 +2,30 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import { AuthProvider } from './auth';
+import { ChangeEventsProvider } from './events';
+import { ToastProvider } from './toast';
+import { OfflineProvider } from './offline';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <BrowserRouter>
-    <App />
+    <AuthProvider>
+      <ChangeEventsProvider>
+        <ToastProvider>
+          <OfflineProvider>
+            <App />
+          </OfflineProvider>
+        </ToastProvider>
+      </ChangeEventsProvider>
+    </AuthProvider>
   </BrowserRouter>
 );
 
+// Keeps the app itself available offline; see service-worker.js.
+serviceWorkerRegistration.register();
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
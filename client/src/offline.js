@@ -0,0 +1,337 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from './api';
+import { useAuth } from './auth';
+import { useToast } from './toast';
+import './offline.css';
+
+// What keeps the app useful without a connection, in IndexedDB: the last
+// RECENT_LIMIT customers viewed, to read again, and the changes made while
+// the API could not be reached, to send once it can.
+const DB_NAME = 'customer-manager';
+const DB_VERSION = 1;
+const RECENT_LIMIT = 50;
+// How often queued changes are retried, or the API probed, while offline.
+const RETRY_MS = 30000;
+// Background Sync tag; the service worker passes it on to open pages.
+export const SYNC_TAG = 'replay-mutations';
+
+let dbPromise = null;
+
+function openDb(){
+  if (!dbPromise) dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('customers', { keyPath: 'id' }).createIndex('viewed_at', 'viewed_at');
+      db.createObjectStore('mutations', { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => { dbPromise = null; reject(request.error); };
+  });
+  return dbPromise;
+}
+
+// Runs `work(store)` in a transaction; resolves with the result of the
+// request it returns once the transaction is complete.
+async function withStore(name, mode, work){
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = work(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Keeps a copy of the customer (as GET /customers/:id returns it) for offline reads. */
+export async function cacheCustomer(customer){
+  try{
+    await withStore('customers', 'readwrite', store => {
+      store.put({ id: customer.id, data: customer, viewed_at: Date.now() });
+      // beyond RECENT_LIMIT, the least recently viewed go
+      const cursor = store.index('viewed_at').openCursor(null, 'prev');
+      let kept = 0;
+      cursor.onsuccess = () => {
+        if (!cursor.result) return;
+        if (++kept > RECENT_LIMIT) cursor.result.delete();
+        cursor.result.continue();
+      };
+    });
+  }catch(err){ console.error(err); } // the cache is a convenience
+}
+
+/** The saved copy of customer `id`: { data, viewed_at }, or undefined. */
+export async function cachedCustomer(id){
+  try{ return await withStore('customers', 'readonly', store => store.get(Number(id))); }
+  catch(err){ console.error(err); return undefined; }
+}
+
+/** Saved customers, most recently viewed first. */
+export async function recentCustomers(){
+  try{
+    const records = await withStore('customers', 'readonly', store => store.getAll());
+    return records.sort((a, b) => b.viewed_at - a.viewed_at).map(r => r.data);
+  }catch(err){ console.error(err); return []; }
+}
+
+function forgetCustomers(){
+  return withStore('customers', 'readwrite', store => store.clear()).catch(err => console.error(err));
+}
+
+// Deletes the queued changes of every user but `userId`, or all of them.
+function forgetMutations(userId = null){
+  return withStore('mutations', 'readwrite', store => {
+    const cursor = store.openCursor();
+    cursor.onsuccess = () => {
+      if (!cursor.result) return;
+      if (cursor.result.value.user_id !== userId) cursor.result.delete();
+      cursor.result.continue();
+    };
+  });
+}
+
+function listMutations(){ return withStore('mutations', 'readonly', store => store.getAll()); }
+function putMutation(mutation){ return withStore('mutations', 'readwrite', store => store.put(mutation)); }
+function deleteMutation(id){ return withStore('mutations', 'readwrite', store => store.delete(id)); }
+
+// Sent with a create as its Idempotency-Key header, and again when the
+// queued create is replayed, so the server carries it out only once even if
+// the first response was lost. randomUUID needs a secure context.
+function newIdempotencyKey(){
+  return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function withIdempotencyKey(request, key){
+  return key ? { ...request, headers: { ...request.headers, 'Idempotency-Key': key } } : request;
+}
+
+// Failures that mean the API was not reached, or not able to answer yet
+// (e.g. the first try of a create is still running): the change stays queued.
+function unreachable(err){
+  return err.code === 'NETWORK_ERROR' || err.code === 'TIMEOUT' || err.code === 'REQUEST_IN_PROGRESS' || err.status >= 500 || err.status === 401;
+}
+
+// Fields of a queued change that differ from the record saved meanwhile.
+export function conflictingFields(mutation){
+  const { server, data } = mutation;
+  if (!server || !data) return [];
+  return Object.keys(data).filter(field => field !== 'version' && JSON.stringify(data[field] ?? '') !== JSON.stringify(server[field] ?? ''));
+}
+
+const OfflineContext = createContext(null);
+
+// Tracks whether the API can be reached and owns the queue of changes made
+// while it could not. The queue is sent in order when the connection comes
+// back: on the browser's online event, on a Background Sync from the
+// service worker, and every RETRY_MS. Changes rejected because someone else
+// saved the record meanwhile stay queued as conflicts for the user to settle.
+export function OfflineProvider({ children }){
+  const { user } = useAuth();
+  const toast = useToast();
+  const [online, setOnline] = useState(navigator.onLine);
+  const [queue, setQueue] = useState([]);
+  const replaying = useRef(false);
+  const userId = user?.id;
+
+  const refresh = useCallback(async () => {
+    try{
+      const mutations = userId ? await listMutations() : [];
+      setQueue(mutations.filter(m => m.user_id === userId));
+    }catch(err){ console.error(err); }
+  }, [userId]);
+
+  // Sends the pending changes in the order they were made. One that fails
+  // for good is kept aside so the rest can go on.
+  const replay = useCallback(async () => {
+    if (replaying.current || !userId) return;
+    replaying.current = true;
+    let sent = 0;
+    try{
+      const pending = (await listMutations()).filter(m => m.user_id === userId && m.status === 'pending');
+      for (const mutation of pending) {
+        try{
+          await api.request(withIdempotencyKey({ method: mutation.method, url: mutation.url, data: mutation.data }, mutation.idempotency_key));
+          await deleteMutation(mutation.id);
+          sent++;
+        }catch(err){
+          if (unreachable(err)) break;
+          const conflict = err.code === 'VERSION_CONFLICT';
+          await putMutation({ ...mutation, status: conflict ? 'conflict' : 'failed', error: err.message, server: conflict ? err.response?.data?.data : undefined });
+        }
+      }
+    }catch(err){ console.error(err); }
+    finally{
+      replaying.current = false;
+      await refresh();
+    }
+    if (sent) toast.success(`${sent} offline change(s) sent`);
+  }, [userId, refresh, toast]);
+
+  // Changes queued by whoever used the browser before are not sent in this
+  // user's name; they go once someone else signs in.
+  useEffect(() => {
+    if (!userId) {
+      forgetCustomers();
+      setQueue([]);
+      return;
+    }
+    forgetMutations(userId).catch(err => console.error(err)).then(() => {
+      refresh();
+      replay();
+    });
+  }, [userId, refresh, replay]);
+
+  // The browser's idea of the connection, corrected by how API requests fare.
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener('online', up);
+    window.addEventListener('offline', down);
+    const interceptor = api.interceptors.response.use(
+      res => { setOnline(true); return res; },
+      err => {
+        if (err?.code === 'NETWORK_ERROR') setOnline(false);
+        else if (err?.status) setOnline(true);
+        return Promise.reject(err);
+      }
+    );
+    return () => {
+      window.removeEventListener('online', up);
+      window.removeEventListener('offline', down);
+      api.interceptors.response.eject(interceptor);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (online) replay();
+  }, [online, replay]);
+
+  useEffect(() => {
+    const onMessage = e => { if (e.data?.type === SYNC_TAG) replay(); };
+    navigator.serviceWorker?.addEventListener('message', onMessage);
+    return () => navigator.serviceWorker?.removeEventListener('message', onMessage);
+  }, [replay]);
+
+  const hasPending = queue.some(m => m.status === 'pending');
+  useEffect(() => {
+    if (online && !hasPending) return undefined;
+    const timer = setInterval(() => {
+      if (hasPending) replay();
+      else api.get('/health').catch(() => {});
+    }, RETRY_MS);
+    return () => clearInterval(timer);
+  }, [online, hasPending, replay]);
+
+  /**
+   * Sends `request` (an axios request config), or queues it when the API
+   * cannot be reached. Resolves with the response, or with null once
+   * queued; other failures reject as usual. `label` describes the change
+   * in the queue; `customerId` links it to the customer. Creates (POST) carry
+   * an Idempotency-Key, kept with the queued change.
+   */
+  const send = useCallback(async (request, { label, customerId } = {}) => {
+    const idempotencyKey = request.method?.toLowerCase() === 'post' ? newIdempotencyKey() : undefined;
+    try{
+      return await api.request(withIdempotencyKey(request, idempotencyKey));
+    }catch(err){
+      if (err.code !== 'NETWORK_ERROR' || !userId) throw err;
+      await putMutation({
+        user_id: userId,
+        method: request.method,
+        url: request.url,
+        data: request.data,
+        idempotency_key: idempotencyKey,
+        label,
+        customer_id: customerId,
+        queued_at: new Date().toISOString(),
+        status: 'pending',
+      });
+      await refresh();
+      navigator.serviceWorker?.ready.then(reg => reg.sync?.register(SYNC_TAG)).catch(() => {});
+      return null;
+    }
+  }, [userId, refresh]);
+
+  // Sends a conflicting change again on top of the version saved meanwhile.
+  const keepMine = useCallback(async mutation => {
+    await putMutation({ ...mutation, data: { ...mutation.data, version: mutation.server?.version }, status: 'pending', error: undefined, server: undefined });
+    await refresh();
+    replay();
+  }, [refresh, replay]);
+
+  const discard = useCallback(async mutation => {
+    await deleteMutation(mutation.id);
+    await refresh();
+  }, [refresh]);
+
+  // On signing out: nothing the user saw or typed stays in the browser.
+  const forget = useCallback(async () => {
+    try{ await forgetMutations(); }
+    catch(err){ console.error(err); }
+    await forgetCustomers();
+    setQueue([]);
+  }, []);
+
+  return (
+    <OfflineContext.Provider value={{ online, queue, send, replay, keepMine, discard, forget }}>
+      {children}
+    </OfflineContext.Provider>
+  );
+}
+
+export function useOffline(){ return useContext(OfflineContext); }
+
+// Online/offline badge for the header, with the queued changes and their
+// conflicts in a drop-down.
+export function OfflineIndicator(){
+  const { online, queue, replay, keepMine, discard } = useOffline();
+  const [open, setOpen] = useState(false);
+  const settle = queue.filter(m => m.status !== 'pending').length;
+
+  return (
+    <div className="offline-indicator">
+      <button type="button" onClick={()=>setOpen(!open)} className={`connection ${online ? 'online' : 'offline'}`} aria-expanded={open}>
+        <span className="dot" />{online ? 'Online' : 'Offline'}
+        {queue.length > 0 && <span className="badge bg-secondary ms-1">{queue.length} queued</span>}
+        {settle > 0 && <span className="badge bg-danger ms-1">{settle} to review</span>}
+      </button>
+      {open && (
+        <div className="offline-panel">
+          {queue.length === 0 ? <div className="text-muted small">No changes waiting to be sent.</div> : (
+            <ul className="list-unstyled mb-2">
+              {queue.map(m => (
+                <li key={m.id} className={`queued queued-${m.status}`}>
+                  <div className="d-flex justify-content-between gap-2">
+                    <span>{m.label || `${m.method.toUpperCase()} ${m.url}`}</span>
+                    <span className="text-muted small text-nowrap">{new Date(m.queued_at).toLocaleTimeString()}</span>
+                  </div>
+                  {m.status === 'conflict' && (
+                    <div className="small">
+                      Someone else saved this meanwhile.
+                      {conflictingFields(m).map(field => (
+                        <div key={field}><strong>{field}</strong>: yours “{String(m.data[field] ?? '')}”, saved “{String(m.server[field] ?? '')}”</div>
+                      ))}
+                    </div>
+                  )}
+                  {m.status === 'failed' && <div className="small text-danger">{m.error}</div>}
+                  {m.status !== 'pending' && (
+                    <div className="d-flex gap-2 mt-1">
+                      {m.status === 'conflict' && <button type="button" onClick={()=>keepMine(m)} className="btn btn-sm btn-outline-primary">Keep mine</button>}
+                      <button type="button" onClick={()=>discard(m)} className="btn btn-sm btn-outline-secondary">Discard</button>
+                      {m.customer_id && <Link to={`/customers/${m.customer_id}`} onClick={()=>setOpen(false)} className="btn btn-sm btn-link">Open customer</Link>}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {queue.some(m => m.status === 'pending') && (
+            <button type="button" onClick={replay} className="btn btn-sm btn-primary" disabled={!online}>Send now</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,32 +1,70 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import api from '../api';
+import { useAuth } from '../auth';
+import { useToast } from '../toast';
+import { describeChange, useChangeEvents } from '../events';
+import { cacheCustomer, cachedCustomer, useOffline } from '../offline';
 import './CustomerDetailPage.css';
 
 function CustomerDetailPage(){
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can, user } = useAuth();
+  const toast = useToast();
+  const { send } = useOffline();
   const [customer, setCustomer] = useState(null);
+  // When the copy saved for offline use is shown: when it was saved.
+  const [savedAt, setSavedAt] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [tab, setTab] = useState('details');
+  // Banner about someone else's change, which has been loaded already.
+  const [notice, setNotice] = useState(null);
 
   useEffect(()=>{ load(); /* eslint-disable-next-line */ }, [id]);
+  useEffect(()=>{ setNotice(null); }, [id]);
 
-  async function load(){
-    setLoading(true);
+  // Changes to this customer or its addresses reload it in place.
+  useChangeEvents(entries => {
+    const changes = (entries || []).filter(e => String(e.customer_id) === String(id));
+    if (entries && changes.length === 0) return;
+    const others = changes.filter(e => e.actor?.id !== user?.id);
+    if (others.length > 0) {
+      const last = others[others.length - 1];
+      setNotice(`${last.entity === 'address' ? 'An address of this customer' : 'This customer'} was ${describeChange(last)}`);
+    }
+    load(true);
+  });
+
+  // `quiet` reloads without the loading placeholder.
+  async function load(quiet = false){
+    if (!quiet) setLoading(true);
     try{
       const res = await api.get(`/customers/${id}`);
       setCustomer(res.data.data);
-    }catch(err){ console.error(err); alert('Failed to load'); }
+      setSavedAt(null);
+      cacheCustomer(res.data.data);
+    }catch(err){
+      const cached = err.code === 'NETWORK_ERROR' ? await cachedCustomer(id) : undefined;
+      if (cached) {
+        setCustomer(cached.data);
+        setSavedAt(cached.viewed_at);
+      } else {
+        if (err.status !== 404) toast.error(err, 'Failed to load');
+        setCustomer(null);
+      }
+    }
     finally{ setLoading(false); }
   }
 
   async function handleDelete(){
-    if(!window.confirm('Delete this customer?')) return;
+    if(!window.confirm('Move this customer to the trash? An admin can restore it from the Trash page.')) return;
     try{
-      await api.delete(`/customers/${id}`);
-      alert('Deleted');
+      const res = await send({ method: 'delete', url: `/customers/${id}` }, { label: `Delete ${customer.first_name} ${customer.last_name}`, customerId: customer.id });
+      if (res) toast.success('Moved to trash');
+      else toast.info('Offline: the delete will be sent when the connection is back');
       navigate('/');
-    }catch(err){ console.error(err); alert('Delete failed'); }
+    }catch(err){ toast.error(err, 'Delete failed'); }
   }
 
   return (
@@ -40,21 +78,56 @@ function CustomerDetailPage(){
       <div className="d-flex justify-content-between align-items-center mb-3">
         <h2>Customer Details</h2>
         <div>
-          <Link to={`/customers/${id}/edit`} className="btn btn-primary me-2">Edit</Link>
-          <button onClick={handleDelete} className="btn btn-danger">Delete</button>
+          <Link to={`/customers/duplicates?customer_id=${id}`} className="btn btn-outline-secondary me-2">Possible duplicates</Link>
+          {can('agent') && <Link to={`/customers/${id}/edit`} className="btn btn-primary me-2">Edit</Link>}
+          {can('admin') && <button onClick={handleDelete} className="btn btn-danger">Delete</button>}
         </div>
       </div>
 
+      {notice && (
+        <div className="alert alert-info py-2 d-flex justify-content-between align-items-center" role="status">
+          <span>{notice}</span>
+          <button type="button" className="btn-close" aria-label="Dismiss" onClick={()=>setNotice(null)} />
+        </div>
+      )}
+
+      {savedAt && (
+        <div className="alert alert-warning py-2" role="status">
+          Offline: showing this customer as saved on {new Date(savedAt).toLocaleString()}.
+        </div>
+      )}
+
       {loading ? <div>Loading...</div> : (
         customer ? (
           <div>
-            <div className="customer-info">
-              <p><strong>ID:</strong> {customer.id}</p>
-              <p><strong>Name:</strong> {customer.first_name} {customer.last_name}</p>
-              <p><strong>Phone:</strong> {customer.phone_number}</p>
-              <h3>Addresses</h3>
-              <AddressManager customerId={customer.id} addresses={customer.addresses} onChange={load} />
-            </div>
+            <ul className="nav nav-tabs mb-3">
+              <li className="nav-item">
+                <button className={`nav-link ${tab==='details' ? 'active' : ''}`} onClick={()=>setTab('details')}>Details</button>
+              </li>
+              <li className="nav-item">
+                <button className={`nav-link ${tab==='history' ? 'active' : ''}`} onClick={()=>setTab('history')}>History</button>
+              </li>
+            </ul>
+            {tab === 'details' ? (
+              <div className="customer-info">
+                <p><strong>ID:</strong> {customer.id}</p>
+                <p><strong>Name:</strong> {customer.first_name} {customer.last_name}</p>
+                <p><strong>Phone:</strong> {customer.phone_number}
+                  {customer.phone_e164 && customer.phone_e164 !== customer.phone_number && <span className="text-muted"> ({customer.phone_e164})</span>}
+                </p>
+                {customer.email && <p><strong>Email:</strong> <a href={`mailto:${customer.email}`}>{customer.email}</a></p>}
+                {customer.date_of_birth && <p><strong>Date of Birth:</strong> {customer.date_of_birth}</p>}
+                {customer.tags.length > 0 && (
+                  <p><strong>Tags:</strong> {customer.tags.map(t => <span key={t} className="badge bg-info text-dark me-1">{t}</span>)}</p>
+                )}
+                {customer.notes && <div className="customer-notes"><strong>Notes:</strong><p>{customer.notes}</p></div>}
+                <p className="text-muted small">
+                  Created {new Date(customer.created_at).toLocaleString()}, last updated {new Date(customer.updated_at).toLocaleString()}
+                </p>
+                <h3>Addresses</h3>
+                <AddressManager customerId={customer.id} addresses={customer.addresses} onChange={load} />
+              </div>
+            ) : <CustomerHistory customerId={customer.id} version={customer.version} />}
           </div>
         ) : <div>Customer not found</div>
       )}
@@ -63,109 +136,349 @@ function CustomerDetailPage(){
 }
 
 function AddressManager({ customerId, addresses = [], onChange }){
+  const { can } = useAuth();
+  const toast = useToast();
+  const { send } = useOffline();
   const [list, setList] = useState(addresses);
   const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
 
   useEffect(()=>{ setList(addresses); }, [addresses]);
 
+  // Sends the change, or queues it while offline; false when queued.
+  async function sendChange(request, label){
+    const res = await send(request, { label: `${label} of customer #${customerId}`, customerId });
+    if (!res) toast.info('Offline: the change will be sent when the connection is back');
+    return !!res;
+  }
+
+  // Errors reach AddressForm, which shows them next to the fields.
   async function addAddress(data){
-    try{
-      await api.post(`/customers/${customerId}/addresses`, data);
-      alert('Address added');
-      setShowForm(false);
+    if (await sendChange({ method: 'post', url: `/customers/${customerId}/addresses`, data }, 'New address')) {
+      toast.success('Address added');
       onChange();
-    }catch(err){ console.error(err); alert('Failed to add address'); }
+    }
+    setShowForm(false);
+  }
+
+  // Sends only the changed fields: the pin code check then only applies to
+  // what was touched, and a new pin code brings its own city and state.
+  // Changes are taken against `base`, the version the form's edits start
+  // from; a VERSION_CONFLICT goes back to AddressForm to resolve.
+  async function updateAddress(address, data, base){
+    const changes = {};
+    Object.keys(data).forEach(f => { if (data[f] !== base.values[f]) changes[f] = data[f]; });
+    if (Object.keys(changes).length > 0) {
+      const request = { method: 'put', url: `/addresses/${address.id}`, data: { ...changes, version: base.version } };
+      if (!await sendChange(request, `Edit of address #${address.id}`)) return setEditingId(null);
+      toast.success('Address updated');
+    }
+    setEditingId(null);
+    onChange();
+  }
+
+  async function makePrimary(id){
+    try{
+      if (await sendChange({ method: 'post', url: `/addresses/${id}/primary` }, `New primary address #${id}`)) onChange();
+    }catch(err){ toast.error(err); }
   }
 
   async function deleteAddress(id){
     if(!window.confirm('Delete address?')) return;
     try{
-      await api.delete(`/addresses/${id}`);
-      alert('Deleted');
-      onChange();
-    }catch(err){ console.error(err); alert('Failed'); }
+      if (await sendChange({ method: 'delete', url: `/addresses/${id}` }, `Deletion of address #${id}`)) {
+        toast.success('Address deleted');
+        onChange();
+      }
+    }catch(err){ toast.error(err); }
   }
 
+  const columns = can('agent') ? 7 : 6;
+
   return (
     <div>
       
-      {showForm && <AddressForm onSubmit={addAddress} />}
+      {showForm && <AddressForm onSubmit={addAddress} onCancel={()=>setShowForm(false)} />}
 
       <table className="table table-striped">
         <thead>
-          <tr><th>ID</th><th>Details</th><th>City</th><th>State</th><th>Pin</th><th>Actions</th></tr>
+          <tr><th>ID</th><th>Type</th><th>Details</th><th>City</th><th>State</th><th>Pin</th>{can('agent') && <th>Actions</th>}</tr>
         </thead>
         <tbody>
-          {list.map(a=> (
+          {list.map(a=> editingId === a.id ? (
+            <tr key={a.id} className="address-editing">
+              <td>{a.id}</td>
+              <td colSpan={columns - 1}>
+                <AddressForm initial={a} onSubmit={(data, base)=>updateAddress(a, data, base)} onCancel={()=>setEditingId(null)} />
+              </td>
+            </tr>
+          ) : (
             <tr key={a.id}>
               <td>{a.id}</td>
+              <td>
+                <span className="text-capitalize">{a.type}</span>
+                {a.is_primary ? <span className="badge bg-success ms-1">Primary</span> : null}
+              </td>
               <td>{a.address_details}</td>
               <td>{a.city}</td>
               <td>{a.state}</td>
               <td>{a.pin_code}</td>
-              <td>
-                    <button
-      className="btn btn-warning btn-sm me-2"
-      onClick={() => {
-
-        const field = prompt(
-          'Enter the field you want to edit (e.g., address_details, city, pincode):'
-        );
-
-        if (field && a[field] !== undefined) {
-
-          const newValue = prompt(`Edit ${field}`, a[field]);
-
-          if (newValue !== null) {
-            api
-              .put(`/addresses/${a.id}`, { [field]: newValue })
-              .then(() => onChange());
-          }
-        } else {
-          alert("Invalid field name or field doesn't exist!");
-        }
-      }}
-    >
-      Edit
-    </button>
-
+              {can('agent') && <td>
                 <button
+                  className="btn btn-warning btn-sm me-2"
+                  onClick={()=>setEditingId(a.id)}
+                >
+                  Edit
+                </button>
+
+                {!a.is_primary && <button
+                  className="btn btn-outline-success btn-sm me-2"
+                  onClick={()=>makePrimary(a.id)}
+                >
+                  Make primary
+                </button>}
+
+                {can('admin') && <button
                   className="btn btn-danger btn-sm"
                   onClick={()=>deleteAddress(a.id)}
                 >
                   Delete
-                </button>
-              </td>
+                </button>}
+              </td>}
             </tr>
           ))}
-          {list.length===0 && <tr><td colSpan={6}>No addresses</td></tr>}
+          {list.length===0 && <tr><td colSpan={columns}>No addresses</td></tr>}
         </tbody>
       </table>
 
-      <button onClick={()=>setShowForm(s=>!s)} className="btn btn-success mb-3">
+      {can('agent') && <button onClick={()=>setShowForm(s=>!s)} className="btn btn-success mb-3">
         {showForm ? 'Cancel' : 'Add Address'}
-      </button>
+      </button>}
     </div>
   );
 }
 
-function AddressForm({ onSubmit }){
-  const [form, setForm] = useState({ address_details:'', city:'', state:'', pin_code:'' });
-  function change(e){ setForm(s=>({...s,[e.target.name]:e.target.value})); }
-  function submit(e){ e.preventDefault(); if(!form.address_details) return alert('Enter details'); onSubmit(form); }
+// Keys and bookkeeping rather than customer data; not worth showing in diffs.
+const HIDDEN_HISTORY_FIELDS = ['id', 'customer_id', 'created_at', 'updated_at', 'version'];
+
+// Field-level changes of one audit entry: changed fields for updates and
+// merges, the full record for creates and deletes.
+function historyChanges(entry){
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(f => !HIDDEN_HISTORY_FIELDS.includes(f));
+  return fields
+    .filter(f => !['update', 'merge'].includes(entry.action) || JSON.stringify(before[f]) !== JSON.stringify(after[f]))
+    .map(f => ({ field: f, before: before[f], after: after[f] }));
+}
+
+// Reloads when `version` changes, i.e. with every change to the customer.
+function CustomerHistory({ customerId, version }){
+  const toast = useToast();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(()=>{
+    let cancelled = false;
+    setLoading(true);
+    api.get(`/customers/${customerId}/history`)
+      .then(res => { if (!cancelled) setEntries(res.data.data); })
+      .catch(err => { if (!cancelled) toast.error(err, 'Failed to load history'); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [customerId, version, toast]);
+
+  if (loading) return <div>Loading...</div>;
+  if (entries.length === 0) return <div>No recorded changes</div>;
+
   return (
-    <form onSubmit={submit} className="mb-3">
-      <div className="mb-2">
-        <input name="address_details" value={form.address_details} onChange={change} placeholder="Address details" className="form-control"/>
+    <ul className="history-timeline">
+      {entries.map(e => (
+        <li key={e.id} className={`history-entry history-${e.action}`}>
+          <div className="history-meta">
+            <strong className="text-capitalize">{e.action}d {e.entity}</strong>
+            {e.entity === 'address' && <span> #{e.entity_id}</span>}
+            {e.action === 'merge' && e.entity === 'address' && <span> from customer #{e.before.customer_id}</span>}
+            <span className="text-muted"> by {e.actor ? e.actor.username : 'system'} on {new Date(e.created_at).toLocaleString()}</span>
+          </div>
+          <table className="table table-sm history-diff">
+            <tbody>
+              {historyChanges(e).map(c => (
+                <tr key={c.field}>
+                  <td className="history-field">{c.field}</td>
+                  <td>{c.before !== undefined && <del>{String(c.before)}</del>}</td>
+                  <td>{c.after !== undefined && <ins>{String(c.after)}</ins>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const ADDRESS_TYPES = ['home', 'work', 'billing', 'shipping', 'other'];
+
+const EMPTY_ADDRESS = { address_details:'', type:'home', city:'', state:'', pin_code:'' };
+
+const ADDRESS_LABELS = { type:'Type', address_details:'Details', pin_code:'Pin code', city:'City', state:'State' };
+
+// An address from the API as form values.
+function addressValues(address){
+  const values = { ...EMPTY_ADDRESS };
+  if (address) Object.keys(values).forEach(f => { values[f] = address[f] ?? ''; });
+  return values;
+}
+
+function changedAddressFields(from, to){ return Object.keys(ADDRESS_LABELS).filter(f => from[f] !== to[f]); }
+
+// Adds an address, or edits `initial`. `onSubmit(values, base)` returns a
+// promise; when it fails, the server's validation errors show next to their
+// fields and any other message above the form. A VERSION_CONFLICT shows the
+// address as someone else saved it next to the user's values, and the values
+// chosen there are saved against that newer version. City and state are
+// filled in from a new pin code where the server knows it
+// (GET /addresses/pin-codes/:pin).
+function AddressForm({ initial, onSubmit, onCancel }){
+  const [form, setForm] = useState(() => addressValues(initial));
+  // The address the edits are based on: { version, values }.
+  const [base, setBase] = useState(() => ({ version: initial?.version, values: addressValues(initial) }));
+  // A newer version someone else saved meanwhile, while it is being compared.
+  const [conflict, setConflict] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [message, setMessage] = useState('');
+  const [saving, setSaving] = useState(false);
+  const lastPin = useRef(form.pin_code);
+
+  function change(e){
+    const { name, value } = e.target;
+    setForm(s=>({...s,[name]:value}));
+    setFieldErrors(errs => ({ ...errs, [name]: undefined }));
+  }
+
+  async function submit(e){
+    e.preventDefault();
+    setSaving(true);
+    setFieldErrors({});
+    setMessage('');
+    try{
+      await onSubmit(form, base);
+    }catch(err){
+      const current = err.code === 'VERSION_CONFLICT' && err.response?.data?.data;
+      if (current) {
+        setConflict({ version: current.version, theirs: addressValues(current), mine: form, edited: changedAddressFields(base.values, form) });
+      } else if (err.errors?.length) setFieldErrors(err.fieldErrors);
+      else setMessage(err.message || 'Failed to save address');
+      setSaving(false);
+    }
+  }
+
+  function applyConflict(values){
+    setForm(values);
+    setBase({ version: conflict.version, values: conflict.theirs });
+    lastPin.current = values.pin_code;
+    setConflict(null);
+  }
+
+  async function lookupPin(e){
+    const pin = e.target.value.replace(/\s+/g, '');
+    if (pin === lastPin.current || !/^[1-9]\d{5}$/.test(pin)) return;
+    lastPin.current = pin;
+    try{
+      const { data } = (await api.get(`/addresses/pin-codes/${pin}`)).data;
+      setForm(s => ({
+        ...s,
+        city: data.city || s.city,
+        state: data.states.length === 1 ? data.states[0] : s.state,
+      }));
+    }catch(err){ /* unknown pin code: city and state are typed in */ }
+  }
+
+  function field(name, placeholder, props = {}){
+    return (
+      <>
+        <input name={name} value={form[name]} onChange={change} placeholder={placeholder} aria-label={placeholder}
+          className={`form-control ${fieldErrors[name] ? 'is-invalid' : ''}`} {...props} />
+        {fieldErrors[name] && <div className="invalid-feedback">{fieldErrors[name]}</div>}
+      </>
+    );
+  }
+
+  return (
+    <form onSubmit={submit} className="address-form mb-3" noValidate>
+      {message && <div className="alert alert-danger py-2">{message}</div>}
+      {conflict && <AddressConflict conflict={conflict} onApply={applyConflict} onCancel={()=>setConflict(null)} />}
+      <div className="row g-2 mb-2">
+        <div className="col-auto">
+          <select name="type" value={form.type} onChange={change} className={`form-select text-capitalize ${fieldErrors.type ? 'is-invalid' : ''}`} aria-label="Address type">
+            {ADDRESS_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          {fieldErrors.type && <div className="invalid-feedback">{fieldErrors.type}</div>}
+        </div>
+        <div className="col">{field('address_details', 'Address details')}</div>
       </div>
       <div className="row g-2 mb-2">
-        <div className="col"><input name="city" value={form.city} onChange={change} placeholder="City" className="form-control" /></div>
-        <div className="col"><input name="state" value={form.state} onChange={change} placeholder="State" className="form-control" /></div>
-        <div className="col"><input name="pin_code" value={form.pin_code} onChange={change} placeholder="Pin code" className="form-control" /></div>
+        <div className="col">{field('pin_code', 'Pin code', { onBlur: lookupPin, inputMode: 'numeric' })}</div>
+        <div className="col">{field('city', 'City')}</div>
+        <div className="col">{field('state', 'State')}</div>
       </div>
-      <button className="btn btn-primary">Save Address</button>
+      <button className="btn btn-primary btn-sm me-2" disabled={saving || !!conflict}>{saving ? 'Saving...' : 'Save Address'}</button>
+      {onCancel && <button type="button" onClick={onCancel} className="btn btn-secondary btn-sm" disabled={saving}>Cancel</button>}
     </form>
   );
 }
 
+// The user's address values next to the ones someone else saved meanwhile,
+// for each field where they differ, as in the customer form's conflict
+// dialog. Fields the user edited keep the user's value unless unticked;
+// applying puts the chosen values in the form to save again.
+function AddressConflict({ conflict, onApply, onCancel }){
+  const fields = changedAddressFields(conflict.theirs, conflict.mine);
+  const [keep, setKeep] = useState(() => fields.filter(f => conflict.edited.includes(f)));
+
+  function toggle(field){
+    setKeep(list => list.includes(field) ? list.filter(f => f !== field) : [...list, field]);
+  }
+
+  function apply(keepFields){
+    const values = { ...conflict.theirs };
+    keepFields.forEach(f => { values[f] = conflict.mine[f]; });
+    onApply(values);
+  }
+
+  function show(value){ return String(value).trim() ? value : <span className="text-muted">(empty)</span>; }
+
+  return (
+    <div className="alert alert-warning address-conflict" role="alertdialog" aria-labelledby="address-conflict-title">
+      <h6 id="address-conflict-title">Someone else changed this address</h6>
+      <p className="mb-2">Their changes were saved while you were editing. Choose which of your values to keep.</p>
+      {fields.length > 0 && (
+        <table className="table table-sm align-middle conflict-table">
+          <thead>
+            <tr><th>Field</th><th>Yours</th><th>Saved</th><th>Keep yours</th></tr>
+          </thead>
+          <tbody>
+            {fields.map(f => (
+              <tr key={f}>
+                <th scope="row">{ADDRESS_LABELS[f]}</th>
+                <td>{show(conflict.mine[f])}</td>
+                <td>{show(conflict.theirs[f])}</td>
+                <td>
+                  <input type="checkbox" className="form-check-input" checked={keep.includes(f)} onChange={()=>toggle(f)}
+                    aria-label={`Keep your ${ADDRESS_LABELS[f]}`} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button type="button" className="btn btn-secondary btn-sm me-2" onClick={onCancel}>Cancel</button>
+      <button type="button" className="btn btn-outline-primary btn-sm me-2" onClick={()=>apply([])}>Use saved values</button>
+      <button type="button" className="btn btn-primary btn-sm" onClick={()=>apply(keep)}>Apply</button>
+    </div>
+  );
+}
+
 export default CustomerDetailPage;
@@ -1,78 +1,287 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import api from '../api';
+import { useToast } from '../toast';
+import { FieldError, fieldError } from '../forms';
+import { cachedCustomer, useOffline } from '../offline';
 import './CustomerFormPage.css';
 
+const REQUIRED_FIELDS = { first_name: 'First name is required', last_name: 'Last name is required', phone_number: 'Phone is required' };
+const FIELD_LABELS = { first_name:'First Name', last_name:'Last Name', phone_number:'Phone', email:'Email', date_of_birth:'Date of Birth', tags:'Tags', notes:'Notes' };
+
+// A customer from the API as form values.
+function formValues(customer){
+  return {
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    phone_number: customer.phone_number,
+    email: customer.email || '',
+    date_of_birth: customer.date_of_birth || '',
+    notes: customer.notes || '',
+    tags: customer.tags.join(', '),
+  };
+}
+
+function splitTags(text){ return text.split(',').map(t => t.trim()).filter(Boolean); }
+
+// Whether two form values of `field` save the same way.
+function sameValue(field, a, b){
+  return field === 'tags' ? splitTags(a).join(',') === splitTags(b).join(',') : a.trim() === b.trim();
+}
+
+// Fields that differ between two sets of form values.
+function changedFields(from, to){ return Object.keys(FIELD_LABELS).filter(f => !sameValue(f, from[f], to[f])); }
+
 function CustomerFormPage({ editMode }){
   const { id } = useParams();
   const navigate = useNavigate();
-  const [form, setForm] = useState({ first_name:'', last_name:'', phone_number:'' });
+  const toast = useToast();
+  const { send } = useOffline();
+  const [form, setForm] = useState({ first_name:'', last_name:'', phone_number:'', email:'', date_of_birth:'', notes:'', tags:'' });
+  const [knownTags, setKnownTags] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Messages per field, from the server's `errors` or the required-field check.
+  const [errors, setErrors] = useState({});
+  // The customer the edits are based on: { version, values }.
+  const [loaded, setLoaded] = useState(null);
+  // A newer version someone else saved meanwhile, while the dialog is open.
+  const [conflict, setConflict] = useState(null);
 
   useEffect(()=>{
     if (id) load();
     // eslint-disable-next-line
   }, [id]);
 
+  // The most used tags, offered as suggestions. Without them the tag field
+  // still takes any tag, so a failure is deliberately ignored.
+  useEffect(()=>{
+    api.get('/customers/facets')
+      .then(res => setKnownTags(res.data.data.tag.map(t => t.value)))
+      .catch(() => {});
+  }, []);
+
   async function load(){
     setLoading(true);
     try{
-      const res = await api.get(`/customers/${id}`);
-      const data = res.data.data;
-      setForm({ first_name: data.first_name, last_name: data.last_name, phone_number: data.phone_number });
-    }catch(err){ console.error(err); alert('Failed'); }
+      let customer;
+      try{
+        customer = (await api.get(`/customers/${id}`)).data.data;
+      }catch(err){
+        // Offline, the copy saved when the customer was last viewed is edited;
+        // its version lets the queued change be checked once sent.
+        const cached = err.code === 'NETWORK_ERROR' && await cachedCustomer(id);
+        if (!cached) throw err;
+        customer = cached.data;
+        toast.info('Offline: editing the copy saved when this customer was last viewed');
+      }
+      const values = formValues(customer);
+      setForm(values);
+      setLoaded({ version: customer.version, values });
+    }catch(err){ toast.error(err); }
     finally{ setLoading(false); }
   }
 
-  function handleChange(e){ setForm(prev => ({...prev, [e.target.name]: e.target.value})); }
+  function handleChange(e){
+    const { name, value } = e.target;
+    setForm(prev => ({...prev, [name]: value}));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+  }
+
+  function inputClass(name){ return `input ${fieldError(errors, name) ? 'invalid' : ''}`; }
+
+  const tagList = splitTags(form.tags);
+
+  function addTag(tag){
+    setForm(prev => ({ ...prev, tags: [...tagList, tag].join(', ') }));
+  }
 
   async function handleSubmit(e){
     e.preventDefault();
     // client-side validation
-    if(!form.first_name || !form.last_name || !form.phone_number){ return alert('Fill required fields'); }
+    const missing = {};
+    Object.keys(REQUIRED_FIELDS).forEach(f => { if (!form[f].trim()) missing[f] = REQUIRED_FIELDS[f]; });
+    setErrors(missing);
+    if (Object.keys(missing).length > 0) return;
+    save(form, loaded?.version);
+  }
+
+  // `version` is the one the values are based on; the server refuses the
+  // update if someone else has saved the customer since. Offline, the change
+  // is queued and sent when the connection is back.
+  async function save(values, version, retried = false){
+    const payload = { ...values, tags: splitTags(values.tags) };
+    const name = `${payload.first_name} ${payload.last_name}`;
+    setSaving(true);
     try{
       if (id){
-        await api.put(`/customers/${id}`, form);
-        alert('Updated');
+        const res = await send({ method: 'put', url: `/customers/${id}`, data: { ...payload, version } }, { label: `Edit of ${name}`, customerId: Number(id) });
+        if (res) toast.success('Customer updated');
+        else toast.info('Offline: the changes will be saved when the connection is back');
         navigate(`/customers/${id}`);
       } else {
-        const res = await api.post('/customers', form);
-        alert('Created');
+        const res = await send({ method: 'post', url: '/customers', data: payload }, { label: `New customer ${name}` });
+        if (!res) {
+          toast.info('Offline: the customer will be created when the connection is back');
+          return navigate('/');
+        }
+        toast.success('Customer created');
         navigate(`/customers/${res.data.data.id}`);
       }
     }catch(err){
-      console.error(err);
-      const msg = err?.response?.data?.message || 'Server error';
-      alert(msg);
+      if (err.code === 'VERSION_CONFLICT' && err.response?.data?.data) return resolveConflict(values, err.response.data.data, retried);
+      setErrors(err.fieldErrors || {});
+      // Field errors show next to their inputs; anything else as a toast.
+      if (!err.errors?.length) toast.error(err);
+      setSaving(false);
     }
   }
 
+  // Someone else saved the customer since it was loaded. If they changed
+  // other fields than the user did, both sets of changes are combined and
+  // saved once more; otherwise the dialog lets the user choose per field.
+  function resolveConflict(values, customer, retried){
+    const theirs = formValues(customer);
+    const edited = changedFields(loaded.values, values);
+    const clashing = changedFields(loaded.values, theirs).filter(f => edited.includes(f) && !sameValue(f, values[f], theirs[f]));
+    if (clashing.length === 0 && !retried){
+      const merged = { ...theirs };
+      edited.forEach(f => { merged[f] = values[f]; });
+      setForm(merged);
+      setLoaded({ version: customer.version, values: theirs });
+      return save(merged, customer.version, true);
+    }
+    setSaving(false);
+    setConflict({ version: customer.version, theirs, mine: values, edited });
+  }
+
+  function applyConflict(values){
+    setForm(values);
+    setLoaded({ version: conflict.version, values: conflict.theirs });
+    setConflict(null);
+    toast.info('Review the combined values and save again');
+  }
+
   return (
     <div className="page-background">
     <div className="card">
       <h2>{id ? 'Edit Customer' : 'New Customer'}</h2>
       {loading ? <div>Loading...</div> : (
-        <form onSubmit={handleSubmit}>
+        <form onSubmit={handleSubmit} noValidate>
           <div className="form-row">
             <label>First Name</label>
-            <input name="first_name" value={form.first_name} onChange={handleChange} className="input" />
+            <input name="first_name" value={form.first_name} onChange={handleChange} className={inputClass('first_name')} />
+            <FieldError errors={errors} name="first_name" />
           </div>
           <div className="form-row">
             <label>Last Name</label>
-            <input name="last_name" value={form.last_name} onChange={handleChange} className="input" />
+            <input name="last_name" value={form.last_name} onChange={handleChange} className={inputClass('last_name')} />
+            <FieldError errors={errors} name="last_name" />
           </div>
           <div className="form-row">
             <label>Phone</label>
-            <input name="phone_number" value={form.phone_number} onChange={handleChange} className="input" />
+            <input name="phone_number" value={form.phone_number} onChange={handleChange} className={inputClass('phone_number')} placeholder="98765 43210 or +1 415 555 2671" />
+            <FieldError errors={errors} name="phone_number" />
+            <div className="text-muted small">Add the + country code for numbers from outside the default country.</div>
+          </div>
+          <div className="form-row">
+            <label>Email</label>
+            <input name="email" type="email" value={form.email} onChange={handleChange} className={inputClass('email')} />
+            <FieldError errors={errors} name="email" />
+          </div>
+          <div className="form-row">
+            <label>Date of Birth</label>
+            <input name="date_of_birth" type="date" value={form.date_of_birth} onChange={handleChange} className={inputClass('date_of_birth')} />
+            <FieldError errors={errors} name="date_of_birth" />
           </div>
           <div className="form-row">
-            <button className="button primary">Save</button>
+            <label>Tags</label>
+            <input name="tags" value={form.tags} onChange={handleChange} className={inputClass('tags')} placeholder="VIP, wholesale" />
+            <FieldError errors={errors} name="tags" />
+            {knownTags.some(t => !tagList.includes(t)) && (
+              <div className="tag-suggestions">
+                {knownTags.filter(t => !tagList.includes(t)).map(t => (
+                  <button key={t} type="button" onClick={()=>addTag(t)} className="btn btn-sm btn-outline-secondary">+ {t}</button>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="form-row">
+            <label>Notes</label>
+            <textarea name="notes" value={form.notes} onChange={handleChange} className={inputClass('notes')} rows={3} />
+            <FieldError errors={errors} name="notes" />
+          </div>
+          <div className="form-row">
+            <button className="button primary" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
           </div>
         </form>
       )}
     </div>
+    {conflict && <ConflictDialog conflict={conflict} onApply={applyConflict} onCancel={()=>setConflict(null)} />}
     </div>
   );
 }
 
+// The user's values next to the ones someone else saved meanwhile, for each
+// field where they differ. Fields the user edited keep the user's value
+// unless unticked; the rest take the saved one.
+function ConflictDialog({ conflict, onApply, onCancel }){
+  const fields = changedFields(conflict.theirs, conflict.mine);
+  const [keep, setKeep] = useState(() => fields.filter(f => conflict.edited.includes(f)));
+
+  function toggle(field){
+    setKeep(list => list.includes(field) ? list.filter(f => f !== field) : [...list, field]);
+  }
+
+  function apply(keepFields){
+    const values = { ...conflict.theirs };
+    keepFields.forEach(f => { values[f] = conflict.mine[f]; });
+    onApply(values);
+  }
+
+  function show(value){ return value.trim() ? value : <span className="text-muted">(empty)</span>; }
+
+  return (
+    <>
+      <div className="modal d-block" role="dialog" aria-modal="true" aria-labelledby="conflict-title">
+        <div className="modal-dialog modal-lg modal-dialog-scrollable">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 id="conflict-title" className="modal-title">Someone else changed this customer</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onCancel} />
+            </div>
+            <div className="modal-body">
+              <p>Their changes were saved while you were editing. Choose which of your values to keep.</p>
+              <table className="table table-sm align-middle conflict-table">
+                <thead>
+                  <tr><th>Field</th><th>Yours</th><th>Saved</th><th>Keep yours</th></tr>
+                </thead>
+                <tbody>
+                  {fields.map(f => (
+                    <tr key={f}>
+                      <th scope="row">{FIELD_LABELS[f]}</th>
+                      <td>{show(conflict.mine[f])}</td>
+                      <td>{show(conflict.theirs[f])}</td>
+                      <td>
+                        <input type="checkbox" className="form-check-input" checked={keep.includes(f)} onChange={()=>toggle(f)}
+                          aria-label={`Keep your ${FIELD_LABELS[f]}`} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+              <button type="button" className="btn btn-outline-primary" onClick={()=>apply([])}>Use saved values</button>
+              <button type="button" className="btn btn-primary" onClick={()=>apply(keep)}>Apply</button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show" />
+    </>
+  );
+}
+
 export default CustomerFormPage;
\ No newline at end of file
@@ -1,36 +1,325 @@
 import React, { useEffect, useState } from 'react';
 import api from '../api';
+import { useAuth } from '../auth';
+import { useToast } from '../toast';
+import { useChangeEvents } from '../events';
+import { recentCustomers } from '../offline';
 import { Link, useSearchParams } from 'react-router-dom';
 import './CustomerListPage.css';
 
+// Search results put matched fragments between these private-use characters,
+// which customer data has no use for; render those fragments as <mark>
+// elements and everything else, markup-like text included, as plain text.
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+const MARKED = new RegExp(`${MARK_START}(.*?)${MARK_END}`, 's');
+
+function Highlighted({ text }){
+  return text.split(MARKED).map((part, i) => (
+    i % 2 === 1 ? <mark key={i}>{part}</mark> : part
+  ));
+}
+
+const FILTER_KEYS = ['state', 'city', 'tag', 'pin_code', 'created_after', 'addresses'];
+const PAGE_SIZES = [10, 25, 50, 100];
+
+// Column header that sorts by `field`; a second click reverses the order.
+function SortHeader({ field, label, sort, onSort }){
+  const [current, dir] = sort.split(':');
+  const active = current === field;
+  return (
+    <th
+      className="sortable"
+      onClick={()=>onSort(active && dir !== 'desc' ? `${field}:desc` : `${field}:asc`)}
+      aria-sort={active ? (dir === 'desc' ? 'descending' : 'ascending') : 'none'}
+    >
+      {label}{active && <span className="sort-arrow">{dir === 'desc' ? '▼' : '▲'}</span>}
+    </th>
+  );
+}
+
+// Checkbox list of facet values with customer counts. Selected values stay
+// listed even when the other filters leave no customers for them.
+function FacetList({ label, name, values, selected, onToggle }){
+  const shown = [...values, ...selected.filter(v => !values.some(f => f.value === v)).map(v => ({ value:v, count:0 }))];
+  return (
+    <div className="filter-group">
+      <h6>{label}</h6>
+      {shown.length===0 && <div className="text-muted small">None</div>}
+      <div className="facet-list">
+        {shown.map(f => (
+          <label key={f.value} className="facet">
+            <input type="checkbox" checked={selected.includes(f.value)} onChange={()=>onToggle(name, f.value)} />
+            <span className="facet-value">{f.value}</span>
+            <span className="facet-count">{f.count}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Actions on the selected customers. Tagging and moving addresses ask for
+// their values in a small form first.
+function BulkActionBar({ count, busy, canEdit, canDelete, onRun, onExport, onClear }){
+  const [form, setForm] = useState(null);
+
+  function submit(e){
+    e.preventDefault();
+    const { elements } = e.target;
+    if (form === 'update_addresses'){
+      onRun(form, { city: elements.city.value.trim() || undefined, state: elements.state.value.trim() || undefined });
+    } else {
+      onRun(form, { tags: elements.tags.value.split(',').map(t => t.trim()).filter(Boolean) });
+    }
+    setForm(null);
+  }
+
+  return (
+    <div className="bulk-bar">
+      <div className="d-flex align-items-center gap-2 flex-wrap">
+        <strong>{count} selected</strong>
+        {canEdit && <>
+          <button type="button" onClick={()=>setForm(form === 'add_tags' ? null : 'add_tags')} className="btn btn-sm btn-outline-primary" disabled={busy}>Add tags</button>
+          <button type="button" onClick={()=>setForm(form === 'remove_tags' ? null : 'remove_tags')} className="btn btn-sm btn-outline-primary" disabled={busy}>Remove tags</button>
+          <button type="button" onClick={()=>setForm(form === 'update_addresses' ? null : 'update_addresses')} className="btn btn-sm btn-outline-primary" disabled={busy}>Set city / state</button>
+        </>}
+        <button type="button" onClick={onExport} className="btn btn-sm btn-outline-secondary" disabled={busy}>Export selected</button>
+        {canDelete && <button type="button" onClick={()=>onRun('delete')} className="btn btn-sm btn-outline-danger" disabled={busy}>Delete</button>}
+        <button type="button" onClick={onClear} className="btn btn-sm btn-link ms-auto">Clear selection</button>
+      </div>
+      {form && (
+        <form key={form} onSubmit={submit} className="d-flex gap-2 mt-2">
+          {form === 'update_addresses' ? <>
+            <input name="city" className="form-control form-control-sm" placeholder="City" aria-label="City" />
+            <input name="state" className="form-control form-control-sm" placeholder="State" aria-label="State" />
+          </> : (
+            <input name="tags" className="form-control form-control-sm" placeholder="Tags, separated by commas" aria-label="Tags" required />
+          )}
+          <button className="btn btn-sm btn-primary">Apply</button>
+        </form>
+      )}
+    </div>
+  );
+}
+
 function CustomerListPage(){
+  const { can, user } = useAuth();
+  const toast = useToast();
   const [customers, setCustomers] = useState([]);
   const [meta, setMeta] = useState({ page:1, limit:10, total:0 });
   const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [facets, setFacets] = useState({ city:[], state:[], tag:[], addresses:{ none:0, multiple:0 } });
+  // Customers someone else just changed, highlighted until the next batch.
+  const [changedIds, setChangedIds] = useState([]);
+  // Offline, the recently viewed customers are listed instead.
+  const [offlineList, setOfflineList] = useState(false);
+  // Ids of the selected customers, or every customer matching the filters
+  // with `allMatching`.
+  const [selected, setSelected] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [bulkFailures, setBulkFailures] = useState([]);
   const [searchParams, setSearchParams] = useSearchParams();
 
   const page = parseInt(searchParams.get('page') || '1');
   const limit = parseInt(searchParams.get('limit') || '10');
   const search = searchParams.get('search') || '';
-  const city = searchParams.get('city') || '';
+  const pinCode = searchParams.get('pin_code') || '';
+  const addresses = searchParams.get('addresses') || '';
+  const createdAfter = searchParams.get('created_after') || '';
+  // Without an explicit sort the server ranks searches by relevance.
+  const sort = searchParams.get('sort') || (search ? 'relevance' : 'id:asc');
+  const pageCount = Math.ceil(meta.total/meta.limit) || 1;
+  // Every filter lives in the URL, so the query string is the whole state.
+  const query = searchParams.toString();
+  const isSelected = id => allMatching || selected.includes(id);
+  const pageSelected = customers.length > 0 && customers.every(c => isSelected(c.id));
 
   useEffect(() => {
     fetchCustomers();
+    fetchFacets();
     // eslint-disable-next-line
-  }, [page, limit, search, city]);
+  }, [query]);
 
-  async function fetchCustomers(){
-    setLoading(true);
+  // A selection holds across pages, but not across filters.
+  const filterQuery = JSON.stringify(filterObject());
+  useEffect(() => {
+    clearSelection();
+  }, [filterQuery]);
+
+  // Any change may move customers in or out of this page, so it is fetched
+  // again in place.
+  useChangeEvents(entries => {
+    setChangedIds((entries || []).filter(e => e.actor?.id !== user?.id).map(e => e.customer_id));
+    fetchCustomers(true);
+    fetchFacets();
+  });
+
+  // Search and filter params for the API; repeated keys such as state=A&state=B are kept.
+  function filterParams(){
+    const params = new URLSearchParams();
+    if (search) params.set('search', search);
+    if (searchParams.get('sort')) params.set('sort', searchParams.get('sort'));
+    FILTER_KEYS.forEach(key => searchParams.getAll(key).forEach(v => params.append(key, v)));
+    return params;
+  }
+
+  // The same filters as the `filter` of a batch request.
+  function filterObject(){
+    const filter = {};
+    if (search) filter.search = search;
+    ['city', 'state', 'tag', 'pin_code'].forEach(key => {
+      const values = searchParams.getAll(key);
+      if (values.length) filter[key] = values;
+    });
+    ['created_after', 'addresses'].forEach(key => {
+      if (searchParams.get(key)) filter[key] = searchParams.get(key);
+    });
+    return filter;
+  }
+
+  // `quiet` refreshes without the loading placeholder.
+  async function fetchCustomers(quiet = false){
+    if (!quiet) setLoading(true);
     try{
-      const res = await api.get('/customers', { params: { page, limit, search, city } });
+      const params = filterParams();
+      params.set('page', page);
+      params.set('limit', limit);
+      const res = await api.get('/customers', { params });
       setCustomers(res.data.data);
       setMeta(res.data.meta);
+      setOfflineList(false);
     }catch(err){
-      console.error(err);
-      alert('Failed to fetch customers');
+      if (err.code !== 'NETWORK_ERROR') return toast.error(err, 'Failed to fetch customers');
+      const recent = (await recentCustomers()).map(c => ({
+        ...c,
+        primary_city: (c.addresses.find(a => a.is_primary) || c.addresses[0])?.city,
+      }));
+      setCustomers(recent);
+      setMeta({ page: 1, limit: Math.max(recent.length, 1), total: recent.length });
+      setOfflineList(true);
     }finally{ setLoading(false) }
   }
 
+  async function fetchFacets(){
+    try{
+      const res = await api.get('/customers/facets', { params: filterParams() });
+      setFacets(res.data.data);
+    }catch(err){
+      // offline, the list falls back to saved customers and says so itself
+      if (err.code !== 'NETWORK_ERROR') toast.error(err, 'Failed to load the filter counts');
+    }
+  }
+
+  function setSort(value){
+    if (value) searchParams.set('sort', value); else searchParams.delete('sort');
+    searchParams.set('page', '1');
+    setSearchParams(searchParams);
+  }
+
+  function setPageSize(value){
+    searchParams.set('limit', value);
+    searchParams.set('page', '1');
+    setSearchParams(searchParams);
+  }
+
+  function handleJump(e){
+    e.preventDefault();
+    const target = parseInt(e.target.page.value);
+    if (isNaN(target)) return;
+    goToPage(Math.min(Math.max(target, 1), pageCount));
+  }
+
+  function toggleFilter(key, value){
+    const values = searchParams.getAll(key);
+    searchParams.delete(key);
+    (values.includes(value) ? values.filter(v => v !== value) : [...values, value]).forEach(v => searchParams.append(key, v));
+    searchParams.set('page', '1');
+    setSearchParams(searchParams);
+  }
+
+  function setFilter(key, value){
+    if (value) searchParams.set(key, value); else searchParams.delete(key);
+    searchParams.set('page', '1');
+    setSearchParams(searchParams);
+  }
+
+  function clearFilters(){
+    FILTER_KEYS.forEach(key => searchParams.delete(key));
+    searchParams.set('page', '1');
+    setSearchParams(searchParams);
+  }
+
+  function handlePinCode(e){
+    e.preventDefault();
+    setFilter('pin_code', e.target.pin_code.value.trim());
+  }
+
+  // Downloads every customer matching the current filters, not just this
+  // page, or only the customers in `ids`.
+  async function exportCustomers(format, ids){
+    setExporting(true);
+    try{
+      const params = ids ? new URLSearchParams(ids.map(id => ['ids', id])) : filterParams();
+      params.set('format', format);
+      const res = await api.get('/customers/export', { params, responseType: 'blob', timeout: 120000 });
+      const match = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `customers.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    }catch(err){
+      toast.error(err, 'Export failed');
+    }finally{ setExporting(false) }
+  }
+
+  function clearSelection(){
+    setSelected([]);
+    setAllMatching(false);
+    setBulkFailures([]);
+  }
+
+  function toggleSelected(id){
+    setAllMatching(false);
+    setSelected(ids => ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]);
+  }
+
+  function togglePage(){
+    const pageIds = customers.map(c => c.id);
+    setAllMatching(false);
+    setSelected(ids => pageIds.every(id => ids.includes(id))
+      ? ids.filter(id => !pageIds.includes(id))
+      : [...ids, ...pageIds.filter(id => !ids.includes(id))]);
+  }
+
+  // Runs a batch action on the selection. Customers that fail stay selected,
+  // with the reasons listed under the bar.
+  async function runBulkAction(action, fields = {}){
+    const count = allMatching ? meta.total : selected.length;
+    if (action === 'delete' && !window.confirm(`Move ${count} customer(s) to the trash? An admin can restore them from the Trash page.`)) return;
+    setBulkBusy(true);
+    try{
+      const selection = allMatching ? { filter: filterObject() } : { ids: selected };
+      const res = await api.post('/customers/batch', { action, ...selection, ...fields });
+      const { results, succeeded, failed } = res.data.data;
+      const failures = results.filter(r => !r.success);
+      setBulkFailures(failures);
+      setSelected(failures.map(r => r.id));
+      setAllMatching(false);
+      if (failed) toast.info(`${succeeded} of ${results.length} customers done; ${failed} failed`);
+      else toast.success(`${succeeded} customer(s) done`);
+      fetchCustomers(true);
+      fetchFacets();
+    }catch(err){
+      toast.error(err, 'Bulk action failed');
+    }finally{ setBulkBusy(false) }
+  }
+
   function goToPage(p){
     searchParams.set('page', p);
     setSearchParams(searchParams);
@@ -54,41 +343,145 @@ function CustomerListPage(){
     name="search" 
     defaultValue={search} 
     className="form-control" 
-    placeholder="Search by name or phone" 
+    placeholder="Search by name, phone or address" 
   />
   <button className="btn btn-primary">Search</button>
-  <Link to="/customers/new" className="btn btn-success">New Customer</Link>
+  {can('agent') && <Link to="/customers/new" className="btn btn-success">New Customer</Link>}
+  {can('agent') && <Link to="/customers/import" className="btn btn-outline-secondary">Import</Link>}
+  <select value={exportFormat} onChange={e=>setExportFormat(e.target.value)} className="form-select w-auto" aria-label="Export format">
+    <option value="csv">CSV</option>
+    <option value="xlsx">Excel</option>
+    <option value="json">JSON</option>
+  </select>
+  <button type="button" onClick={()=>exportCustomers(exportFormat)} className="btn btn-outline-secondary" disabled={exporting}>
+    {exporting ? 'Exporting...' : 'Export'}
+  </button>
 </form>
 
 
+      {search && sort !== 'relevance' && (
+        <div className="mb-2 small">
+          Sorted by {sort.split(':')[0].replace('_', ' ')}. <button onClick={()=>setSort('')} className="btn btn-link btn-sm p-0 align-baseline">Sort by relevance</button>
+        </div>
+      )}
+
+      <div className="list-layout">
+      <aside className="filter-sidebar">
+        <FacetList label="State" name="state" values={facets.state} selected={searchParams.getAll('state')} onToggle={toggleFilter} />
+        <FacetList label="City" name="city" values={facets.city} selected={searchParams.getAll('city')} onToggle={toggleFilter} />
+        <FacetList label="Tags" name="tag" values={facets.tag} selected={searchParams.getAll('tag')} onToggle={toggleFilter} />
+
+        <div className="filter-group">
+          <h6>Pin code starts with</h6>
+          <form onSubmit={handlePinCode} className="d-flex gap-1">
+            <input key={pinCode} name="pin_code" defaultValue={pinCode} className="form-control form-control-sm" inputMode="numeric" />
+            <button className="btn btn-sm btn-outline-primary">Go</button>
+          </form>
+        </div>
+
+        <div className="filter-group">
+          <h6>Created on or after</h6>
+          <input type="date" value={createdAfter} onChange={e=>setFilter('created_after', e.target.value)} className="form-control form-control-sm" aria-label="Created on or after" />
+        </div>
+
+        <div className="filter-group">
+          <h6>Addresses</h6>
+          {[['', 'Any'], ['none', 'No address'], ['multiple', 'More than one']].map(([value, label]) => (
+            <label key={value} className="facet">
+              <input type="radio" name="addresses" checked={addresses===value} onChange={()=>setFilter('addresses', value)} />
+              <span className="facet-value">{label}</span>
+              {value && <span className="facet-count">{facets.addresses[value]}</span>}
+            </label>
+          ))}
+        </div>
+
+        {FILTER_KEYS.some(key => searchParams.has(key)) && (
+          <button onClick={clearFilters} className="btn btn-sm btn-link p-0">Clear filters</button>
+        )}
+      </aside>
+
+      <div className="list-main">
+      {offlineList && (
+        <div className="alert alert-warning py-2 small" role="status">
+          Offline: showing the {customers.length} customer(s) viewed most recently on this device. Search and filters need a connection.
+        </div>
+      )}
+      {(selected.length > 0 || allMatching) && (
+        <BulkActionBar
+          count={allMatching ? meta.total : selected.length}
+          busy={bulkBusy}
+          canEdit={can('agent')}
+          canDelete={can('admin')}
+          onRun={runBulkAction}
+          onExport={()=>exportCustomers(exportFormat, allMatching ? undefined : selected)}
+          onClear={clearSelection}
+        />
+      )}
+      {pageSelected && !allMatching && meta.total > customers.length && (
+        <div className="small mb-2">
+          All {customers.length} customers on this page are selected. <button onClick={()=>setAllMatching(true)} className="btn btn-link btn-sm p-0 align-baseline">Select all {meta.total} matching customers</button>
+        </div>
+      )}
+      {allMatching && <div className="small mb-2">All {meta.total} matching customers are selected.</div>}
+      {bulkFailures.length > 0 && (
+        <div className="alert alert-warning small py-2">
+          Not done for {bulkFailures.length} customer(s), still selected:
+          <ul className="mb-0">
+            {bulkFailures.map(f => <li key={f.id}>#{f.id}: {f.message}</li>)}
+          </ul>
+        </div>
+      )}
       {loading ? <div>Loading...</div> : (
         <table className="table">
           <thead>
             <tr>
-              <th>ID</th>
-              <th>Name</th>
-              <th>Phone</th>
+              <th className="select-cell">
+                <input
+                  type="checkbox"
+                  checked={pageSelected}
+                  ref={el => { if (el) el.indeterminate = !pageSelected && customers.some(c => isSelected(c.id)); }}
+                  onChange={togglePage}
+                  disabled={customers.length===0}
+                  aria-label="Select all on this page"
+                />
+              </th>
+              <SortHeader field="id" label="ID" sort={sort} onSort={setSort} />
+              <SortHeader field="first_name" label="Name" sort={sort} onSort={setSort} />
+              <SortHeader field="phone_number" label="Phone" sort={sort} onSort={setSort} />
+              <th>City</th>
               <th>Actions</th>
             </tr>
           </thead>
           <tbody>
             {customers.map(c=> (
-              <tr key={c.id}>
+              <tr key={c.id} className={changedIds.includes(c.id) ? 'row-changed' : undefined}>
+                <td className="select-cell">
+                  <input type="checkbox" checked={isSelected(c.id)} onChange={()=>toggleSelected(c.id)} aria-label={`Select customer ${c.id}`} />
+                </td>
                 <td>{c.id}</td>
-                <td>{c.first_name} {c.last_name}</td>
-                <td>{c.phone_number}</td>
+                <td>
+                  {c.highlight ? <Highlighted text={c.highlight.name} /> : `${c.first_name} ${c.last_name}`}
+                  {c.tags.map(t => <span key={t} className="badge bg-info text-dark ms-1">{t}</span>)}
+                  {c.highlight?.address?.includes(MARK_START) && (
+                    <div className="search-snippet"><Highlighted text={c.highlight.address} /></div>
+                  )}
+                </td>
+                <td>{c.highlight ? <Highlighted text={c.highlight.phone_number} /> : c.phone_number}</td>
+                <td>{c.primary_city || <span className="text-muted">-</span>}</td>
                 <td className="flex">
                   <Link to={`/customers/${c.id}`} className="btn btn-primary">View</Link>
-                  <Link to={`/customers/${c.id}/edit`} className="btn btn-warning">Edit</Link>
+                  {can('agent') && <Link to={`/customers/${c.id}/edit`} className="btn btn-warning">Edit</Link>}
                 </td>
               </tr>
             ))}
             {customers.length===0 && (
-              <tr><td colSpan={4}>No customers found</td></tr>
+              <tr><td colSpan={6}>No customers found</td></tr>
             )}
           </tbody>
         </table>
       )}
+      </div>
+      </div>
 
       <div className="mt-3 d-flex align-items-center gap-2">
   <button 
@@ -99,7 +492,7 @@ function CustomerListPage(){
     Prev
   </button>
 
-  <span>Page {meta.page} of {Math.ceil(meta.total/meta.limit)||1}</span>
+  <span>Page {meta.page} of {pageCount}</span>
 
   <button 
     disabled={meta.page*meta.limit>=meta.total} 
@@ -108,6 +501,15 @@ function CustomerListPage(){
   >
     Next
   </button>
+
+  <form onSubmit={handleJump} className="d-flex align-items-center gap-1 ms-3">
+    <label htmlFor="jump-page" className="text-nowrap">Go to</label>
+    <input key={meta.page} id="jump-page" name="page" type="number" min="1" max={pageCount} defaultValue={meta.page} className="form-control form-control-sm" style={{ width: 70 }} />
+  </form>
+
+  <select value={limit} onChange={e=>setPageSize(e.target.value)} className="form-select form-select-sm w-auto ms-3" aria-label="Page size">
+    {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+  </select>
 </div>
     </div>
     </div>
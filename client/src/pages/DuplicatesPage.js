@@ -0,0 +1,221 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../api';
+import { useAuth } from '../auth';
+import { useToast } from '../toast';
+import './CustomerListPage.css';
+import './DuplicatesPage.css';
+
+const FIELDS = [
+  { name:'first_name', label:'First Name' },
+  { name:'last_name', label:'Last Name' },
+  { name:'phone_number', label:'Phone' },
+  { name:'email', label:'Email' },
+  { name:'date_of_birth', label:'Date of Birth' },
+  { name:'notes', label:'Notes' },
+];
+const SIGNALS = [['name', 'Name'], ['phone', 'Phone'], ['address', 'Address']];
+const MIN_SCORES = ['0.5', '0.6', '0.7', '0.8', '0.9'];
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+function formatAddress(a){
+  return `${a.address_details}, ${a.city}, ${a.state} ${a.pin_code}`;
+}
+
+// Pairs of customers that may be the same person (see GET
+// /customers/duplicates), with a side-by-side view to merge them.
+function DuplicatesPage(){
+  const toast = useToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [pairs, setPairs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const customerId = searchParams.get('customer_id') || '';
+  const minScore = searchParams.get('min_score') || '0.5';
+
+  useEffect(() => {
+    fetchPairs();
+    // eslint-disable-next-line
+  }, [customerId, minScore]);
+
+  async function fetchPairs(){
+    setLoading(true);
+    setSelected(null);
+    try{
+      const params = { min_score: minScore };
+      if (customerId) params.customer_id = customerId;
+      const res = await api.get('/customers/duplicates', { params, timeout: 60000 });
+      setPairs(res.data.data);
+    }catch(err){
+      toast.error(err, 'Failed to find duplicates');
+    }finally{ setLoading(false) }
+  }
+
+  function setParam(name, value){
+    if (value) searchParams.set(name, value); else searchParams.delete(name);
+    setSearchParams(searchParams);
+  }
+
+  return (
+    <div className="page-background">
+    <div className="card">
+      <h2>Possible Duplicates</h2>
+
+      <div className="d-flex gap-3 align-items-center mb-3">
+        {customerId && (
+          <span>
+            Involving <Link to={`/customers/${customerId}`}>customer #{customerId}</Link>
+            {' '}<button type="button" className="btn btn-link p-0" onClick={()=>setParam('customer_id', '')}>Show all</button>
+          </span>
+        )}
+        <label htmlFor="min-score" className="ms-auto">Minimum score</label>
+        <select id="min-score" value={minScore} onChange={e=>setParam('min_score', e.target.value)} className="form-select w-auto">
+          {MIN_SCORES.map(s => <option key={s} value={s}>{percent(s)}</option>)}
+        </select>
+      </div>
+
+      {loading ? <div>Loading...</div> : (
+        pairs.length === 0 ? <div>No possible duplicates found</div> : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Score</th>
+                <th>Customer</th>
+                <th>Customer</th>
+                <th>Matches</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pairs.map(p => {
+                const [a, b] = p.customers;
+                const key = `${a.id}:${b.id}`;
+                return (
+                  <tr key={key} className={selected === p ? 'duplicate-selected' : ''}>
+                    <td><strong>{percent(p.score)}</strong></td>
+                    <td><Link to={`/customers/${a.id}`}>{a.first_name} {a.last_name}</Link><div className="text-muted small">{a.phone_number}</div></td>
+                    <td><Link to={`/customers/${b.id}`}>{b.first_name} {b.last_name}</Link><div className="text-muted small">{b.phone_number}</div></td>
+                    <td>
+                      {SIGNALS.filter(([name]) => p.signals[name] > 0).map(([name, label]) => (
+                        <span key={name} className="badge bg-secondary me-1">{label} {percent(p.signals[name])}</span>
+                      ))}
+                    </td>
+                    <td><button type="button" onClick={()=>setSelected(p)} className="btn btn-sm btn-outline-primary">Compare</button></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )
+      )}
+
+      {selected && <MergePanel key={`${selected.customers[0].id}:${selected.customers[1].id}`} pair={selected} onCancel={()=>setSelected(null)} />}
+    </div>
+    </div>
+  );
+}
+
+// Side-by-side comparison. The admin picks the customer that stays and, per
+// field, whose value it keeps; all addresses end up on the one that stays.
+function MergePanel({ pair, onCancel }){
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const toast = useToast();
+  const [a, b] = pair.customers;
+  const [survivorId, setSurvivorId] = useState(a.id);
+  const [choice, setChoice] = useState(Object.fromEntries(FIELDS.map(f => [f.name, a.id])));
+  const [busy, setBusy] = useState(false);
+
+  const survivor = survivorId === a.id ? a : b;
+  const duplicate = survivorId === a.id ? b : a;
+
+  async function merge(){
+    if(!window.confirm(`Merge ${duplicate.first_name} ${duplicate.last_name} (#${duplicate.id}) into #${survivor.id}? The other customer moves to the trash.`)) return;
+    const keep = {};
+    FIELDS.forEach(f => { keep[f.name] = choice[f.name] === survivor.id ? 'survivor' : 'duplicate'; });
+    setBusy(true);
+    try{
+      await api.post(`/customers/${survivor.id}/merge`, { duplicate_id: duplicate.id, keep });
+      toast.success('Customers merged');
+      navigate(`/customers/${survivor.id}`);
+    }catch(err){
+      toast.error(err, 'Merge failed');
+      setBusy(false);
+    }
+  }
+
+  function cell(customer, field){
+    const differs = a[field] !== b[field];
+    return (
+      <td className={differs ? 'duplicate-differs' : ''}>
+        {can('admin') && differs ? (
+          <label>
+            <input type="radio" name={`keep-${field}`} checked={choice[field] === customer.id} onChange={()=>setChoice(c => ({ ...c, [field]: customer.id }))} className="form-check-input me-2" />
+            {customer[field]}
+          </label>
+        ) : customer[field]}
+      </td>
+    );
+  }
+
+  return (
+    <div className="merge-panel mt-3">
+      <h4>Compare</h4>
+      <table className="table merge-table">
+        <thead>
+          <tr>
+            <th></th>
+            {[a, b].map(c => (
+              <th key={c.id}>
+                {can('admin') ? (
+                  <label>
+                    <input type="radio" name="survivor" checked={survivorId === c.id} onChange={()=>setSurvivorId(c.id)} className="form-check-input me-2" />
+                    Keep #{c.id}
+                  </label>
+                ) : `#${c.id}`}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {FIELDS.map(f => (
+            <tr key={f.name}>
+              <th>{f.label}</th>
+              {cell(a, f.name)}
+              {cell(b, f.name)}
+            </tr>
+          ))}
+          <tr>
+            <th>Tags</th>
+            {[a, b].map(c => <td key={c.id}>{c.tags.join(', ')}</td>)}
+          </tr>
+          <tr>
+            <th>Addresses</th>
+            {[a, b].map(c => (
+              <td key={c.id}>
+                {c.addresses.length === 0 ? <span className="text-muted">None</span> : (
+                  <ul className="merge-addresses">
+                    {c.addresses.map(addr => <li key={addr.id}>{formatAddress(addr)}</li>)}
+                  </ul>
+                )}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+      {can('admin') && (
+        <p className="text-muted small">
+          #{duplicate.id} moves to the trash and its addresses and tags move to #{survivor.id}. Where the values differ, pick the one to keep.
+        </p>
+      )}
+      <div className="d-flex gap-2">
+        {can('admin') && <button type="button" onClick={merge} className="btn btn-danger" disabled={busy}>{busy ? 'Merging...' : `Merge into #${survivor.id}`}</button>}
+        <button type="button" onClick={onCancel} className="btn btn-secondary">Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default DuplicatesPage;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import { useToast } from '../toast';
+import './CustomerListPage.css';
+import './ImportPage.css';
+
+const FIELDS = [
+  { name:'first_name', label:'First Name', required:true },
+  { name:'last_name', label:'Last Name', required:true },
+  { name:'phone_number', label:'Phone', required:true },
+  { name:'email', label:'Email' },
+  { name:'date_of_birth', label:'Date of Birth' },
+  { name:'notes', label:'Notes' },
+  { name:'tags', label:'Tags (comma-separated)' },
+  { name:'address_details', label:'Address' },
+  { name:'city', label:'City' },
+  { name:'state', label:'State' },
+  { name:'pin_code', label:'Pin Code' },
+];
+
+// Spreadsheet import in three steps: upload, check the column mapping and the
+// dry-run report, then confirm to create the valid rows.
+function ImportPage(){
+  const toast = useToast();
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function send(selectedFile, selectedMapping, dryRun){
+    const data = new FormData();
+    data.append('file', selectedFile);
+    if (selectedMapping) data.append('mapping', JSON.stringify(selectedMapping));
+    const res = await api.post('/customers/import', data, { params: dryRun ? { dry_run: true } : {}, timeout: 120000 });
+    return res.data.data;
+  }
+
+  async function check(selectedFile, selectedMapping){
+    setBusy(true);
+    try{
+      const data = await send(selectedFile, selectedMapping, true);
+      setMapping(data.mapping);
+      setReport(data);
+    }catch(err){
+      toast.error(err, 'Could not read the file');
+    }finally{ setBusy(false) }
+  }
+
+  function handleFile(e){
+    const selected = e.target.files[0] || null;
+    setFile(selected);
+    setMapping(null);
+    setReport(null);
+    setResult(null);
+    if (selected) check(selected, null);
+  }
+
+  function handleMapping(field, header){
+    setMapping(prev => ({ ...prev, [field]: header || null }));
+  }
+
+  async function confirmImport(){
+    if(!window.confirm(`Import ${report.summary.valid} customer(s)? Rows with errors will be skipped.`)) return;
+    setBusy(true);
+    try{
+      setResult(await send(file, mapping, false));
+      setReport(null);
+    }catch(err){
+      toast.error(err, 'Import failed');
+    }finally{ setBusy(false) }
+  }
+
+  const shown = result || report;
+
+  return (
+    <div className='page-background'>
+    <div className="card">
+      <h2>Import Customers</h2>
+
+      <div className="mb-3">
+        <label htmlFor="import-file" className="form-label">CSV or Excel (.xlsx) file with a header row</label>
+        <input id="import-file" type="file" accept=".csv,.xlsx" onChange={handleFile} className="form-control" disabled={busy} />
+      </div>
+
+      {busy && <div>Working...</div>}
+
+      {mapping && !result && (
+        <div className="import-mapping mb-3">
+          <h5>Columns</h5>
+          {FIELDS.map(f => (
+            <div key={f.name} className="import-mapping-row">
+              <label htmlFor={`map-${f.name}`}>{f.label}{f.required && ' *'}</label>
+              <select
+                id={`map-${f.name}`}
+                value={mapping[f.name] || ''}
+                onChange={e=>handleMapping(f.name, e.target.value)}
+                className="form-select"
+              >
+                <option value="">(not in file)</option>
+                {report.headers.filter(Boolean).map(h => <option key={h} value={h}>{h}</option>)}
+              </select>
+            </div>
+          ))}
+          <button onClick={()=>check(file, mapping)} className="btn btn-secondary mt-2" disabled={busy}>Check again</button>
+        </div>
+      )}
+
+      {shown && (
+        <>
+          <div className="import-summary mb-2">
+            {result
+              ? <>Imported <strong>{result.summary.created}</strong> of {result.summary.total} row(s); {result.summary.invalid} skipped.</>
+              : <><strong>{shown.summary.valid}</strong> of {shown.summary.total} row(s) ready to import; {shown.summary.invalid} with errors.</>}
+          </div>
+
+          {report && (
+            <button onClick={confirmImport} className="btn btn-success mb-2" disabled={busy || report.summary.valid===0}>
+              Import {report.summary.valid} customer(s)
+            </button>
+          )}
+
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Name</th>
+                <th>Phone</th>
+                <th>City</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.rows.map(r => (
+                <tr key={r.row} className={r.status==='invalid' ? 'import-row-invalid' : ''}>
+                  <td>{r.row}</td>
+                  <td>{r.data.first_name} {r.data.last_name}</td>
+                  <td>{r.data.phone_number}</td>
+                  <td>{r.data.address?.city}</td>
+                  <td>
+                    {r.status==='created' && <Link to={`/customers/${r.customer_id}`}>Created</Link>}
+                    {r.status==='valid' && 'OK'}
+                    {r.status==='invalid' && (
+                      <ul className="import-errors">
+                        {r.errors.map((e, i) => <li key={i}>{e.msg}</li>)}
+                      </ul>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+    </div>
+  );
+}
+
+export default ImportPage;
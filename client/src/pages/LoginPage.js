@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../auth';
+import './LoginPage.css';
+
+function LoginPage(){
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [form, setForm] = useState({ username:'', password:'' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const from = location.state?.from?.pathname || '/';
+  if (user) return <Navigate to={from} replace />;
+
+  function handleChange(e){ setForm(prev => ({...prev, [e.target.name]: e.target.value})); }
+
+  async function handleSubmit(e){
+    e.preventDefault();
+    if(!form.username || !form.password){ return setError('Enter username and password'); }
+    setSubmitting(true);
+    setError('');
+    try{
+      await login(form.username, form.password);
+      navigate(from, { replace: true });
+    }catch(err){
+      setError(err.message || 'Login failed');
+    }finally{ setSubmitting(false); }
+  }
+
+  return (
+    <div className="page-background">
+    <div className="card login-card">
+      <h2>Sign in</h2>
+      {error && <div className="alert alert-danger">{error}</div>}
+      <form onSubmit={handleSubmit}>
+        <div className="form-row">
+          <label>Username</label>
+          <input name="username" value={form.username} onChange={handleChange} className="input" autoComplete="username" />
+        </div>
+        <div className="form-row">
+          <label>Password</label>
+          <input name="password" type="password" value={form.password} onChange={handleChange} className="input" autoComplete="current-password" />
+        </div>
+        <div className="form-row">
+          <button className="button primary" disabled={submitting}>{submitting ? 'Signing in...' : 'Sign in'}</button>
+        </div>
+      </form>
+    </div>
+    </div>
+  );
+}
+
+export default LoginPage;
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import api from '../api';
+import { useToast } from '../toast';
+import './CustomerListPage.css';
+
+// Deleted customers stay here until restored or purged (admin only).
+function TrashPage(){
+  const toast = useToast();
+  const [customers, setCustomers] = useState([]);
+  const [meta, setMeta] = useState({ page:1, limit:10, total:0 });
+  const [loading, setLoading] = useState(false);
+  const [olderThanDays, setOlderThanDays] = useState('30');
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const page = parseInt(searchParams.get('page') || '1');
+  const limit = parseInt(searchParams.get('limit') || '10');
+
+  useEffect(() => {
+    fetchTrash();
+    // eslint-disable-next-line
+  }, [page, limit]);
+
+  async function fetchTrash(){
+    setLoading(true);
+    try{
+      const res = await api.get('/customers', { params: { page, limit, deleted: 'only', sort: 'id:desc' } });
+      setCustomers(res.data.data);
+      setMeta(res.data.meta);
+    }catch(err){
+      toast.error(err, 'Failed to fetch trash');
+    }finally{ setLoading(false) }
+  }
+
+  function goToPage(p){
+    searchParams.set('page', p);
+    setSearchParams(searchParams);
+  }
+
+  async function restore(c){
+    try{
+      await api.post(`/customers/${c.id}/restore`);
+      toast.success(`Restored ${c.first_name} ${c.last_name}`);
+      fetchTrash();
+    }catch(err){
+      toast.error(err, 'Restore failed');
+    }
+  }
+
+  async function purge(e){
+    e.preventDefault();
+    const days = parseInt(olderThanDays);
+    if (isNaN(days) || days < 0) return toast.error('Enter a number of days');
+    if (!window.confirm(`Permanently delete everything in the trash for more than ${days} day(s)? This cannot be undone.`)) return;
+    try{
+      const res = await api.post('/customers/purge', { older_than_days: days });
+      const { customers: removedCustomers, addresses: removedAddresses } = res.data.data;
+      toast.success(`Purged ${removedCustomers} customer(s) and ${removedAddresses} address(es)`);
+      fetchTrash();
+    }catch(err){
+      toast.error(err, 'Purge failed');
+    }
+  }
+
+  return (
+    <div className='page-background'>
+    <div className="card">
+      <h2>Trash</h2>
+
+      <form onSubmit={purge} className="d-flex gap-2 mb-3 align-items-center">
+        <label htmlFor="older-than-days" className="text-nowrap">Purge items deleted more than</label>
+        <input
+          id="older-than-days"
+          type="number"
+          min="0"
+          value={olderThanDays}
+          onChange={e=>setOlderThanDays(e.target.value)}
+          className="form-control"
+          style={{ maxWidth: 100 }}
+        />
+        <span className="text-nowrap">days ago</span>
+        <button className="btn btn-danger">Purge</button>
+      </form>
+
+      {loading ? <div>Loading...</div> : (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Phone</th>
+              <th>Deleted</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {customers.map(c=> (
+              <tr key={c.id}>
+                <td>{c.id}</td>
+                <td>{c.first_name} {c.last_name}</td>
+                <td>{c.phone_number}</td>
+                <td>{new Date(c.deleted_at).toLocaleString()}</td>
+                <td>
+                  <button onClick={()=>restore(c)} className="btn btn-success">Restore</button>
+                </td>
+              </tr>
+            ))}
+            {customers.length===0 && (
+              <tr><td colSpan={5}>Trash is empty</td></tr>
+            )}
+          </tbody>
+        </table>
+      )}
+
+      <div className="mt-3 d-flex align-items-center gap-2">
+  <button 
+    disabled={meta.page<=1} 
+    onClick={()=>goToPage(meta.page-1)} 
+    className="btn btn-secondary"
+  >
+    Prev
+  </button>
+
+  <span>Page {meta.page} of {Math.ceil(meta.total/meta.limit)||1}</span>
+
+  <button 
+    disabled={meta.page*meta.limit>=meta.total} 
+    onClick={()=>goToPage(meta.page+1)} 
+    className="btn btn-secondary"
+  >
+    Next
+  </button>
+</div>
+    </div>
+    </div>
+  );
+}
+
+export default TrashPage;
@@ -0,0 +1,65 @@
+/* eslint-disable no-restricted-globals */
+// Built by react-scripts into service-worker.js, with self.__WB_MANIFEST
+// replaced by the files of the build. It keeps the app itself available
+// offline: those files are cached on install, and pages are served from
+// the cached index.html when the network fails. API responses are left
+// alone; the app keeps the data it needs offline in IndexedDB (offline.js).
+
+const MANIFEST = self.__WB_MANIFEST;
+const INDEX_URL = `${process.env.PUBLIC_URL}/index.html`;
+// Must match SYNC_TAG in offline.js.
+const SYNC_TAG = 'replay-mutations';
+
+// Files with a hash in their name carry no revision; the others, such as
+// index.html, carry one. A new build therefore means a new cache name.
+function cacheName(){
+  let hash = 0;
+  for (const { url, revision } of MANIFEST) {
+    for (const ch of `${url}${revision || ''}`) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+  }
+  return `app-shell-${(hash >>> 0).toString(36)}`;
+}
+
+const CACHE = cacheName();
+const PRECACHED = new Set(MANIFEST.map(({ url }) => new URL(url, self.location).href));
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    await cache.addAll(MANIFEST.map(({ url }) => new Request(url, { cache: 'reload' })));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('app-shell-') && name !== CACHE).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // Pages: the network first, so a new build shows up; the app shell offline.
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(async () => (await caches.match(INDEX_URL)) || Response.error()));
+    return;
+  }
+  if (PRECACHED.has(url.href)) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
+});
+
+// Queued changes are sent by the page, which holds the session; a sync
+// only tells open pages that the connection is back.
+self.addEventListener('sync', event => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(self.clients.matchAll({ type: 'window' }).then(clients => {
+    clients.forEach(client => client.postMessage({ type: SYNC_TAG }));
+  }));
+});
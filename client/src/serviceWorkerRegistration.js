@@ -0,0 +1,10 @@
+// Registers the service worker built from service-worker.js. Production
+// builds only: the development server does not build it, and a worker
+// serving cached files would get in the way there.
+export function register(){
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
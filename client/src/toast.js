@@ -0,0 +1,48 @@
+import React, { createContext, useCallback, useContext, useMemo, useRef, useState } from 'react';
+import './toast.css';
+
+const DISMISS_AFTER_MS = 5000;
+
+const ToastContext = createContext(null);
+
+// Short-lived notifications in the corner of the screen, in place of alert().
+// `toast.error` takes an error (usually an ApiError from api.js) or a string.
+export function ToastProvider({ children }){
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(1);
+
+  const dismiss = useCallback(id => setToasts(list => list.filter(t => t.id !== id)), []);
+
+  const show = useCallback((variant, message) => {
+    const id = nextId.current++;
+    setToasts(list => [...list, { id, variant, message }]);
+    setTimeout(() => dismiss(id), DISMISS_AFTER_MS);
+  }, [dismiss]);
+
+  const toast = useMemo(() => ({
+    success: message => show('success', message),
+    info: message => show('info', message),
+    error: (err, fallback = 'Something went wrong') => {
+      if (err && typeof err !== 'string') console.error(err);
+      show('danger', typeof err === 'string' ? err : err?.message || fallback);
+    },
+  }), [show]);
+
+  return (
+    <ToastContext.Provider value={toast}>
+      {children}
+      <div className="toast-stack" role="status" aria-live="polite">
+        {toasts.map(t => (
+          <div key={t.id} className={`toast show align-items-center text-bg-${t.variant} border-0`}>
+            <div className="d-flex">
+              <div className="toast-body">{t.message}</div>
+              <button type="button" className="btn-close btn-close-white me-2 m-auto" aria-label="Close" onClick={()=>dismiss(t.id)} />
+            </div>
+          </div>
+        ))}
+      </div>
+    </ToastContext.Provider>
+  );
+}
+
+export function useToast(){ return useContext(ToastContext); }
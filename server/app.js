@@ -0,0 +1,98 @@
+const express = require('express');
+const cors = require('cors');
+const morgan = require('morgan');
+const swaggerUi = require('swagger-ui-express');
+const CustomerRepository = require('./repositories/CustomerRepository');
+const AddressRepository = require('./repositories/AddressRepository');
+const UserRepository = require('./repositories/UserRepository');
+const AuditRepository = require('./repositories/AuditRepository');
+const SearchRepository = require('./repositories/SearchRepository');
+const TagRepository = require('./repositories/TagRepository');
+const WebhookRepository = require('./repositories/WebhookRepository');
+const IdempotencyRepository = require('./repositories/IdempotencyRepository');
+const CustomerService = require('./services/CustomerService');
+const AuthService = require('./services/AuthService');
+const ChangeFeed = require('./services/ChangeFeed');
+const WebhookService = require('./services/WebhookService');
+const { authenticate, requireRole } = require('./middleware/auth');
+const { notFound, errorHandler } = require('./middleware/errors');
+const { openApiValidation } = require('./middleware/openapi');
+const { idempotency } = require('./middleware/idempotency');
+const { openApiDocument } = require('./openapi');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const customerRoutes = require('./routes/customers');
+const customerImportRoutes = require('./routes/customerImport');
+const addressRoutes = require('./routes/addresses');
+const adminRoutes = require('./routes/admin');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+
+// Comma-separated list of browser origins allowed to call the API.
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || 'http://localhost:3000')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Responses are checked against the OpenAPI document too, except in
+// production; a mismatch then answers 500 and is logged.
+const VALIDATE_RESPONSES = process.env.NODE_ENV !== 'production';
+
+// Event streams may carry the session token in the URL; keep it out of the log.
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/, '$1[hidden]'));
+
+// Builds the Express app around an open database handle. The caller owns the
+// connection and decides whether to listen, so tests can pass ':memory:'.
+// Likewise it starts the webhook worker, app.locals.webhookService, if wanted.
+function createApp(db) {
+  const audit = new AuditRepository(db);
+  const customerService = new CustomerService({
+    customers: new CustomerRepository(db),
+    addresses: new AddressRepository(db),
+    audit,
+    search: new SearchRepository(db),
+    tags: new TagRepository(db),
+  });
+  const authService = new AuthService({ users: new UserRepository(db) });
+  const changeFeed = new ChangeFeed({ audit });
+  const webhookService = new WebhookService({
+    webhooks: new WebhookRepository(db),
+    audit,
+    customers: customerService,
+    changes: changeFeed,
+  });
+
+  const app = express();
+  app.locals.webhookService = webhookService;
+  // Content-Disposition carries the file name of exports
+  app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ['Content-Disposition'] }));
+  app.use(express.json());
+  if (process.env.NODE_ENV !== 'test') app.use(morgan('dev'));
+
+  // Public routes
+  app.get('/api/health', (req, res) => res.json({ success: true, message: 'OK' }));
+  app.use('/api/auth', authRoutes(authService));
+  app.get('/api/openapi.json', (req, res) => res.json(openApiDocument));
+  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument, { customSiteTitle: 'Customer management API' }));
+
+  // Signs in by itself, as EventSource cannot send an Authorization header.
+  app.use('/api/events', eventRoutes(changeFeed, authService));
+
+  // Everything below requires a valid session; routers check roles per route.
+  app.use('/api', authenticate(authService));
+  app.use(openApiValidation({ validateResponses: VALIDATE_RESPONSES }));
+  app.use('/api', idempotency(new IdempotencyRepository(db)));
+  app.use('/api/customers/import', customerImportRoutes(customerService));
+  app.use('/api/customers', customerRoutes(customerService));
+  app.use('/api/addresses', addressRoutes(customerService));
+  app.use('/api/users', requireRole('admin'), userRoutes(authService));
+  app.use('/api/webhooks', requireRole('admin'), webhookRoutes(webhookService));
+  app.use('/api/admin', requireRole('admin'), adminRoutes(db));
+  app.use('/api', notFound);
+
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,20 @@
+// Usage: node backfill-match-keys.js
+// Writes the duplicate blocking keys of customers created before
+// customer_match_keys existed, so the duplicate search finds them.
+const { openDatabase } = require('./db');
+const { backfillMatchKeys } = require('./integrity');
+
+async function main() {
+  const db = await openDatabase();
+  try {
+    const { keyed } = await backfillMatchKeys(db);
+    console.log(`Wrote the match keys of ${keyed} customer(s).`);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
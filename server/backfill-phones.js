@@ -0,0 +1,35 @@
+// Usage: node backfill-phones.js [--dry-run] [--country=XX]
+// Normalizes the phone numbers of customers created before phone_e164
+// existed and lists the numbers that are invalid or collide, for review.
+const { openDatabase } = require('./db');
+const { backfillPhoneNumbers } = require('./integrity');
+const { DEFAULT_PHONE_COUNTRY } = require('./phone');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const countryArg = process.argv.find((arg) => arg.startsWith('--country='));
+  const country = countryArg ? countryArg.slice('--country='.length).toUpperCase() : DEFAULT_PHONE_COUNTRY;
+  const db = await openDatabase();
+  try {
+    const { updated, invalid, collisions } = await backfillPhoneNumbers(db, { dryRun, country });
+    console.log(`${dryRun ? 'Would normalize' : 'Normalized'} ${updated} phone number(s), default country ${country}.`);
+    if (invalid.length > 0) {
+      console.log(`${invalid.length} invalid phone number(s), left as they are:`);
+      invalid.forEach((c) => console.log(`  customer ${c.id}: ${c.phone_number}`));
+    }
+    if (collisions.length > 0) {
+      console.log(`${collisions.length} collision(s); the first customer keeps the number, the others are left as they are:`);
+      collisions.forEach(({ phone_e164, customers }) => {
+        console.log(`  ${phone_e164}: ${customers.map((c) => `customer ${c.id} (${c.phone_number})`).join(', ')}`);
+      });
+    }
+    if (dryRun) console.log('Run without --dry-run to save the changes.');
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,135 @@
+// Turns the OpenAPI document into client/src/apiClient.js: one function per
+// operation, calling through the axios instance of client/src/api.js (so
+// the session token and ApiError handling apply), with JSDoc types for
+// editors and type-aware linting. See generate-client.js.
+
+const HEADER = `// Generated from server/openapi.js by "npm run openapi:client" in server/;
+// do not edit by hand.
+import api from './api';`;
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const BODY_METHODS = ['post', 'put', 'patch'];
+
+const refName = (ref) => ref.split('/').pop();
+
+// The JSDoc type of a schema, e.g. "Address[]" or "{ id: number, name?: string }".
+function typeOf(schema) {
+  let type;
+  if (schema.$ref) type = refName(schema.$ref);
+  else if (schema.allOf) type = schema.allOf.map(typeOf).join(' & ');
+  else if (schema.enum) type = schema.enum.map((value) => JSON.stringify(value).replace(/"/g, '\'')).join('|');
+  else if (schema.type === 'array') {
+    const items = typeOf(schema.items);
+    type = /[|&]/.test(items) ? `(${items})[]` : `${items}[]`;
+  } else if (schema.type === 'object') type = objectType(schema);
+  else if (schema.type === 'integer' || schema.type === 'number') type = 'number';
+  else if (schema.type === 'string' && schema.format === 'binary') type = 'Blob';
+  else type = schema.type || '*';
+  return schema.nullable ? `${type}|null` : type;
+}
+
+function objectType({ properties, required = [], additionalProperties }) {
+  if (properties) {
+    const fields = Object.entries(properties).map(([name, schema]) => (
+      `${name}${required.includes(name) ? '' : '?'}: ${typeOf(schema)}`
+    ));
+    return `{ ${fields.join(', ')} }`;
+  }
+  return additionalProperties ? `Object<string, ${typeOf(additionalProperties)}>` : 'Object';
+}
+
+function comment(lines) {
+  return ['/**', ...lines.map((line) => ` * ${line}`.trimEnd()), ' */'].join('\n');
+}
+
+const oneLine = (text) => (text ? ` ${text.replace(/\s+/g, ' ')}` : '');
+
+function typedef(name, schema) {
+  if (schema.type !== 'object' || !schema.properties) return comment([`@typedef {${typeOf(schema)}} ${name}`]);
+  const required = schema.required || [];
+  return comment([
+    ...(schema.description ? [schema.description] : []),
+    `@typedef {Object} ${name}`,
+    ...Object.entries(schema.properties).map(([property, propertySchema]) => {
+      const label = required.includes(property) ? property : `[${property}]`;
+      return `@property {${typeOf(propertySchema)}} ${label}${oneLine(propertySchema.description)}`;
+    }),
+  ]);
+}
+
+// "/customers/{id}/merge" -> `/customers/${encodeURIComponent(id)}/merge`
+function urlOf(path) {
+  if (!path.includes('{')) return `'${path}'`;
+  return `\`${path.replace(/\{(\w+)\}/g, (match, name) => `\${encodeURIComponent(${name})}`)}\``;
+}
+
+function operation(document, path, method, pathItem, op) {
+  const resolve = (item) => (item.$ref ? document.components.parameters[refName(item.$ref)] : item);
+  const parameters = [...(pathItem.parameters || []), ...(op.parameters || [])].map(resolve);
+  const pathParams = parameters.filter((p) => p.in === 'path');
+  const queryParams = parameters.filter((p) => p.in === 'query');
+  const [bodyType, bodySchema] = op.requestBody ? Object.entries(op.requestBody.content)[0] : [];
+  const [status, response] = Object.entries(op.responses).find(([code]) => code.startsWith('2'));
+  const [responseType, responseContent] = Object.entries(response.content)[0];
+  const binary = responseContent.schema.format === 'binary';
+
+  const args = [];
+  const docs = [`${op.summary}.`];
+  if (op.description) docs.push(op.description);
+  docs.push('', `${method.toUpperCase()} ${path} -> ${status}`);
+  pathParams.forEach((p) => {
+    args.push(p.name);
+    docs.push(`@param {${typeOf(p.schema)}} ${p.name}${oneLine(p.description)}`);
+  });
+  if (bodySchema) {
+    args.push('body');
+    const type = bodyType === 'multipart/form-data' ? 'FormData' : typeOf(bodySchema.schema);
+    const label = op.requestBody.required ? 'body' : '[body]';
+    docs.push(`@param {${type}} ${label}${bodyType === 'multipart/form-data' ? ` with ${Object.keys(bodySchema.schema.properties).join(', ')}` : ''}`);
+  }
+  if (queryParams.length) {
+    args.push('query');
+    const fields = queryParams.map((p) => `${p.name}?: ${typeOf(p.schema)}`);
+    docs.push(`@param {{ ${fields.join(', ')} }} [query]`);
+  }
+  args.push('config');
+  docs.push('@param {import(\'axios\').AxiosRequestConfig} [config]');
+  docs.push(binary
+    ? `@returns {Promise<import('axios').AxiosResponse<Blob>>} the whole response, for its headers (${responseType})`
+    : `@returns {Promise<${typeOf(responseContent.schema)}>}`);
+
+  const options = [
+    ...(binary ? ['responseType: \'blob\''] : []),
+    '...config',
+    ...(queryParams.length ? ['params: query'] : []),
+  ];
+  const optionsArg = options.length === 1 ? 'config' : `{ ${options.join(', ')} }`;
+  // axios takes a body before the options for post, put and patch, given or not
+  const bodyArg = bodySchema ? ['body'] : (BODY_METHODS.includes(method) ? ['undefined'] : []);
+  const callArgs = [urlOf(path), ...bodyArg, optionsArg].join(', ');
+  const call = `api.${method}(${callArgs})`;
+  return [
+    comment(docs),
+    `export function ${op.operationId}(${args.join(', ')}){`,
+    `  return ${call}${binary ? '' : '.then(res => res.data)'};`,
+    '}',
+  ].join('\n');
+}
+
+/**
+ * Source of client/src/apiClient.js for `document`.
+ * @param {Object} document an OpenAPI 3.0 document, such as openapi.js exports
+ * @returns {string}
+ */
+function generateClient(document) {
+  const typedefs = Object.entries(document.components.schemas).map(([name, schema]) => typedef(name, schema));
+  const operations = [];
+  for (const [path, pathItem] of Object.entries(document.paths)) {
+    for (const method of METHODS) {
+      if (pathItem[method]) operations.push(operation(document, path, method, pathItem, pathItem[method]));
+    }
+  }
+  return `${[HEADER, ...typedefs, ...operations].join('\n\n')}\n`;
+}
+
+module.exports = { generateClient };
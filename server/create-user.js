@@ -0,0 +1,53 @@
+// Usage: node create-user.js <username> [viewer|agent|admin]
+// Reads the password from the USER_PASSWORD environment variable, or prompts
+// for it without echoing what is typed.
+const readline = require('readline');
+const { Writable } = require('stream');
+const { openDatabase } = require('./db');
+const UserRepository = require('./repositories/UserRepository');
+const AuthService = require('./services/AuthService');
+const { MIN_PASSWORD_LENGTH } = require('./routes/users');
+
+// Asks `question` and reads the answer with the terminal's echo off:
+// readline takes the terminal into raw mode and writes what is typed to
+// `output`, which drops it.
+function promptHidden(question) {
+  process.stdout.write(question);
+  const output = new Writable({ write(chunk, encoding, callback) { callback(); } });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+  return new Promise((resolve, reject) => {
+    rl.on('SIGINT', () => {
+      rl.close();
+      process.stdout.write('\n');
+      reject(new Error('Cancelled'));
+    });
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const [username, role = 'admin'] = process.argv.slice(2);
+  if (!username) throw new Error('Usage: node create-user.js <username> [viewer|agent|admin]');
+  if (!AuthService.ROLES.includes(role)) throw new Error(`Role must be one of ${AuthService.ROLES.join(', ')}`);
+
+  const password = process.env.USER_PASSWORD || await promptHidden('Password: ');
+  if (password.length < MIN_PASSWORD_LENGTH) throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+  const db = await openDatabase();
+  try {
+    const authService = new AuthService({ users: new UserRepository(db) });
+    const user = await authService.createUser({ username, password, role });
+    console.log(`Created ${user.role} "${user.username}" (id ${user.id})`);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
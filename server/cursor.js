@@ -0,0 +1,27 @@
+const { BadRequestError } = require('./errors');
+
+// Opaque pagination cursors: base64url JSON of [sort, value, id]. The sort
+// is included so a cursor cannot be replayed against a different order.
+
+/**
+ * @param {string} sortKey normalized sort, e.g. "last_name:desc"
+ * @param {import('./repositories/CustomerRepository').SortPosition} position
+ */
+function encodeCursor(sortKey, { value, id }) {
+  return Buffer.from(JSON.stringify([sortKey, value, id])).toString('base64url');
+}
+
+/** @returns {import('./repositories/CustomerRepository').SortPosition} */
+function decodeCursor(token, sortKey) {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (err) { /* reported below */ }
+  if (!Array.isArray(parsed) || parsed.length !== 3 || !Number.isInteger(parsed[2])) {
+    throw new BadRequestError('Invalid cursor');
+  }
+  if (parsed[0] !== sortKey) throw new BadRequestError('Cursor belongs to a different sort order');
+  return { value: parsed[1], id: parsed[2] };
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,152 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// DB_PATH may point elsewhere, including ':memory:'.
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'database.db');
+
+// SQLite leaves foreign key enforcement off by default and the setting is
+// per connection, so every connection must turn it on before it is used.
+function openDatabase(dbPath = DB_PATH) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(dbPath, (err) => {
+      if (err) return reject(err);
+      db.exec('PRAGMA foreign_keys = ON', (pragmaErr) => {
+        if (pragmaErr) {
+          db.close();
+          return reject(pragmaErr);
+        }
+        resolve(db);
+      });
+    });
+  });
+}
+
+// sqlite3 shares one connection between all requests, and a transaction
+// takes in every statement run on it between BEGIN and COMMIT, whoever runs
+// it. So statements and transactions on the same handle take turns through
+// one queue: while a transaction is open, only its own work (and its
+// commit listeners) reach the connection; anything else waits for it.
+const queues = new WeakMap();
+const commitListeners = new WeakMap();
+// The transaction the current async call chain is part of, as { db, open }.
+const currentTransaction = new AsyncLocalStorage();
+
+function enqueue(db, operation) {
+  const previous = queues.get(db) || Promise.resolve();
+  const result = previous.then(operation);
+  queues.set(db, result.catch(() => {}));
+  return result;
+}
+
+function inTransaction(db) {
+  const current = currentTransaction.getStore();
+  return Boolean(current && current.open && current.db === db);
+}
+
+// Runs `execute` once the connection is free, or right away as part of the
+// transaction holding it. Work a transaction starts without awaiting it
+// queues like any other once the transaction is over.
+function statement(db, execute) {
+  return inTransaction(db) ? execute() : enqueue(db, execute);
+}
+
+function run(db, sql, params = []) {
+  return statement(db, () => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ id: this.lastID, changes: this.changes });
+    });
+  }));
+}
+
+function all(db, sql, params = []) {
+  return statement(db, () => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  }));
+}
+
+function get(db, sql, params = []) {
+  return statement(db, () => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  }));
+}
+
+function exec(db, sql) {
+  return statement(db, () => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  }));
+}
+
+/**
+ * Runs `work` inside a transaction, with the connection to itself until it
+ * is committed or rolled back. Not re-entrant: `work` must not wait for
+ * another transaction on the same handle.
+ */
+function transaction(db, work) {
+  return enqueue(db, () => {
+    const current = { db, open: true };
+    return currentTransaction.run(current, async () => {
+      try {
+        await exec(db, 'BEGIN');
+        let value;
+        try {
+          value = await work();
+          await exec(db, 'COMMIT');
+        } catch (err) {
+          await exec(db, 'ROLLBACK').catch(() => {});
+          throw err;
+        }
+        await notifyCommit(db);
+        return value;
+      } finally {
+        current.open = false;
+      }
+    });
+  });
+}
+
+/**
+ * Runs `work` inside a savepoint of the transaction in progress: when it
+ * fails, only its own changes are undone before the error is passed on,
+ * and the transaction can go on. The transaction holding the connection is
+ * what keeps ROLLBACK TO from undoing anyone else's statements, so there
+ * must be one.
+ */
+async function savepoint(db, work) {
+  if (!inTransaction(db)) throw new Error('savepoint() needs a transaction in progress');
+  await exec(db, 'SAVEPOINT item');
+  let value;
+  try {
+    value = await work();
+  } catch (err) {
+    await exec(db, 'ROLLBACK TO item');
+    await exec(db, 'RELEASE item');
+    throw err;
+  }
+  await exec(db, 'RELEASE item');
+  return value;
+}
+
+/**
+ * Calls `listener` after every committed transaction on `db`, before the
+ * next one begins, so what it reads is committed and complete.
+ * @returns {() => void} removes the listener
+ */
+function onCommit(db, listener) {
+  commitListeners.set(db, [...(commitListeners.get(db) || []), listener]);
+  return () => commitListeners.set(db, commitListeners.get(db).filter((l) => l !== listener));
+}
+
+// The transaction is committed already; a failing listener must not fail it.
+async function notifyCommit(db) {
+  for (const listener of commitListeners.get(db) || []) {
+    try {
+      await listener();
+    } catch (err) {
+      console.error('Commit listener failed:', err);
+    }
+  }
+}
+
+module.exports = { DB_PATH, openDatabase, run, all, get, exec, transaction, savepoint, onCommit };
@@ -0,0 +1,156 @@
+const { editDistance } = require('./search');
+
+// Scoring of possible duplicate customers. Each signal is between 0 and 1;
+// the score is their weighted sum, capped at 1. Names weigh most: two
+// customers at the same address or with similar phones are often relatives.
+const WEIGHTS = { name: 0.6, phone: 0.25, address: 0.25 };
+// Customers sharing a blocking key are compared; keys shared by more
+// customers than this are too common to tell anything and are skipped.
+const MAX_BLOCK_SIZE = 50;
+
+/**
+ * @typedef {import('./repositories/CustomerRepository').Customer & {
+ *   addresses: import('./repositories/AddressRepository').Address[] }} CustomerWithAddresses
+ */
+
+/**
+ * @typedef {Object} DuplicatePair
+ * @property {number} score
+ * @property {{ name: number, phone: number, address: number }} signals
+ * @property {CustomerWithAddresses[]} customers the older customer first
+ */
+
+/** "José " -> "jose" */
+function normalizeName(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^\p{L}]/gu, '');
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/** Similarity of the names, also with first and last name swapped. */
+function nameScore(a, b) {
+  const [af, al, bf, bl] = [a.first_name, a.last_name, b.first_name, b.last_name].map(normalizeName);
+  return Math.max(
+    (similarity(af, bf) + similarity(al, bl)) / 2,
+    (similarity(af, bl) + similarity(al, bf)) / 2,
+  );
+}
+
+// The last ten digits, which leaves out country codes and trunk prefixes.
+function phoneDigits(customer) {
+  return String(customer.phone_e164 || customer.phone_number || '').replace(/\D/g, '').slice(-10);
+}
+
+/** 1 for the same subscriber number, 0.5 for a typo away from it. */
+function phoneScore(a, b) {
+  const [pa, pb] = [phoneDigits(a), phoneDigits(b)];
+  if (!pa || !pb) return 0;
+  if (pa === pb) return 1;
+  return editDistance(pa, pb) <= 1 ? 0.5 : 0;
+}
+
+function addressTokens(address) {
+  return new Set(String(address.address_details || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+}
+
+/**
+ * Best match between any of their addresses: a shared pin code counts for
+ * 0.4, the rest depends on how many words of the address details they share.
+ */
+function addressScore(a, b) {
+  let best = 0;
+  for (const x of a.addresses) {
+    for (const y of b.addresses) {
+      if (x.pin_code !== y.pin_code) continue;
+      const [tx, ty] = [addressTokens(x), addressTokens(y)];
+      const shared = [...tx].filter((token) => ty.has(token)).length;
+      const union = new Set([...tx, ...ty]).size;
+      best = Math.max(best, 0.4 + 0.6 * (union ? shared / union : 0));
+    }
+  }
+  return best;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/** @returns {Omit<DuplicatePair, 'customers'>} */
+function scorePair(a, b) {
+  const signals = { name: nameScore(a, b), phone: phoneScore(a, b), address: addressScore(a, b) };
+  const score = Object.keys(WEIGHTS).reduce((sum, signal) => sum + WEIGHTS[signal] * signals[signal], 0);
+  return {
+    score: round(Math.min(1, score)),
+    signals: { name: round(signals.name), phone: round(signals.phone), address: round(signals.address) },
+  };
+}
+
+// Cheap keys that likely duplicates share: name prefixes (in both orders,
+// so a misspelt first or last name still meets the other), phone digits
+// and pin codes. SearchRepository stores them per customer, so that
+// the blocks can be found in SQL.
+function blockingKeys(customer) {
+  const first = normalizeName(customer.first_name);
+  const last = normalizeName(customer.last_name);
+  const digits = phoneDigits(customer);
+  return [
+    `name:${first.slice(0, 3)}|${last.slice(0, 1)}`,
+    `name:${last.slice(0, 3)}|${first.slice(0, 1)}`,
+    `name:${first.slice(0, 1)}|${last.slice(0, 3)}`,
+    digits && `phone:${digits.slice(-7)}`,
+    ...customer.addresses.map((a) => `pin:${a.pin_code}`),
+  ].filter(Boolean);
+}
+
+/**
+ * Scores the pairs within each block, customers sharing a blocking key, and
+ * returns those scoring at least `minScore`, best first.
+ * @param {Iterable<CustomerWithAddresses[]>} blocks
+ * @param {{ customerId?: number, minScore?: number, limit?: number }} [options]
+ *   customerId keeps only the pairs that include that customer
+ * @returns {DuplicatePair[]}
+ */
+function scoreBlocks(blocks, { customerId, minScore = 0.5, limit = 50 } = {}) {
+  const seen = new Set();
+  const pairs = [];
+  for (const block of blocks) {
+    if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const [a, b] = block[i].id < block[j].id ? [block[i], block[j]] : [block[j], block[i]];
+        if (customerId !== undefined && a.id !== customerId && b.id !== customerId) continue;
+        const pairKey = `${a.id}:${b.id}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        const scored = scorePair(a, b);
+        if (scored.score >= minScore) pairs.push({ ...scored, customers: [a, b] });
+      }
+    }
+  }
+  return pairs
+    .sort((x, y) => y.score - x.score || x.customers[0].id - y.customers[0].id || x.customers[1].id - y.customers[1].id)
+    .slice(0, limit);
+}
+
+/**
+ * scoreBlocks over `customers`, blocked in memory.
+ * @param {CustomerWithAddresses[]} customers
+ * @param {Parameters<typeof scoreBlocks>[1]} [options]
+ * @returns {DuplicatePair[]}
+ */
+function findDuplicatePairs(customers, options) {
+  const blocks = new Map();
+  for (const customer of customers) {
+    for (const key of new Set(blockingKeys(customer))) {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(customer);
+    }
+  }
+  return scoreBlocks(blocks.values(), options);
+}
+
+module.exports = {
+  WEIGHTS, MAX_BLOCK_SIZE, normalizeName, nameScore, phoneScore, addressScore, scorePair, blockingKeys, scoreBlocks, findDuplicatePairs,
+};
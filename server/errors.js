@@ -0,0 +1,103 @@
+// Errors thrown by the service layer; middleware/errors.js turns them into
+// HTTP responses of the shape { success: false, code, message, errors? }.
+//
+// `code` is a stable, machine-readable name for the failure. Each class has
+// a generic one (BAD_REQUEST, NOT_FOUND, ...); a thrower may pass a more
+// specific one such as PHONE_NUMBER_TAKEN. `field` names the request field
+// at fault, which clients show the message next to; `data`, when set, is
+// sent along as in a successful response, e.g. the current state of a record
+// for a VERSION_CONFLICT.
+class ServiceError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   * @param {{ code?: string, field?: string, data?: * }} [options]
+   */
+  constructor(status, message, { code, field, data } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || this.constructor.CODE || 'ERROR';
+    this.field = field;
+    this.data = data;
+  }
+
+  /** Field-level errors in the express-validator shape, for the response body. */
+  get errors() {
+    return this.field ? [{ path: this.field, msg: this.message }] : undefined;
+  }
+}
+
+class BadRequestError extends ServiceError {
+  constructor(message, options) { super(400, message, options); }
+}
+BadRequestError.CODE = 'BAD_REQUEST';
+
+// Request fields that failed their rules; `errors` is express-validator's
+// validationResult(req).array().
+class ValidationError extends ServiceError {
+  constructor(errors) {
+    super(400, 'Validation failed');
+    this.validationErrors = errors;
+  }
+
+  get errors() {
+    return this.validationErrors;
+  }
+}
+ValidationError.CODE = 'VALIDATION_FAILED';
+
+class UnauthorizedError extends ServiceError {
+  constructor(message, options) { super(401, message, options); }
+}
+UnauthorizedError.CODE = 'UNAUTHORIZED';
+
+class ForbiddenError extends ServiceError {
+  constructor(message, options) { super(403, message, options); }
+}
+ForbiddenError.CODE = 'FORBIDDEN';
+
+class NotFoundError extends ServiceError {
+  constructor(message, options) { super(404, message, options); }
+}
+NotFoundError.CODE = 'NOT_FOUND';
+
+class ConflictError extends ServiceError {
+  constructor(message, options) { super(409, message, options); }
+}
+ConflictError.CODE = 'CONFLICT';
+
+// UNIQUE indexes whose violation is the client's doing, by the
+// "table.column" sqlite names in its error message.
+const UNIQUE_CONFLICTS = {
+  'customers.phone_number': { code: 'PHONE_NUMBER_TAKEN', field: 'phone_number', message: 'Phone number already exists' },
+  'customers.phone_e164': { code: 'PHONE_NUMBER_TAKEN', field: 'phone_number', message: 'Phone number already exists' },
+  'customers.email': { code: 'EMAIL_TAKEN', field: 'email', message: 'Email already exists' },
+  'users.username': { code: 'USERNAME_TAKEN', field: 'username', message: 'Username already exists' },
+};
+
+/**
+ * The ConflictError for a sqlite UNIQUE violation, which the pre-checks in
+ * the services can miss when two requests race.
+ * @returns {ConflictError|null} null for any other error
+ */
+function conflictFromDatabase(err) {
+  if (!err || err.code !== 'SQLITE_CONSTRAINT') return null;
+  const match = /UNIQUE constraint failed: ([\w.]+)/.exec(err.message);
+  if (!match) return null;
+  const conflict = UNIQUE_CONFLICTS[match[1]];
+  return conflict
+    ? new ConflictError(conflict.message, { code: conflict.code, field: conflict.field })
+    : new ConflictError('Conflicts with an existing record');
+}
+
+module.exports = {
+  ServiceError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  conflictFromDatabase,
+};
@@ -0,0 +1,116 @@
+const { once } = require('events');
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// One line per address; a customer without addresses still gets one line.
+// The customer's columns repeat on each of its lines; tags share one cell.
+const FLAT_COLUMNS = [
+  'customer_id', 'first_name', 'last_name', 'phone_number',
+  'email', 'date_of_birth', 'notes', 'tags', 'created_at', 'updated_at',
+  'address_id', 'address_type', 'is_primary', 'address_details', 'city', 'state', 'pin_code',
+];
+
+function flatten(customer) {
+  const base = {
+    customer_id: customer.id,
+    first_name: customer.first_name,
+    last_name: customer.last_name,
+    phone_number: customer.phone_number,
+    email: customer.email,
+    date_of_birth: customer.date_of_birth,
+    notes: customer.notes,
+    tags: (customer.tags || []).join(', '),
+    created_at: customer.created_at,
+    updated_at: customer.updated_at,
+  };
+  if (customer.addresses.length === 0) return [base];
+  return customer.addresses.map((a) => ({
+    ...base,
+    address_id: a.id,
+    address_type: a.type,
+    is_primary: a.is_primary,
+    address_details: a.address_details,
+    city: a.city,
+    state: a.state,
+    pin_code: a.pin_code,
+  }));
+}
+
+// Spreadsheet apps run cells starting with = + - @ as formulas. Phone
+// numbers such as "+91 98480 22338" are left alone.
+function spreadsheetSafe(value) {
+  if (value == null) return '';
+  if (typeof value === 'number') return value;
+  const text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^\+?[\d\s()-]+$/.test(text)) return `'${text}`;
+  return text;
+}
+
+function flatValues(row) {
+  return FLAT_COLUMNS.map((column) => spreadsheetSafe(row[column]));
+}
+
+// Waits for the client to catch up instead of buffering the whole export.
+// Resolves early if the connection closes; callers check `stream.destroyed`.
+async function write(stream, chunk) {
+  if (stream.write(chunk)) return;
+  const ac = new AbortController();
+  try {
+    await Promise.race([once(stream, 'drain', { signal: ac.signal }), once(stream, 'close', { signal: ac.signal })]);
+  } finally {
+    ac.abort();
+  }
+}
+
+async function writeCsv(customers, stream) {
+  await write(stream, stringify([FLAT_COLUMNS]));
+  for await (const customer of customers) {
+    if (stream.destroyed) return;
+    await write(stream, stringify(flatten(customer).map(flatValues)));
+  }
+  stream.end();
+}
+
+async function writeJson(customers, stream) {
+  let first = true;
+  await write(stream, '[');
+  for await (const customer of customers) {
+    if (stream.destroyed) return;
+    await write(stream, (first ? '\n' : ',\n') + JSON.stringify(customer));
+    first = false;
+  }
+  stream.end(first ? ']\n' : '\n]\n');
+}
+
+async function writeXlsx(customers, stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Customers');
+  sheet.columns = FLAT_COLUMNS.map((key) => ({ header: key, key, width: ['address_details', 'notes'].includes(key) ? 40 : 16 }));
+  for await (const customer of customers) {
+    if (stream.destroyed) return;
+    for (const row of flatten(customer)) sheet.addRow(flatValues(row)).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Streams customers (with their `addresses`) to `stream` in the given
+ * format: nested for JSON, one row per address for CSV and XLSX.
+ * @param {'csv'|'json'|'xlsx'} format
+ * @param {AsyncIterable<Object>} customers
+ * @param {import('stream').Writable} stream ended when the export is complete
+ */
+function writeExport(format, customers, stream) {
+  if (format === 'csv') return writeCsv(customers, stream);
+  if (format === 'json') return writeJson(customers, stream);
+  return writeXlsx(customers, stream);
+}
+
+module.exports = { FORMATS, FLAT_COLUMNS, writeExport };
@@ -0,0 +1,28 @@
+// Usage: node generate-client.js [--check]
+// Writes client/src/apiClient.js from the OpenAPI document in openapi.js.
+// With --check, only fails if the file is out of date.
+const fs = require('fs');
+const path = require('path');
+const { openApiDocument } = require('./openapi');
+const { generateClient } = require('./clientGenerator');
+
+const CLIENT_FILE = path.join(__dirname, '..', 'client', 'src', 'apiClient.js');
+
+function main() {
+  const source = generateClient(openApiDocument);
+  const current = fs.existsSync(CLIENT_FILE) ? fs.readFileSync(CLIENT_FILE, 'utf8') : null;
+  if (process.argv.includes('--check')) {
+    if (current !== source) throw new Error(`${CLIENT_FILE} is out of date; run "npm run openapi:client".`);
+    console.log(`${CLIENT_FILE} is up to date.`);
+    return;
+  }
+  fs.writeFileSync(CLIENT_FILE, source);
+  console.log(`Wrote ${CLIENT_FILE}.`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
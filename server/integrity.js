@@ -0,0 +1,126 @@
+const { run, all, get, transaction } = require('./db');
+const { pendingMigrations } = require('./migrator');
+const { normalizePhone } = require('./phone');
+const SearchRepository = require('./repositories/SearchRepository');
+
+const ORPHANED_ADDRESSES_SQL = `
+  SELECT a.* FROM addresses a
+  LEFT JOIN customers c ON c.id = a.customer_id
+  WHERE c.id IS NULL
+  ORDER BY a.id
+`;
+
+function findOrphanedAddresses(db) {
+  return all(db, ORPHANED_ADDRESSES_SQL);
+}
+
+async function purgeOrphanedAddresses(db) {
+  const result = await run(db, `
+    DELETE FROM addresses
+    WHERE NOT EXISTS (SELECT 1 FROM customers c WHERE c.id = addresses.customer_id)
+  `);
+  return result.changes;
+}
+
+/**
+ * Fills in phone_e164 for customers that predate it. A number that is
+ * invalid, or that normalizes to one a live customer already holds, is left
+ * NULL and reported. Of several live customers whose numbers collide, the
+ * oldest keeps the number.
+ * @param {{ dryRun?: boolean, country?: string }} [options] country defaults to DEFAULT_PHONE_COUNTRY
+ * @returns {Promise<{ updated: number, invalid: Object[], collisions: { phone_e164: string, customers: Object[] }[] }>}
+ */
+async function backfillPhoneNumbers(db, { dryRun = false, country } = {}) {
+  const owners = new Map();
+  const live = await all(db, `SELECT id, phone_number, phone_e164 FROM customers WHERE phone_e164 IS NOT NULL AND deleted_at IS NULL`);
+  live.forEach((c) => owners.set(c.phone_e164, c));
+
+  const pending = await all(db, `SELECT id, phone_number, deleted_at FROM customers WHERE phone_e164 IS NULL ORDER BY id`);
+  const updates = [];
+  const invalid = [];
+  const collisions = new Map();
+  for (const customer of pending) {
+    const phone_e164 = normalizePhone(customer.phone_number, country);
+    if (!phone_e164) {
+      invalid.push({ id: customer.id, phone_number: customer.phone_number });
+      continue;
+    }
+    // Trashed customers may share a number; restoring one then fails with 409.
+    if (!customer.deleted_at) {
+      const owner = owners.get(phone_e164);
+      if (owner) {
+        if (!collisions.has(phone_e164)) collisions.set(phone_e164, [{ id: owner.id, phone_number: owner.phone_number }]);
+        collisions.get(phone_e164).push({ id: customer.id, phone_number: customer.phone_number });
+        continue;
+      }
+      owners.set(phone_e164, customer);
+    }
+    updates.push({ id: customer.id, phone_e164 });
+  }
+
+  if (!dryRun && updates.length > 0) {
+    const search = new SearchRepository(db);
+    await transaction(db, async () => {
+      for (const { id, phone_e164 } of updates) {
+        await run(db, `UPDATE customers SET phone_e164 = ? WHERE id = ?`, [phone_e164, id]);
+        await search.reindex(id);
+      }
+    });
+  }
+  return {
+    updated: updates.length,
+    invalid,
+    collisions: [...collisions].map(([phone_e164, customers]) => ({ phone_e164, customers })),
+  };
+}
+
+/**
+ * Writes the duplicate blocking keys of customers that predate
+ * customer_match_keys; later writes keep them up to date.
+ * @returns {Promise<{ keyed: number }>}
+ */
+async function backfillMatchKeys(db) {
+  const search = new SearchRepository(db);
+  const ids = await search.unkeyedCustomerIds();
+  if (ids.length > 0) {
+    await transaction(db, async () => {
+      for (const id of ids) await search.reindex(id);
+    });
+  }
+  return { keyed: ids.length };
+}
+
+async function integrityReport(db) {
+  const fk = await get(db, 'PRAGMA foreign_keys');
+  const integrity = await all(db, 'PRAGMA integrity_check');
+  const violations = await all(db, 'PRAGMA foreign_key_check');
+  const orphans = await findOrphanedAddresses(db);
+  const pending = await pendingMigrations(db);
+  const unnormalized = await all(db, `SELECT id FROM customers WHERE phone_e164 IS NULL ORDER BY id`);
+  const unkeyed = await new SearchRepository(db).unkeyedCustomerIds();
+
+  const integrityCheck = integrity.map((row) => row.integrity_check);
+  const report = {
+    foreign_keys_enabled: !!(fk && fk.foreign_keys),
+    integrity_check: integrityCheck,
+    foreign_key_violations: violations,
+    orphaned_addresses: { count: orphans.length, ids: orphans.map((a) => a.id) },
+    pending_migrations: pending.map((m) => m.file),
+    // see backfill-phones.js
+    unnormalized_phones: { count: unnormalized.length, ids: unnormalized.map((c) => c.id) },
+    // see backfill-match-keys.js
+    customers_without_match_keys: { count: unkeyed.length, ids: unkeyed },
+  };
+  report.ok = report.foreign_keys_enabled
+    && integrityCheck.length === 1 && integrityCheck[0] === 'ok'
+    && violations.length === 0
+    && orphans.length === 0
+    && pending.length === 0
+    && unnormalized.length === 0
+    && unkeyed.length === 0;
+  return report;
+}
+
+module.exports = {
+  findOrphanedAddresses, purgeOrphanedAddresses, backfillPhoneNumbers, backfillMatchKeys, integrityReport,
+};
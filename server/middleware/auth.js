@@ -0,0 +1,35 @@
+const { ForbiddenError } = require('../errors');
+const AuthService = require('../services/AuthService');
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// EventSource cannot send headers, so event streams may pass the token as
+// ?access_token= instead.
+function queryToken(req) {
+  return typeof req.query.access_token === 'string' ? req.query.access_token : null;
+}
+
+// Resolves the bearer token to req.user, or fails with a 401. With
+// `allowQueryToken`, the token may come from the query string instead.
+function authenticate(authService, { allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    req.token = bearerToken(req) || (allowQueryToken ? queryToken(req) : null);
+    req.user = await authService.authenticate(req.token);
+    next();
+  };
+}
+
+// Must run after authenticate. Roles are hierarchical: requireRole('agent')
+// also admits admins.
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (AuthService.hasRole(req.user, minimumRole)) return next();
+    next(new ForbiddenError(`Requires ${minimumRole} role`));
+  };
+}
+
+module.exports = { bearerToken, authenticate, requireRole };
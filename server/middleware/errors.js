@@ -0,0 +1,54 @@
+const { validationResult } = require('express-validator');
+const { ServiceError, ValidationError, NotFoundError, conflictFromDatabase } = require('../errors');
+const { bodyErrors } = require('./openapi');
+
+// Runs after express-validator chains: fails the request with their errors,
+// plus those the OpenAPI document found in the body for fields they pass.
+function validate(req, res, next) {
+  const errors = validationResult(req).array();
+  const reported = new Set(errors.map((error) => error.path));
+  errors.push(...bodyErrors(req).filter((error) => !reported.has(error.path)));
+  next(errors.length ? new ValidationError(errors) : undefined);
+}
+
+// Mounted after the routers: anything under /api nothing answered.
+function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+// The ServiceError an error stands for, or null when it is a bug.
+function toServiceError(err) {
+  if (err instanceof ServiceError) return err;
+  const conflict = conflictFromDatabase(err);
+  if (conflict) return conflict;
+  // body-parser: malformed JSON, oversized bodies and the like
+  if (err.type && err.status >= 400 && err.status < 500) {
+    return new ServiceError(err.status, err.type === 'entity.parse.failed' ? 'Malformed JSON body' : err.message, { code: 'INVALID_BODY' });
+  }
+  return null;
+}
+
+// Last middleware of the app. Routes and services throw (or, for callbacks,
+// pass to next) and this answers with { success: false, code, message,
+// errors?, data? }. Unexpected errors are logged and answered with a bare 500.
+// Express tells error handlers apart by their four parameters.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    // Mid-stream, e.g. an export; cutting the connection is all that is left.
+    console.error(err);
+    res.destroy(err);
+    return;
+  }
+  const error = toServiceError(err);
+  if (!error) {
+    console.error(err);
+    res.status(500).json({ success: false, code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    return;
+  }
+  const body = { success: false, code: error.code, message: error.message };
+  if (error.errors) body.errors = error.errors;
+  if (error.data !== undefined) body.data = error.data;
+  res.status(error.status).json(body);
+}
+
+module.exports = { validate, notFound, errorHandler };
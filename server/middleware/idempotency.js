@@ -0,0 +1,56 @@
+const { BadRequestError, ConflictError } = require('../errors');
+
+// Keys are remembered this long; a request sent again later is carried out anew.
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Must run after authenticate. A POST with an Idempotency-Key header is
+// carried out once per user and key: sent again, it gets the response the
+// first one got, with an Idempotent-Replayed header, or a 409 while the first
+// is still running. Responses of 5xx are not kept, so those may be retried.
+function idempotency(keys) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || key === undefined) return next();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      throw new BadRequestError(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`, { field: 'Idempotency-Key' });
+    }
+
+    const userId = req.user.id;
+    const request = { method: req.method, path: req.baseUrl + req.path };
+    await keys.purgeBefore(new Date(Date.now() - KEY_TTL_MS).toISOString());
+    if (!await keys.claim(userId, key, request)) {
+      const used = await keys.find(userId, key);
+      if (used.method !== request.method || used.path !== request.path) {
+        throw new BadRequestError('Idempotency-Key was used for another request', { code: 'IDEMPOTENCY_KEY_REUSED' });
+      }
+      if (used.status === null) {
+        throw new ConflictError('A request with this Idempotency-Key is still in progress', { code: 'REQUEST_IN_PROGRESS' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      res.status(used.status).json(used.response);
+      return;
+    }
+
+    // The response is kept before it is sent, so whoever sees it can rely on
+    // a retry getting the same.
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+      settled = true;
+      const keep = res.statusCode >= 500
+        ? keys.release(userId, key)
+        : keys.complete(userId, key, res.statusCode, body);
+      keep.catch((err) => console.error(err)).then(() => json(body));
+      return res;
+    };
+    // a request cut short leaves the key free for the retry
+    res.on('close', () => {
+      if (!settled) keys.release(userId, key).catch((err) => console.error(err));
+    });
+    next();
+  };
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,84 @@
+const OpenApiValidator = require('express-openapi-validator');
+const { ServiceError, ValidationError } = require('../errors');
+const { openApiDocument } = require('../openapi');
+
+// Body errors found by the document, waiting for the route's `validate`.
+const BODY_ERRORS = Symbol('openApiBodyErrors');
+
+const CODES = { 404: 'ROUTE_NOT_FOUND', 405: 'METHOD_NOT_ALLOWED', 406: 'NOT_ACCEPTABLE', 413: 'INVALID_BODY', 415: 'UNSUPPORTED_MEDIA_TYPE' };
+
+// "/body/addresses/0/city" -> { location: 'body', path: 'addresses[0].city' },
+// the way express-validator names fields.
+function fieldOf(pointer) {
+  const [location, ...segments] = String(pointer).split('/').filter(Boolean);
+  const path = segments.reduce((name, segment) => (
+    /^\d+$/.test(segment) ? `${name}[${segment}]` : `${name}${name ? '.' : ''}${segment}`
+  ), '');
+  return { location, path };
+}
+
+// "last_name required" or "limit must be <= 100", like the route validators' messages.
+function messageOf(error, path) {
+  if (error.errorCode === 'required.openapi.validation') return `${path} required`;
+  return path ? `${path} ${error.message}` : error.message;
+}
+
+// A failed request check as express-validator errors.
+function fieldErrors(err) {
+  return err.errors.map((error) => {
+    const { location, path } = fieldOf(error.path);
+    return { type: 'field', location, path, msg: messageOf(error, path) };
+  });
+}
+
+// The validator's other HttpErrors as ServiceErrors. Failed responses (500s)
+// are left alone so that errorHandler logs them.
+function toServiceError(err) {
+  if (!err || err instanceof ServiceError || !(err.status >= 400 && err.status < 500)) return err;
+  if (err.status !== 400) return new ServiceError(err.status, err.message, { code: CODES[err.status] });
+  return new ValidationError(fieldErrors(err));
+}
+
+// Invalid parameters fail the request at once. Invalid bodies are left for
+// the route's `validate` to report along with its own findings, so a form
+// hears about every field at once; every route that takes a body runs it.
+function checked(handler) {
+  return (req, res, next) => handler(req, res, (err) => {
+    if (err && err.status === 400 && Array.isArray(err.errors)) {
+      const errors = fieldErrors(err);
+      if (errors.every((error) => error.location === 'body')) {
+        req[BODY_ERRORS] = errors;
+        return next();
+      }
+    }
+    next(toServiceError(err));
+  });
+}
+
+/** What openApiValidation found wrong with the request body. */
+function bodyErrors(req) {
+  return req[BODY_ERRORS] || [];
+}
+
+/**
+ * Checks requests to the documented routes against openapi.js, and with
+ * `validateResponses` also what they answer. Mounted after authentication:
+ * the document leaves sessions and roles to the routes.
+ * @param {{ validateResponses?: boolean }} [options]
+ */
+function openApiValidation({ validateResponses = false } = {}) {
+  const middleware = OpenApiValidator.middleware({
+    // the validator resolves $refs in place
+    apiSpec: structuredClone(openApiDocument),
+    validateRequests: { allErrors: true, allowUnknownQueryParameters: true },
+    validateResponses,
+    validateSecurity: false,
+    ignoreUndocumented: true,
+    // multer reads the upload; the route checks the file and mapping itself
+    ignorePaths: /^\/api\/customers\/import/,
+    fileUploader: false,
+  });
+  return middleware.map(checked);
+}
+
+module.exports = { openApiValidation, bodyErrors };
@@ -0,0 +1,36 @@
+// Usage: node migrate.js <up|down|status> [steps]
+const { openDatabase } = require('./db');
+const { getStatus, migrateUp, migrateDown } = require('./migrator');
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const db = await openDatabase();
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(db);
+      if (applied.length === 0) console.log('Database is up to date.');
+      applied.forEach((m) => console.log(`Applied ${m.file}`));
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) throw new Error(`Invalid step count: ${arg}`);
+      const reverted = await migrateDown(db, steps);
+      if (reverted.length === 0) console.log('Nothing to revert.');
+      reverted.forEach((m) => console.log(`Reverted ${m.file}`));
+    } else if (command === 'status') {
+      const status = await getStatus(db);
+      status.forEach((m) => {
+        const state = m.applied ? `applied ${m.applied_at}` : 'pending';
+        console.log(`${m.file}  ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
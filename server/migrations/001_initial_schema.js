@@ -0,0 +1,26 @@
+// IF NOT EXISTS lets databases created before migrations existed adopt this
+// version without losing data.
+module.exports = {
+  up: `
+CREATE TABLE IF NOT EXISTS customers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  phone_number TEXT NOT NULL UNIQUE
+);
+
+CREATE TABLE IF NOT EXISTS addresses (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  customer_id INTEGER NOT NULL,
+  address_details TEXT NOT NULL,
+  city TEXT NOT NULL,
+  state TEXT NOT NULL,
+  pin_code TEXT NOT NULL,
+  FOREIGN KEY(customer_id) REFERENCES customers(id) ON DELETE CASCADE
+);
+`,
+  down: `
+DROP TABLE IF EXISTS addresses;
+DROP TABLE IF EXISTS customers;
+`,
+};
@@ -0,0 +1,22 @@
+// customer_id has no foreign key on purpose: history must outlive the customer.
+module.exports = {
+  up: `
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity TEXT NOT NULL CHECK (entity IN ('customer', 'address')),
+  entity_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  before_json TEXT,
+  after_json TEXT,
+  actor_id INTEGER,
+  actor_username TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX idx_audit_log_customer_id ON audit_log(customer_id, id);
+`,
+  down: `
+DROP TABLE IF EXISTS audit_log;
+`,
+};
@@ -0,0 +1,88 @@
+// Soft delete for customers and addresses. The column-level UNIQUE on
+// customers.phone_number becomes a partial index over live rows, so a number
+// can be reused once its previous owner is in the trash. SQLite cannot drop a
+// column constraint, hence the table rebuild (and foreignKeys: false). The
+// AUTOINCREMENT counter is carried over because audit_log refers to customer
+// ids that must never be handed out again.
+//
+// audit_log is rebuilt as well to allow the new 'restore' and 'purge' actions.
+module.exports = {
+  foreignKeys: false,
+  up: `
+CREATE TABLE customers_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  phone_number TEXT NOT NULL,
+  deleted_at TEXT
+);
+INSERT INTO customers_new (id, first_name, last_name, phone_number)
+  SELECT id, first_name, last_name, phone_number FROM customers;
+DELETE FROM sqlite_sequence WHERE name = 'customers_new';
+INSERT INTO sqlite_sequence (name, seq) SELECT 'customers_new', seq FROM sqlite_sequence WHERE name = 'customers';
+DROP TABLE customers;
+ALTER TABLE customers_new RENAME TO customers;
+CREATE UNIQUE INDEX ux_customers_phone_number_live ON customers(phone_number) WHERE deleted_at IS NULL;
+CREATE INDEX idx_customers_deleted_at ON customers(deleted_at);
+
+ALTER TABLE addresses ADD COLUMN deleted_at TEXT;
+CREATE INDEX idx_addresses_customer_id ON addresses(customer_id);
+
+CREATE TABLE audit_log_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity TEXT NOT NULL CHECK (entity IN ('customer', 'address')),
+  entity_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge')),
+  before_json TEXT,
+  after_json TEXT,
+  actor_id INTEGER,
+  actor_username TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO audit_log_new SELECT * FROM audit_log;
+DROP TABLE audit_log;
+ALTER TABLE audit_log_new RENAME TO audit_log;
+CREATE INDEX idx_audit_log_customer_id ON audit_log(customer_id, id);
+`,
+  // Rows still in the trash are purged; the old schema has nowhere to keep them.
+  down: `
+DELETE FROM addresses WHERE deleted_at IS NOT NULL
+  OR customer_id IN (SELECT id FROM customers WHERE deleted_at IS NOT NULL);
+DELETE FROM customers WHERE deleted_at IS NOT NULL;
+DELETE FROM audit_log WHERE action IN ('restore', 'purge');
+
+CREATE TABLE audit_log_old (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity TEXT NOT NULL CHECK (entity IN ('customer', 'address')),
+  entity_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  before_json TEXT,
+  after_json TEXT,
+  actor_id INTEGER,
+  actor_username TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO audit_log_old SELECT * FROM audit_log;
+DROP TABLE audit_log;
+ALTER TABLE audit_log_old RENAME TO audit_log;
+CREATE INDEX idx_audit_log_customer_id ON audit_log(customer_id, id);
+
+DROP INDEX idx_addresses_customer_id;
+ALTER TABLE addresses DROP COLUMN deleted_at;
+
+CREATE TABLE customers_old (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  phone_number TEXT NOT NULL UNIQUE
+);
+INSERT INTO customers_old (id, first_name, last_name, phone_number)
+  SELECT id, first_name, last_name, phone_number FROM customers;
+DELETE FROM sqlite_sequence WHERE name = 'customers_old';
+INSERT INTO sqlite_sequence (name, seq) SELECT 'customers_old', seq FROM sqlite_sequence WHERE name = 'customers';
+DROP TABLE customers;
+ALTER TABLE customers_old RENAME TO customers;
+`,
+};
@@ -0,0 +1,44 @@
+// Full-text index over customer names, addresses and phone digits, one row
+// per customer (rowid = customers.id). SearchRepository keeps it in sync.
+//
+// phone_digits holds every suffix of the digits ("9848022338 848022338 ...")
+// so that a prefix query finds a number by any part of it. The backfill below
+// strips the usual separators; SearchRepository strips every non-digit.
+module.exports = {
+  up: `
+CREATE VIRTUAL TABLE customer_search USING fts5(
+  name,
+  address,
+  phone_digits,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+CREATE VIRTUAL TABLE customer_search_vocab USING fts5vocab(customer_search, row);
+
+WITH RECURSIVE
+  digits(id, phone) AS (
+    SELECT id, replace(replace(replace(replace(replace(replace(phone_number, ' ', ''), '-', ''), '(', ''), ')', ''), '+', ''), '.', '')
+    FROM customers
+  ),
+  suffixes(id, suffix) AS (
+    SELECT id, phone FROM digits WHERE phone <> ''
+    UNION ALL
+    SELECT id, substr(suffix, 2) FROM suffixes WHERE length(suffix) > 1
+  )
+INSERT INTO customer_search (rowid, name, address, phone_digits)
+SELECT
+  c.id,
+  c.first_name || ' ' || c.last_name,
+  coalesce((
+    SELECT group_concat(a.address_details || ', ' || a.city || ', ' || a.state || ', ' || a.pin_code, char(10))
+    FROM addresses a
+    WHERE a.customer_id = c.id AND (a.deleted_at IS NULL OR a.deleted_at = c.deleted_at)
+  ), ''),
+  coalesce((SELECT group_concat(s.suffix, ' ') FROM suffixes s WHERE s.id = c.id), '')
+FROM customers c;
+`,
+  down: `
+DROP TABLE IF EXISTS customer_search_vocab;
+DROP TABLE IF EXISTS customer_search;
+`,
+};
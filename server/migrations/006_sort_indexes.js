@@ -0,0 +1,17 @@
+// Indexes behind the sortable list columns. They lead with deleted_at, which
+// every list query pins (IS NULL for the list, IS NOT NULL for the trash),
+// and end in id to match the ORDER BY tiebreak, so both page and keyset
+// queries read rows in order instead of sorting them. Sorting by id is
+// already served by idx_customers_deleted_at.
+module.exports = {
+  up: `
+CREATE INDEX idx_customers_sort_first_name ON customers(deleted_at, first_name, id);
+CREATE INDEX idx_customers_sort_last_name ON customers(deleted_at, last_name, id);
+CREATE INDEX idx_customers_sort_phone_number ON customers(deleted_at, phone_number, id);
+`,
+  down: `
+DROP INDEX IF EXISTS idx_customers_sort_first_name;
+DROP INDEX IF EXISTS idx_customers_sort_last_name;
+DROP INDEX IF EXISTS idx_customers_sort_phone_number;
+`,
+};
@@ -0,0 +1,14 @@
+// phone_number keeps the number as it was entered; phone_e164 holds it
+// normalized (see phone.js) and is what live customers must not share.
+// Existing rows are left NULL here because SQL cannot parse phone numbers:
+// `npm run phones:backfill` fills them in and reports the collisions.
+module.exports = {
+  up: `
+ALTER TABLE customers ADD COLUMN phone_e164 TEXT;
+CREATE UNIQUE INDEX ux_customers_phone_e164_live ON customers(phone_e164) WHERE deleted_at IS NULL;
+`,
+  down: `
+DROP INDEX IF EXISTS ux_customers_phone_e164_live;
+ALTER TABLE customers DROP COLUMN phone_e164;
+`,
+};
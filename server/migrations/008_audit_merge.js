@@ -0,0 +1,27 @@
+// Adds the 'merge' action, recorded when CustomerService#mergeCustomers folds
+// a duplicate customer into another one.
+const auditLogTable = (name, actions) => `
+CREATE TABLE ${name} (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  entity TEXT NOT NULL CHECK (entity IN ('customer', 'address')),
+  entity_id INTEGER NOT NULL,
+  customer_id INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN (${actions.map((a) => `'${a}'`).join(', ')})),
+  before_json TEXT,
+  after_json TEXT,
+  actor_id INTEGER,
+  actor_username TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO ${name} SELECT * FROM audit_log;
+DROP TABLE audit_log;
+ALTER TABLE ${name} RENAME TO audit_log;
+CREATE INDEX idx_audit_log_customer_id ON audit_log(customer_id, id);
+`;
+
+module.exports = {
+  up: auditLogTable('audit_log_new', ['create', 'update', 'delete', 'restore', 'purge', 'merge']),
+  down: `
+DELETE FROM audit_log WHERE action = 'merge';
+${auditLogTable('audit_log_old', ['create', 'update', 'delete', 'restore', 'purge'])}`,
+};
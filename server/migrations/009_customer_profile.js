@@ -0,0 +1,52 @@
+// Profile fields, timestamps and tags for customers.
+//
+// ALTER TABLE cannot add a column whose default is not a constant, so
+// created_at and updated_at are set by CustomerRepository. Existing rows take
+// them from the audit log where it has them. Emails are stored lower-cased
+// and, like phone numbers, only have to be unique among live customers.
+module.exports = {
+  up: `
+ALTER TABLE customers ADD COLUMN email TEXT;
+ALTER TABLE customers ADD COLUMN date_of_birth TEXT;
+ALTER TABLE customers ADD COLUMN notes TEXT;
+ALTER TABLE customers ADD COLUMN created_at TEXT;
+ALTER TABLE customers ADD COLUMN updated_at TEXT;
+
+UPDATE customers SET created_at = coalesce(
+  (SELECT min(created_at) FROM audit_log WHERE entity = 'customer' AND entity_id = customers.id AND action = 'create'),
+  strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+);
+UPDATE customers SET updated_at = coalesce(
+  (SELECT max(created_at) FROM audit_log WHERE entity = 'customer' AND entity_id = customers.id AND action IN ('update', 'restore', 'merge')),
+  created_at
+);
+
+CREATE UNIQUE INDEX ux_customers_email_live ON customers(email) WHERE deleted_at IS NULL;
+CREATE INDEX idx_customers_created_at ON customers(deleted_at, created_at);
+
+CREATE TABLE tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE
+);
+
+CREATE TABLE customer_tags (
+  customer_id INTEGER NOT NULL,
+  tag_id INTEGER NOT NULL,
+  PRIMARY KEY (customer_id, tag_id),
+  FOREIGN KEY(customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+  FOREIGN KEY(tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_customer_tags_tag_id ON customer_tags(tag_id);
+`,
+  down: `
+DROP TABLE IF EXISTS customer_tags;
+DROP TABLE IF EXISTS tags;
+DROP INDEX IF EXISTS idx_customers_created_at;
+DROP INDEX IF EXISTS ux_customers_email_live;
+ALTER TABLE customers DROP COLUMN updated_at;
+ALTER TABLE customers DROP COLUMN created_at;
+ALTER TABLE customers DROP COLUMN notes;
+ALTER TABLE customers DROP COLUMN date_of_birth;
+ALTER TABLE customers DROP COLUMN email;
+`,
+};
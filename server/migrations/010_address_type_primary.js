@@ -0,0 +1,24 @@
+// Address types and one primary address per customer.
+//
+// The partial unique index is what enforces a single live primary address;
+// CustomerService keeps one set whenever the customer has live addresses.
+// Existing addresses are typed 'other' and each customer's oldest live
+// address becomes its primary.
+module.exports = {
+  up: `
+ALTER TABLE addresses ADD COLUMN type TEXT NOT NULL DEFAULT 'other'
+  CHECK (type IN ('home', 'work', 'billing', 'shipping', 'other'));
+ALTER TABLE addresses ADD COLUMN is_primary INTEGER NOT NULL DEFAULT 0 CHECK (is_primary IN (0, 1));
+
+UPDATE addresses SET is_primary = 1
+WHERE deleted_at IS NULL
+  AND id = (SELECT min(id) FROM addresses a WHERE a.customer_id = addresses.customer_id AND a.deleted_at IS NULL);
+
+CREATE UNIQUE INDEX ux_addresses_primary_live ON addresses(customer_id) WHERE is_primary = 1 AND deleted_at IS NULL;
+`,
+  down: `
+DROP INDEX IF EXISTS ux_addresses_primary_live;
+ALTER TABLE addresses DROP COLUMN is_primary;
+ALTER TABLE addresses DROP COLUMN type;
+`,
+};
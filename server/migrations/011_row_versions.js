@@ -0,0 +1,15 @@
+// Row versions for optimistic concurrency: every change to a customer or an
+// address increments its version, and a change to an address also the
+// version of its customer, whose representation includes it. Writers send
+// back the version they read (If-Match or `version`) and get a 409 when it is
+// no longer current; see CustomerService#updateCustomer.
+module.exports = {
+  up: `
+ALTER TABLE customers ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE addresses ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+`,
+  down: `
+ALTER TABLE addresses DROP COLUMN version;
+ALTER TABLE customers DROP COLUMN version;
+`,
+};
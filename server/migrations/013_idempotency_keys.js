@@ -0,0 +1,24 @@
+// Idempotency-Key headers seen on POST requests, per user, with the response
+// given, so a request sent again (e.g. by the client's offline queue after a
+// lost response) is answered the same way instead of being carried out twice.
+// `status` is NULL while the first request is still running.
+module.exports = {
+  up: `
+CREATE TABLE idempotency_keys (
+  user_id INTEGER NOT NULL,
+  key TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  status INTEGER,
+  response TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (user_id, key),
+  FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+`,
+  down: `
+DROP TABLE IF EXISTS idempotency_keys;
+`,
+};
@@ -0,0 +1,21 @@
+// The blocking keys of each customer (see duplicates.js), so that the
+// customers that may be duplicates of each other are found in SQL rather
+// than by comparing everyone. SearchRepository keeps them in sync. SQL cannot
+// normalize names the same way, so existing rows are left without keys here:
+// `npm run match-keys:backfill` writes them, and the integrity report lists
+// the customers still missing them.
+module.exports = {
+  up: `
+CREATE TABLE customer_match_keys (
+  customer_id INTEGER NOT NULL,
+  key TEXT NOT NULL,
+  PRIMARY KEY (customer_id, key),
+  FOREIGN KEY(customer_id) REFERENCES customers(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_customer_match_keys_key ON customer_match_keys(key, customer_id);
+`,
+  down: `
+DROP TABLE IF EXISTS customer_match_keys;
+`,
+};
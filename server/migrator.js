@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { run, all, get, exec, transaction } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named NNN_description.js and export `up` and `down` SQL.
+// A migration that rebuilds a referenced table also exports
+// `foreignKeys: false`, see applyInTransaction.
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const match = file.match(FILE_PATTERN);
+      if (!match) return null;
+      const { up, down, foreignKeys = true } = require(path.join(dir, file));
+      if (typeof up !== 'string' || typeof down !== 'string') {
+        throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], file: path.basename(file, '.js'), up, down, foreignKeys };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await exec(db, `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getStatus(db, dir) {
+  await ensureMigrationsTable(db);
+  const applied = await all(db, `SELECT version, applied_at FROM schema_migrations`);
+  const appliedAt = new Map(applied.map((row) => [row.version, row.applied_at]));
+  return loadMigrations(dir).map((m) => ({
+    version: m.version,
+    name: m.name,
+    file: m.file,
+    applied: appliedAt.has(m.version),
+    applied_at: appliedAt.get(m.version) || null,
+  }));
+}
+
+async function pendingMigrations(db, dir) {
+  const status = await getStatus(db, dir);
+  return status.filter((m) => !m.applied);
+}
+
+// Each migration runs in its own transaction together with its bookkeeping row,
+// so a failing migration leaves the schema at the previous version.
+//
+// Dropping a table while foreign keys are enforced cascades into the tables
+// that reference it, so table rebuilds run with enforcement off (it cannot be
+// toggled inside a transaction) and must leave no violations behind.
+async function applyInTransaction(db, sql, bookkeeping, { foreignKeys = true } = {}) {
+  const fkRow = await get(db, 'PRAGMA foreign_keys');
+  const enforced = !!(fkRow && fkRow.foreign_keys);
+  if (!foreignKeys && enforced) await exec(db, 'PRAGMA foreign_keys = OFF');
+  try {
+    await transaction(db, async () => {
+      await exec(db, sql);
+      if (!foreignKeys) {
+        const violations = await all(db, 'PRAGMA foreign_key_check');
+        if (violations.length) throw new Error(`Migration left ${violations.length} foreign key violation(s); run "npm run repair:orphans" first`);
+      }
+      await run(db, bookkeeping.sql, bookkeeping.params);
+    });
+  } finally {
+    if (!foreignKeys && enforced) await exec(db, 'PRAGMA foreign_keys = ON');
+  }
+}
+
+async function migrateUp(db, dir) {
+  const pending = await pendingMigrations(db, dir);
+  const byVersion = new Map(loadMigrations(dir).map((m) => [m.version, m]));
+  const applied = [];
+  for (const { version } of pending) {
+    const m = byVersion.get(version);
+    await applyInTransaction(db, m.up, {
+      sql: `INSERT INTO schema_migrations (version, name) VALUES (?, ?)`,
+      params: [m.version, m.name],
+    }, m);
+    applied.push(m);
+  }
+  return applied;
+}
+
+async function migrateDown(db, steps = 1, dir) {
+  const status = await getStatus(db, dir);
+  const byVersion = new Map(loadMigrations(dir).map((m) => [m.version, m]));
+  const toRevert = status.filter((m) => m.applied).reverse().slice(0, steps);
+  const reverted = [];
+  for (const { version } of toRevert) {
+    const m = byVersion.get(version);
+    await applyInTransaction(db, m.down, {
+      sql: `DELETE FROM schema_migrations WHERE version = ?`,
+      params: [m.version],
+    }, m);
+    reverted.push(m);
+  }
+  return reverted;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  pendingMigrations,
+  migrateUp,
+  migrateDown,
+};
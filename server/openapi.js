@@ -0,0 +1,674 @@
+const { ADDRESS_TYPES } = require('./repositories/AddressRepository');
+const { SORTABLE_FIELDS } = require('./repositories/CustomerRepository');
+const { FORMATS } = require('./export');
+
+// OpenAPI 3 description of /api/customers and /api/addresses. app.js serves
+// it at /api/openapi.json with docs at /api/docs, and validates requests
+// (and, outside production, responses) against it; generate-client.js turns
+// it into client/src/apiClient.js.
+//
+// Defaults are given in descriptions only: the validator would fill in a
+// `default` and the routes tell given values from missing ones.
+//
+// The route validators still apply after it: they trim, normalize and check
+// what a schema cannot, such as phone numbers and pin codes against the
+// lookup data.
+
+const MAX_PAGE_SIZE = 100;
+const SORTS = ['relevance', ...SORTABLE_FIELDS.flatMap((field) => [field, `${field}:asc`, `${field}:desc`])];
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'merge'];
+const BATCH_ACTIONS = ['delete', 'add_tags', 'remove_tags', 'update_addresses'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// The { success: true, data, meta?, message? } envelope of every JSON answer.
+function success(description, data, { meta, message = false } = {}) {
+  const properties = { success: { type: 'boolean', enum: [true] } };
+  const required = ['success'];
+  if (data) { properties.data = data; required.push('data'); }
+  if (meta) { properties.meta = meta; required.push('meta'); }
+  if (message) { properties.message = { type: 'string' }; required.push('message'); }
+  return { description, content: { 'application/json': { schema: { type: 'object', required, properties } } } };
+}
+
+// Error answers an operation may give, besides 401 which every one can.
+function failures(...statuses) {
+  const responses = { 401: { $ref: '#/components/responses/Unauthorized' } };
+  const names = { 400: 'BadRequest', 403: 'Forbidden', 404: 'NotFound', 409: 'Conflict' };
+  statuses.forEach((status) => { responses[status] = { $ref: `#/components/responses/${names[status]}` }; });
+  return responses;
+}
+
+// Versions of customers and addresses, for If-Match on the next update.
+function withETag(response) {
+  return { ...response, headers: { ETag: { description: 'The version, e.g. "3"', schema: { type: 'string' } } } };
+}
+
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+const idParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'integer', minimum: 1 } });
+const customerId = idParam('id', 'Customer id');
+const addressId = idParam('addressId', 'Address id');
+
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const ifMatch = param('ifMatch');
+const idempotencyKey = param('idempotencyKey');
+const LIST_FILTERS = ['search', 'city', 'state', 'pin_code', 'tag', 'created_after', 'addresses', 'ids', 'sort', 'deleted'].map(param);
+
+const textList = (description) => ({ type: 'array', items: { type: 'string' }, description });
+
+const schemas = {
+  Customer: {
+    type: 'object',
+    required: ['id', 'first_name', 'last_name', 'phone_number', 'phone_e164', 'email', 'date_of_birth', 'notes',
+      'tags', 'created_at', 'updated_at', 'deleted_at', 'version'],
+    properties: {
+      id: { type: 'integer' },
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      phone_number: { type: 'string', description: 'As entered' },
+      phone_e164: nullable({ type: 'string', description: 'phone_number in E.164 form', example: '+919876543210' }),
+      email: nullable({ type: 'string', format: 'email', description: 'Lower-cased' }),
+      date_of_birth: nullable({ type: 'string', format: 'date' }),
+      notes: nullable({ type: 'string' }),
+      tags: textList('Tag names, alphabetical'),
+      // null only for rows written outside the API before timestamps existed
+      created_at: nullable({ type: 'string', format: 'date-time' }),
+      updated_at: nullable({ type: 'string', format: 'date-time', description: 'Changed by every update' }),
+      deleted_at: nullable({ type: 'string', format: 'date-time', description: 'Set while the customer is in the trash' }),
+      version: { type: 'integer', description: 'Incremented by every change to the customer or its addresses' },
+    },
+  },
+  CustomerWithAddresses: {
+    allOf: [ref('Customer'), {
+      type: 'object',
+      required: ['addresses'],
+      properties: { addresses: { type: 'array', items: ref('Address'), description: 'Live addresses, oldest first' } },
+    }],
+  },
+  CustomerListItem: {
+    allOf: [ref('Customer'), {
+      type: 'object',
+      required: ['primary_city'],
+      properties: {
+        primary_city: nullable({ type: 'string', description: 'City of the primary address' }),
+        highlight: {
+          type: 'object',
+          description: 'Only with `search`: each matched part starts with U+E000 and ends with U+E001',
+          properties: { name: { type: 'string' }, address: nullable({ type: 'string' }), phone_number: { type: 'string' } },
+        },
+      },
+    }],
+  },
+  NewCustomer: {
+    type: 'object',
+    required: ['first_name', 'last_name', 'phone_number'],
+    properties: {
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      phone_number: { type: 'string', description: 'Any common notation, e.g. "98765 43210" or "+1 415 555 2671"' },
+      email: nullable({ type: 'string' }),
+      date_of_birth: nullable({ type: 'string', description: 'YYYY-MM-DD, not in the future' }),
+      notes: nullable({ type: 'string', description: 'At most 2000 characters' }),
+      tags: { type: 'array', items: { type: 'string' }, description: 'At most 20 names of 1 to 30 characters' },
+      addresses: { type: 'array', items: ref('AddressInput'), description: 'The first one becomes the primary address' },
+    },
+  },
+  CustomerUpdate: {
+    type: 'object',
+    description: 'Only the given fields change. An empty email, date_of_birth or notes clears it; tags replace the current ones.',
+    properties: {
+      first_name: { type: 'string' },
+      last_name: { type: 'string' },
+      phone_number: { type: 'string' },
+      email: nullable({ type: 'string' }),
+      date_of_birth: nullable({ type: 'string' }),
+      notes: nullable({ type: 'string' }),
+      tags: { type: 'array', items: { type: 'string' } },
+      version: { type: 'integer', minimum: 1, description: 'The version the change is based on; see If-Match' },
+    },
+  },
+  Address: {
+    type: 'object',
+    required: ['id', 'customer_id', 'address_details', 'city', 'state', 'pin_code', 'type', 'is_primary', 'deleted_at', 'version'],
+    properties: {
+      id: { type: 'integer' },
+      customer_id: { type: 'integer' },
+      address_details: { type: 'string' },
+      city: { type: 'string' },
+      state: { type: 'string' },
+      pin_code: { type: 'string', example: '530002' },
+      type: { type: 'string', enum: ADDRESS_TYPES },
+      is_primary: { type: 'integer', enum: [0, 1], description: 'Exactly one live address of a customer is primary' },
+      deleted_at: nullable({ type: 'string', format: 'date-time' }),
+      version: { type: 'integer', description: 'Incremented by every change to the address' },
+    },
+  },
+  AddressInput: {
+    type: 'object',
+    required: ['address_details', 'city', 'state', 'pin_code'],
+    properties: {
+      address_details: { type: 'string' },
+      city: { type: 'string' },
+      state: { type: 'string' },
+      pin_code: { type: 'string', description: 'Six digits; spaces are ignored' },
+      type: { type: 'string', enum: ADDRESS_TYPES, description: 'Defaults to other' },
+    },
+  },
+  NewAddress: {
+    type: 'object',
+    description: 'City and state may be left out when the pin code is known; given ones must match it.',
+    required: ['address_details', 'pin_code'],
+    properties: {
+      address_details: { type: 'string' },
+      city: nullable({ type: 'string' }),
+      state: nullable({ type: 'string' }),
+      pin_code: { type: 'string' },
+      type: { type: 'string', enum: ADDRESS_TYPES, description: 'Defaults to other' },
+    },
+  },
+  AddressUpdate: {
+    type: 'object',
+    description: 'Only the given fields change. A new pin code brings its own city and state unless they are given too.',
+    properties: {
+      address_details: { type: 'string' },
+      city: { type: 'string' },
+      state: { type: 'string' },
+      pin_code: { type: 'string' },
+      type: { type: 'string', enum: ADDRESS_TYPES },
+      version: { type: 'integer', minimum: 1, description: 'The version the change is based on; see If-Match' },
+    },
+  },
+  PinCode: {
+    type: 'object',
+    required: ['pin_code', 'states', 'city', 'aliases'],
+    properties: {
+      pin_code: { type: 'string' },
+      states: textList('Every state the pin code may belong to; one for most'),
+      city: nullable({ type: 'string', description: 'Null unless the pin code itself is known' }),
+      aliases: textList('Other accepted spellings of the city'),
+    },
+  },
+  FacetValue: {
+    type: 'object',
+    required: ['value', 'count'],
+    properties: { value: { type: 'string' }, count: { type: 'integer' } },
+  },
+  Facets: {
+    type: 'object',
+    required: ['city', 'state', 'tag', 'addresses'],
+    properties: {
+      city: { type: 'array', items: ref('FacetValue') },
+      state: { type: 'array', items: ref('FacetValue') },
+      tag: { type: 'array', items: ref('FacetValue') },
+      addresses: {
+        type: 'object',
+        required: ['none', 'multiple'],
+        properties: { none: { type: 'integer' }, multiple: { type: 'integer' } },
+      },
+    },
+  },
+  PageMeta: {
+    type: 'object',
+    description: 'page and total only when paging by number',
+    required: ['limit', 'next_cursor', 'prev_cursor'],
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      next_cursor: nullable({ type: 'string', description: 'Pass as `after` for the next slice' }),
+      prev_cursor: nullable({ type: 'string', description: 'Pass as `before` for the previous slice' }),
+    },
+  },
+  DuplicatePair: {
+    type: 'object',
+    required: ['score', 'signals', 'customers'],
+    properties: {
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      signals: {
+        type: 'object',
+        required: ['name', 'phone', 'address'],
+        properties: { name: { type: 'number' }, phone: { type: 'number' }, address: { type: 'number' } },
+      },
+      customers: { type: 'array', items: ref('CustomerWithAddresses'), minItems: 2, maxItems: 2, description: 'The older customer first' },
+    },
+  },
+  HistoryEntry: {
+    type: 'object',
+    required: ['id', 'entity', 'entity_id', 'customer_id', 'action', 'before', 'after', 'actor', 'created_at'],
+    properties: {
+      id: { type: 'integer' },
+      entity: { type: 'string', enum: ['customer', 'address'] },
+      entity_id: { type: 'integer' },
+      customer_id: { type: 'integer' },
+      action: { type: 'string', enum: AUDIT_ACTIONS },
+      before: nullable({ type: 'object', description: 'The customer or address before the change' }),
+      after: nullable({ type: 'object', description: 'The customer or address after the change' }),
+      actor: nullable({
+        type: 'object',
+        required: ['id', 'username'],
+        properties: { id: { type: 'integer' }, username: { type: 'string' } },
+      }),
+      created_at: { type: 'string', format: 'date-time' },
+    },
+  },
+  ImportReport: {
+    type: 'object',
+    required: ['dry_run', 'headers', 'mapping', 'summary', 'rows'],
+    properties: {
+      dry_run: { type: 'boolean' },
+      headers: textList('Column headers of the file'),
+      mapping: { type: 'object', additionalProperties: nullable({ type: 'string' }), description: 'Field to column header' },
+      summary: {
+        type: 'object',
+        required: ['total', 'valid', 'invalid', 'created'],
+        properties: { total: { type: 'integer' }, valid: { type: 'integer' }, invalid: { type: 'integer' }, created: { type: 'integer' } },
+      },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['row', 'status', 'data', 'errors'],
+          properties: {
+            row: { type: 'integer', description: 'Line of the file' },
+            status: { type: 'string', enum: ['valid', 'invalid', 'created'] },
+            data: { type: 'object' },
+            errors: { type: 'array', items: ref('FieldError') },
+            customer_id: { type: 'integer' },
+          },
+        },
+      },
+    },
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['action'],
+    description: 'The customers are given either as `ids` or as `filter`, at most 1000 of them.',
+    properties: {
+      action: {
+        type: 'string',
+        enum: BATCH_ACTIONS,
+        description: 'delete moves to the trash and needs the admin role; update_addresses sets city and/or state on every live address',
+      },
+      ids: { type: 'array', items: { type: 'integer', minimum: 1 } },
+      filter: {
+        type: 'object',
+        description: 'The list filters, as for GET /customers: every customer matching them',
+        properties: {
+          search: { type: 'string' },
+          sort: { type: 'string' },
+          city: textList('Any of these cities'),
+          state: textList('Any of these states'),
+          pin_code: textList('Pin code starting with any of these'),
+          tag: textList('Any of these tags'),
+          created_after: { type: 'string' },
+          addresses: { type: 'string', enum: ['none', 'multiple'] },
+          deleted: { type: 'string', enum: ['only', 'include'] },
+        },
+      },
+      tags: textList('For add_tags and remove_tags; matched regardless of case'),
+      city: { type: 'string', description: 'For update_addresses' },
+      state: { type: 'string', description: 'For update_addresses' },
+    },
+  },
+  BatchResult: {
+    type: 'object',
+    required: ['results', 'succeeded', 'failed'],
+    properties: {
+      results: {
+        type: 'array',
+        description: 'One per customer, in the order they were given or matched',
+        items: {
+          type: 'object',
+          required: ['id', 'success'],
+          properties: {
+            id: { type: 'integer' },
+            success: { type: 'boolean' },
+            code: { type: 'string', description: 'Why it failed, as in Error' },
+            message: { type: 'string' },
+          },
+        },
+      },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+    },
+  },
+  FieldError: {
+    type: 'object',
+    required: ['path', 'msg'],
+    properties: {
+      path: { type: 'string', description: 'Request field, e.g. "phone_number" or "addresses[0].city"' },
+      msg: { type: 'string' },
+    },
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'code', 'message'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      code: { type: 'string', description: 'Stable name of the failure, e.g. VALIDATION_FAILED or PHONE_NUMBER_TAKEN', example: 'NOT_FOUND' },
+      message: { type: 'string' },
+      errors: { type: 'array', items: ref('FieldError'), description: 'The fields at fault, when there are any' },
+      data: { description: 'With VERSION_CONFLICT, the current state of the record' },
+    },
+  },
+};
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+const parameters = {
+  ifMatch: {
+    name: 'If-Match',
+    in: 'header',
+    description: 'ETag of the version the change is based on, e.g. "3"; a stale one fails with VERSION_CONFLICT. '
+      + 'The body\'s `version` does the same.',
+    schema: { type: 'string' },
+  },
+  idempotencyKey: {
+    name: 'Idempotency-Key',
+    in: 'header',
+    description: 'Any unique value, up to 255 characters. Sent again with the same key within 24 hours, the request is '
+      + 'not carried out again but answered as the first time, with an Idempotent-Replayed header; '
+      + 'while the first is still running it fails with REQUEST_IN_PROGRESS.',
+    schema: { type: 'string', minLength: 1, maxLength: 255 },
+  },
+  search: { name: 'search', in: 'query', allowReserved: true, description: 'Free text over name, phone and address; "quoted phrases" and prefix* work', schema: { type: 'string' } },
+  city: { name: 'city', in: 'query', description: 'Any of these cities', schema: { type: 'array', items: { type: 'string' } } },
+  state: { name: 'state', in: 'query', description: 'Any of these states', schema: { type: 'array', items: { type: 'string' } } },
+  pin_code: { name: 'pin_code', in: 'query', description: 'Pin code starting with any of these', schema: { type: 'array', items: { type: 'string' } } },
+  tag: { name: 'tag', in: 'query', description: 'Any of these tags', schema: { type: 'array', items: { type: 'string' } } },
+  created_after: { name: 'created_after', in: 'query', allowReserved: true, description: 'ISO date or timestamp, inclusive', schema: { type: 'string' } },
+  addresses: { name: 'addresses', in: 'query', description: 'Customers with no or with several live addresses', schema: { type: 'string', enum: ['none', 'multiple'] } },
+  ids: { name: 'ids', in: 'query', description: 'Only these customers, e.g. a selection to export', schema: { type: 'array', items: { type: 'integer', minimum: 1 } } },
+  sort: {
+    name: 'sort',
+    in: 'query',
+    allowReserved: true,
+    description: `One of ${SORTS.join(', ')}. Defaults to relevance with \`search\`, otherwise id:asc; unknown fields sort by id.`,
+    schema: { type: 'string' },
+  },
+  deleted: { name: 'deleted', in: 'query', description: 'Admins only: list the trash, or everything', schema: { type: 'string', enum: ['only', 'include'] } },
+};
+
+const paths = {
+  '/customers': {
+    get: {
+      operationId: 'listCustomers',
+      tags: ['Customers'],
+      summary: 'List, search and filter customers',
+      description: 'Pages by `page`, or by keyset with `after` / `before` taken from `meta.next_cursor` / `meta.prev_cursor`.',
+      parameters: [
+        { name: 'page', in: 'query', description: 'Defaults to 1', schema: { type: 'integer', minimum: 1 } },
+        { name: 'limit', in: 'query', description: 'Defaults to 10', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE } },
+        { name: 'after', in: 'query', description: 'Cursor; not with page or before', schema: { type: 'string' } },
+        { name: 'before', in: 'query', description: 'Cursor; not with page or after', schema: { type: 'string' } },
+        ...LIST_FILTERS,
+      ],
+      responses: {
+        200: success('A page of customers', { type: 'array', items: ref('CustomerListItem') }, { meta: ref('PageMeta') }),
+        ...failures(400, 403),
+      },
+    },
+    post: {
+      operationId: 'createCustomer',
+      tags: ['Customers'],
+      summary: 'Create a customer, optionally with addresses',
+      parameters: [idempotencyKey],
+      requestBody: jsonBody(ref('NewCustomer')),
+      responses: {
+        201: success('The new customer', ref('CustomerWithAddresses'), { message: true }),
+        ...failures(400, 403, 409),
+      },
+    },
+  },
+  '/customers/facets': {
+    get: {
+      operationId: 'getCustomerFacets',
+      tags: ['Customers'],
+      summary: 'Counts per city, state, tag and address count for the list filters',
+      parameters: LIST_FILTERS,
+      responses: { 200: success('Facet counts', ref('Facets')), ...failures(400, 403) },
+    },
+  },
+  '/customers/duplicates': {
+    get: {
+      operationId: 'findDuplicateCustomers',
+      tags: ['Customers'],
+      summary: 'Pairs of customers that may be the same person, best match first',
+      parameters: [
+        { name: 'customer_id', in: 'query', description: 'Only pairs including this customer', schema: { type: 'integer', minimum: 1 } },
+        { name: 'min_score', in: 'query', description: 'Defaults to 0.5', schema: { type: 'number', minimum: 0, maximum: 1 } },
+        { name: 'limit', in: 'query', description: 'Defaults to 20', schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE } },
+      ],
+      responses: { 200: success('Scored pairs', { type: 'array', items: ref('DuplicatePair') }), ...failures(400, 403, 404) },
+    },
+  },
+  '/customers/export': {
+    get: {
+      operationId: 'exportCustomers',
+      tags: ['Customers'],
+      summary: 'Download every customer matching the list filters',
+      parameters: [
+        { name: 'format', in: 'query', description: 'Defaults to csv', schema: { type: 'string', enum: Object.keys(FORMATS) } },
+        ...LIST_FILTERS,
+      ],
+      responses: {
+        200: {
+          description: 'The file, as an attachment',
+          content: Object.fromEntries(Object.values(FORMATS).map(({ contentType }) => [
+            contentType.split(';')[0], { schema: { type: 'string', format: 'binary' } },
+          ])),
+        },
+        ...failures(400, 403),
+      },
+    },
+  },
+  '/customers/import': {
+    post: {
+      operationId: 'importCustomers',
+      tags: ['Customers'],
+      summary: 'Import customers from a CSV or XLSX file',
+      description: 'With `dry_run`, only reports what would be imported. Rows with errors are skipped.',
+      parameters: [{ name: 'dry_run', in: 'query', description: 'Only report what would be imported', schema: { type: 'boolean' } }],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['file'],
+              properties: {
+                file: { type: 'string', format: 'binary', description: '.csv or .xlsx, at most 5 MB' },
+                mapping: { type: 'string', description: 'JSON object of field to column header; by header name when left out' },
+              },
+            },
+          },
+        },
+      },
+      responses: { 200: success('The import report', ref('ImportReport'), { message: true }), ...failures(400, 403) },
+    },
+  },
+  '/customers/batch': {
+    post: {
+      operationId: 'batchCustomers',
+      tags: ['Customers'],
+      summary: 'Apply one action to many customers',
+      description: 'Runs in a single transaction. Customers succeed or fail one by one: a failure undoes only '
+        + 'that customer\'s changes and is reported in its result.',
+      requestBody: jsonBody(ref('BatchRequest')),
+      responses: { 200: success('A result per customer', ref('BatchResult'), { message: true }), ...failures(400, 403) },
+    },
+  },
+  '/customers/purge': {
+    post: {
+      operationId: 'purgeCustomers',
+      tags: ['Customers'],
+      summary: 'Permanently remove what has been in the trash too long',
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: { type: 'object', properties: { older_than_days: { type: 'integer', minimum: 0, description: 'Defaults to TRASH_RETENTION_DAYS (30)' } } },
+          },
+        },
+      },
+      responses: {
+        200: success('What was removed', {
+          type: 'object',
+          required: ['customers', 'addresses', 'cutoff'],
+          properties: { customers: { type: 'integer' }, addresses: { type: 'integer' }, cutoff: { type: 'string', format: 'date-time' } },
+        }, { message: true }),
+        ...failures(400, 403),
+      },
+    },
+  },
+  '/customers/{id}': {
+    parameters: [customerId],
+    get: {
+      operationId: 'getCustomer',
+      tags: ['Customers'],
+      summary: 'A customer with its addresses',
+      responses: { 200: withETag(success('The customer', ref('CustomerWithAddresses'))), ...failures(400, 403, 404) },
+    },
+    put: {
+      operationId: 'updateCustomer',
+      tags: ['Customers'],
+      summary: 'Change some fields of a customer',
+      parameters: [ifMatch],
+      requestBody: jsonBody(ref('CustomerUpdate')),
+      responses: { 200: withETag(success('The updated customer', ref('Customer'), { message: true })), ...failures(400, 403, 404, 409) },
+    },
+    delete: {
+      operationId: 'deleteCustomer',
+      tags: ['Customers'],
+      summary: 'Move a customer and its addresses to the trash',
+      responses: { 200: success('Deleted', null, { message: true }), ...failures(400, 403, 404) },
+    },
+  },
+  '/customers/{id}/restore': {
+    parameters: [customerId],
+    post: {
+      operationId: 'restoreCustomer',
+      tags: ['Customers'],
+      summary: 'Take a customer back out of the trash',
+      responses: { 200: success('The restored customer', ref('CustomerWithAddresses'), { message: true }), ...failures(400, 403, 404, 409) },
+    },
+  },
+  '/customers/{id}/merge': {
+    parameters: [customerId],
+    post: {
+      operationId: 'mergeCustomers',
+      tags: ['Customers'],
+      summary: 'Fold another customer into this one',
+      description: 'The duplicate\'s addresses and tags move over and it goes to the trash.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['duplicate_id'],
+        properties: {
+          duplicate_id: { type: 'integer', minimum: 1 },
+          keep: {
+            type: 'object',
+            description: 'Per field, whose value to keep, e.g. { "phone_number": "duplicate" }; the survivor\'s by default',
+            additionalProperties: { type: 'string', enum: ['survivor', 'duplicate'] },
+          },
+        },
+      }),
+      responses: { 200: success('The merged customer', ref('CustomerWithAddresses'), { message: true }), ...failures(400, 403, 404, 409) },
+    },
+  },
+  '/customers/{id}/history': {
+    parameters: [customerId],
+    get: {
+      operationId: 'getCustomerHistory',
+      tags: ['Customers'],
+      summary: 'Changes to the customer and its addresses, newest first',
+      responses: { 200: success('Audit entries', { type: 'array', items: ref('HistoryEntry') }), ...failures(400, 403, 404) },
+    },
+  },
+  '/customers/{id}/addresses': {
+    parameters: [customerId],
+    get: {
+      operationId: 'listCustomerAddresses',
+      tags: ['Addresses'],
+      summary: 'Live addresses of a customer',
+      responses: { 200: success('The addresses', { type: 'array', items: ref('Address') }), ...failures(400, 403, 404) },
+    },
+    post: {
+      operationId: 'addCustomerAddress',
+      tags: ['Addresses'],
+      summary: 'Add an address; the first one becomes the primary address',
+      parameters: [idempotencyKey],
+      requestBody: jsonBody(ref('NewAddress')),
+      responses: { 201: success('The new address', ref('Address'), { message: true }), ...failures(400, 403, 404, 409) },
+    },
+  },
+  '/addresses/pin-codes/{pinCode}': {
+    get: {
+      operationId: 'lookupPinCode',
+      tags: ['Addresses'],
+      summary: 'City and state of a pin code, to fill in address forms',
+      parameters: [{ name: 'pinCode', in: 'path', required: true, schema: { type: 'string' }, example: '530002' }],
+      responses: { 200: success('What is known about the pin code', ref('PinCode')), ...failures(403, 404) },
+    },
+  },
+  '/addresses/{addressId}': {
+    parameters: [addressId],
+    put: {
+      operationId: 'updateAddress',
+      tags: ['Addresses'],
+      summary: 'Change some fields of an address',
+      parameters: [ifMatch],
+      requestBody: jsonBody(ref('AddressUpdate')),
+      responses: { 200: withETag(success('The updated address', ref('Address'), { message: true })), ...failures(400, 403, 404, 409) },
+    },
+    delete: {
+      operationId: 'deleteAddress',
+      tags: ['Addresses'],
+      summary: 'Move an address to the trash; the oldest remaining one becomes primary if need be',
+      responses: { 200: success('Deleted', null, { message: true }), ...failures(400, 403, 404) },
+    },
+  },
+  '/addresses/{addressId}/primary': {
+    parameters: [addressId],
+    post: {
+      operationId: 'setPrimaryAddress',
+      tags: ['Addresses'],
+      summary: 'Make this the customer\'s primary address',
+      responses: { 200: success('The address', ref('Address'), { message: true }), ...failures(400, 403, 404) },
+    },
+  },
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Customer management API',
+    version: '1.0.0',
+    description: 'Every answer is JSON of the form `{ success, data?, meta?, message? }`, or '
+      + '`{ success: false, code, message, errors?, data? }` on failure. Sign in with POST /api/auth/login '
+      + 'and send the token as `Authorization: Bearer <token>`. Changes to customers and addresses are also '
+      + 'streamed as server-sent events from GET /api/events, which takes the token as `?access_token=` too.',
+  },
+  servers: [{ url: '/api' }],
+  tags: [{ name: 'Customers' }, { name: 'Addresses' }],
+  security: [{ bearerAuth: [] }],
+  paths,
+  components: {
+    securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+    schemas,
+    parameters,
+    responses: {
+      BadRequest: errorResponse('The request is invalid; `errors` names the fields at fault'),
+      Unauthorized: errorResponse('Missing, invalid or expired session token'),
+      Forbidden: errorResponse('The user\'s role does not allow this'),
+      NotFound: errorResponse('No such customer or address'),
+      Conflict: errorResponse('Clashes with another customer, e.g. PHONE_NUMBER_TAKEN or EMAIL_TAKEN, or VERSION_CONFLICT: '
+        + 'the record changed since the version the request is based on, and `data` holds its current state'),
+    },
+  },
+};
+
+module.exports = { openApiDocument };
@@ -0,0 +1,18 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+// Region assumed for numbers written without a +country prefix, as an ISO
+// 3166 code such as IN or US.
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+/**
+ * Parses a phone number as typed ("98765 43210", "+91-9876543210",
+ * "0091 98765 43210", ...) into E.164 ("+919876543210").
+ * @returns {string|null} null unless it is a valid number
+ */
+function normalizePhone(phone_number, country = DEFAULT_PHONE_COUNTRY) {
+  if (phone_number === null || phone_number === undefined) return null;
+  const parsed = parsePhoneNumberFromString(String(phone_number), country);
+  return parsed && parsed.isValid() ? parsed.number : null;
+}
+
+module.exports = { DEFAULT_PHONE_COUNTRY, normalizePhone };
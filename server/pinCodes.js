@@ -0,0 +1,82 @@
+const path = require('path');
+
+// Offline PIN code data: the state(s) served by each 2- or 3-digit prefix,
+// plus the city of individual pin codes. PIN_CODE_DATA may point to a fuller
+// file of the same shape, e.g. one generated from India Post's directory.
+const PIN_CODE_DATA = process.env.PIN_CODE_DATA || path.join(__dirname, 'data', 'pin-codes.json');
+
+// Six digits, not starting with 0.
+const PIN_CODE = /^[1-9]\d{5}$/;
+
+/**
+ * @typedef {Object} PinCodeInfo
+ * @property {string} pin_code
+ * @property {string[]} states every state the pin code may belong to; one for most
+ * @property {string|null} city null unless the pin code itself is in the data
+ * @property {string[]} aliases other accepted spellings of the city
+ */
+
+let data = null;
+
+function loadData() {
+  if (!data) data = require(PIN_CODE_DATA);
+  return data;
+}
+
+/** " 530 002" -> "530002" */
+function normalizePinCode(value) {
+  return String(value === null || value === undefined ? '' : value).replace(/\s+/g, '');
+}
+
+function isPinCode(value) {
+  return PIN_CODE.test(normalizePinCode(value));
+}
+
+/**
+ * What the data knows about a pin code.
+ * @returns {PinCodeInfo|null} null for malformed or unknown pin codes (e.g.
+ *   the 9xxxxx Army Postal Service range)
+ */
+function lookupPinCode(value) {
+  const pin_code = normalizePinCode(value);
+  if (!PIN_CODE.test(pin_code)) return null;
+  const { prefixes, pin_codes } = loadData();
+  const entry = pin_codes[pin_code];
+  if (entry) return { pin_code, states: [entry.state], city: entry.city, aliases: entry.aliases || [] };
+
+  const states = prefixes[pin_code.slice(0, 3)] || prefixes[pin_code.slice(0, 2)];
+  if (!states) return null;
+  return { pin_code, states: [].concat(states), city: null, aliases: [] };
+}
+
+/** "Jammu & Kashmir" and "jammu and kashmir" compare equal. */
+function samePlace(a, b) {
+  const key = (name) => String(name || '').toLowerCase().replace(/&/g, 'and').replace(/[^\p{L}]/gu, '');
+  return key(a) === key(b);
+}
+
+/**
+ * Fills in a missing city and state from the pin code and checks given ones
+ * against it. Cities are only known, and only checked, for pin codes in the
+ * data.
+ * @param {{ city?: string, state?: string, pin_code: string }} address
+ * @returns {{ address: { city?: string, state?: string, pin_code: string }, error: string|null, field?: string }}
+ *   the address with the canonical city and state filled in; `field` is the one at odds with the pin code
+ */
+function resolvePinCode({ city, state, pin_code }) {
+  const info = lookupPinCode(pin_code);
+  const address = { city, state, pin_code: normalizePinCode(pin_code) };
+  if (!info) return { address, error: null };
+
+  if (state && !info.states.some((s) => samePlace(s, state))) {
+    return { address, error: `pin_code ${info.pin_code} is in ${info.states.join(' or ')}, not ${state}`, field: 'state' };
+  }
+  if (city && info.city && ![info.city, ...info.aliases].some((c) => samePlace(c, city))) {
+    return { address, error: `pin_code ${info.pin_code} is in ${info.city}, not ${city}`, field: 'city' };
+  }
+  if (!city && info.city) address.city = info.city;
+  if (!state && info.states.length === 1) address.state = info.states[0];
+  return { address, error: null };
+}
+
+module.exports = { PIN_CODE, normalizePinCode, isPinCode, lookupPinCode, resolvePinCode };
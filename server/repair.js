@@ -0,0 +1,33 @@
+// Usage: node repair.js [--purge]
+// Reports addresses whose customer no longer exists; --purge deletes them.
+const { openDatabase } = require('./db');
+const { findOrphanedAddresses, purgeOrphanedAddresses } = require('./integrity');
+
+async function main() {
+  const purge = process.argv.includes('--purge');
+  const db = await openDatabase();
+  try {
+    const orphans = await findOrphanedAddresses(db);
+    if (orphans.length === 0) {
+      console.log('No orphaned addresses found.');
+      return;
+    }
+    console.log(`Found ${orphans.length} orphaned address(es):`);
+    orphans.forEach((a) => {
+      console.log(`  address ${a.id} -> missing customer ${a.customer_id}: ${a.address_details}, ${a.city}`);
+    });
+    if (purge) {
+      const removed = await purgeOrphanedAddresses(db);
+      console.log(`Purged ${removed} orphaned address(es).`);
+    } else {
+      console.log('Run with --purge to delete them.');
+    }
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
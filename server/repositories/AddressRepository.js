@@ -0,0 +1,162 @@
+const { run, all, get, transaction } = require('../db');
+
+/**
+ * @typedef {Object} Address
+ * @property {number} id
+ * @property {number} customer_id
+ * @property {string} address_details
+ * @property {string} city
+ * @property {string} state
+ * @property {string} pin_code
+ * @property {'home'|'work'|'billing'|'shipping'|'other'} type
+ * @property {0|1} is_primary exactly one live address per customer, if it has any
+ * @property {string|null} deleted_at
+ * @property {number} version incremented by every change to the address
+ */
+
+/**
+ * @typedef {Object} AddressInput
+ * @property {string} address_details
+ * @property {string} city
+ * @property {string} state
+ * @property {string} pin_code
+ * @property {string} [type] 'other' when left out
+ */
+
+const ADDRESS_TYPES = ['home', 'work', 'billing', 'shipping', 'other'];
+const UPDATABLE_FIELDS = ['address_details', 'city', 'state', 'pin_code', 'type'];
+
+class AddressRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** Runs `work` inside a transaction on this repository's connection. */
+  transaction(work) {
+    return transaction(this.db, work);
+  }
+
+  /** @returns {Promise<Address|undefined>} */
+  findById(id, { includeDeleted = false } = {}) {
+    const sql = `SELECT * FROM addresses WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`;
+    return get(this.db, sql, [id]);
+  }
+
+  /** @returns {Promise<Address[]>} */
+  listByCustomer(customerId) {
+    return all(this.db, `SELECT * FROM addresses WHERE customer_id = ? AND deleted_at IS NULL`, [customerId]);
+  }
+
+  /** @returns {Promise<Address|undefined>} the customer's live primary address */
+  findPrimary(customerId) {
+    return get(this.db, `SELECT * FROM addresses WHERE customer_id = ? AND is_primary = 1 AND deleted_at IS NULL`, [customerId]);
+  }
+
+  /** @returns {Promise<Map<number, Address>>} live primary address per customer id, where there is one */
+  async findPrimaries(customerIds) {
+    if (customerIds.length === 0) return new Map();
+    const rows = await all(this.db, `
+      SELECT * FROM addresses
+      WHERE customer_id IN (${customerIds.map(() => '?').join(',')}) AND is_primary = 1 AND deleted_at IS NULL
+    `, customerIds);
+    return new Map(rows.map((row) => [row.customer_id, row]));
+  }
+
+  /** The customer's oldest live address, the fallback primary. */
+  findOldest(customerId) {
+    return get(this.db, `SELECT * FROM addresses WHERE customer_id = ? AND deleted_at IS NULL ORDER BY id LIMIT 1`, [customerId]);
+  }
+
+  /**
+   * Trashed addresses of live customers; addresses of trashed customers are
+   * purged together with their customer.
+   * @returns {Promise<Address[]>}
+   */
+  findDeletedBefore(cutoff) {
+    return all(this.db, `
+      SELECT a.* FROM addresses a
+      JOIN customers c ON c.id = a.customer_id
+      WHERE a.deleted_at IS NOT NULL AND a.deleted_at < ? AND c.deleted_at IS NULL
+      ORDER BY a.id
+    `, [cutoff]);
+  }
+
+  /**
+   * @param {number} customerId
+   * @param {AddressInput} data
+   * @param {{ primary?: boolean }} [options]
+   * @returns {Promise<number>} id of the new address
+   */
+  async create(customerId, { address_details, city, state, pin_code, type = 'other' }, { primary = false } = {}) {
+    const sql = `INSERT INTO addresses (customer_id, address_details, city, state, pin_code, type, is_primary) VALUES (?,?,?,?,?,?,?)`;
+    const result = await run(this.db, sql, [customerId, address_details, city, state, pin_code, type || 'other', primary ? 1 : 0]);
+    return result.id;
+  }
+
+  /**
+   * Updates the given fields; empty or unknown fields are ignored.
+   * @returns {Promise<number>} number of changed rows
+   */
+  async update(id, fields) {
+    const updates = [];
+    const params = [];
+    for (const field of UPDATABLE_FIELDS) {
+      if (fields[field]) { updates.push(`${field} = ?`); params.push(fields[field]); }
+    }
+    if (updates.length === 0) return 0;
+
+    params.push(id);
+    const result = await run(this.db, `UPDATE addresses SET ${updates.join(', ')}, version = version + 1 WHERE id = ? AND deleted_at IS NULL`, params);
+    return result.changes;
+  }
+
+  /**
+   * Sets or clears the primary flag. Clear the customer's current primary
+   * first: the unique index allows one per customer.
+   */
+  async setPrimary(id, primary) {
+    const result = await run(this.db, `UPDATE addresses SET is_primary = ?, version = version + 1 WHERE id = ? AND deleted_at IS NULL`, [primary ? 1 : 0, id]);
+    return result.changes;
+  }
+
+  async softDelete(id, deletedAt) {
+    const result = await run(this.db, `UPDATE addresses SET deleted_at = ?, version = version + 1 WHERE id = ? AND deleted_at IS NULL`, [deletedAt, id]);
+    return result.changes;
+  }
+
+  /**
+   * Trashes the customer's live addresses with the customer's own timestamp,
+   * which is how restoreByCustomer tells them apart from addresses that were
+   * deleted individually earlier.
+   */
+  async softDeleteByCustomer(customerId, deletedAt) {
+    const result = await run(this.db, `UPDATE addresses SET deleted_at = ?, version = version + 1 WHERE customer_id = ? AND deleted_at IS NULL`, [deletedAt, customerId]);
+    return result.changes;
+  }
+
+  async restoreByCustomer(customerId, deletedAt) {
+    const result = await run(this.db, `UPDATE addresses SET deleted_at = NULL, version = version + 1 WHERE customer_id = ? AND deleted_at = ?`, [customerId, deletedAt]);
+    return result.changes;
+  }
+
+  /**
+   * Hands a live address over to another customer, see
+   * CustomerService#mergeCustomers. It arrives as a secondary address.
+   */
+  async moveToCustomer(id, customerId) {
+    const result = await run(this.db, `UPDATE addresses SET customer_id = ?, is_primary = 0, version = version + 1 WHERE id = ? AND deleted_at IS NULL`, [customerId, id]);
+    return result.changes;
+  }
+
+  /** Permanent. */
+  async remove(id) {
+    const result = await run(this.db, `DELETE FROM addresses WHERE id = ?`, [id]);
+    return result.changes;
+  }
+}
+
+AddressRepository.ADDRESS_TYPES = ADDRESS_TYPES;
+AddressRepository.UPDATABLE_FIELDS = UPDATABLE_FIELDS;
+
+module.exports = AddressRepository;
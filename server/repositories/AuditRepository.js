@@ -0,0 +1,89 @@
+const { run, all, get, transaction, onCommit } = require('../db');
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} id
+ * @property {'customer'|'address'} entity
+ * @property {number} entity_id
+ * @property {number} customer_id
+ * @property {'create'|'update'|'delete'|'restore'|'purge'|'merge'} action
+ * @property {Object|null} before
+ * @property {Object|null} after
+ * @property {{ id: number, username: string }|null} actor
+ * @property {string} created_at
+ */
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    entity: row.entity,
+    entity_id: row.entity_id,
+    customer_id: row.customer_id,
+    action: row.action,
+    before: row.before_json ? JSON.parse(row.before_json) : null,
+    after: row.after_json ? JSON.parse(row.after_json) : null,
+    actor: row.actor_id ? { id: row.actor_id, username: row.actor_username } : null,
+    created_at: row.created_at,
+  };
+}
+
+class AuditRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * @param {{ entity: string, entity_id: number, customer_id: number, action: string,
+   *           before?: Object, after?: Object, actor?: { id: number, username: string } }} change
+   */
+  async record({ entity, entity_id, customer_id, action, before, after, actor }) {
+    const sql = `INSERT INTO audit_log (entity, entity_id, customer_id, action, before_json, after_json, actor_id, actor_username)
+      VALUES (?,?,?,?,?,?,?,?)`;
+    await run(this.db, sql, [
+      entity,
+      entity_id,
+      customer_id,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      actor ? actor.id : null,
+      actor ? actor.username : null,
+    ]);
+  }
+
+  /**
+   * Entries after the one with id `afterId`, oldest first.
+   * @param {number} afterId
+   * @param {number} [limit]
+   * @returns {Promise<AuditEntry[]>}
+   */
+  async listSince(afterId, limit = -1) {
+    const rows = await all(this.db, `SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ?`, [afterId, limit]);
+    return rows.map(toEntry);
+  }
+
+  /** Id of the newest entry, 0 while there are none. */
+  async latestId() {
+    const row = await get(this.db, `SELECT MAX(id) AS id FROM audit_log`);
+    return row.id || 0;
+  }
+
+  /** Runs `work` inside a transaction on this repository's connection. */
+  transaction(work) {
+    return transaction(this.db, work);
+  }
+
+  /** See db.js onCommit. */
+  onCommit(listener) {
+    return onCommit(this.db, listener);
+  }
+
+  /** @returns {Promise<AuditEntry[]>} newest first, including address changes */
+  async listForCustomer(customerId) {
+    const rows = await all(this.db, `SELECT * FROM audit_log WHERE customer_id = ? ORDER BY id DESC`, [customerId]);
+    return rows.map(toEntry);
+  }
+}
+
+module.exports = AuditRepository;
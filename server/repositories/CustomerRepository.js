@@ -0,0 +1,401 @@
+const { run, all, get, transaction, savepoint } = require('../db');
+const { MARK_START, MARK_END } = require('../search');
+
+/**
+ * @typedef {Object} Customer
+ * @property {number} id
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {string} phone_number as entered
+ * @property {string|null} phone_e164 normalized phone_number, see phone.js
+ * @property {string|null} email lower-cased
+ * @property {string|null} date_of_birth YYYY-MM-DD
+ * @property {string|null} notes
+ * @property {string} created_at
+ * @property {string} updated_at changed by every update
+ * @property {string|null} deleted_at set while the customer is in the trash
+ * @property {number} version incremented by every change to the customer or its addresses
+ */
+
+/**
+ * @typedef {Object} CustomerQuery
+ * @property {number} page
+ * @property {number} limit
+ * @property {string} [match] FTS5 expression over customer_search, see search.js
+ * @property {string|string[]} [city] any of these cities
+ * @property {string|string[]} [state] any of these states
+ * @property {string|string[]} [pin_code] pin code starting with any of these
+ * @property {'none'|'multiple'} [addresses] customers with no or with several live addresses
+ * @property {string|string[]} [tag] customers with any of these tags
+ * @property {string} [created_after] ISO date or timestamp, inclusive
+ * @property {string} [sort] field:direction, e.g. "last_name:desc", or "relevance" with `match`
+ * @property {'only'|'include'} [deleted] trashed customers are excluded unless set
+ * @property {number[]} [ids] only these customers
+ */
+
+/**
+ * Where a row sits in a column sort: its value in the sort column plus its id.
+ * @typedef {{ value: string|number, id: number }} SortPosition
+ */
+
+const SORTABLE_FIELDS = ['first_name', 'last_name', 'id', 'phone_number'];
+const UPDATABLE_FIELDS = ['first_name', 'last_name', 'phone_number', 'email', 'date_of_birth', 'notes'];
+// Optional fields; null clears them.
+const NULLABLE_FIELDS = ['email', 'date_of_birth', 'notes'];
+// phone_e164 is derived from phone_number by CustomerService, never taken from a request.
+const WRITABLE_COLUMNS = [...UPDATABLE_FIELDS, 'phone_e164'];
+const NOW_SQL = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+// bm25 weights for the customer_search columns: name, address, phone_digits
+const RANK_WEIGHTS = '10.0, 2.0, 5.0';
+// Number of live addresses of the customer in the outer query.
+const ADDRESS_COUNT_SQL = `(SELECT COUNT(*) FROM addresses a WHERE a.customer_id = customers.id AND a.deleted_at IS NULL)`;
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+}
+
+/** "last_name:desc" -> { field: 'last_name', dir: 'DESC' }; unknown fields sort by id. */
+function normalizeSort(sort = 'id:asc') {
+  const [field, dir] = sort.split(':');
+  return {
+    field: SORTABLE_FIELDS.includes(field) ? field : 'id',
+    dir: (dir && dir.toUpperCase() === 'DESC') ? 'DESC' : 'ASC',
+  };
+}
+
+/** @returns {SortPosition} */
+function sortPosition(row, { field }) {
+  return { value: row[field], id: row.id };
+}
+
+function likePrefix(value) {
+  return value.replace(/[\\%_]/g, (ch) => `\\${ch}`) + '%';
+}
+
+const HIGHLIGHT_COLUMNS = `
+  highlight(customer_search, 0, '${MARK_START}', '${MARK_END}') AS highlight_name,
+  snippet(customer_search, 1, '${MARK_START}', '${MARK_END}', '…', 12) AS highlight_address`;
+
+class CustomerRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** Runs `work` inside a transaction on this repository's connection. */
+  transaction(work) {
+    return transaction(this.db, work);
+  }
+
+  /** Runs `work` inside a savepoint of the transaction in progress; see db.js. */
+  savepoint(work) {
+    return savepoint(this.db, work);
+  }
+
+  /**
+   * FROM, WHERE and ORDER BY clauses shared by the paged list and the export.
+   * @param {CustomerQuery} query
+   */
+  buildQuery({ match, city, state, pin_code, addresses, tag, created_after, sort = 'id:asc', deleted, ids }) {
+    const whereParts = [];
+    const params = [];
+    let fromSql = 'FROM customers';
+
+    if (deleted === 'only') whereParts.push('deleted_at IS NOT NULL');
+    else if (deleted !== 'include') whereParts.push('deleted_at IS NULL');
+
+    if (match) {
+      fromSql += ' JOIN customer_search ON customer_search.rowid = customers.id';
+      whereParts.push('customer_search MATCH ?');
+      params.push(match);
+    }
+    // Each filter may be met by a different address of the customer.
+    for (const [column, values] of [['city', toList(city)], ['state', toList(state)]]) {
+      if (values.length === 0) continue;
+      whereParts.push(`id IN (SELECT customer_id FROM addresses WHERE ${column} IN (${values.map(() => '?').join(',')}) AND deleted_at IS NULL)`);
+      params.push(...values);
+    }
+    const pinPrefixes = toList(pin_code);
+    if (pinPrefixes.length) {
+      const likes = pinPrefixes.map(() => `pin_code LIKE ? ESCAPE '\\'`).join(' OR ');
+      whereParts.push(`id IN (SELECT customer_id FROM addresses WHERE (${likes}) AND deleted_at IS NULL)`);
+      params.push(...pinPrefixes.map(likePrefix));
+    }
+    if (addresses === 'none') whereParts.push(`${ADDRESS_COUNT_SQL} = 0`);
+    else if (addresses === 'multiple') whereParts.push(`${ADDRESS_COUNT_SQL} > 1`);
+    const tags = toList(tag);
+    if (tags.length) {
+      // tags.name is COLLATE NOCASE, so IN matches regardless of case
+      whereParts.push(`id IN (SELECT ct.customer_id FROM customer_tags ct JOIN tags t ON t.id = ct.tag_id WHERE t.name IN (${tags.map(() => '?').join(',')}))`);
+      params.push(...tags);
+    }
+    if (created_after) {
+      whereParts.push('created_at >= ?');
+      params.push(created_after);
+    }
+    if (ids) {
+      whereParts.push(ids.length ? `customers.id IN (${ids.map(() => '?').join(',')})` : '0');
+      params.push(...ids);
+    }
+
+    const whereSql = whereParts.length ? 'WHERE ' + whereParts.join(' AND ') : '';
+
+    // id breaks ties so that consecutive pages never overlap
+    if (sort === 'relevance' && match) {
+      return { fromSql, whereSql, params, orderSql: `ORDER BY bm25(customer_search, ${RANK_WEIGHTS}), customers.id ASC` };
+    }
+    const { field, dir } = normalizeSort(sort);
+    const orderSql = `ORDER BY customers.${field} ${dir}${field === 'id' ? '' : `, customers.id ${dir}`}`;
+
+    return { fromSql, whereSql, params, orderSql, sort: { field, dir } };
+  }
+
+  /**
+   * Ids of the customers matching `query`, in its sort order; at most
+   * `limit` of them.
+   * @param {CustomerQuery} query
+   * @returns {Promise<number[]>}
+   */
+  async findIds(query, limit = -1) {
+    const { fromSql, whereSql, params, orderSql } = this.buildQuery(query);
+    const rows = await all(this.db, `SELECT customers.id ${fromSql} ${whereSql} ${orderSql} LIMIT ?`, [...params, limit]);
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * With `match`, rows also carry highlight_name and highlight_address: the
+   * name and the best address fragment with matched words between MARK_START
+   * and MARK_END (see search.js).
+   * @param {CustomerQuery} query
+   * @returns {Promise<{ rows: Customer[], total: number }>}
+   */
+  async findPage(query) {
+    const { page, limit } = query;
+    const { fromSql, whereSql, params, orderSql } = this.buildQuery(query);
+
+    const totalRow = await get(this.db, `SELECT COUNT(*) as count ${fromSql} ${whereSql}`, params);
+    const total = (totalRow && totalRow.count) ? totalRow.count : 0;
+
+    const columns = query.match ? `customers.*, ${HIGHLIGHT_COLUMNS}` : 'customers.*';
+    const sql = `SELECT ${columns} ${fromSql} ${whereSql} ${orderSql} LIMIT ? OFFSET ?`;
+    const rows = await all(this.db, sql, [...params, limit, (page - 1) * limit]);
+    return { rows, total };
+  }
+
+  /**
+   * Keyset pagination: up to `limit` rows right after or right before a
+   * position in the sort order, found through the sort index instead of by
+   * skipping rows. Not available for the relevance sort.
+   * @param {CustomerQuery} query
+   * @param {{ after?: SortPosition, before?: SortPosition, limit: number, highlight?: boolean }} slice
+   *   with `match` and `highlight`, rows carry highlights as in findPage
+   * @returns {Promise<{ rows: Customer[], hasMore: boolean }>} rows in sort
+   *   order; hasMore tells whether more rows follow in the direction of travel
+   */
+  async findSlice(query, { after, before, limit, highlight = true }) {
+    const { fromSql, whereSql, params, sort } = this.buildQuery(query);
+    if (!sort) throw new Error('Keyset pagination needs a column sort');
+
+    const position = after || before;
+    const forward = !before;
+    const ascending = (sort.dir === 'ASC') === forward;
+    const order = ascending ? 'ASC' : 'DESC';
+    const orderSql = `ORDER BY customers.${sort.field} ${order}${sort.field === 'id' ? '' : `, customers.id ${order}`}`;
+
+    const whereParts = whereSql ? [whereSql.replace(/^WHERE /, '')] : [];
+    const sliceParams = [...params];
+    if (position) {
+      const op = ascending ? '>' : '<';
+      if (sort.field === 'id') {
+        whereParts.push(`customers.id ${op} ?`);
+        sliceParams.push(position.id);
+      } else {
+        whereParts.push(`(customers.${sort.field}, customers.id) ${op} (?, ?)`);
+        sliceParams.push(position.value, position.id);
+      }
+    }
+
+    const columns = query.match && highlight ? `customers.*, ${HIGHLIGHT_COLUMNS}` : 'customers.*';
+    const sql = `SELECT ${columns} ${fromSql} ${whereParts.length ? 'WHERE ' + whereParts.join(' AND ') : ''} ${orderSql} LIMIT ?`;
+    const rows = await all(this.db, sql, [...sliceParams, limit + 1]);
+    const hasMore = rows.length > limit;
+    rows.length = Math.min(rows.length, limit);
+    if (!forward) rows.reverse();
+    return { rows, hasMore };
+  }
+
+  /**
+   * Yields every customer matching the query, with its live addresses, while
+   * holding only one batch in memory at a time.
+   * @param {CustomerQuery} query page and limit are ignored
+   * @returns {AsyncGenerator<Customer & { tags: string[], addresses: import('./AddressRepository').Address[] }>}
+   */
+  async *iterate(query, { batchSize = 500 } = {}) {
+    // Relevance order has no keyset to resume from; page through it by offset.
+    const { fromSql, whereSql, params, orderSql, sort } = this.buildQuery(query);
+    const offsetSql = `SELECT customers.* ${fromSql} ${whereSql} ${orderSql} LIMIT ? OFFSET ?`;
+    let after = null;
+    for (let offset = 0; ; offset += batchSize) {
+      const rows = sort
+        ? (await this.findSlice(query, { after, limit: batchSize, highlight: false })).rows
+        : await all(this.db, offsetSql, [...params, batchSize, offset]);
+      if (rows.length === 0) return;
+      if (sort) after = sortPosition(rows[rows.length - 1], sort);
+
+      const placeholders = rows.map(() => '?').join(',');
+      const addresses = await all(this.db,
+        `SELECT * FROM addresses WHERE customer_id IN (${placeholders}) AND deleted_at IS NULL ORDER BY id`,
+        rows.map((row) => row.id));
+      const tags = await all(this.db, `
+        SELECT ct.customer_id, t.name FROM customer_tags ct JOIN tags t ON t.id = ct.tag_id
+        WHERE ct.customer_id IN (${placeholders}) ORDER BY t.name COLLATE NOCASE
+      `, rows.map((row) => row.id));
+      for (const row of rows) {
+        yield {
+          ...row,
+          tags: tags.filter((t) => t.customer_id === row.id).map((t) => t.name),
+          addresses: addresses.filter((a) => a.customer_id === row.id),
+        };
+      }
+      if (rows.length < batchSize) return;
+    }
+  }
+
+  /**
+   * Customer counts per city, per state and per tag, and of customers with
+   * no or several addresses. Each facet ignores its own filter, so picking one
+   * state still shows how many customers the other states would add.
+   * @param {CustomerQuery} query
+   * @returns {Promise<{ city: { value: string, count: number }[], state: { value: string, count: number }[],
+   *                     tag: { value: string, count: number }[], addresses: { none: number, multiple: number } }>}
+   */
+  async facets(query, { limit = 50 } = {}) {
+    const valueCounts = (column) => {
+      const { fromSql, whereSql, params } = this.buildQuery({ ...query, [column]: undefined });
+      return all(this.db, `
+        SELECT ${column} AS value, COUNT(DISTINCT customer_id) AS count
+        FROM addresses
+        WHERE deleted_at IS NULL AND customer_id IN (SELECT customers.id ${fromSql} ${whereSql})
+        GROUP BY ${column}
+        ORDER BY count DESC, value ASC
+        LIMIT ?
+      `, [...params, limit]);
+    };
+
+    const { fromSql, whereSql, params } = this.buildQuery({ ...query, addresses: undefined });
+    const counts = await get(this.db, `
+      SELECT COALESCE(SUM(n = 0), 0) AS none, COALESCE(SUM(n > 1), 0) AS multiple
+      FROM (SELECT ${ADDRESS_COUNT_SQL} AS n ${fromSql} ${whereSql})
+    `, params);
+
+    const tagQuery = this.buildQuery({ ...query, tag: undefined });
+    const tag = await all(this.db, `
+      SELECT t.name AS value, COUNT(*) AS count
+      FROM customer_tags ct JOIN tags t ON t.id = ct.tag_id
+      WHERE ct.customer_id IN (SELECT customers.id ${tagQuery.fromSql} ${tagQuery.whereSql})
+      GROUP BY t.id
+      ORDER BY count DESC, value ASC
+      LIMIT ?
+    `, [...tagQuery.params, limit]);
+
+    return { city: await valueCounts('city'), state: await valueCounts('state'), tag, addresses: counts };
+  }
+
+  /** @returns {Promise<Customer|undefined>} */
+  findById(id, { includeDeleted = false } = {}) {
+    const sql = `SELECT * FROM customers WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`;
+    return get(this.db, sql, [id]);
+  }
+
+  /** Only live customers hold a phone number; trashed ones release it. */
+  findByPhone(phone_e164) {
+    return get(this.db, `SELECT * FROM customers WHERE phone_e164 = ? AND deleted_at IS NULL`, [phone_e164]);
+  }
+
+  /** Like phone numbers, emails are only taken by live customers. */
+  findByEmail(email) {
+    return get(this.db, `SELECT * FROM customers WHERE email = ? AND deleted_at IS NULL`, [email]);
+  }
+
+  /** @returns {Promise<Customer[]>} customers trashed before the given ISO timestamp */
+  findDeletedBefore(cutoff) {
+    return all(this.db, `SELECT * FROM customers WHERE deleted_at IS NOT NULL AND deleted_at < ? ORDER BY id`, [cutoff]);
+  }
+
+  /**
+   * @param {{ first_name: string, last_name: string, phone_number: string, phone_e164: string,
+   *           email?: string, date_of_birth?: string, notes?: string }} data
+   * @returns {Promise<number>} id of the new customer
+   */
+  async create({ first_name, last_name, phone_number, phone_e164, email = null, date_of_birth = null, notes = null }) {
+    const sql = `
+      INSERT INTO customers (first_name, last_name, phone_number, phone_e164, email, date_of_birth, notes, created_at, updated_at)
+      VALUES (?,?,?,?,?,?,?, ${NOW_SQL}, ${NOW_SQL})
+    `;
+    const result = await run(this.db, sql, [first_name, last_name, phone_number, phone_e164, email, date_of_birth, notes]);
+    return result.id;
+  }
+
+  /**
+   * Updates the given fields, updated_at and the version; empty or unknown
+   * fields are ignored, except that null clears an optional field.
+   * @returns {Promise<number>} number of changed rows
+   */
+  async update(id, fields) {
+    const updates = [];
+    const params = [];
+    for (const field of WRITABLE_COLUMNS) {
+      const value = fields[field];
+      if (value || (value === null && NULLABLE_FIELDS.includes(field))) { updates.push(`${field} = ?`); params.push(value); }
+    }
+    if (updates.length === 0) return 0;
+
+    params.push(id);
+    const result = await run(this.db, `UPDATE customers SET ${updates.join(', ')}, updated_at = ${NOW_SQL}, version = version + 1 WHERE id = ? AND deleted_at IS NULL`, params);
+    return result.changes;
+  }
+
+  /** Bumps updated_at and the version for changes kept outside the row, such as tags. */
+  async touch(id) {
+    const result = await run(this.db, `UPDATE customers SET updated_at = ${NOW_SQL}, version = version + 1 WHERE id = ?`, [id]);
+    return result.changes;
+  }
+
+  /** Bumps only the version, for changes to the customer's addresses. */
+  async bumpVersion(id) {
+    const result = await run(this.db, `UPDATE customers SET version = version + 1 WHERE id = ?`, [id]);
+    return result.changes;
+  }
+
+  /** Moves the customer to the trash; see AddressRepository#softDeleteByCustomer. */
+  async softDelete(id, deletedAt) {
+    const result = await run(this.db, `UPDATE customers SET deleted_at = ?, version = version + 1 WHERE id = ? AND deleted_at IS NULL`, [deletedAt, id]);
+    return result.changes;
+  }
+
+  async restore(id) {
+    const result = await run(this.db, `UPDATE customers SET deleted_at = NULL, updated_at = ${NOW_SQL}, version = version + 1 WHERE id = ?`, [id]);
+    return result.changes;
+  }
+
+  /** Permanent; addresses are removed with the customer through ON DELETE CASCADE. */
+  async remove(id) {
+    const result = await run(this.db, `DELETE FROM customers WHERE id = ?`, [id]);
+    return result.changes;
+  }
+
+  /** @returns {Promise<import('./AddressRepository').Address[]>} */
+  listAddresses(customerId, { includeDeleted = false } = {}) {
+    const sql = `SELECT * FROM addresses WHERE customer_id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`;
+    return all(this.db, sql, [customerId]);
+  }
+}
+
+CustomerRepository.SORTABLE_FIELDS = SORTABLE_FIELDS;
+CustomerRepository.normalizeSort = normalizeSort;
+CustomerRepository.sortPosition = sortPosition;
+CustomerRepository.UPDATABLE_FIELDS = UPDATABLE_FIELDS;
+CustomerRepository.NULLABLE_FIELDS = NULLABLE_FIELDS;
+
+module.exports = CustomerRepository;
@@ -0,0 +1,55 @@
+const { run, get } = require('../db');
+
+/**
+ * @typedef {Object} IdempotencyKey
+ * @property {number} user_id
+ * @property {string} key
+ * @property {string} method
+ * @property {string} path
+ * @property {number|null} status null while the first request is running
+ * @property {Object|null} response the JSON body it was answered with
+ * @property {string} created_at
+ */
+
+class IdempotencyRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Records `key` as in use by a request that is starting.
+   * @returns {Promise<boolean>} false when the user has used the key already
+   */
+  async claim(userId, key, { method, path }) {
+    const result = await run(this.db,
+      `INSERT OR IGNORE INTO idempotency_keys (user_id, key, method, path) VALUES (?,?,?,?)`,
+      [userId, key, method, path]);
+    return result.changes > 0;
+  }
+
+  /** @returns {Promise<IdempotencyKey|undefined>} */
+  async find(userId, key) {
+    const row = await get(this.db, `SELECT * FROM idempotency_keys WHERE user_id = ? AND key = ?`, [userId, key]);
+    return row && { ...row, response: row.response && JSON.parse(row.response) };
+  }
+
+  /** Saves the response to the request that claimed the key. */
+  async complete(userId, key, status, response) {
+    await run(this.db, `UPDATE idempotency_keys SET status = ?, response = ? WHERE user_id = ? AND key = ?`,
+      [status, JSON.stringify(response), userId, key]);
+  }
+
+  /** Frees the key, so the request may be tried again. */
+  async release(userId, key) {
+    await run(this.db, `DELETE FROM idempotency_keys WHERE user_id = ? AND key = ?`, [userId, key]);
+  }
+
+  /** @returns {Promise<number>} how many keys used before `cutoff` were forgotten */
+  async purgeBefore(cutoff) {
+    const result = await run(this.db, `DELETE FROM idempotency_keys WHERE created_at < ?`, [cutoff]);
+    return result.changes;
+  }
+}
+
+module.exports = IdempotencyRepository;
@@ -0,0 +1,104 @@
+const { run, all, get } = require('../db');
+const { phoneSuffixes, editDistance } = require('../search');
+const { blockingKeys } = require('../duplicates');
+
+// The customer_search FTS5 table: one document per customer with its name,
+// its addresses and the suffixes of its phone digits. Alongside it,
+// customer_match_keys holds each customer's duplicate blocking keys.
+// CustomerService calls reindex() inside every write transaction that
+// touches a customer or one of its addresses.
+class SearchRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** Rewrites the customer's document and keys, or drops them if the customer is gone. */
+  async reindex(customerId) {
+    await run(this.db, `DELETE FROM customer_search WHERE rowid = ?`, [customerId]);
+    await run(this.db, `DELETE FROM customer_match_keys WHERE customer_id = ?`, [customerId]);
+    const customer = await get(this.db, `SELECT * FROM customers WHERE id = ?`, [customerId]);
+    if (!customer) return;
+
+    // A trashed customer stays findable by the addresses trashed along with it.
+    const addresses = await all(this.db, `
+      SELECT * FROM addresses
+      WHERE customer_id = ? AND (deleted_at IS NULL OR deleted_at = ?)
+      ORDER BY id
+    `, [customerId, customer.deleted_at]);
+    const address = addresses
+      .map((a) => [a.address_details, a.city, a.state, a.pin_code].join(', '))
+      .join('\n');
+
+    await run(this.db, `INSERT INTO customer_search (rowid, name, address, phone_digits) VALUES (?,?,?,?)`, [
+      customer.id,
+      `${customer.first_name} ${customer.last_name}`,
+      address,
+      phoneSuffixes(customer.phone_number, customer.phone_e164),
+    ]);
+
+    const keys = [...new Set(blockingKeys({ ...customer, addresses }))];
+    await run(this.db, `INSERT INTO customer_match_keys (customer_id, key) VALUES ${keys.map(() => '(?,?)').join(',')}`,
+      keys.flatMap((key) => [customer.id, key]));
+  }
+
+  async remove(customerId) {
+    await run(this.db, `DELETE FROM customer_match_keys WHERE customer_id = ?`, [customerId]);
+    const result = await run(this.db, `DELETE FROM customer_search WHERE rowid = ?`, [customerId]);
+    return result.changes;
+  }
+
+  /** @returns {Promise<number[]>} customers without match keys yet, written before they were kept */
+  async unkeyedCustomerIds() {
+    const rows = await all(this.db, `
+      SELECT id FROM customers c
+      WHERE NOT EXISTS (SELECT 1 FROM customer_match_keys k WHERE k.customer_id = c.id)
+      ORDER BY id
+    `);
+    return rows.map((row) => row.id);
+  }
+
+  /**
+   * Live customers sharing a match key, as lists of ids: one per key shared
+   * by 2 to `maxSize` of them. With `customerId`, only its keys.
+   * @returns {Promise<number[][]>}
+   */
+  async matchBlocks({ customerId, maxSize }) {
+    const rows = await all(this.db, `
+      SELECT group_concat(k.customer_id) AS ids
+      FROM customer_match_keys k
+      JOIN customers c ON c.id = k.customer_id AND c.deleted_at IS NULL
+      ${customerId === undefined ? '' : 'WHERE k.key IN (SELECT key FROM customer_match_keys WHERE customer_id = ?)'}
+      GROUP BY k.key
+      HAVING COUNT(*) BETWEEN 2 AND ?
+    `, customerId === undefined ? [maxSize] : [customerId, maxSize]);
+    return rows.map((row) => row.ids.split(',').map(Number));
+  }
+
+  /** @returns {Promise<number>} documents matching the FTS5 expression, trashed or not */
+  async countMatches(match) {
+    const row = await get(this.db, `SELECT COUNT(*) AS count FROM customer_search WHERE customer_search MATCH ?`, [match]);
+    return row ? row.count : 0;
+  }
+
+  /**
+   * Indexed words within one edit of `word`, or two for words longer than
+   * five letters, closest first.
+   * @returns {Promise<string[]>}
+   */
+  async similarWords(word, { limit = 10 } = {}) {
+    const maxDistance = word.length > 5 ? 2 : 1;
+    const rows = await all(this.db, `
+      SELECT term FROM customer_search_vocab
+      WHERE length(term) BETWEEN ? AND ? AND term <> ?
+    `, [word.length - maxDistance, word.length + maxDistance, word]);
+    return rows
+      .map(({ term }) => ({ term, distance: editDistance(word, term) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || a.term.localeCompare(b.term))
+      .slice(0, limit)
+      .map(({ term }) => term);
+  }
+}
+
+module.exports = SearchRepository;
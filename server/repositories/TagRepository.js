@@ -0,0 +1,43 @@
+const { run, all } = require('../db');
+
+// Tags are shared between customers through customer_tags. Names compare
+// case-insensitively; the first spelling used is the one kept.
+class TagRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<Map<number, string[]>>} tag names per customer id, sorted */
+  async forCustomers(customerIds) {
+    const tags = new Map(customerIds.map((id) => [id, []]));
+    if (customerIds.length === 0) return tags;
+    const rows = await all(this.db, `
+      SELECT ct.customer_id, t.name FROM customer_tags ct
+      JOIN tags t ON t.id = ct.tag_id
+      WHERE ct.customer_id IN (${customerIds.map(() => '?').join(',')})
+      ORDER BY t.name COLLATE NOCASE
+    `, customerIds);
+    rows.forEach((row) => tags.get(row.customer_id).push(row.name));
+    return tags;
+  }
+
+  /** @returns {Promise<string[]>} */
+  async forCustomer(customerId) {
+    return (await this.forCustomers([customerId])).get(customerId);
+  }
+
+  /** Replaces the customer's tags, creating tags that do not exist yet. */
+  async setForCustomer(customerId, names) {
+    await run(this.db, `DELETE FROM customer_tags WHERE customer_id = ?`, [customerId]);
+    for (const name of names) {
+      await run(this.db, `INSERT OR IGNORE INTO tags (name) VALUES (?)`, [name]);
+      await run(this.db, `
+        INSERT OR IGNORE INTO customer_tags (customer_id, tag_id)
+        SELECT ?, id FROM tags WHERE name = ?
+      `, [customerId, name]);
+    }
+  }
+}
+
+module.exports = TagRepository;
@@ -0,0 +1,92 @@
+const { run, all, get } = require('../db');
+
+/**
+ * @typedef {'viewer'|'agent'|'admin'} Role
+ *
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} username
+ * @property {Role} role
+ * @property {string} created_at
+ */
+
+// Columns safe to return to clients; password_hash never leaves this module
+// except through findCredentials.
+const PUBLIC_COLUMNS = 'id, username, role, created_at';
+
+class UserRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<User[]>} */
+  list() {
+    return all(this.db, `SELECT ${PUBLIC_COLUMNS} FROM users ORDER BY id`);
+  }
+
+  /** @returns {Promise<User|undefined>} */
+  findById(id) {
+    return get(this.db, `SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?`, [id]);
+  }
+
+  /** @returns {Promise<(User & { password_hash: string })|undefined>} */
+  findCredentials(username) {
+    return get(this.db, `SELECT * FROM users WHERE username = ?`, [username]);
+  }
+
+  /** @returns {Promise<number>} id of the new user */
+  async create({ username, password_hash, role }) {
+    const result = await run(this.db, `INSERT INTO users (username, password_hash, role) VALUES (?,?,?)`, [username, password_hash, role]);
+    return result.id;
+  }
+
+  async update(id, { password_hash, role }) {
+    const updates = [];
+    const params = [];
+    if (password_hash) { updates.push('password_hash = ?'); params.push(password_hash); }
+    if (role) { updates.push('role = ?'); params.push(role); }
+    if (updates.length === 0) return 0;
+
+    params.push(id);
+    const result = await run(this.db, `UPDATE users SET ${updates.join(', ')} WHERE id = ?`, params);
+    return result.changes;
+  }
+
+  async remove(id) {
+    const result = await run(this.db, `DELETE FROM users WHERE id = ?`, [id]);
+    return result.changes;
+  }
+
+  async countByRole(role) {
+    const row = await get(this.db, `SELECT COUNT(*) as count FROM users WHERE role = ?`, [role]);
+    return row.count;
+  }
+
+  async createSession(tokenHash, userId, expiresAt) {
+    await run(this.db, `INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?,?,?)`, [tokenHash, userId, expiresAt]);
+  }
+
+  /** @returns {Promise<User|undefined>} the session owner, if the session is still valid */
+  findSessionUser(tokenHash, now) {
+    return get(this.db, `
+      SELECT u.id, u.username, u.role, u.created_at FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.expires_at > ?
+    `, [tokenHash, now]);
+  }
+
+  async deleteSession(tokenHash) {
+    await run(this.db, `DELETE FROM sessions WHERE token_hash = ?`, [tokenHash]);
+  }
+
+  async deleteSessionsForUser(userId) {
+    await run(this.db, `DELETE FROM sessions WHERE user_id = ?`, [userId]);
+  }
+
+  async deleteExpiredSessions(now) {
+    await run(this.db, `DELETE FROM sessions WHERE expires_at <= ?`, [now]);
+  }
+}
+
+module.exports = UserRepository;
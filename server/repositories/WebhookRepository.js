@@ -0,0 +1,167 @@
+const { run, all, get, transaction } = require('../db');
+
+/**
+ * @typedef {'customer.created'|'customer.updated'|'customer.deleted'|'customer.restored'|'customer.purged'} WebhookEvent
+ *
+ * @typedef {Object} Webhook
+ * @property {number} id
+ * @property {string} url
+ * @property {WebhookEvent[]} events the events it is sent
+ * @property {0|1} active
+ * @property {string} created_at
+ * @property {string} updated_at
+ *
+ * @typedef {Object} WebhookDelivery
+ * @property {number} id
+ * @property {number} webhook_id
+ * @property {WebhookEvent} event
+ * @property {Object} payload the JSON body sent
+ * @property {'pending'|'delivered'|'failed'} status
+ * @property {number} attempts
+ * @property {string|null} next_attempt_at while pending
+ * @property {string|null} last_attempt_at
+ * @property {number|null} response_status HTTP status of the last attempt
+ * @property {string|null} last_error
+ * @property {number|null} replay_of the delivery this one repeats
+ * @property {string} created_at
+ */
+
+const EVENT_TYPES = ['customer.created', 'customer.updated', 'customer.deleted', 'customer.restored', 'customer.purged'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const NOW_SQL = `strftime('%Y-%m-%dT%H:%M:%fZ', 'now')`;
+
+// The secret never leaves this module except through findDue, for signing.
+function toWebhook(row) {
+  if (!row) return row;
+  const { secret, events, ...webhook } = row;
+  return { ...webhook, events: JSON.parse(events) };
+}
+
+function toDelivery(row) {
+  return row && { ...row, payload: JSON.parse(row.payload) };
+}
+
+class WebhookRepository {
+  /** @param {import('sqlite3').Database} db */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** Runs `work` inside a transaction on this repository's connection. */
+  transaction(work) {
+    return transaction(this.db, work);
+  }
+
+  /** @returns {Promise<Webhook[]>} */
+  async list() {
+    return (await all(this.db, `SELECT * FROM webhooks ORDER BY id`)).map(toWebhook);
+  }
+
+  /** @returns {Promise<Webhook[]>} */
+  async listActive() {
+    return (await all(this.db, `SELECT * FROM webhooks WHERE active = 1 ORDER BY id`)).map(toWebhook);
+  }
+
+  /** @returns {Promise<Webhook|undefined>} */
+  async findById(id) {
+    return toWebhook(await get(this.db, `SELECT * FROM webhooks WHERE id = ?`, [id]));
+  }
+
+  /** @returns {Promise<number>} id of the new webhook */
+  async create({ url, events, secret, active = true }) {
+    const sql = `INSERT INTO webhooks (url, events, secret, active) VALUES (?,?,?,?)`;
+    const result = await run(this.db, sql, [url, JSON.stringify(events), secret, active ? 1 : 0]);
+    return result.id;
+  }
+
+  /** Updates the given fields and updated_at. */
+  async update(id, { url, events, secret, active }) {
+    const updates = [];
+    const params = [];
+    if (url) { updates.push('url = ?'); params.push(url); }
+    if (events) { updates.push('events = ?'); params.push(JSON.stringify(events)); }
+    if (secret) { updates.push('secret = ?'); params.push(secret); }
+    if (active !== undefined) { updates.push('active = ?'); params.push(active ? 1 : 0); }
+    if (updates.length === 0) return 0;
+
+    params.push(id);
+    const result = await run(this.db, `UPDATE webhooks SET ${updates.join(', ')}, updated_at = ${NOW_SQL} WHERE id = ?`, params);
+    return result.changes;
+  }
+
+  /** Deletes the webhook and its delivery log. */
+  async remove(id) {
+    const result = await run(this.db, `DELETE FROM webhooks WHERE id = ?`, [id]);
+    return result.changes;
+  }
+
+  /** Id of the last audit entry turned into deliveries. */
+  async getCursor() {
+    const row = await get(this.db, `SELECT audit_id FROM webhook_cursor WHERE id = 1`);
+    return row ? row.audit_id : 0;
+  }
+
+  async setCursor(auditId) {
+    await run(this.db, `INSERT INTO webhook_cursor (id, audit_id) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET audit_id = excluded.audit_id`, [auditId]);
+  }
+
+  /**
+   * Queues a delivery, due at `next_attempt_at`.
+   * @param {{ webhook_id: number, event: string, payload: Object, next_attempt_at: string, replay_of?: number }} delivery
+   * @returns {Promise<number>} id of the new delivery
+   */
+  async createDelivery({ webhook_id, event, payload, next_attempt_at, replay_of = null }) {
+    const sql = `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, replay_of) VALUES (?,?,?,?,?)`;
+    const result = await run(this.db, sql, [webhook_id, event, JSON.stringify(payload), next_attempt_at, replay_of]);
+    return result.id;
+  }
+
+  /** @returns {Promise<WebhookDelivery|undefined>} */
+  async findDelivery(webhookId, id) {
+    return toDelivery(await get(this.db, `SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND id = ?`, [webhookId, id]));
+  }
+
+  /**
+   * The webhook's delivery log, newest first.
+   * @param {number} webhookId
+   * @param {{ status?: string, limit?: number }} [filters]
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async listDeliveries(webhookId, { status, limit = 50 } = {}) {
+    const where = ['webhook_id = ?'];
+    const params = [webhookId];
+    if (status) { where.push('status = ?'); params.push(status); }
+    params.push(limit);
+    const rows = await all(this.db, `SELECT * FROM webhook_deliveries WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`, params);
+    return rows.map(toDelivery);
+  }
+
+  /**
+   * Pending deliveries of active webhooks due by `now`, oldest first, with
+   * the webhook's url and secret. The payload stays the JSON text to send.
+   */
+  findDue(now, limit) {
+    return all(this.db, `
+      SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `, [now, limit]);
+  }
+
+  /** Records an attempt: its outcome, and when to try next while still pending. */
+  async recordAttempt(id, { status, attempts, response_status, last_error, next_attempt_at }) {
+    const sql = `UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?, last_attempt_at = ${NOW_SQL}
+      WHERE id = ?`;
+    const result = await run(this.db, sql, [status, attempts, response_status, last_error, next_attempt_at, id]);
+    return result.changes;
+  }
+}
+
+WebhookRepository.EVENT_TYPES = EVENT_TYPES;
+WebhookRepository.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookRepository;
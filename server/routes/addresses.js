@@ -0,0 +1,49 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/errors');
+const {
+  pinCodeValidator, addressTypeValidator, etag, versionValidator, expectedVersion,
+} = require('./helpers');
+
+// Mounted at /api/addresses
+function addressRoutes(customerService) {
+  const router = express.Router();
+
+  // GET /api/addresses/pin-codes/:pinCode - city and state for a pin code, to fill in address forms
+  router.get('/pin-codes/:pinCode', requireRole('viewer'), (req, res) => {
+    res.json({ success: true, data: customerService.lookupPinCode(req.params.pinCode) });
+  });
+
+  router.put('/:addressId',
+    requireRole('agent'),
+    body('address_details').optional().trim().notEmpty().withMessage('address_details required'),
+    body('city').optional().trim().notEmpty().withMessage('city required'),
+    body('state').optional().trim().notEmpty().withMessage('state required'),
+    pinCodeValidator(body('pin_code').optional().trim().notEmpty().withMessage('pin_code required').bail()),
+    addressTypeValidator(body('type').optional()),
+    versionValidator(),
+    validate,
+    async (req, res) => {
+      const version = expectedVersion(req);
+      const { version: _version, ...fields } = req.body;
+      const updated = await customerService.updateAddress(req.params.addressId, fields, req.user, { version });
+      res.set('ETag', etag(updated.version)).json({ success: true, data: updated, message: 'Address updated' });
+    }
+  );
+
+  // Makes this the customer's primary address; the previous one stays as a secondary address.
+  router.post('/:addressId/primary', requireRole('agent'), async (req, res) => {
+    const updated = await customerService.setPrimaryAddress(req.params.addressId, req.user);
+    res.json({ success: true, data: updated, message: 'Primary address set' });
+  });
+
+  router.delete('/:addressId', requireRole('admin'), async (req, res) => {
+    await customerService.deleteAddress(req.params.addressId, req.user);
+    res.json({ success: true, message: 'Address deleted' });
+  });
+
+  return router;
+}
+
+module.exports = addressRoutes;
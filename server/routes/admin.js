@@ -0,0 +1,16 @@
+const express = require('express');
+const { integrityReport } = require('../integrity');
+
+// Mounted at /api/admin
+function adminRoutes(db) {
+  const router = express.Router();
+
+  router.get('/integrity', async (req, res) => {
+    const report = await integrityReport(db);
+    res.json({ success: true, data: report });
+  });
+
+  return router;
+}
+
+module.exports = adminRoutes;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/errors');
+
+// Mounted at /api/auth
+function authRoutes(authService) {
+  const router = express.Router();
+
+  router.post('/login',
+    body('username').isString().withMessage('username must be text').bail().trim().notEmpty().withMessage('username required'),
+    body('password').isString().withMessage('password must be text').bail().notEmpty().withMessage('password required'),
+    validate,
+    async (req, res) => {
+      const session = await authService.login(req.body.username, req.body.password);
+      res.json({ success: true, data: session, message: 'Logged in' });
+    }
+  );
+
+  router.post('/logout', authenticate(authService), async (req, res) => {
+    await authService.logout(req.token);
+    res.json({ success: true, message: 'Logged out' });
+  });
+
+  router.get('/me', authenticate(authService), (req, res) => {
+    res.json({ success: true, data: req.user });
+  });
+
+  return router;
+}
+
+module.exports = authRoutes;
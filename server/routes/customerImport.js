@@ -0,0 +1,116 @@
+const express = require('express');
+const multer = require('multer');
+const { requireRole } = require('../middleware/auth');
+const { BadRequestError } = require('../errors');
+const { readSpreadsheet } = require('../spreadsheet');
+const { customerValidators, profileValidators, addressValidators, validateRecord } = require('./helpers');
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+const CUSTOMER_FIELDS = ['first_name', 'last_name', 'phone_number', 'email', 'date_of_birth', 'notes', 'tags'];
+const ADDRESS_FIELDS = ['address_details', 'city', 'state', 'pin_code'];
+const IMPORT_FIELDS = [...CUSTOMER_FIELDS, ...ADDRESS_FIELDS];
+
+// Header spellings recognised when the client does not send a mapping.
+const HEADER_ALIASES = {
+  phone_number: ['phone', 'mobile', 'phone_no'],
+  email: ['e_mail', 'email_address'],
+  date_of_birth: ['dob', 'birth_date', 'birthday'],
+  tags: ['tag', 'labels'],
+  address_details: ['address', 'street'],
+  pin_code: ['pin', 'pincode', 'zip', 'postal_code'],
+};
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_BYTES, files: 1 } });
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Maps each import field to a file header, by name unless the client says otherwise.
+function resolveMapping(headers, requested) {
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    if (requested && field in requested) {
+      const header = requested[field];
+      if (header && !headers.includes(header)) throw new BadRequestError(`Column "${header}" not found in file`);
+      mapping[field] = header || null;
+    } else {
+      const names = [field, ...(HEADER_ALIASES[field] || [])];
+      mapping[field] = headers.find((h) => names.includes(normalizeHeader(h))) || null;
+    }
+  }
+  return mapping;
+}
+
+function parseMapping(raw) {
+  if (!raw) return null;
+  try {
+    const mapping = JSON.parse(raw);
+    if (mapping && typeof mapping === 'object' && !Array.isArray(mapping)) return mapping;
+  } catch (err) { /* fall through */ }
+  throw new BadRequestError('mapping must be a JSON object of field to column');
+}
+
+function pick(values, mapping, fields) {
+  const data = {};
+  for (const field of fields) data[field] = mapping[field] ? values[mapping[field]] || '' : '';
+  return data;
+}
+
+// Tags share one cell, comma-separated as the export writes them.
+function splitTags(text) {
+  return text.split(',').map((tag) => tag.trim()).filter(Boolean);
+}
+
+// Multer reports oversized or malformed uploads through next(err); answer
+// those as bad requests instead of falling through to a 500.
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) return next(new BadRequestError(err.message, { code: 'INVALID_UPLOAD', field: 'file' }));
+    next();
+  });
+}
+
+// Mounted at /api/customers/import
+function customerImportRoutes(customerService) {
+  const router = express.Router();
+
+  // POST /api/customers/import[?dry_run=true] - multipart with `file` (.csv or
+  // .xlsx) and an optional `mapping` JSON of field -> column header.
+  router.post('/', requireRole('agent'), uploadFile, async (req, res) => {
+    if (!req.file) throw new BadRequestError('file required');
+    const dryRun = ['true', '1'].includes(String(req.query.dry_run));
+    const mapping = parseMapping(req.body && req.body.mapping);
+
+    const { headers, rows } = await readSpreadsheet(req.file.buffer, { filename: req.file.originalname, mimetype: req.file.mimetype });
+    if (rows.length === 0) throw new BadRequestError('The file has no data rows');
+    if (rows.length > MAX_ROWS) throw new BadRequestError(`The file has ${rows.length} rows; the limit is ${MAX_ROWS}`);
+    const resolved = resolveMapping(headers, mapping);
+
+    // The same rules as POST /api/customers. The address is optional, but
+    // once any address column is filled the whole address must be valid.
+    const records = [];
+    for (const { row, values } of rows) {
+      const customer = pick(values, resolved, CUSTOMER_FIELDS);
+      customer.tags = splitTags(customer.tags);
+      let address = pick(values, resolved, ADDRESS_FIELDS);
+      const errors = await validateRecord([...customerValidators(), ...profileValidators()], customer);
+      if (Object.values(address).some(Boolean)) errors.push(...await validateRecord(addressValidators(), address));
+      else address = null;
+      records.push({ row, customer, address, errors: errors.map(({ path, msg }) => ({ path, msg })) });
+    }
+
+    const report = await customerService.importCustomers(records, { dryRun }, req.user);
+    res.json({
+      success: true,
+      data: { dry_run: dryRun, headers, mapping: resolved, ...report },
+      message: dryRun ? 'Import checked' : `Imported ${report.summary.created} customer(s)`,
+    });
+  });
+
+  return router;
+}
+
+module.exports = customerImportRoutes;
@@ -0,0 +1,283 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const AuthService = require('../services/AuthService');
+const { BadRequestError, ForbiddenError, ValidationError } = require('../errors');
+const { FORMATS, writeExport } = require('../export');
+const { validate } = require('../middleware/errors');
+const {
+  customerValidators, addressValidators, isPhoneNumber, profileValidators, tagValidators, etag, versionValidator, expectedVersion,
+} = require('./helpers');
+
+// Trashed customers are purged after this many days unless the request says otherwise.
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGE_SIZE = 100;
+const MAX_BATCH_SIZE = 1000;
+// Batch actions and the role each requires.
+const BATCH_ACTIONS = { delete: 'admin', add_tags: 'agent', remove_tags: 'agent', update_addresses: 'agent' };
+
+// Values of a filter that may be repeated, e.g. ?state=Kerala&state=Goa
+function multiValue(value) {
+  return (Array.isArray(value) ? value : [value]).filter((v) => typeof v === 'string' && v.trim()).map((v) => v.trim());
+}
+
+// Filters that take a single text value; a repeated query parameter, or
+// anything but a string in a batch filter, is refused.
+const SINGLE_VALUE_FILTERS = ['search', 'sort', 'created_after', 'addresses', 'deleted'];
+
+// Search, filter and sort parameters shared by the list, the facets and the
+// export, from the query string.
+function listFilters(req) {
+  return filtersOf(req.query, req.user);
+}
+
+// The list filters in `params`: a query string, or the `filter` object of a
+// batch request. `prefix` is put before the names of fields in errors.
+function filtersOf(params, user, prefix = '') {
+  const errors = SINGLE_VALUE_FILTERS
+    .filter((name) => params[name] !== undefined && typeof params[name] !== 'string')
+    .map((name) => ({ path: prefix + name, msg: `${prefix + name} must be a single string` }));
+  if (errors.length) throw new ValidationError(errors);
+
+  // deleted=only lists the trash, deleted=include lists everything
+  const deleted = ['only', 'include'].includes(params.deleted) ? params.deleted : undefined;
+  if (deleted && !AuthService.hasRole(user, 'admin')) throw new ForbiddenError('Requires admin role');
+
+  // addresses=none|multiple: customers without or with more than one address
+  const { addresses } = params;
+  if (addresses !== undefined && !['none', 'multiple'].includes(addresses)) {
+    throw new BadRequestError('addresses must be none or multiple');
+  }
+
+  // created_after=2024-05-01 or a full ISO timestamp
+  let createdAfter;
+  if (params.created_after !== undefined) {
+    const value = String(params.created_after);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(Date.parse(value))) {
+      throw new BadRequestError('created_after must be an ISO date');
+    }
+    // created_at is stored as a UTC ISO timestamp, which a bare date compares with as is
+    createdAfter = value.length === 10 ? value : new Date(value).toISOString();
+  }
+
+  // ids=3&ids=7: only these customers, e.g. to export a selection
+  let ids;
+  if (params.ids !== undefined) {
+    ids = [].concat(params.ids).map(Number);
+    if (ids.some((id) => !Number.isInteger(id) || id < 1)) throw new BadRequestError('ids must be positive integers');
+  }
+
+  return {
+    search: params.search || '',
+    city: multiValue(params.city),
+    state: multiValue(params.state),
+    pin_code: multiValue(params.pin_code),
+    tag: multiValue(params.tag),
+    created_after: createdAfter,
+    addresses,
+    ids,
+    // searches are ranked by relevance unless a sort is asked for
+    sort: params.sort || (params.search ? 'relevance' : 'id:asc'),
+    deleted,
+  };
+}
+
+// Mounted at /api/customers
+function customerRoutes(customerService) {
+  const router = express.Router();
+
+  // Create customer (optionally with initial addresses)
+  router.post('/',
+    requireRole('agent'),
+    // validations
+    ...customerValidators(),
+    ...profileValidators(),
+    body('addresses').optional().isArray().withMessage('addresses must be an array'),
+    ...addressValidators('addresses.*.'),
+    validate,
+    async (req, res) => {
+      const { first_name, last_name, phone_number, email, date_of_birth, notes, tags, addresses = [] } = req.body;
+      const created = await customerService.createCustomer(
+        { first_name, last_name, phone_number, email, date_of_birth, notes, tags }, addresses, req.user);
+      res.status(201).json({ success: true, data: created, message: 'Customer created' });
+    }
+  );
+
+  // GET /api/customers - list with search, filters and sort. Pages by
+  // ?page=N, or by keyset with ?after=<cursor> / ?before=<cursor> taken
+  // from meta.next_cursor / meta.prev_cursor of an earlier response.
+  router.get('/',
+    requireRole('viewer'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    query('before').optional().custom((value, { req }) => req.query.after === undefined).withMessage('use either after or before'),
+    query(['after', 'before']).optional().custom((value, { req }) => req.query.page === undefined).withMessage('cursors cannot be combined with page'),
+    validate,
+    async (req, res) => {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const { after, before } = req.query;
+      const { rows, total, next_cursor, prev_cursor } = await customerService.listCustomers({ page, limit, after, before, ...listFilters(req) });
+      const meta = after || before ? { limit, next_cursor, prev_cursor } : { page, limit, total, next_cursor, prev_cursor };
+      res.json({ success: true, data: rows, meta });
+    }
+  );
+
+  // GET /api/customers/facets - city, state and address-count facets for the list filters
+  router.get('/facets', requireRole('viewer'), async (req, res) => {
+    const facets = await customerService.getFacets(listFilters(req));
+    res.json({ success: true, data: facets });
+  });
+
+  // GET /api/customers/duplicates - pairs of customers that may be the same
+  // person, best match first; ?customer_id=N only those involving customer N
+  router.get('/duplicates',
+    requireRole('viewer'),
+    query('customer_id').optional().isInt({ min: 1 }).withMessage('customer_id must be a positive integer'),
+    query('min_score').optional().isFloat({ min: 0, max: 1 }).withMessage('min_score must be between 0 and 1'),
+    query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+    validate,
+    async (req, res) => {
+      const pairs = await customerService.findDuplicates({
+        customer_id: req.query.customer_id === undefined ? undefined : parseInt(req.query.customer_id, 10),
+        min_score: req.query.min_score === undefined ? undefined : parseFloat(req.query.min_score),
+        limit: parseInt(req.query.limit) || 20,
+      });
+      res.json({ success: true, data: pairs });
+    }
+  );
+
+  // GET /api/customers/export?format=csv|json|xlsx - every customer matching
+  // the list filters, streamed as a download. Bad filters are answered with
+  // an error before the download starts; a failure half-way through cuts
+  // the connection (see errorHandler), so no truncated file looks complete.
+  router.get('/export', requireRole('viewer'), async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!FORMATS[format]) throw new BadRequestError('format must be one of csv, json, xlsx');
+    const customers = await customerService.exportCustomers(listFilters(req));
+
+    const { contentType, extension } = FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="customers-${date}.${extension}"`);
+    // Once the file has started, errorHandler can only cut the connection.
+    await writeExport(format, customers, res);
+  });
+
+  // GET single customer with addresses
+  router.get('/:id', requireRole('viewer'), async (req, res) => {
+    const customer = await customerService.getCustomer(req.params.id);
+    res.set('ETag', etag(customer.version)).json({ success: true, data: customer });
+  });
+
+  // PUT /api/customers/:id, checked against the version in If-Match or the body
+  router.put('/:id',
+    requireRole('agent'),
+    body('first_name').optional().trim().notEmpty().withMessage('first_name cannot be empty'),
+    body('last_name').optional().trim().notEmpty().withMessage('last_name cannot be empty'),
+    body('phone_number').optional().trim().custom(isPhoneNumber).withMessage('phone_number must be a valid phone number'),
+    ...profileValidators(),
+    versionValidator(),
+    validate,
+    async (req, res) => {
+      const version = expectedVersion(req);
+      const { version: _version, ...fields } = req.body;
+      const updated = await customerService.updateCustomer(req.params.id, fields, req.user, { version });
+      res.set('ETag', etag(updated.version)).json({ success: true, data: updated, message: 'Customer updated' });
+    }
+  );
+
+  // DELETE /api/customers/:id
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    await customerService.deleteCustomer(req.params.id, req.user);
+    res.json({ success: true, message: 'Customer deleted' });
+  });
+
+  // POST /api/customers/:id/restore - take a customer back out of the trash
+  router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+    const restored = await customerService.restoreCustomer(req.params.id, req.user);
+    res.json({ success: true, data: restored, message: 'Customer restored' });
+  });
+
+  // POST /api/customers/purge - permanently remove what has been in the trash too long
+  router.post('/purge',
+    requireRole('admin'),
+    body('older_than_days').optional().isInt({ min: 0 }).withMessage('older_than_days must be a non-negative integer').toInt(),
+    validate,
+    async (req, res) => {
+      const { older_than_days = TRASH_RETENTION_DAYS } = req.body || {};
+      const cutoff = new Date(Date.now() - older_than_days * DAY_MS).toISOString();
+      const purged = await customerService.purgeDeleted(cutoff, req.user);
+      res.json({ success: true, data: { ...purged, cutoff }, message: 'Trash purged' });
+    }
+  );
+
+  // POST /api/customers/batch - one action on many customers in a single
+  // transaction, with a result per customer. The customers are given as
+  // `ids`, or as `filter`: the list filters, as an object, for everything
+  // that matches.
+  router.post('/batch',
+    requireRole('agent'),
+    body('action').isIn(Object.keys(BATCH_ACTIONS)).withMessage(`action must be one of ${Object.keys(BATCH_ACTIONS).join(', ')}`),
+    body('ids').optional().isArray({ min: 1, max: MAX_BATCH_SIZE }).withMessage(`ids must be an array of 1 to ${MAX_BATCH_SIZE} ids`),
+    body('ids.*').isInt({ min: 1 }).withMessage('ids must be positive integers').toInt(),
+    body('filter').custom((filter, { req }) => (filter === undefined) !== (req.body.ids === undefined)).withMessage('give either ids or filter')
+      .bail().optional().isObject().withMessage('filter must be an object'),
+    ...tagValidators(body('tags').if(body('action').isIn(['add_tags', 'remove_tags'])).notEmpty().withMessage('tags required').bail()),
+    body(['city', 'state']).optional().isString().withMessage('city and state must be text').bail().trim().notEmpty().withMessage('city and state cannot be empty'),
+    validate,
+    async (req, res) => {
+      const { action, ids, filter, tags, city, state } = req.body;
+      if (!AuthService.hasRole(req.user, BATCH_ACTIONS[action])) throw new ForbiddenError(`Requires ${BATCH_ACTIONS[action]} role`);
+      const selected = ids || await customerService.findIds(filtersOf(filter, req.user, 'filter.'), MAX_BATCH_SIZE + 1);
+      if (selected.length > MAX_BATCH_SIZE) {
+        throw new BadRequestError(`filter matches more than ${MAX_BATCH_SIZE} customers`, { field: 'filter' });
+      }
+      const result = await customerService.batchUpdate(selected, { action, tags, city, state }, req.user);
+      res.json({ success: true, data: result, message: `${result.succeeded} of ${result.results.length} customers done` });
+    }
+  );
+
+  // POST /api/customers/:id/merge - fold customer `duplicate_id` into this one.
+  // `keep` names the fields to take from the duplicate, e.g. { "phone_number": "duplicate" }.
+  router.post('/:id/merge',
+    requireRole('admin'),
+    body('duplicate_id').isInt({ min: 1 }).withMessage('duplicate_id must be a positive integer'),
+    body('keep').optional().isObject().withMessage('keep must be an object'),
+    body('keep.*').isIn(['survivor', 'duplicate']).withMessage('keep values must be survivor or duplicate'),
+    validate,
+    async (req, res) => {
+      const { duplicate_id, keep } = req.body;
+      const merged = await customerService.mergeCustomers(req.params.id, duplicate_id, keep, req.user);
+      res.json({ success: true, data: merged, message: 'Customers merged' });
+    }
+  );
+
+  // Change history of the customer and its addresses
+  router.get('/:id/history', requireRole('viewer'), async (req, res) => {
+    const entries = await customerService.getHistory(req.params.id);
+    res.json({ success: true, data: entries });
+  });
+
+  // Addresses of a customer
+  router.post('/:id/addresses',
+    requireRole('agent'),
+    ...addressValidators('', { lookup: true }),
+    validate,
+    async (req, res) => {
+      const { address_details, city, state, pin_code, type } = req.body;
+      const created = await customerService.addAddress(req.params.id, { address_details, city, state, pin_code, type }, req.user);
+      res.status(201).json({ success: true, data: created, message: 'Address added' });
+    }
+  );
+
+  router.get('/:id/addresses', requireRole('viewer'), async (req, res) => {
+    const rows = await customerService.listAddresses(req.params.id);
+    res.json({ success: true, data: rows });
+  });
+
+  return router;
+}
+
+module.exports = customerRoutes;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { BadRequestError } = require('../errors');
+
+// Comments keep proxies from closing an idle stream; each one also checks
+// that the session is still valid.
+const HEARTBEAT_MS = parseInt(process.env.EVENTS_HEARTBEAT_MS, 10) || 25000;
+// How long EventSource waits before reconnecting.
+const RETRY_MS = 3000;
+// A client that missed more than this is told to reload instead.
+const REPLAY_LIMIT = 500;
+
+// Last-Event-ID, which EventSource sends when it reconnects, or
+// ?last_event_id= for a new EventSource that carries on from an old one.
+function lastEventId(req) {
+  const value = req.get('Last-Event-ID') ?? req.query.last_event_id;
+  if (value === undefined || value === '') return undefined;
+  if (!/^\d+$/.test(String(value))) throw new BadRequestError('Last-Event-ID must be an event id', { field: 'last_event_id' });
+  return Number(value);
+}
+
+function message({ id, event, data }) {
+  return `${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Mounted at /api/events, ahead of the API's own authentication
+function eventRoutes(changeFeed, authService) {
+  const router = express.Router();
+
+  // GET /api/events - server-sent events: a `change` per audit entry (its id
+  // is the event id), after a `ready` once the stream is live. A client that
+  // resumes gets what it missed first, or a `reset` if that is too much.
+  router.get('/', authenticate(authService, { allowQueryToken: true }), requireRole('viewer'), async (req, res) => {
+    const resumeFrom = lastEventId(req);
+
+    // Changes committed while the stream starts wait for the replay.
+    let live = false;
+    const waiting = [];
+    let sentId;
+    const send = (entry) => {
+      if (entry.id <= sentId) return;
+      sentId = entry.id;
+      res.write(message({ id: entry.id, event: 'change', data: entry }));
+    };
+    const unsubscribe = changeFeed.subscribe((entry) => (live ? send(entry) : waiting.push(entry)));
+    const heartbeat = setInterval(async () => {
+      try {
+        await authService.authenticate(req.token);
+        res.write(': ping\n\n');
+      } catch (err) {
+        res.end();
+      }
+    }, HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const missed = resumeFrom === undefined ? [] : await changeFeed.since(resumeFrom, REPLAY_LIMIT + 1);
+    if (resumeFrom === undefined || missed.length > REPLAY_LIMIT) {
+      sentId = await changeFeed.latestId();
+      res.write(message({ id: sentId, event: resumeFrom === undefined ? 'ready' : 'reset', data: {} }));
+    } else {
+      sentId = resumeFrom;
+      missed.forEach(send);
+      res.write(message({ event: 'ready', data: {} }));
+    }
+    live = true;
+    waiting.forEach(send);
+  });
+
+  return router;
+}
+
+module.exports = eventRoutes;
@@ -0,0 +1,116 @@
+const { body, validationResult } = require('express-validator');
+const { BadRequestError } = require('../errors');
+const { normalizePhone } = require('../phone');
+const { normalizePinCode, isPinCode } = require('../pinCodes');
+const { ADDRESS_TYPES } = require('../repositories/AddressRepository');
+
+// Field rules for a new customer, shared by POST /api/customers and the
+// spreadsheet import.
+function customerValidators(prefix = '') {
+  return [
+    body(`${prefix}first_name`).trim().notEmpty().withMessage('first_name required'),
+    body(`${prefix}last_name`).trim().notEmpty().withMessage('last_name required'),
+    body(`${prefix}phone_number`).trim().notEmpty().withMessage('phone_number required').bail()
+      .custom(isPhoneNumber).withMessage('phone_number must be a valid phone number'),
+  ];
+}
+
+// Anything normalizePhone() understands, e.g. "98765 43210" or "+1 415 555 2671".
+function isPhoneNumber(value) {
+  return normalizePhone(value) !== null;
+}
+
+const MAX_TAGS = 20;
+
+// A YYYY-MM-DD calendar date that is not in the future.
+function isPastDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) && date <= new Date();
+}
+
+// Optional profile fields, shared by POST and PUT /api/customers. An empty
+// email, date_of_birth or notes clears the field.
+function profileValidators() {
+  return [
+    body('email').optional({ values: 'falsy' }).trim().isEmail().withMessage('email must be a valid email address')
+      .bail().toLowerCase(),
+    body('date_of_birth').optional({ values: 'falsy' }).custom(isPastDate).withMessage('date_of_birth must be a past date (YYYY-MM-DD)'),
+    body('notes').optional({ values: 'null' }).isString().withMessage('notes must be text')
+      .bail().trim().isLength({ max: 2000 }).withMessage('notes must be at most 2000 characters'),
+    ...tagValidators(body('tags').optional()),
+  ];
+}
+
+// A list of tag names, given the chain for the list itself.
+function tagValidators(chain) {
+  return [
+    chain.isArray({ max: MAX_TAGS }).withMessage(`tags must be an array of at most ${MAX_TAGS} names`),
+    body('tags.*').isString().withMessage('tags must be text')
+      .bail().trim().isLength({ min: 1, max: 30 }).withMessage('tags must be 1 to 30 characters'),
+  ];
+}
+
+// Address field rules, shared by nested addresses on customer creation
+// (prefix 'addresses.*.') and by the standalone address routes. With
+// `lookup`, city and state may be left out for the service to fill in from
+// the pin code.
+function addressValidators(prefix = '', { lookup = false } = {}) {
+  const located = (field) => (lookup ? body(`${prefix}${field}`).optional({ values: 'falsy' }) : body(`${prefix}${field}`));
+  return [
+    body(`${prefix}address_details`).trim().notEmpty().withMessage('address_details required'),
+    located('city').trim().notEmpty().withMessage('city required'),
+    located('state').trim().notEmpty().withMessage('state required'),
+    pinCodeValidator(body(`${prefix}pin_code`).trim().notEmpty().withMessage('pin_code required').bail()),
+    addressTypeValidator(body(`${prefix}type`).optional()),
+  ];
+}
+
+// "530 002" passes as 530002.
+function pinCodeValidator(chain) {
+  return chain.custom(isPinCode).withMessage('pin_code must be a 6-digit PIN code').bail().customSanitizer(normalizePinCode);
+}
+
+function addressTypeValidator(chain) {
+  return chain.isIn(ADDRESS_TYPES).withMessage(`type must be one of ${ADDRESS_TYPES.join(', ')}`);
+}
+
+// Versions of customers and addresses travel as ETags, e.g. "3".
+function etag(version) {
+  return `"${version}"`;
+}
+
+// `version` in an update body: the version of the record the change is based on.
+function versionValidator() {
+  return body('version').optional().isInt({ min: 1 }).withMessage('version must be a positive integer').toInt();
+}
+
+// The version an update is based on, from If-Match or the body's `version`
+// (run versionValidator first). Undefined when neither is given, or for
+// If-Match: *, which skips the check.
+function expectedVersion(req) {
+  const fromBody = req.body.version;
+  const header = req.get('If-Match');
+  if (header === undefined || header.trim() === '*') return fromBody;
+  const match = /^(?:W\/)?"(\d+)"$/.exec(header.trim());
+  if (!match) throw new BadRequestError('If-Match must be an ETag such as "3"', { code: 'INVALID_IF_MATCH' });
+  const version = Number(match[1]);
+  if (fromBody !== undefined && fromBody !== version) {
+    throw new BadRequestError('version does not match If-Match', { field: 'version' });
+  }
+  return version;
+}
+
+// Runs validator chains against a plain object instead of a request body.
+// Sanitizers such as trim() apply to `data` in place.
+async function validateRecord(chains, data) {
+  const req = { body: data };
+  for (const chain of chains) await chain.run(req);
+  return validationResult(req).array();
+}
+
+module.exports = {
+  customerValidators, isPhoneNumber, profileValidators, tagValidators,
+  addressValidators, pinCodeValidator, addressTypeValidator, validateRecord,
+  etag, versionValidator, expectedVersion,
+};
@@ -0,0 +1,50 @@
+const express = require('express');
+const { body } = require('express-validator');
+const AuthService = require('../services/AuthService');
+const { validate } = require('../middleware/errors');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Mounted at /api/users, behind authenticate + requireRole('admin')
+function userRoutes(authService) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    const users = await authService.listUsers();
+    res.json({ success: true, data: users });
+  });
+
+  router.post('/',
+    body('username').isString().withMessage('username must be text').bail().trim().notEmpty().withMessage('username required'),
+    body('password').isString().withMessage('password must be text').bail().isLength({ min: MIN_PASSWORD_LENGTH }).withMessage(`password must be at least ${MIN_PASSWORD_LENGTH} characters`),
+    body('role').isIn(AuthService.ROLES).withMessage(`role must be one of ${AuthService.ROLES.join(', ')}`),
+    validate,
+    async (req, res) => {
+      const { username, password, role } = req.body;
+      const created = await authService.createUser({ username, password, role });
+      res.status(201).json({ success: true, data: created, message: 'User created' });
+    }
+  );
+
+  router.put('/:id',
+    body('password').optional().isString().withMessage('password must be text').bail().isLength({ min: MIN_PASSWORD_LENGTH }).withMessage(`password must be at least ${MIN_PASSWORD_LENGTH} characters`),
+    body('role').optional().isIn(AuthService.ROLES).withMessage(`role must be one of ${AuthService.ROLES.join(', ')}`),
+    validate,
+    async (req, res) => {
+      const { password, role } = req.body;
+      const updated = await authService.updateUser(req.params.id, { password, role });
+      res.json({ success: true, data: updated, message: 'User updated' });
+    }
+  );
+
+  router.delete('/:id', async (req, res) => {
+    await authService.deleteUser(req.params.id, req.user);
+    res.json({ success: true, message: 'User deleted' });
+  });
+
+  return router;
+}
+
+userRoutes.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = userRoutes;
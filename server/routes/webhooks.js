@@ -0,0 +1,77 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { validate } = require('../middleware/errors');
+const { EVENT_TYPES, DELIVERY_STATUSES } = require('../repositories/WebhookRepository');
+
+const MIN_SECRET_LENGTH = 16;
+const MAX_DELIVERIES = 200;
+
+// Rules for a webhook's fields; `optional` for updates.
+function webhookValidators({ optional = false } = {}) {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isString().bail().trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an http(s) URL'),
+    field('events').isArray({ min: 1 }).withMessage(`events must list at least one of ${EVENT_TYPES.join(', ')}`),
+    body('events.*').isIn(EVENT_TYPES).withMessage(`events must be among ${EVENT_TYPES.join(', ')}`),
+    body('secret').optional().isString().isLength({ min: MIN_SECRET_LENGTH })
+      .withMessage(`secret must be at least ${MIN_SECRET_LENGTH} characters`),
+    body('active').optional().isBoolean({ strict: true }).withMessage('active must be true or false'),
+  ];
+}
+
+// Mounted at /api/webhooks, behind authenticate + requireRole('admin')
+function webhookRoutes(webhookService) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    const webhooks = await webhookService.listWebhooks();
+    res.json({ success: true, data: webhooks });
+  });
+
+  // The answer carries the secret, generated if none is given; it is not shown again.
+  router.post('/', ...webhookValidators(), validate, async (req, res) => {
+    const { url, events, secret, active } = req.body;
+    const created = await webhookService.createWebhook({ url, events, secret, active });
+    res.status(201).json({ success: true, data: created, message: 'Webhook created' });
+  });
+
+  router.get('/:id', async (req, res) => {
+    const webhook = await webhookService.getWebhook(req.params.id);
+    res.json({ success: true, data: webhook });
+  });
+
+  router.put('/:id', ...webhookValidators({ optional: true }), validate, async (req, res) => {
+    const { url, events, secret, active } = req.body;
+    const updated = await webhookService.updateWebhook(req.params.id, { url, events, secret, active });
+    res.json({ success: true, data: updated, message: 'Webhook updated' });
+  });
+
+  router.delete('/:id', async (req, res) => {
+    await webhookService.deleteWebhook(req.params.id);
+    res.json({ success: true, message: 'Webhook deleted' });
+  });
+
+  // GET /api/webhooks/:id/deliveries?status=failed&limit=20 - the delivery log, newest first
+  router.get('/:id/deliveries',
+    query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`status must be one of ${DELIVERY_STATUSES.join(', ')}`),
+    query('limit').optional().isInt({ min: 1, max: MAX_DELIVERIES }).withMessage(`limit must be 1 to ${MAX_DELIVERIES}`).toInt(),
+    validate,
+    async (req, res) => {
+      const { status, limit } = req.query;
+      const deliveries = await webhookService.listDeliveries(req.params.id, { status, limit });
+      res.json({ success: true, data: deliveries });
+    }
+  );
+
+  // Sends an earlier delivery's payload again, as a new delivery.
+  router.post('/:id/deliveries/:deliveryId/replay', async (req, res) => {
+    const delivery = await webhookService.replayDelivery(req.params.id, req.params.deliveryId);
+    res.status(201).json({ success: true, data: delivery, message: 'Delivery queued' });
+  });
+
+  return router;
+}
+
+module.exports = webhookRoutes;
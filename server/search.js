@@ -0,0 +1,103 @@
+// Query-side helpers for the customer_search FTS5 index (see
+// migrations/005_customer_search.js and SearchRepository).
+
+/**
+ * @typedef {Object} SearchTerm
+ * @property {string} [word] lower-cased text term
+ * @property {string} [digits] digits of a term that looks like (part of) a phone number or pin code
+ */
+
+const NUMBER_TERM = /^[+(]?\d[\d().-]*$/;
+
+/** @returns {SearchTerm[]} */
+function parseSearch(text = '') {
+  return text.trim().split(/\s+/)
+    .filter((term) => /[\p{L}\p{N}]/u.test(term))
+    .map((term) => (NUMBER_TERM.test(term) ? { digits: term.replace(/\D/g, '') } : { word: term.toLowerCase() }));
+}
+
+function quote(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Builds an FTS5 expression that requires every term. Words match names
+ * and addresses by prefix; numbers match phone digits anywhere and address
+ * numbers such as pin codes by prefix. `alternatives` adds similarly spelled
+ * indexed words per word term, see SearchRepository#similarWords.
+ * @param {SearchTerm[]} terms
+ * @param {Map<SearchTerm, string[]>} [alternatives]
+ */
+function matchExpression(terms, alternatives = new Map()) {
+  return terms.map((term) => {
+    if (term.digits) return `{phone_digits address} : ${quote(term.digits)}*`;
+    const options = [`${quote(term.word)}*`, ...(alternatives.get(term) || []).map(quote)];
+    return `{name address} : (${options.join(' OR ')})`;
+  }).join(' AND ');
+}
+
+/**
+ * Every suffix of the digits of each given number, for the phone_digits
+ * column. Indexing both the number as entered and its E.164 form finds
+ * "09876..." as well as "+91 9876...".
+ */
+function phoneSuffixes(...phone_numbers) {
+  const suffixes = new Set();
+  for (const phone_number of phone_numbers) {
+    const digits = String(phone_number || '').replace(/\D/g, '');
+    for (let i = 0; i < digits.length; i++) suffixes.add(digits.slice(i));
+  }
+  return [...suffixes].join(' ');
+}
+
+/** Optimal string alignment distance: edits, counting a swap of neighbours as one. */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Around the matched parts of search results: private-use characters, which
+// customer data has no use for, so that text resembling markup is not taken
+// for a match.
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+
+/**
+ * Wraps the characters of a formatted phone number that belong to a searched
+ * digit sequence in MARK_START and MARK_END, mirroring FTS5's highlight() for
+ * the other columns.
+ * @param {SearchTerm[]} terms
+ */
+function highlightPhone(phone_number, terms) {
+  const positions = [];
+  let digits = '';
+  [...phone_number].forEach((ch, i) => {
+    if (/\d/.test(ch)) { digits += ch; positions.push(i); }
+  });
+
+  const marked = new Set();
+  for (const { digits: term } of terms) {
+    const start = term ? digits.indexOf(term) : -1;
+    if (start === -1) continue;
+    for (let i = positions[start]; i <= positions[start + term.length - 1]; i++) marked.add(i);
+  }
+  if (marked.size === 0) return phone_number;
+
+  return [...phone_number].map((ch, i) => {
+    const open = marked.has(i) && !marked.has(i - 1) ? MARK_START : '';
+    const close = marked.has(i) && !marked.has(i + 1) ? MARK_END : '';
+    return open + ch + close;
+  }).join('');
+}
+
+module.exports = { MARK_START, MARK_END, parseSearch, matchExpression, phoneSuffixes, editDistance, highlightPhone };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { BadRequestError, UnauthorizedError, NotFoundError, ConflictError } = require('../errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Ordered from least to most privileged; a role includes everything below it.
+const ROLES = ['viewer', 'agent', 'admin'];
+
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+function hasRole(user, minimumRole) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+// Stored as scrypt$<salt>$<hash>, both hex.
+async function hashPassword(password) {
+  if (typeof password !== 'string') throw new BadRequestError('password must be text', { field: 'password' });
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Only the SHA-256 of a session token is stored, so a leaked database does
+// not hand out working tokens.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class AuthService {
+  /** @param {{ users: import('../repositories/UserRepository') }} repositories */
+  constructor({ users }) {
+    this.users = users;
+  }
+
+  async login(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      throw new BadRequestError('username and password must be non-empty text');
+    }
+    const record = await this.users.findCredentials(username);
+    // verify against a dummy hash anyway so timing does not reveal unknown usernames
+    const valid = await verifyPassword(password, record ? record.password_hash : DUMMY_HASH);
+    if (!record || !valid) throw new UnauthorizedError('Invalid username or password', { code: 'INVALID_CREDENTIALS' });
+
+    const now = new Date();
+    await this.users.deleteExpiredSessions(now.toISOString());
+    const token = crypto.randomBytes(32).toString('hex');
+    const expires_at = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+    await this.users.createSession(hashToken(token), record.id, expires_at);
+
+    const { password_hash, ...user } = record;
+    return { token, expires_at, user };
+  }
+
+  async logout(token) {
+    await this.users.deleteSession(hashToken(token));
+  }
+
+  /** @returns {Promise<import('../repositories/UserRepository').User>} */
+  async authenticate(token) {
+    if (!token) throw new UnauthorizedError('Authentication required');
+    const user = await this.users.findSessionUser(hashToken(token), new Date().toISOString());
+    if (!user) throw new UnauthorizedError('Session expired or invalid', { code: 'SESSION_EXPIRED' });
+    return user;
+  }
+
+  listUsers() {
+    return this.users.list();
+  }
+
+  async createUser({ username, password, role }) {
+    if (await this.users.findCredentials(username)) throw new ConflictError('Username already exists', { code: 'USERNAME_TAKEN', field: 'username' });
+    const id = await this.users.create({ username, password_hash: await hashPassword(password), role });
+    return this.users.findById(id);
+  }
+
+  async updateUser(id, { password, role }) {
+    const existing = await this.requireUser(id);
+    if (!password && !role) throw new BadRequestError('No fields to update');
+    if (role && existing.role === 'admin' && role !== 'admin') await this.assertNotLastAdmin();
+
+    const password_hash = password ? await hashPassword(password) : undefined;
+    await this.users.update(id, { password_hash, role });
+    // a changed password or role should not keep old sessions alive
+    await this.users.deleteSessionsForUser(id);
+    return this.users.findById(id);
+  }
+
+  async deleteUser(id, actingUser) {
+    const existing = await this.requireUser(id);
+    if (actingUser && String(actingUser.id) === String(id)) throw new BadRequestError('You cannot delete your own account');
+    if (existing.role === 'admin') await this.assertNotLastAdmin();
+    await this.users.remove(id);
+  }
+
+  async requireUser(id) {
+    const user = await this.users.findById(id);
+    if (!user) throw new NotFoundError('User not found');
+    return user;
+  }
+
+  async assertNotLastAdmin() {
+    if (await this.users.countByRole('admin') <= 1) throw new BadRequestError('At least one admin is required');
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.hasRole = hasRole;
+AuthService.hashPassword = hashPassword;
+
+module.exports = AuthService;
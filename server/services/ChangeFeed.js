@@ -0,0 +1,51 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Committed changes to customers and addresses, as the audit log records
+ * them, for GET /api/events. After every commit it reads the entries added
+ * since and hands them to the subscribers; a rolled-back transaction leaves
+ * none, so subscribers never hear of it.
+ */
+class ChangeFeed {
+  /** @param {{ audit: import('../repositories/AuditRepository') }} repositories */
+  constructor({ audit }) {
+    this.audit = audit;
+    this.emitter = new EventEmitter();
+    // one listener per open stream
+    this.emitter.setMaxListeners(0);
+    this.ready = audit.latestId().then((id) => { this.lastId = id; });
+    audit.onCommit(() => this.collect());
+  }
+
+  /**
+   * Calls `listener` with every new audit entry.
+   * @param {(entry: import('../repositories/AuditRepository').AuditEntry) => void} listener
+   * @returns {() => void} unsubscribes
+   */
+  subscribe(listener) {
+    this.emitter.on('change', listener);
+    return () => this.emitter.off('change', listener);
+  }
+
+  /** Entries after `afterId`, oldest first, for a stream that resumes. */
+  since(afterId, limit) {
+    // queued with the transactions so that none is half-way through
+    return this.audit.transaction(() => this.audit.listSince(afterId, limit));
+  }
+
+  /** Id of the newest committed entry, where a new stream starts. */
+  latestId() {
+    return this.audit.transaction(() => this.audit.latestId());
+  }
+
+  // Runs between transactions; see db.js onCommit.
+  async collect() {
+    await this.ready;
+    const entries = await this.audit.listSince(this.lastId);
+    if (entries.length === 0) return;
+    this.lastId = entries[entries.length - 1].id;
+    entries.forEach((entry) => this.emitter.emit('change', entry));
+  }
+}
+
+module.exports = ChangeFeed;
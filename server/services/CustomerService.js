@@ -0,0 +1,660 @@
+const { ServiceError, BadRequestError, NotFoundError, ConflictError, conflictFromDatabase } = require('../errors');
+const { parseSearch, matchExpression, highlightPhone } = require('../search');
+const { encodeCursor, decodeCursor } = require('../cursor');
+const { normalizePhone } = require('../phone');
+const { MAX_BLOCK_SIZE, scoreBlocks } = require('../duplicates');
+const { lookupPinCode, resolvePinCode } = require('../pinCodes');
+
+// Customers loaded at a time when scoring duplicates; bounds the ids in one query.
+const DUPLICATE_BATCH_SIZE = 500;
+
+function hasUpdates(fields, allowed) {
+  return allowed.some((field) => fields[field] || fields[field] === null);
+}
+
+// An empty optional field clears it.
+function clearEmptyFields(fields, nullable) {
+  const cleared = { ...fields };
+  for (const field of nullable) {
+    if (cleared[field] === '') cleared[field] = null;
+  }
+  return cleared;
+}
+
+// City, state and pin code of an address being added or changed: checked
+// against the pin code data and completed from it. On update, `current`
+// supplies what is not given; a changed pin code does not keep the old city
+// and state unless the data cannot replace them.
+function resolveLocation(fields, current = {}) {
+  const pinChanged = Boolean(fields.pin_code) && fields.pin_code !== current.pin_code;
+  const { address, error, field } = resolvePinCode({
+    city: fields.city || (pinChanged ? undefined : current.city),
+    state: fields.state || (pinChanged ? undefined : current.state),
+    pin_code: fields.pin_code || current.pin_code,
+  });
+  if (error) throw new BadRequestError(error, { code: 'PIN_CODE_MISMATCH', field });
+  const city = address.city || current.city;
+  const state = address.state || current.state;
+  if (!city || !state) {
+    throw new BadRequestError(`city and state required: they cannot be looked up for pin_code ${address.pin_code}`, { field: city ? 'state' : 'city' });
+  }
+  return { city, state, pin_code: address.pin_code };
+}
+
+// For a write based on a version of the record that is no longer current.
+// `current` goes back to the client to compare with and reapply its changes to.
+function versionConflict(what, current) {
+  return new ConflictError(`${what} has been changed by someone else`, { code: 'VERSION_CONFLICT', data: current });
+}
+
+// Routes validate phone numbers already; this keeps the service safe to call directly.
+function requirePhone(phone_number) {
+  const phone_e164 = normalizePhone(phone_number);
+  if (!phone_e164) throw new BadRequestError('phone_number must be a valid phone number', { field: 'phone_number' });
+  return phone_e164;
+}
+
+// Business rules for customers and their addresses. Repositories only run
+// SQL; anything that decides between success and a 4xx lives here.
+class CustomerService {
+  /**
+   * @param {{ customers: import('../repositories/CustomerRepository'),
+   *           addresses: import('../repositories/AddressRepository'),
+   *           audit: import('../repositories/AuditRepository'),
+   *           search: import('../repositories/SearchRepository'),
+   *           tags: import('../repositories/TagRepository') }} repositories
+   */
+  constructor({ customers, addresses, audit, search, tags }) {
+    this.customers = customers;
+    this.tags = tags;
+    this.addresses = addresses;
+    this.audit = audit;
+    this.search = search;
+  }
+
+  /**
+   * Paged list, by page number or, given an `after` or `before` cursor, by
+   * keyset. Both modes return cursors for the neighbouring slices; only page
+   * mode counts the total. A free-text `search` is ranked full-text search,
+   * and its rows carry `highlight` with the matched parts between MARK_START
+   * and MARK_END.
+   * Rows carry their `tags` and the `primary_city` of their primary address.
+   * @returns {Promise<{ rows: Object[], total?: number, next_cursor: string|null, prev_cursor: string|null }>}
+   */
+  async listCustomers({ after, before, ...query }) {
+    const { terms, ...resolved } = await this.resolveSearch(query);
+    const { normalizeSort, sortPosition } = this.customers.constructor;
+    // Relevance order has no keyset, so it only pages by number.
+    const sort = resolved.sort === 'relevance' && resolved.match ? null : normalizeSort(resolved.sort);
+    const sortKey = sort && `${sort.field}:${sort.dir.toLowerCase()}`;
+    const cursorFor = (row) => (sort && row ? encodeCursor(sortKey, sortPosition(row, sort)) : null);
+
+    let result;
+    if (after || before) {
+      if (!sort) throw new BadRequestError('Cursors are not available when sorting by relevance');
+      const { rows, hasMore } = await this.customers.findSlice(resolved, {
+        after: after && decodeCursor(after, sortKey),
+        before: before && decodeCursor(before, sortKey),
+        limit: resolved.limit,
+      });
+      result = {
+        rows,
+        next_cursor: before || hasMore ? cursorFor(rows[rows.length - 1]) : null,
+        prev_cursor: after || hasMore ? cursorFor(rows[0]) : null,
+      };
+    } else {
+      const { rows, total } = await this.customers.findPage(resolved);
+      result = {
+        rows,
+        total,
+        next_cursor: resolved.page * resolved.limit < total ? cursorFor(rows[rows.length - 1]) : null,
+        prev_cursor: resolved.page > 1 ? cursorFor(rows[0]) : null,
+      };
+    }
+    const ids = result.rows.map((row) => row.id);
+    const tags = await this.tags.forCustomers(ids);
+    const primaries = await this.addresses.findPrimaries(ids);
+    const withTags = (row) => ({ ...row, tags: tags.get(row.id), primary_city: primaries.has(row.id) ? primaries.get(row.id).city : null });
+    if (!resolved.match) return { ...result, rows: result.rows.map(withTags) };
+
+    return {
+      ...result,
+      rows: result.rows.map(({ highlight_name, highlight_address, ...row }) => ({
+        ...withTags(row),
+        highlight: { name: highlight_name, address: highlight_address, phone_number: highlightPhone(row.phone_number, terms) },
+      })),
+    };
+  }
+
+  /** Facet counts for the list filters; see CustomerRepository#facets. */
+  async getFacets(query) {
+    return this.customers.facets(await this.resolveSearch(query));
+  }
+
+  /**
+   * Every matching customer with its addresses; see CustomerRepository#iterate.
+   * The search is resolved, and the first customer read, before this
+   * resolves, so that a failure still comes before anything is sent.
+   * @returns {Promise<AsyncIterable<Object>>}
+   */
+  async exportCustomers(query) {
+    const customers = this.customers.iterate(await this.resolveSearch(query));
+    const first = await customers.next();
+    return (async function* () {
+      if (first.done) return;
+      yield first.value;
+      yield* customers;
+    })();
+  }
+
+  /** Ids of up to `limit` customers matching the list filters, in their sort order. */
+  async findIds(query, limit) {
+    return this.customers.findIds(await this.resolveSearch(query), limit);
+  }
+
+  /**
+   * Turns the free-text `search` into an FTS5 `match` expression. When
+   * nothing matches as typed, each word also accepts indexed words a typo
+   * or two away.
+   */
+  async resolveSearch({ search, ...query }) {
+    const terms = parseSearch(search);
+    if (terms.length === 0) return { ...query, terms };
+
+    let match = matchExpression(terms);
+    if (await this.search.countMatches(match) === 0) {
+      const alternatives = new Map();
+      for (const term of terms) {
+        if (term.word && term.word.length >= 3) alternatives.set(term, await this.search.similarWords(term.word));
+      }
+      match = matchExpression(terms, alternatives);
+    }
+    return { ...query, match, terms };
+  }
+
+  async getCustomer(id) {
+    const customer = await this.requireCustomer(id);
+    const addresses = await this.customers.listAddresses(id);
+    return { ...customer, tags: await this.tags.forCustomer(customer.id), addresses };
+  }
+
+  /**
+   * Creates the customer, its tags and its addresses in a single
+   * transaction. The phone number is kept as given and stored normalized in
+   * phone_e164. The first address becomes the primary one.
+   * @param {{ first_name: string, last_name: string, phone_number: string, email?: string,
+   *           date_of_birth?: string, notes?: string, tags?: string[] }} data
+   * @param {import('../repositories/AddressRepository').AddressInput[]} [addresses]
+   * @param {{ id: number, username: string }} [actor] recorded in the audit log
+   */
+  async createCustomer(data, addresses = [], actor) {
+    const { tags = [], ...fields } = clearEmptyFields(data, this.customers.constructor.NULLABLE_FIELDS);
+    const phone_e164 = requirePhone(fields.phone_number);
+    await this.assertPhoneAvailable(phone_e164);
+    await this.assertEmailAvailable(fields.email);
+    const id = await this.guardUniqueConflict(() => this.customers.transaction(async () => {
+      const customerId = await this.customers.create({ ...fields, phone_e164 });
+      await this.tags.setForCustomer(customerId, tags);
+      const customer = await this.snapshot(customerId);
+      await this.audit.record({ entity: 'customer', entity_id: customerId, customer_id: customerId, action: 'create', after: customer, actor });
+      for (const [index, address] of addresses.entries()) {
+        const addressId = await this.addresses.create(customerId, address, { primary: index === 0 });
+        const created = await this.addresses.findById(addressId);
+        await this.audit.record({ entity: 'address', entity_id: addressId, customer_id: customerId, action: 'create', after: created, actor });
+      }
+      await this.search.reindex(customerId);
+      return customerId;
+    }));
+    return this.getCustomer(id);
+  }
+
+  /**
+   * Updates the given fields; `tags`, when given, replaces the customer's
+   * tags. With `version`, fails with a VERSION_CONFLICT carrying the current
+   * customer unless that is still its version.
+   */
+  async updateCustomer(id, fields, actor, { version } = {}) {
+    const { UPDATABLE_FIELDS, NULLABLE_FIELDS } = this.customers.constructor;
+    const current = await this.requireCustomer(id);
+    const { tags, ...changes } = clearEmptyFields(fields, NULLABLE_FIELDS);
+    if (!hasUpdates(changes, UPDATABLE_FIELDS) && !Array.isArray(tags)) {
+      throw new BadRequestError('No fields to update');
+    }
+    changes.phone_e164 = undefined;
+    if (changes.phone_number) {
+      changes.phone_e164 = requirePhone(changes.phone_number);
+      await this.assertPhoneAvailable(changes.phone_e164, id);
+    }
+    await this.assertEmailAvailable(changes.email, id);
+    return this.guardUniqueConflict(() => this.customers.transaction(async () => {
+      const before = await this.snapshot(current.id);
+      if (version !== undefined && before.version !== version) throw versionConflict('Customer', await this.getCustomer(current.id));
+      return this.writeUpdate(before, changes, tags, actor);
+    }));
+  }
+
+  // The writes of updateCustomer, inside a transaction begun by the caller.
+  async writeUpdate(before, changes, tags, actor) {
+    await this.customers.update(before.id, changes);
+    if (Array.isArray(tags)) {
+      await this.tags.setForCustomer(before.id, tags);
+      await this.customers.touch(before.id);
+    }
+    const after = await this.snapshot(before.id);
+    await this.audit.record({ entity: 'customer', entity_id: before.id, customer_id: before.id, action: 'update', before, after, actor });
+    await this.search.reindex(before.id);
+    return after;
+  }
+
+  /** Moves the customer and its live addresses to the trash. */
+  async deleteCustomer(id, actor) {
+    await this.requireCustomer(id);
+    await this.customers.transaction(async () => this.writeDelete(await this.requireCustomer(id), actor));
+  }
+
+  // The writes of deleteCustomer, inside a transaction begun by the caller.
+  async writeDelete(before, actor) {
+    const addresses = await this.customers.listAddresses(before.id);
+    const deletedAt = new Date().toISOString();
+    for (const address of addresses) {
+      await this.audit.record({ entity: 'address', entity_id: address.id, customer_id: before.id, action: 'delete', before: address, actor });
+    }
+    await this.audit.record({ entity: 'customer', entity_id: before.id, customer_id: before.id, action: 'delete', before, actor });
+    await this.addresses.softDeleteByCustomer(before.id, deletedAt);
+    await this.customers.softDelete(before.id, deletedAt);
+    await this.search.reindex(before.id);
+  }
+
+  /**
+   * Applies one action to each of `ids` in a single transaction. Customers
+   * succeed or fail one by one: a failure undoes only that customer's
+   * changes and is reported in its result.
+   * - delete: moves the customer to the trash
+   * - add_tags, remove_tags: adds or removes `tags`, ignoring case
+   * - update_addresses: sets `city` and/or `state` on every live address,
+   *   checked against each address's pin code
+   * @param {number[]} ids
+   * @param {{ action: 'delete'|'add_tags'|'remove_tags'|'update_addresses',
+   *           tags?: string[], city?: string, state?: string }} operation
+   * @returns {Promise<{ results: { id: number, success: boolean, code?: string, message?: string }[],
+   *                     succeeded: number, failed: number }>}
+   */
+  async batchUpdate(ids, { action, tags = [], city, state }, actor) {
+    const lower = new Set(tags.map((tag) => tag.toLowerCase()));
+    const apply = {
+      delete: (customer) => this.writeDelete(customer, actor),
+      add_tags: (customer) => this.writeTags(customer, (current) => [
+        ...current, ...tags.filter((tag) => !current.some((name) => name.toLowerCase() === tag.toLowerCase())),
+      ], actor),
+      remove_tags: (customer) => this.writeTags(customer, (current) => current.filter((name) => !lower.has(name.toLowerCase())), actor),
+      update_addresses: (customer) => this.writeLocation(customer, { city, state }, actor),
+    }[action];
+    if (!apply) throw new BadRequestError(`Unknown action ${action}`, { field: 'action' });
+    if (action === 'update_addresses' && !city && !state) throw new BadRequestError('city or state required', { field: 'city' });
+
+    const results = await this.customers.transaction(async () => {
+      const done = [];
+      for (const id of new Set(ids)) {
+        try {
+          await this.customers.savepoint(async () => apply(await this.requireCustomer(id)));
+          done.push({ id, success: true });
+        } catch (err) {
+          const failure = err instanceof ServiceError ? err : conflictFromDatabase(err);
+          if (!failure) throw err;
+          done.push({ id, success: false, code: failure.code, message: failure.message });
+        }
+      }
+      return done;
+    });
+    const succeeded = results.filter((result) => result.success).length;
+    return { results, succeeded, failed: results.length - succeeded };
+  }
+
+  // Replaces the customer's tags with `change(current tags)`, unless that changes nothing.
+  async writeTags(customer, change, actor) {
+    const before = await this.snapshot(customer.id);
+    const tags = change(before.tags);
+    if (tags.length === before.tags.length && tags.every((tag, i) => tag === before.tags[i])) return;
+    await this.writeUpdate(before, {}, tags, actor);
+  }
+
+  // Moves every live address of the customer to `city` and/or `state`.
+  async writeLocation(customer, fields, actor) {
+    const addresses = await this.customers.listAddresses(customer.id);
+    if (addresses.length === 0) throw new BadRequestError('Customer has no addresses', { code: 'NO_ADDRESSES' });
+    for (const address of addresses) {
+      const changes = resolveLocation(fields, address);
+      if (changes.city === address.city && changes.state === address.state) continue;
+      await this.writeAddressUpdate(address, changes, actor);
+    }
+  }
+
+  /**
+   * Brings a trashed customer back together with the addresses that were
+   * trashed along with it. Fails with 409 if its phone number or email has
+   * been given to another customer in the meantime.
+   */
+  async restoreCustomer(id, actor) {
+    const before = await this.customers.findById(id, { includeDeleted: true });
+    if (!before) throw new NotFoundError('Customer not found');
+    if (!before.deleted_at) throw new BadRequestError('Customer is not deleted');
+    await this.assertPhoneAvailable(before.phone_e164, id);
+    await this.assertEmailAvailable(before.email, id);
+
+    await this.guardUniqueConflict(() => this.customers.transaction(async () => {
+      await this.customers.restore(id);
+      await this.addresses.restoreByCustomer(id, before.deleted_at);
+      const after = await this.customers.findById(id);
+      await this.audit.record({ entity: 'customer', entity_id: before.id, customer_id: before.id, action: 'restore', before, after, actor });
+      await this.search.reindex(before.id);
+    }));
+    return this.getCustomer(id);
+  }
+
+  /**
+   * Permanently removes customers and addresses that have been in the trash
+   * since before `cutoff` (an ISO timestamp).
+   * @returns {Promise<{ customers: number, addresses: number }>}
+   */
+  async purgeDeleted(cutoff, actor) {
+    const customers = await this.customers.findDeletedBefore(cutoff);
+    const addresses = await this.addresses.findDeletedBefore(cutoff);
+    await this.customers.transaction(async () => {
+      for (const customer of customers) {
+        const before = { ...customer, addresses: await this.customers.listAddresses(customer.id, { includeDeleted: true }) };
+        await this.audit.record({ entity: 'customer', entity_id: customer.id, customer_id: customer.id, action: 'purge', before, actor });
+        await this.customers.remove(customer.id);
+        await this.search.remove(customer.id);
+      }
+      for (const address of addresses) {
+        await this.audit.record({ entity: 'address', entity_id: address.id, customer_id: address.customer_id, action: 'purge', before: address, actor });
+        await this.addresses.remove(address.id);
+        await this.search.reindex(address.customer_id);
+      }
+    });
+    return { customers: customers.length, addresses: addresses.length };
+  }
+
+  /**
+   * Imports spreadsheet rows that already passed field validation. Adds
+   * phone numbers (compared in E.164 form) and emails repeated within the
+   * file or already taken to each row's errors, then creates the rows
+   * without errors unless `dryRun` is set.
+   * Every row is created in its own transaction, so a failing row does not
+   * undo the others.
+   * @param {{ row: number, customer: Object, address: Object|null, errors: { path: string, msg: string }[] }[]} records
+   * @returns {Promise<{ summary: { total: number, valid: number, invalid: number, created: number }, rows: Object[] }>}
+   */
+  async importCustomers(records, { dryRun = false } = {}, actor) {
+    const firstRowByPhone = new Map();
+    const firstRowByEmail = new Map();
+    const rows = [];
+    for (const { row, customer, address, errors: fieldErrors } of records) {
+      const errors = [...fieldErrors];
+      const phone = normalizePhone(customer.phone_number);
+      if (phone && !errors.some((e) => e.path === 'phone_number')) {
+        if (firstRowByPhone.has(phone)) {
+          errors.push({ path: 'phone_number', msg: `Phone number repeats row ${firstRowByPhone.get(phone)}` });
+        } else {
+          firstRowByPhone.set(phone, row);
+          if (await this.customers.findByPhone(phone)) errors.push({ path: 'phone_number', msg: 'Phone number already exists' });
+        }
+      }
+      const { email } = customer;
+      if (email && !errors.some((e) => e.path === 'email')) {
+        if (firstRowByEmail.has(email)) {
+          errors.push({ path: 'email', msg: `Email repeats row ${firstRowByEmail.get(email)}` });
+        } else {
+          firstRowByEmail.set(email, row);
+          if (await this.customers.findByEmail(email)) errors.push({ path: 'email', msg: 'Email already exists' });
+        }
+      }
+
+      const result = { row, status: errors.length ? 'invalid' : 'valid', data: { ...customer, address }, errors };
+      if (!errors.length && !dryRun) {
+        try {
+          const created = await this.createCustomer(customer, address ? [address] : [], actor);
+          Object.assign(result, { status: 'created', customer_id: created.id });
+        } catch (err) {
+          if (!(err instanceof ServiceError)) throw err;
+          Object.assign(result, { status: 'invalid', errors: [{ path: err.field || '', msg: err.message }] });
+        }
+      }
+      rows.push(result);
+    }
+
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    const invalid = count('invalid');
+    return {
+      summary: { total: rows.length, valid: rows.length - invalid, invalid, created: count('created') },
+      rows,
+    };
+  }
+
+  /**
+   * Pairs of live customers that may be the same person, scored by name
+   * similarity and phone and address overlap; see duplicates.js. Only the
+   * customers sharing a blocking key with someone are loaded, and each is
+   * compared only with those it shares a key with. Reads only: the keys are
+   * written along with the customers (see SearchRepository#reindex).
+   * @param {{ customer_id?: number, min_score?: number, limit?: number }} options
+   *   customer_id keeps only the pairs including that customer
+   * @returns {Promise<import('../duplicates').DuplicatePair[]>}
+   */
+  async findDuplicates({ customer_id, min_score, limit } = {}) {
+    if (customer_id !== undefined) await this.requireCustomer(customer_id);
+    const blocks = await this.search.matchBlocks({ customerId: customer_id, maxSize: MAX_BLOCK_SIZE });
+    const ids = [...new Set(blocks.flat())];
+    const customers = new Map();
+    for (let i = 0; i < ids.length; i += DUPLICATE_BATCH_SIZE) {
+      const batch = ids.slice(i, i + DUPLICATE_BATCH_SIZE);
+      for await (const customer of this.customers.iterate({ ids: batch, sort: 'id:asc' })) customers.set(customer.id, customer);
+    }
+    // a customer trashed meanwhile is left out
+    const loaded = blocks.map((block) => block.map((id) => customers.get(id)).filter(Boolean));
+    return scoreBlocks(loaded, { customerId: customer_id, minScore: min_score, limit });
+  }
+
+  /**
+   * Folds `duplicateId` into `survivorId` in one transaction: the duplicate's
+   * live addresses move to the survivor (as secondary addresses, unless the
+   * survivor had none), the survivor gains its tags and
+   * takes each field in `keep` marked 'duplicate' from it, and the duplicate
+   * goes to the trash.
+   * @param {Object<string, 'survivor'|'duplicate'>} [keep] per updatable field, e.g. { phone_number: 'duplicate' }
+   */
+  async mergeCustomers(survivorId, duplicateId, keep = {}, actor) {
+    if (String(survivorId) === String(duplicateId)) throw new BadRequestError('Cannot merge a customer with itself');
+    const survivor = await this.requireCustomer(survivorId);
+    const duplicate = await this.customers.findById(duplicateId);
+    if (!duplicate) throw new NotFoundError('Duplicate customer not found');
+
+    const changes = {};
+    for (const field of this.customers.constructor.UPDATABLE_FIELDS) {
+      if (keep[field] === 'duplicate') changes[field] = duplicate[field];
+    }
+    if (changes.phone_number) changes.phone_e164 = requirePhone(changes.phone_number);
+    const addresses = await this.customers.listAddresses(duplicate.id);
+    const survivorHasPrimary = Boolean(await this.addresses.findPrimary(survivor.id));
+    const tags = [...await this.tags.forCustomer(survivor.id), ...await this.tags.forCustomer(duplicate.id)];
+
+    await this.guardUniqueConflict(() => this.customers.transaction(async () => {
+      const before = await this.snapshot(survivor.id);
+      for (const [index, address] of addresses.entries()) {
+        await this.addresses.moveToCustomer(address.id, survivor.id);
+        if (index === 0 && !survivorHasPrimary) await this.addresses.setPrimary(address.id, true);
+        const after = await this.addresses.findById(address.id);
+        await this.audit.record({ entity: 'address', entity_id: address.id, customer_id: survivor.id, action: 'merge', before: address, after, actor });
+      }
+      // Trashing the duplicate first frees its phone number and email for the survivor.
+      await this.customers.softDelete(duplicate.id, new Date().toISOString());
+      const trashed = await this.customers.findById(duplicate.id, { includeDeleted: true });
+      await this.audit.record({ entity: 'customer', entity_id: duplicate.id, customer_id: duplicate.id, action: 'merge', before: duplicate, after: trashed, actor });
+
+      await this.customers.update(survivor.id, changes);
+      await this.tags.setForCustomer(survivor.id, tags);
+      await this.customers.touch(survivor.id);
+      const after = await this.snapshot(survivor.id);
+      await this.audit.record({ entity: 'customer', entity_id: survivor.id, customer_id: survivor.id, action: 'merge', before, after, actor });
+      await this.search.reindex(survivor.id);
+      await this.search.reindex(duplicate.id);
+    }));
+    return this.getCustomer(survivor.id);
+  }
+
+  /**
+   * Audit entries for the customer and its addresses, newest first. Still
+   * available after the customer is deleted.
+   */
+  async getHistory(customerId) {
+    const entries = await this.audit.listForCustomer(customerId);
+    if (entries.length === 0) await this.requireCustomer(customerId);
+    return entries;
+  }
+
+  async listAddresses(customerId) {
+    await this.requireCustomer(customerId);
+    return this.customers.listAddresses(customerId);
+  }
+
+  /**
+   * Adds an address, taking a missing city and state from the pin code; see
+   * pinCodes.js. A customer's first address becomes its primary one.
+   */
+  async addAddress(customerId, data, actor) {
+    const customer = await this.requireCustomer(customerId);
+    const address = { ...data, ...resolveLocation(data) };
+    return this.addresses.transaction(async () => {
+      const primary = await this.addresses.findPrimary(customer.id);
+      const id = await this.addresses.create(customer.id, address, { primary: !primary });
+      await this.customers.bumpVersion(customer.id);
+      const after = await this.addresses.findById(id);
+      await this.audit.record({ entity: 'address', entity_id: id, customer_id: customer.id, action: 'create', after, actor });
+      await this.search.reindex(customer.id);
+      return after;
+    });
+  }
+
+  /**
+   * Updates the given fields. A changed city, state or pin code is checked
+   * against the pin code, and a new pin code brings its own city and state
+   * unless they are given too. With `version`, fails with a VERSION_CONFLICT
+   * carrying the current address unless that is still its version.
+   */
+  async updateAddress(addressId, fields, actor, { version } = {}) {
+    await this.requireAddress(addressId);
+    if (!hasUpdates(fields, this.addresses.constructor.UPDATABLE_FIELDS)) {
+      throw new BadRequestError('No fields to update');
+    }
+    return this.addresses.transaction(async () => {
+      const before = await this.requireAddress(addressId);
+      if (version !== undefined && before.version !== version) throw versionConflict('Address', before);
+      const changes = (fields.city || fields.state || fields.pin_code)
+        ? { ...fields, ...resolveLocation(fields, before) }
+        : fields;
+      return this.writeAddressUpdate(before, changes, actor);
+    });
+  }
+
+  // The writes of updateAddress, inside a transaction begun by the caller.
+  async writeAddressUpdate(before, changes, actor) {
+    await this.addresses.update(before.id, changes);
+    await this.customers.bumpVersion(before.customer_id);
+    const after = await this.addresses.findById(before.id);
+    await this.audit.record({ entity: 'address', entity_id: before.id, customer_id: before.customer_id, action: 'update', before, after, actor });
+    await this.search.reindex(before.customer_id);
+    return after;
+  }
+
+  /** Trashes the address; when it was the primary one, the oldest remaining address takes over. */
+  async deleteAddress(addressId, actor) {
+    const before = await this.requireAddress(addressId);
+    await this.addresses.transaction(async () => {
+      await this.addresses.softDelete(addressId, new Date().toISOString());
+      await this.audit.record({ entity: 'address', entity_id: before.id, customer_id: before.customer_id, action: 'delete', before, actor });
+      if (before.is_primary) {
+        const next = await this.addresses.findOldest(before.customer_id);
+        if (next) await this.makePrimary(next, actor);
+      }
+      await this.customers.bumpVersion(before.customer_id);
+      await this.search.reindex(before.customer_id);
+    });
+  }
+
+  /** Makes the address its customer's primary address, in place of the current one. */
+  async setPrimaryAddress(addressId, actor) {
+    const address = await this.requireAddress(addressId);
+    if (address.is_primary) return address;
+    return this.addresses.transaction(async () => {
+      const current = await this.addresses.findPrimary(address.customer_id);
+      if (current) {
+        await this.addresses.setPrimary(current.id, false);
+        const after = await this.addresses.findById(current.id);
+        await this.audit.record({ entity: 'address', entity_id: current.id, customer_id: current.customer_id, action: 'update', before: current, after, actor });
+      }
+      await this.customers.bumpVersion(address.customer_id);
+      return this.makePrimary(address, actor);
+    });
+  }
+
+  // Sets the flag on `address` and records it; the caller runs the transaction.
+  async makePrimary(address, actor) {
+    await this.addresses.setPrimary(address.id, true);
+    const after = await this.addresses.findById(address.id);
+    await this.audit.record({ entity: 'address', entity_id: address.id, customer_id: address.customer_id, action: 'update', before: address, after, actor });
+    return after;
+  }
+
+  /** What the pin code data knows about `pinCode`; see pinCodes.js. */
+  lookupPinCode(pinCode) {
+    const info = lookupPinCode(pinCode);
+    if (!info) throw new NotFoundError('Pin code not found', { code: 'PIN_CODE_NOT_FOUND' });
+    return info;
+  }
+
+  async requireCustomer(id) {
+    const customer = await this.customers.findById(id);
+    if (!customer) throw new NotFoundError('Customer not found');
+    return customer;
+  }
+
+  async requireAddress(id) {
+    const address = await this.addresses.findById(id);
+    if (!address) throw new NotFoundError('Address not found');
+    return address;
+  }
+
+  /** The customer row with its tags, as recorded in the audit log. */
+  async snapshot(id) {
+    const customer = await this.customers.findById(id);
+    return { ...customer, tags: await this.tags.forCustomer(id) };
+  }
+
+  async assertPhoneAvailable(phone_e164, exceptCustomerId) {
+    if (!phone_e164) return;
+    const owner = await this.customers.findByPhone(phone_e164);
+    if (owner && String(owner.id) !== String(exceptCustomerId)) {
+      throw new ConflictError('Phone number already exists', { code: 'PHONE_NUMBER_TAKEN', field: 'phone_number' });
+    }
+  }
+
+  async assertEmailAvailable(email, exceptCustomerId) {
+    if (!email) return;
+    const owner = await this.customers.findByEmail(email);
+    if (owner && String(owner.id) !== String(exceptCustomerId)) {
+      throw new ConflictError('Email already exists', { code: 'EMAIL_TAKEN', field: 'email' });
+    }
+  }
+
+  // The pre-checks above can race with a concurrent insert; the UNIQUE
+  // constraints are the final word.
+  async guardUniqueConflict(work) {
+    try {
+      return await work();
+    } catch (err) {
+      throw conflictFromDatabase(err) || err;
+    }
+  }
+}
+
+module.exports = CustomerService;
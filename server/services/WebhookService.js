@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { BadRequestError, NotFoundError } = require('../errors');
+
+// An attempt that fails is retried after RETRY_BASE_MS, then twice as long
+// each time, until MAX_ATTEMPTS have been made: 30s, 1m, 2m, ... about an hour
+// for the last one with the defaults.
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+const REQUEST_TIMEOUT_MS = 10000;
+// How often the worker looks for retries that have come due.
+const POLL_MS = 5000;
+const DELIVERY_BATCH = 50;
+const AUDIT_BATCH = 500;
+
+/**
+ * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" under the
+ * webhook's secret, sent as X-Webhook-Signature: sha256=<hex> together with
+ * X-Webhook-Timestamp. Receivers recompute it to check where a delivery came
+ * from, and reject old timestamps to stop replays.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function retryDelay(attempts) {
+  return RETRY_BASE_MS * 2 ** (attempts - 1);
+}
+
+// Splits audit entries into one group per event: a change to a customer
+// together with the address changes next to it, such as a customer created
+// with its addresses, or address changes of one customer on their own.
+function groupByCustomer(entries) {
+  const groups = [];
+  for (const entry of entries) {
+    const last = groups[groups.length - 1];
+    const joins = last && last[0].customer_id === entry.customer_id
+      && !(entry.entity === 'customer' && last.some((e) => e.entity === 'customer'));
+    if (joins) last.push(entry);
+    else groups.push([entry]);
+  }
+  return groups;
+}
+
+// The event a group of audit entries amounts to. Address changes change the
+// customer; so does being the survivor of a merge, while the duplicate goes
+// to the trash.
+function eventOf(entries) {
+  const own = entries.filter((entry) => entry.entity === 'customer');
+  if (own.some((entry) => entry.action === 'create')) return 'customer.created';
+  const last = own[own.length - 1];
+  if (!last) return 'customer.updated';
+  if (last.action === 'merge') return last.after && last.after.deleted_at ? 'customer.deleted' : 'customer.updated';
+  return { delete: 'customer.deleted', restore: 'customer.restored', purge: 'customer.purged' }[last.action] || 'customer.updated';
+}
+
+class WebhookService {
+  /**
+   * @param {{ webhooks: import('../repositories/WebhookRepository'),
+   *           audit: import('../repositories/AuditRepository'),
+   *           customers: import('./CustomerService'),
+   *           changes: import('./ChangeFeed'), clock?: () => Date }} dependencies
+   * `customers` supplies the customer sent with each event; `changes` wakes
+   * the worker up when something is committed.
+   */
+  constructor({ webhooks, audit, customers, changes, clock = () => new Date() }) {
+    this.webhooks = webhooks;
+    this.audit = audit;
+    this.customers = customers;
+    this.changes = changes;
+    this.clock = clock;
+    this.timer = null;
+    this.running = null;
+  }
+
+  listWebhooks() {
+    return this.webhooks.list();
+  }
+
+  getWebhook(id) {
+    return this.requireWebhook(id);
+  }
+
+  /**
+   * Subscribes `url` to `events`. Without a secret one is generated; the
+   * answer is the only place it is ever shown.
+   * @param {{ url: string, events: string[], secret?: string, active?: boolean }} data
+   */
+  async createWebhook({ url, events, secret, active }) {
+    const key = secret || crypto.randomBytes(32).toString('hex');
+    const id = await this.webhooks.create({ url, events: [...new Set(events)], secret: key, active });
+    return { ...(await this.webhooks.findById(id)), secret: key };
+  }
+
+  async updateWebhook(id, { url, events, secret, active }) {
+    await this.requireWebhook(id);
+    if (!url && !events && !secret && active === undefined) throw new BadRequestError('No fields to update');
+    await this.webhooks.update(id, { url, events: events && [...new Set(events)], secret, active });
+    return this.webhooks.findById(id);
+  }
+
+  /** Deletes the webhook along with its delivery log. */
+  async deleteWebhook(id) {
+    await this.requireWebhook(id);
+    await this.webhooks.remove(id);
+  }
+
+  async listDeliveries(webhookId, filters) {
+    await this.requireWebhook(webhookId);
+    return this.webhooks.listDeliveries(webhookId, filters);
+  }
+
+  /** Queues the payload of an earlier delivery once more, as a new delivery. */
+  async replayDelivery(webhookId, deliveryId) {
+    await this.requireWebhook(webhookId);
+    const original = await this.webhooks.findDelivery(webhookId, deliveryId);
+    if (!original) throw new NotFoundError('Delivery not found');
+    const id = await this.webhooks.createDelivery({
+      webhook_id: original.webhook_id,
+      event: original.event,
+      payload: original.payload,
+      next_attempt_at: this.clock().toISOString(),
+      replay_of: original.id,
+    });
+    if (this.timer) this.schedule();
+    return this.webhooks.findDelivery(webhookId, id);
+  }
+
+  /**
+   * Starts the worker: it turns new audit entries into deliveries and sends
+   * them, retrying failures with exponential backoff. See stop().
+   */
+  start() {
+    if (this.timer) return;
+    this.unsubscribe = this.changes.subscribe(() => this.schedule());
+    this.timer = setInterval(() => this.schedule(), POLL_MS);
+    this.timer.unref();
+    this.schedule();
+  }
+
+  /** Stops the worker; resolves once a run in progress is over. */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribe) this.unsubscribe();
+    await this.running;
+  }
+
+  // Runs the worker unless it is running already, in which case it goes
+  // round once more when done.
+  schedule() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+    this.running = (async () => {
+      do {
+        this.rerun = false;
+        try {
+          await this.runOnce();
+        } catch (err) {
+          console.error('Webhook worker failed:', err);
+        }
+      } while (this.rerun && this.timer);
+      this.running = null;
+    })();
+  }
+
+  /** Queues deliveries for changes since the last run and sends what is due. */
+  async runOnce() {
+    while (await this.enqueueChanges() === AUDIT_BATCH);
+    await this.deliverDue();
+  }
+
+  /**
+   * Turns audit entries after the cursor into deliveries to the webhooks
+   * subscribed to their events, and moves the cursor past them.
+   * @returns {Promise<number>} number of audit entries read
+   */
+  enqueueChanges() {
+    return this.webhooks.transaction(async () => {
+      const cursor = await this.webhooks.getCursor();
+      const entries = await this.audit.listSince(cursor, AUDIT_BATCH);
+      if (entries.length === 0) return 0;
+      const webhooks = await this.webhooks.listActive();
+      const now = this.clock().toISOString();
+      for (const group of webhooks.length ? groupByCustomer(entries) : []) {
+        const event = eventOf(group);
+        const targets = webhooks.filter((webhook) => webhook.events.includes(event));
+        if (targets.length === 0) continue;
+        const payload = await this.payloadOf(event, group);
+        for (const webhook of targets) {
+          await this.webhooks.createDelivery({ webhook_id: webhook.id, event, payload, next_attempt_at: now });
+        }
+      }
+      await this.webhooks.setCursor(entries[entries.length - 1].id);
+      return entries.length;
+    });
+  }
+
+  // The customer as it is now, with its addresses, or as last recorded once
+  // it is in the trash or gone.
+  async payloadOf(event, entries) {
+    const last = entries[entries.length - 1];
+    let customer;
+    try {
+      customer = await this.customers.getCustomer(last.customer_id);
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
+      const own = entries.filter((entry) => entry.entity === 'customer').pop();
+      customer = own ? own.after || own.before : { id: last.customer_id };
+    }
+    return { event, occurred_at: last.created_at, audit_id: last.id, actor: last.actor, data: customer };
+  }
+
+  async deliverDue() {
+    const due = await this.webhooks.findDue(this.clock().toISOString(), DELIVERY_BATCH);
+    for (const delivery of due) await this.attempt(delivery);
+    return due.length;
+  }
+
+  async attempt(delivery) {
+    const timestamp = Math.floor(this.clock().getTime() / 1000);
+    let responseStatus = null;
+    let error = null;
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'customer-manager-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.payload)}`,
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = res.status;
+      // the answer's body is of no interest, but must be read to free the connection
+      await res.arrayBuffer().catch(() => {});
+      if (!res.ok) error = `Answered ${res.status}`;
+    } catch (err) {
+      error = err.cause ? `${err.message}: ${err.cause.message || err.cause.code}` : err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    let status = 'pending';
+    if (!error) status = 'delivered';
+    else if (attempts >= MAX_ATTEMPTS) status = 'failed';
+    await this.webhooks.recordAttempt(delivery.id, {
+      status,
+      attempts,
+      response_status: responseStatus,
+      last_error: error,
+      next_attempt_at: status === 'pending' ? new Date(this.clock().getTime() + retryDelay(attempts)).toISOString() : null,
+    });
+  }
+
+  async requireWebhook(id) {
+    const webhook = await this.webhooks.findById(id);
+    if (!webhook) throw new NotFoundError('Webhook not found');
+    return webhook;
+  }
+}
+
+WebhookService.signPayload = signPayload;
+WebhookService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+WebhookService.RETRY_BASE_MS = RETRY_BASE_MS;
+
+module.exports = WebhookService;
@@ -0,0 +1,81 @@
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { BadRequestError } = require('./errors');
+
+/**
+ * @typedef {Object} SheetRow
+ * @property {number} row 1-based line in the file; the header is row 1
+ * @property {Object<string, string>} values cell text keyed by header
+ */
+
+function spreadsheetFormat(filename = '', mimetype = '') {
+  const ext = path.extname(filename).toLowerCase();
+  if (ext === '.csv' || mimetype === 'text/csv') return 'csv';
+  if (ext === '.xlsx' || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  return null;
+}
+
+function toRows(headers, lines) {
+  const rows = [];
+  lines.forEach((cells, index) => {
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = cells[col] == null ? '' : String(cells[col]).trim();
+    });
+    // Blank lines are skipped but still counted, so row numbers match the file.
+    if (Object.values(values).some(Boolean)) rows.push({ row: index + 2, values });
+  });
+  return rows;
+}
+
+function readCsv(buffer) {
+  let lines;
+  try {
+    lines = parse(buffer, { bom: true, relax_column_count: true });
+  } catch (err) {
+    throw new BadRequestError(`Could not read CSV: ${err.message}`);
+  }
+  const [header = [], ...rest] = lines;
+  const headers = header.map((h) => h.trim());
+  return { headers, rows: toRows(headers, rest) };
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new BadRequestError(`Could not read XLSX: ${err.message}`);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  // Date cells come back as YYYY-MM-DD, the form the API takes dates in.
+  const cellsOf = (row) => {
+    const cells = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      const cell = row.getCell(col);
+      cells.push(cell.value instanceof Date ? cell.value.toISOString().slice(0, 10) : cell.text);
+    }
+    return cells;
+  };
+  const headers = cellsOf(sheet.getRow(1)).map((h) => h.trim());
+  const lines = [];
+  for (let n = 2; n <= sheet.rowCount; n++) lines.push(cellsOf(sheet.getRow(n)));
+  return { headers, rows: toRows(headers, lines) };
+}
+
+/**
+ * Reads the first sheet of an uploaded CSV or XLSX file. The first row holds
+ * the column headers; every cell comes back as trimmed text.
+ * @returns {Promise<{ headers: string[], rows: SheetRow[] }>}
+ */
+async function readSpreadsheet(buffer, { filename, mimetype } = {}) {
+  const format = spreadsheetFormat(filename, mimetype);
+  if (format === 'csv') return readCsv(buffer);
+  if (format === 'xlsx') return readXlsx(buffer);
+  throw new BadRequestError('Unsupported file type; upload a .csv or .xlsx file');
+}
+
+module.exports = { readSpreadsheet, spreadsheetFormat };
@@ -0,0 +1,201 @@
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let customer;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+  customer = await createCustomer(api);
+});
+
+afterEach(() => closeDb(db));
+
+describe('POST /api/customers/:id/addresses', () => {
+  test('adds an address', async () => {
+    const res = await api.post(`/api/customers/${customer.id}/addresses`).send(address());
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ customer_id: customer.id, ...address() });
+  });
+
+  test('rejects empty fields', async () => {
+    const res = await api.post(`/api/customers/${customer.id}/addresses`).send({ address_details: ' ', city: 'Vizag' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(['address_details', 'pin_code']);
+  });
+
+  test('rejects malformed pin codes and unknown types', async () => {
+    for (const pin_code of ['53000', '5300021', '030002', 'ABCDEF']) {
+      const res = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ pin_code }));
+      expect(res.body.errors).toEqual([expect.objectContaining({ path: 'pin_code', msg: 'pin_code must be a 6-digit PIN code' })]);
+    }
+    const res = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ type: 'holiday' }));
+    expect(res.body.errors.map((e) => e.path)).toEqual(['type']);
+  });
+
+  test('stores the type, other by default', async () => {
+    const billing = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ type: 'billing', pin_code: '530 002' }));
+    expect(billing.body.data).toMatchObject({ type: 'billing', pin_code: '530002' });
+    const other = await api.post(`/api/customers/${customer.id}/addresses`).send(address());
+    expect(other.body.data.type).toBe('other');
+  });
+
+  test('fills in the city and state from the pin code', async () => {
+    const res = await api.post(`/api/customers/${customer.id}/addresses`).send({ address_details: 'MG Road', pin_code: '560001' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ city: 'Bengaluru', state: 'Karnataka' });
+
+    // Only the state is known for most pin codes.
+    const byPrefix = await api.post(`/api/customers/${customer.id}/addresses`).send({ address_details: 'x', city: 'Tenali', pin_code: '522201' });
+    expect(byPrefix.body.data).toMatchObject({ city: 'Tenali', state: 'Andhra Pradesh' });
+    const missing = await api.post(`/api/customers/${customer.id}/addresses`).send({ address_details: 'x', pin_code: '522201' });
+    expect(missing.status).toBe(400);
+  });
+
+  test('checks the city and state against the pin code', async () => {
+    const wrongState = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ state: 'Kerala' }));
+    expect(wrongState.status).toBe(400);
+    expect(wrongState.body.message).toBe('pin_code 530002 is in Andhra Pradesh, not Kerala');
+    const wrongCity = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ city: 'Guntur' }));
+    expect(wrongCity.body.message).toBe('pin_code 530002 is in Visakhapatnam, not Guntur');
+
+    const alias = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ city: 'vizag', state: 'ANDHRA PRADESH' }));
+    expect(alias.status).toBe(201);
+    // Unknown ranges are not checked.
+    const aps = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ pin_code: '930002' }));
+    expect(aps.status).toBe(201);
+  });
+
+  test('returns 404 for an unknown customer', async () => {
+    const res = await api.post('/api/customers/999/addresses').send(address());
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/customers/:id/addresses', () => {
+  test('lists the customer addresses', async () => {
+    await api.post(`/api/customers/${customer.id}/addresses`).send(address());
+    await api.post(`/api/customers/${customer.id}/addresses`).send(address({ city: 'Guntur', pin_code: '522001' }));
+    const res = await api.get(`/api/customers/${customer.id}/addresses`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((a) => a.city)).toEqual(['Visakhapatnam', 'Guntur']);
+  });
+
+  test('returns 404 for an unknown customer', async () => {
+    const res = await api.get('/api/customers/999/addresses');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/addresses/:addressId', () => {
+  test('updates the given fields only', async () => {
+    const created = (await api.post(`/api/customers/${customer.id}/addresses`).send(address())).body.data;
+    const res = await api.put(`/api/addresses/${created.id}`).send({ city: 'Vizag' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ ...address(), city: 'Vizag' });
+  });
+
+  test('takes the city and state of a new pin code', async () => {
+    const created = (await api.post(`/api/customers/${customer.id}/addresses`).send(address())).body.data;
+    const res = await api.put(`/api/addresses/${created.id}`).send({ pin_code: '500001', type: 'shipping' });
+    expect(res.body.data).toMatchObject({ city: 'Hyderabad', state: 'Telangana', pin_code: '500001', type: 'shipping' });
+
+    const mismatch = await api.put(`/api/addresses/${created.id}`).send({ state: 'Kerala' });
+    expect(mismatch.status).toBe(400);
+  });
+
+  test('returns 400 when there is nothing to update', async () => {
+    const created = (await api.post(`/api/customers/${customer.id}/addresses`).send(address())).body.data;
+    const res = await api.put(`/api/addresses/${created.id}`).send({});
+    expect(res.status).toBe(400);
+  });
+
+  test('returns 400 for empty values', async () => {
+    const created = (await api.post(`/api/customers/${customer.id}/addresses`).send(address())).body.data;
+    const res = await api.put(`/api/addresses/${created.id}`).send({ state: '', pin_code: ' ' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => [e.path, e.msg])).toEqual([['state', 'state required'], ['pin_code', 'pin_code required']]);
+  });
+
+  test('returns 404 for an unknown address', async () => {
+    const res = await api.put('/api/addresses/999').send({ city: 'Vizag' });
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Address not found');
+  });
+});
+
+describe('primary address', () => {
+  async function addAddress(overrides) {
+    return (await api.post(`/api/customers/${customer.id}/addresses`).send(address(overrides))).body.data;
+  }
+
+  async function primaryIds() {
+    const res = await api.get(`/api/customers/${customer.id}/addresses`);
+    return res.body.data.filter((a) => a.is_primary).map((a) => a.id);
+  }
+
+  test('is the first address', async () => {
+    const first = await addAddress();
+    const second = await addAddress();
+    expect([first.is_primary, second.is_primary]).toEqual([1, 0]);
+
+    const created = await createCustomer(api, { phone_number: '9000000001', addresses: [address(), address()] });
+    expect(created.addresses.map((a) => a.is_primary)).toEqual([1, 0]);
+  });
+
+  test('is set through POST /api/addresses/:addressId/primary', async () => {
+    const first = await addAddress();
+    const second = await addAddress();
+    const res = await api.post(`/api/addresses/${second.id}/primary`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: second.id, is_primary: 1 });
+    expect(await primaryIds()).toEqual([second.id]);
+
+    const history = await api.get(`/api/customers/${customer.id}/history`);
+    expect(history.body.data.slice(0, 2).map((e) => [e.entity_id, e.after.is_primary])).toEqual([[second.id, 1], [first.id, 0]]);
+
+    expect((await api.post('/api/addresses/999/primary')).status).toBe(404);
+  });
+
+  test('passes to the oldest remaining address when deleted', async () => {
+    const first = await addAddress();
+    await addAddress();
+    const third = await addAddress();
+    await api.post(`/api/addresses/${third.id}/primary`);
+    await api.delete(`/api/addresses/${third.id}`);
+    expect(await primaryIds()).toEqual([first.id]);
+  });
+
+  test('gives the list its primary city', async () => {
+    await addAddress({ city: 'Guntur', pin_code: '522001' });
+    await addAddress();
+    const res = await api.get('/api/customers');
+    expect(res.body.data[0].primary_city).toBe('Guntur');
+  });
+});
+
+describe('GET /api/addresses/pin-codes/:pinCode', () => {
+  test('looks up a pin code', async () => {
+    const res = await api.get('/api/addresses/pin-codes/560001');
+    expect(res.body.data).toEqual({ pin_code: '560001', states: ['Karnataka'], city: 'Bengaluru', aliases: ['Bangalore'] });
+    const prefix = await api.get('/api/addresses/pin-codes/160062');
+    expect(prefix.body.data).toMatchObject({ states: ['Chandigarh', 'Punjab'], city: null });
+    expect((await api.get('/api/addresses/pin-codes/999999')).status).toBe(404);
+  });
+});
+
+describe('DELETE /api/addresses/:addressId', () => {
+  test('deletes the address', async () => {
+    const created = (await api.post(`/api/customers/${customer.id}/addresses`).send(address())).body.data;
+    const res = await api.delete(`/api/addresses/${created.id}`);
+    expect(res.status).toBe(200);
+
+    const list = await api.get(`/api/customers/${customer.id}/addresses`);
+    expect(list.body.data).toEqual([]);
+  });
+
+  test('returns 404 for an unknown address', async () => {
+    const res = await api.delete('/api/addresses/999');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,71 @@
+const { run, all } = require('../db');
+const { migrateDown, getStatus } = require('../migrator');
+const { findOrphanedAddresses, purgeOrphanedAddresses } = require('../integrity');
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+// Inserts an address for a missing customer, as older databases could have.
+async function insertOrphan() {
+  await run(db, 'PRAGMA foreign_keys = OFF');
+  await run(db, `INSERT INTO addresses (customer_id, address_details, city, state, pin_code) VALUES (99, 'x', 'y', 'z', '1')`);
+  await run(db, 'PRAGMA foreign_keys = ON');
+}
+
+describe('GET /api/admin/integrity', () => {
+  test('reports a consistent database', async () => {
+    await createCustomer(api, { addresses: [address()] });
+    const res = await api.get('/api/admin/integrity');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      ok: true,
+      foreign_keys_enabled: true,
+      integrity_check: ['ok'],
+      foreign_key_violations: [],
+      orphaned_addresses: { count: 0, ids: [] },
+      pending_migrations: [],
+    });
+  });
+
+  test('reports orphaned addresses', async () => {
+    await insertOrphan();
+    const res = await api.get('/api/admin/integrity');
+    expect(res.body.data.ok).toBe(false);
+    expect(res.body.data.orphaned_addresses.count).toBe(1);
+    expect(res.body.data.foreign_key_violations).toHaveLength(1);
+  });
+});
+
+describe('orphan repair', () => {
+  test('finds and purges orphaned addresses only', async () => {
+    const customer = await createCustomer(api, { addresses: [address()] });
+    await insertOrphan();
+
+    expect((await findOrphanedAddresses(db)).map((a) => a.customer_id)).toEqual([99]);
+    expect(await purgeOrphanedAddresses(db)).toBe(1);
+    expect(await findOrphanedAddresses(db)).toEqual([]);
+
+    const remaining = await all(db, 'SELECT customer_id FROM addresses');
+    expect(remaining).toEqual([{ customer_id: customer.id }]);
+  });
+});
+
+describe('migrations', () => {
+  test('can be reverted and report pending afterwards', async () => {
+    const before = await getStatus(db);
+    expect(before.every((m) => m.applied)).toBe(true);
+
+    await migrateDown(db, before.length);
+    const after = await getStatus(db);
+    expect(after.every((m) => !m.applied)).toBe(true);
+    const tables = await all(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('customers', 'addresses')`);
+    expect(tables).toEqual([]);
+  });
+});
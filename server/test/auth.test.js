@@ -0,0 +1,161 @@
+const { all } = require('../db');
+const UserRepository = require('../repositories/UserRepository');
+const AuthService = require('../services/AuthService');
+const { PASSWORD, setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+let anonymous;
+
+beforeEach(async () => {
+  ({ db, api, as, anonymous } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+describe('POST /api/auth/login', () => {
+  test('returns a token and the user without its password hash', async () => {
+    const res = await anonymous.post('/api/auth/login').send({ username: 'agent', password: PASSWORD });
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(res.body.data.user).toMatchObject({ username: 'agent', role: 'agent' });
+    expect(res.body.data.user.password_hash).toBeUndefined();
+  });
+
+  test('stores only a hash of the session token', async () => {
+    const res = await anonymous.post('/api/auth/login').send({ username: 'agent', password: PASSWORD });
+    const sessions = await all(db, 'SELECT token_hash FROM sessions');
+    expect(sessions.map((s) => s.token_hash)).not.toContain(res.body.data.token);
+  });
+
+  test('rejects a wrong password or unknown user', async () => {
+    const wrong = await anonymous.post('/api/auth/login').send({ username: 'agent', password: 'nope-nope' });
+    expect(wrong.status).toBe(401);
+    const unknown = await anonymous.post('/api/auth/login').send({ username: 'ghost', password: PASSWORD });
+    expect(unknown.status).toBe(401);
+    expect(unknown.body.message).toBe(wrong.body.message);
+  });
+
+  test('rejects missing credentials', async () => {
+    const res = await anonymous.post('/api/auth/login').send({});
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects credentials that are not text', async () => {
+    for (const credentials of [{ username: 'agent', password: 12345678 }, { username: ['agent'], password: PASSWORD }, { username: 'agent', password: { $ne: '' } }]) {
+      const res = await anonymous.post('/api/auth/login').send(credentials);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+    }
+    // and the service refuses them too, before hashing anything
+    const authService = new AuthService({ users: new UserRepository(db) });
+    await expect(authService.login('agent', 12345678)).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('sessions', () => {
+  test('protected routes require a token', async () => {
+    expect((await anonymous.get('/api/customers')).status).toBe(401);
+    expect((await anonymous.get('/api/customers').set('Authorization', 'Bearer bogus')).status).toBe(401);
+  });
+
+  test('health stays public', async () => {
+    expect((await anonymous.get('/api/health')).status).toBe(200);
+  });
+
+  test('GET /api/auth/me returns the current user', async () => {
+    const viewer = await as('viewer');
+    const res = await viewer.get('/api/auth/me');
+    expect(res.body.data).toMatchObject({ username: 'viewer', role: 'viewer' });
+  });
+
+  test('logout invalidates the token', async () => {
+    const viewer = await as('viewer');
+    expect((await viewer.post('/api/auth/logout')).status).toBe(200);
+    expect((await viewer.get('/api/customers')).status).toBe(401);
+  });
+});
+
+describe('role-based access', () => {
+  let customer;
+
+  beforeEach(async () => {
+    customer = await createCustomer(api, { addresses: [address()] });
+  });
+
+  test('viewers can read but not write', async () => {
+    const viewer = await as('viewer');
+    expect((await viewer.get('/api/customers')).status).toBe(200);
+    expect((await viewer.get(`/api/customers/${customer.id}`)).status).toBe(200);
+    expect((await viewer.get(`/api/customers/${customer.id}/addresses`)).status).toBe(200);
+
+    const create = await viewer.post('/api/customers').send({ first_name: 'A', last_name: 'B', phone_number: '9123456789' });
+    expect(create.status).toBe(403);
+    expect((await viewer.put(`/api/customers/${customer.id}`).send({ first_name: 'X' })).status).toBe(403);
+    expect((await viewer.post(`/api/customers/${customer.id}/addresses`).send(address())).status).toBe(403);
+  });
+
+  test('agents can create and edit but not delete', async () => {
+    const agent = await as('agent');
+    const create = await agent.post('/api/customers').send({ first_name: 'A', last_name: 'B', phone_number: '9123456789' });
+    expect(create.status).toBe(201);
+    expect((await agent.put(`/api/customers/${customer.id}`).send({ first_name: 'X' })).status).toBe(200);
+    const addressId = customer.addresses[0].id;
+    expect((await agent.put(`/api/addresses/${addressId}`).send({ city: 'Vizag' })).status).toBe(200);
+
+    expect((await agent.delete(`/api/addresses/${addressId}`)).status).toBe(403);
+    expect((await agent.delete(`/api/customers/${customer.id}`)).status).toBe(403);
+  });
+
+  test('only admins reach user management and integrity reports', async () => {
+    const agent = await as('agent');
+    expect((await agent.get('/api/users')).status).toBe(403);
+    expect((await agent.get('/api/admin/integrity')).status).toBe(403);
+    expect((await api.get('/api/users')).status).toBe(200);
+  });
+});
+
+describe('user management', () => {
+  test('creates a user who can then log in', async () => {
+    const res = await api.post('/api/users').send({ username: 'priya', password: 'long-enough', role: 'agent' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ username: 'priya', role: 'agent' });
+
+    const login = await anonymous.post('/api/auth/login').send({ username: 'priya', password: 'long-enough' });
+    expect(login.status).toBe(200);
+  });
+
+  test('validates new users', async () => {
+    const res = await api.post('/api/users').send({ username: '', password: 'short', role: 'owner' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(['username', 'password', 'role']);
+  });
+
+  test('rejects duplicate usernames case-insensitively', async () => {
+    const res = await api.post('/api/users').send({ username: 'Agent', password: 'long-enough', role: 'agent' });
+    expect(res.status).toBe(409);
+  });
+
+  test('changing a role ends the user\'s sessions', async () => {
+    const viewer = await as('viewer');
+    const me = (await viewer.get('/api/auth/me')).body.data;
+    const res = await api.put(`/api/users/${me.id}`).send({ role: 'agent' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.role).toBe('agent');
+    expect((await viewer.get('/api/auth/me')).status).toBe(401);
+  });
+
+  test('keeps at least one admin and forbids self-deletion', async () => {
+    const admin = (await api.get('/api/auth/me')).body.data;
+    expect((await api.put(`/api/users/${admin.id}`).send({ role: 'viewer' })).status).toBe(400);
+    expect((await api.delete(`/api/users/${admin.id}`)).status).toBe(400);
+  });
+
+  test('deletes another user', async () => {
+    const users = (await api.get('/api/users')).body.data;
+    const viewer = users.find((u) => u.username === 'viewer');
+    expect((await api.delete(`/api/users/${viewer.id}`)).status).toBe(200);
+    expect((await api.delete(`/api/users/${viewer.id}`)).status).toBe(404);
+  });
+});
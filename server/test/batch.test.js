@@ -0,0 +1,107 @@
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+let vizag;
+let hyderabad;
+
+beforeEach(async () => {
+  ({ db, api, as } = await setupApp());
+  vizag = await createCustomer(api, { tags: ['VIP'], addresses: [address()] });
+  hyderabad = await createCustomer(api, {
+    first_name: 'Ravi',
+    phone_number: '9123456789',
+    addresses: [address({ city: 'Hyderabad', state: 'Telangana', pin_code: '500001' })],
+  });
+});
+
+afterEach(() => closeDb(db));
+
+describe('POST /api/customers/batch', () => {
+  test('deletes the given customers, with a result for each', async () => {
+    const res = await api.post('/api/customers/batch').send({ action: 'delete', ids: [vizag.id, 999, hyderabad.id] });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      results: [
+        { id: vizag.id, success: true },
+        { id: 999, success: false, code: 'NOT_FOUND', message: 'Customer not found' },
+        { id: hyderabad.id, success: true },
+      ],
+      succeeded: 2,
+      failed: 1,
+    });
+    const trash = await api.get('/api/customers').query({ deleted: 'only' });
+    expect(trash.body.data.map((c) => c.id)).toEqual([vizag.id, hyderabad.id]);
+  });
+
+  test('adds and removes tags regardless of case, recording each change', async () => {
+    const added = await api.post('/api/customers/batch').send({ action: 'add_tags', ids: [vizag.id, hyderabad.id], tags: ['vip', 'Wholesale'] });
+    expect(added.body.data.succeeded).toBe(2);
+    expect((await api.get(`/api/customers/${vizag.id}`)).body.data.tags).toEqual(['VIP', 'Wholesale']);
+    // an existing tag keeps its spelling
+    expect((await api.get(`/api/customers/${hyderabad.id}`)).body.data.tags).toEqual(['VIP', 'Wholesale']);
+
+    await api.post('/api/customers/batch').send({ action: 'remove_tags', ids: [vizag.id], tags: ['VIP'] });
+    const customer = (await api.get(`/api/customers/${vizag.id}`)).body.data;
+    expect(customer.tags).toEqual(['Wholesale']);
+    expect(customer.version).toBe(3);
+    const history = await api.get(`/api/customers/${vizag.id}/history`);
+    expect(history.body.data.filter((e) => e.action === 'update')).toHaveLength(2);
+  });
+
+  test('undoes only the customers that fail', async () => {
+    const second = await api.post(`/api/customers/${vizag.id}/addresses`).send(address({ address_details: 'Plot 9' }));
+    expect(second.status).toBe(201);
+
+    const res = await api.post('/api/customers/batch').send({ action: 'update_addresses', ids: [vizag.id, hyderabad.id], city: 'Vizag' });
+    expect(res.body.data.results).toEqual([
+      { id: vizag.id, success: true },
+      expect.objectContaining({ id: hyderabad.id, success: false, code: 'PIN_CODE_MISMATCH' }),
+    ]);
+    const addresses = (await api.get(`/api/customers/${vizag.id}/addresses`)).body.data;
+    expect(addresses.map((a) => a.city)).toEqual(['Vizag', 'Vizag']);
+    expect((await api.get(`/api/customers/${hyderabad.id}/addresses`)).body.data[0].city).toBe('Hyderabad');
+  });
+
+  test('selects every customer matching a filter', async () => {
+    const res = await api.post('/api/customers/batch').send({ action: 'add_tags', filter: { state: ['Telangana'] }, tags: ['South'] });
+    expect(res.body.data.results).toEqual([{ id: hyderabad.id, success: true }]);
+  });
+
+  test('validates the action and the selection', async () => {
+    const res = await api.post('/api/customers/batch').send({ action: 'add_tags', ids: [vizag.id], filter: {} });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(['filter', 'tags']);
+
+    const noLocation = await api.post('/api/customers/batch').send({ action: 'update_addresses', ids: [vizag.id] });
+    expect(noLocation.status).toBe(400);
+  });
+
+  test('refuses filter values that are not text', async () => {
+    for (const filter of [{ sort: ['id:asc'] }, { search: 5 }, { created_after: { from: '2024-01-01' } }]) {
+      const res = await api.post('/api/customers/batch').send({ action: 'add_tags', filter, tags: ['South'] });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+      expect(res.body.errors.map((e) => e.path)).toEqual([`filter.${Object.keys(filter)[0]}`]);
+    }
+  });
+
+  test('needs the role of the action', async () => {
+    const agent = await as('agent');
+    const deleted = await agent.post('/api/customers/batch').send({ action: 'delete', ids: [vizag.id] });
+    expect(deleted.status).toBe(403);
+    const tagged = await agent.post('/api/customers/batch').send({ action: 'add_tags', ids: [vizag.id], tags: ['New'] });
+    expect(tagged.status).toBe(200);
+    const viewer = await as('viewer');
+    expect((await viewer.post('/api/customers/batch').send({ action: 'add_tags', ids: [vizag.id], tags: ['New'] })).status).toBe(403);
+  });
+});
+
+describe('GET /api/customers/export?ids=', () => {
+  test('exports only the selected customers', async () => {
+    const res = await api.get('/api/customers/export').query({ format: 'json', ids: [hyderabad.id] });
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.text).map((c) => c.id)).toEqual([hyderabad.id]);
+  });
+});
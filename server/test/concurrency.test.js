@@ -0,0 +1,82 @@
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let customer;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+  customer = await createCustomer(api, { addresses: [address()] });
+});
+
+afterEach(() => closeDb(db));
+
+describe('customer versions', () => {
+  test('come with the customer and as its ETag', async () => {
+    const res = await api.get(`/api/customers/${customer.id}`);
+    expect(res.body.data.version).toBe(1);
+    expect(res.headers.etag).toBe('"1"');
+  });
+
+  test('increase with every change, to the customer or its addresses', async () => {
+    const updated = await api.put(`/api/customers/${customer.id}`).set('If-Match', '"1"').send({ first_name: 'Ravi' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.version).toBe(2);
+    expect(updated.headers.etag).toBe('"2"');
+
+    await api.post(`/api/customers/${customer.id}/addresses`).send(address({ address_details: 'Plot 9' }));
+    const res = await api.get(`/api/customers/${customer.id}`);
+    expect(res.headers.etag).toBe('"3"');
+  });
+
+  test('turn a stale update into a 409 with the current customer', async () => {
+    await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ravi', version: 1 });
+
+    const stale = await api.put(`/api/customers/${customer.id}`).set('If-Match', '"1"').send({ last_name: 'Rao' });
+    expect(stale.status).toBe(409);
+    expect(stale.body).toMatchObject({ code: 'VERSION_CONFLICT', data: { first_name: 'Ravi', version: 2 } });
+    expect(stale.body.data.addresses).toHaveLength(1);
+
+    const staleBody = await api.put(`/api/customers/${customer.id}`).send({ last_name: 'Rao', version: 1 });
+    expect(staleBody.status).toBe(409);
+    const res = await api.get(`/api/customers/${customer.id}`);
+    expect(res.body.data).toMatchObject({ last_name: customer.last_name, version: 2 });
+  });
+
+  test('are not checked without If-Match or version, or with If-Match: *', async () => {
+    await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ravi' });
+    const any = await api.put(`/api/customers/${customer.id}`).set('If-Match', '*').send({ last_name: 'Rao' });
+    expect(any.status).toBe(200);
+    expect(any.body.data.version).toBe(3);
+  });
+
+  test('reject malformed or disagreeing If-Match headers', async () => {
+    const malformed = await api.put(`/api/customers/${customer.id}`).set('If-Match', '1').send({ first_name: 'Ravi' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.code).toBe('INVALID_IF_MATCH');
+
+    const disagreeing = await api.put(`/api/customers/${customer.id}`).set('If-Match', '"1"').send({ first_name: 'Ravi', version: 2 });
+    expect(disagreeing.status).toBe(400);
+    expect(disagreeing.body.errors).toEqual([expect.objectContaining({ path: 'version' })]);
+  });
+});
+
+describe('address versions', () => {
+  test('turn a stale address update into a 409 with the current address', async () => {
+    const [{ id, version }] = customer.addresses;
+    const first = await api.put(`/api/addresses/${id}`).send({ address_details: 'Plot 9', version });
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBe(`"${version + 1}"`);
+
+    const stale = await api.put(`/api/addresses/${id}`).set('If-Match', `"${version}"`).send({ address_details: 'Plot 10' });
+    expect(stale.status).toBe(409);
+    expect(stale.body).toMatchObject({ code: 'VERSION_CONFLICT', data: { id, address_details: 'Plot 9', version: version + 1 } });
+  });
+
+  test('bump the customer version, so its ETag changes too', async () => {
+    const [{ id }] = customer.addresses;
+    await api.put(`/api/addresses/${id}`).send({ address_details: 'Plot 9' });
+    const stale = await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ravi', version: 1 });
+    expect(stale.status).toBe(409);
+  });
+});
@@ -0,0 +1,239 @@
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+describe('GET /api/health', () => {
+  test('reports OK', async () => {
+    const res = await api.get('/api/health');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, message: 'OK' });
+  });
+});
+
+describe('POST /api/customers', () => {
+  test('creates a customer without addresses', async () => {
+    const res = await api.post('/api/customers')
+      .send({ first_name: 'John', last_name: 'Alan', phone_number: '9564344000' });
+    expect(res.status).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data).toMatchObject({ first_name: 'John', last_name: 'Alan', phone_number: '9564344000', addresses: [] });
+  });
+
+  test('creates a customer with several addresses', async () => {
+    const res = await api.post('/api/customers').send({
+      first_name: 'Raven',
+      last_name: 'Richie',
+      phone_number: '9432904200',
+      addresses: [address(), address({ city: 'Hyderabad', state: 'Telangana', pin_code: '500001' })],
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.data.addresses).toHaveLength(2);
+    expect(res.body.data.addresses.map((a) => a.city)).toEqual(['Visakhapatnam', 'Hyderabad']);
+  });
+
+  test('rejects missing required fields', async () => {
+    const res = await api.post('/api/customers').send({ first_name: ' ', phone_number: '12' });
+    expect(res.status).toBe(400);
+    const paths = res.body.errors.map((e) => e.path);
+    expect(paths).toEqual(expect.arrayContaining(['first_name', 'last_name', 'phone_number']));
+  });
+
+  test('validates nested addresses and stores nothing on failure', async () => {
+    const res = await api.post('/api/customers').send({
+      first_name: 'Elli',
+      last_name: 'Dalhmer',
+      phone_number: '9439393000',
+      addresses: [address(), address({ city: '', pin_code: '' })],
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(['addresses[1].city', 'addresses[1].pin_code']);
+
+    const list = await api.get('/api/customers');
+    expect(list.body.meta.total).toBe(0);
+  });
+
+  test('rejects a non-array addresses value', async () => {
+    const res = await api.post('/api/customers')
+      .send({ first_name: 'Mark', last_name: 'Rob', phone_number: '9452232000', addresses: 'nope' });
+    expect(res.status).toBe(400);
+  });
+
+  test('returns 409 for a duplicate phone number', async () => {
+    await createCustomer(api, { phone_number: '9888322000' });
+    const res = await api.post('/api/customers')
+      .send({ first_name: 'Ojas', last_name: 'Hamilton', phone_number: '9888322000', addresses: [address()] });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Phone number already exists');
+
+    const list = await api.get('/api/customers');
+    expect(list.body.meta.total).toBe(1);
+  });
+});
+
+describe('GET /api/customers', () => {
+  beforeEach(async () => {
+    await createCustomer(api, { first_name: 'John', last_name: 'Alan', phone_number: '9111111111', addresses: [address()] });
+    await createCustomer(api, {
+      first_name: 'Raven',
+      last_name: 'Richie',
+      phone_number: '9222222222',
+      addresses: [address({ city: 'Hyderabad', state: 'Telangana', pin_code: '500001' })],
+    });
+    await createCustomer(api, {
+      first_name: 'Mark',
+      last_name: 'Rob',
+      phone_number: '9333333333',
+      addresses: [address({ city: 'Guntur', pin_code: '522001' })],
+    });
+  });
+
+  test('lists customers with default pagination', async () => {
+    const res = await api.get('/api/customers');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(3);
+    expect(res.body.meta).toEqual({ page: 1, limit: 10, total: 3, next_cursor: null, prev_cursor: null });
+  });
+
+  test('searches by full name and phone number', async () => {
+    const byName = await api.get('/api/customers').query({ search: 'Raven Rich' });
+    expect(byName.body.data.map((c) => c.first_name)).toEqual(['Raven']);
+
+    const byPhone = await api.get('/api/customers').query({ search: '333' });
+    expect(byPhone.body.data.map((c) => c.first_name)).toEqual(['Mark']);
+  });
+
+  test('filters by city, state and pin code', async () => {
+    const byCity = await api.get('/api/customers').query({ city: 'Hyderabad' });
+    expect(byCity.body.data.map((c) => c.first_name)).toEqual(['Raven']);
+
+    const byState = await api.get('/api/customers').query({ state: 'Andhra Pradesh' });
+    expect(byState.body.data.map((c) => c.first_name)).toEqual(['John', 'Mark']);
+
+    const byPin = await api.get('/api/customers').query({ pin_code: '522001' });
+    expect(byPin.body.data.map((c) => c.first_name)).toEqual(['Mark']);
+
+    const combined = await api.get('/api/customers').query({ state: 'Andhra Pradesh', pin_code: '530002' });
+    expect(combined.body.data.map((c) => c.first_name)).toEqual(['John']);
+    expect(combined.body.meta.total).toBe(1);
+  });
+
+  test('sorts by an allowed field and direction', async () => {
+    const res = await api.get('/api/customers').query({ sort: 'first_name:desc' });
+    expect(res.body.data.map((c) => c.first_name)).toEqual(['Raven', 'Mark', 'John']);
+  });
+
+  test('falls back to id order for unknown sort fields', async () => {
+    const res = await api.get('/api/customers').query({ sort: 'password:desc' });
+    expect(res.body.data.map((c) => c.first_name)).toEqual(['Mark', 'Raven', 'John']);
+
+    const asc = await api.get('/api/customers').query({ sort: 'bogus' });
+    expect(asc.body.data.map((c) => c.first_name)).toEqual(['John', 'Raven', 'Mark']);
+  });
+
+  test('paginates and reports the total across pages', async () => {
+    const first = await api.get('/api/customers').query({ page: 1, limit: 2 });
+    expect(first.body.data.map((c) => c.first_name)).toEqual(['John', 'Raven']);
+    expect(first.body.meta).toMatchObject({ page: 1, limit: 2, total: 3 });
+
+    const second = await api.get('/api/customers').query({ page: 2, limit: 2 });
+    expect(second.body.data.map((c) => c.first_name)).toEqual(['Mark']);
+  });
+
+  test('returns an empty page past the end', async () => {
+    const res = await api.get('/api/customers').query({ page: 5, limit: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([]);
+    expect(res.body.meta.total).toBe(3);
+  });
+
+  test('rejects invalid page and limit values', async () => {
+    for (const query of [{ page: 'abc' }, { page: 0 }, { page: -1 }, { limit: 'xyz' }, { limit: 0 }, { limit: 101 }]) {
+      const res = await api.get('/api/customers').query(query);
+      expect(res.status).toBe(400);
+    }
+    expect((await api.get('/api/customers').query({ limit: 100 })).status).toBe(200);
+  });
+});
+
+describe('GET /api/customers/:id', () => {
+  test('returns the customer with addresses', async () => {
+    const created = await createCustomer(api, { addresses: [address()] });
+    const res = await api.get(`/api/customers/${created.id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.id).toBe(created.id);
+    expect(res.body.data.addresses).toHaveLength(1);
+  });
+
+  test('returns 404 for an unknown customer', async () => {
+    const res = await api.get('/api/customers/999');
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, code: 'NOT_FOUND', message: 'Customer not found' });
+  });
+});
+
+describe('PUT /api/customers/:id', () => {
+  test('updates the given fields only', async () => {
+    const created = await createCustomer(api);
+    const res = await api.put(`/api/customers/${created.id}`).send({ first_name: 'Johnny' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ first_name: 'Johnny', last_name: 'Alan', phone_number: '9876543210' });
+  });
+
+  test('returns 400 when there is nothing to update', async () => {
+    const created = await createCustomer(api);
+    const res = await api.put(`/api/customers/${created.id}`).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No fields to update');
+  });
+
+  test('returns 400 for invalid values', async () => {
+    const created = await createCustomer(api);
+    const res = await api.put(`/api/customers/${created.id}`).send({ last_name: '', phone_number: '1' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(['last_name', 'phone_number']);
+  });
+
+  test('allows keeping the same phone number', async () => {
+    const created = await createCustomer(api);
+    const res = await api.put(`/api/customers/${created.id}`).send({ phone_number: created.phone_number });
+    expect(res.status).toBe(200);
+  });
+
+  test('returns 409 when the phone number belongs to someone else', async () => {
+    await createCustomer(api, { phone_number: '9111111111' });
+    const other = await createCustomer(api, { phone_number: '9222222222' });
+    const res = await api.put(`/api/customers/${other.id}`).send({ phone_number: '9111111111' });
+    expect(res.status).toBe(409);
+  });
+
+  test('returns 404 for an unknown customer', async () => {
+    const res = await api.put('/api/customers/999').send({ first_name: 'Nobody' });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/customers/:id', () => {
+  test('hides the customer and its addresses', async () => {
+    const created = await createCustomer(api, { addresses: [address(), address()] });
+    const res = await api.delete(`/api/customers/${created.id}`);
+    expect(res.status).toBe(200);
+
+    expect((await api.get(`/api/customers/${created.id}`)).status).toBe(404);
+    expect((await api.get('/api/customers')).body.meta.total).toBe(0);
+    expect((await api.get('/api/customers').query({ city: 'Visakhapatnam' })).body.data).toEqual([]);
+    const integrity = await api.get('/api/admin/integrity');
+    expect(integrity.body.data.orphaned_addresses.count).toBe(0);
+  });
+
+  test('returns 404 for an unknown customer', async () => {
+    const res = await api.delete('/api/customers/999');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,86 @@
+const { openDatabase, run, all, get, exec, transaction, savepoint } = require('../db');
+const { closeDb } = require('./helpers');
+
+let db;
+
+beforeEach(async () => {
+  db = await openDatabase(':memory:');
+  await exec(db, 'CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT NOT NULL)');
+});
+
+afterEach(() => closeDb(db));
+
+// A transaction paused after its first insert: `begun` resolves once it is
+// open, and `finish(error)` lets it commit, or roll back with `error`.
+function pausedTransaction() {
+  let markBegun;
+  let release;
+  const begun = new Promise((resolve) => { markBegun = resolve; });
+  const released = new Promise((resolve) => { release = resolve; });
+  const result = transaction(db, async () => {
+    await run(db, `INSERT INTO notes (body) VALUES ('inside')`);
+    markBegun();
+    const error = await released;
+    if (error) throw error;
+  });
+  return { begun, result, finish: release };
+}
+
+describe('transaction', () => {
+  test('keeps statements from outside out of a transaction that rolls back', async () => {
+    const paused = pausedTransaction();
+    await paused.begun;
+    const outside = run(db, `INSERT INTO notes (body) VALUES ('outside')`);
+    let written = false;
+    outside.then(() => { written = true; });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(written).toBe(false);
+
+    paused.finish(new Error('boom'));
+    await expect(paused.result).rejects.toThrow('boom');
+    await outside;
+    expect(await all(db, 'SELECT body FROM notes')).toEqual([{ body: 'outside' }]);
+  });
+
+  test('keeps uncommitted rows from reads outside it', async () => {
+    const paused = pausedTransaction();
+    await paused.begun;
+    const count = get(db, 'SELECT COUNT(*) AS count FROM notes');
+    paused.finish();
+    await paused.result;
+    expect(await count).toEqual({ count: 1 });
+  });
+
+  test('lets work it starts without waiting run after it', async () => {
+    let detached;
+    await transaction(db, async () => {
+      await run(db, `INSERT INTO notes (body) VALUES ('first')`);
+      detached = new Promise((resolve) => setTimeout(resolve, 10))
+        .then(() => run(db, `INSERT INTO notes (body) VALUES ('later')`));
+    });
+    await detached;
+    expect(await all(db, 'SELECT body FROM notes ORDER BY id')).toEqual([{ body: 'first' }, { body: 'later' }]);
+  });
+});
+
+describe('savepoint', () => {
+  test('undoes only its own work, not statements from outside the transaction', async () => {
+    // another request's write, arriving while the savepoint is open
+    const outside = new Promise((resolve) => setTimeout(resolve, 5))
+      .then(() => run(db, `INSERT INTO notes (body) VALUES ('outside')`));
+    await transaction(db, async () => {
+      await run(db, `INSERT INTO notes (body) VALUES ('kept')`);
+      await expect(savepoint(db, async () => {
+        await run(db, `INSERT INTO notes (body) VALUES ('undone')`);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        throw new Error('item failed');
+      })).rejects.toThrow('item failed');
+    });
+    await outside;
+    expect(await all(db, 'SELECT body FROM notes ORDER BY id')).toEqual([{ body: 'kept' }, { body: 'outside' }]);
+  });
+
+  test('refuses to run outside a transaction', async () => {
+    await expect(savepoint(db, async () => {})).rejects.toThrow('needs a transaction');
+  });
+});
@@ -0,0 +1,183 @@
+const { run, all } = require('../db');
+const { backfillMatchKeys } = require('../integrity');
+const CustomerRepository = require('../repositories/CustomerRepository');
+const { nameScore, phoneScore, addressScore, findDuplicatePairs } = require('../duplicates');
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+
+beforeEach(async () => {
+  ({ db, api, as } = await setupApp());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  return closeDb(db);
+});
+
+describe('duplicate scoring', () => {
+  const customer = (id, first_name, last_name, phone_number, addresses = []) => ({ id, first_name, last_name, phone_number, addresses });
+
+  test('compares names regardless of accents, case and order', () => {
+    expect(nameScore(customer(1, 'José', 'Nair'), customer(2, 'jose', 'NAIR'))).toBe(1);
+    expect(nameScore(customer(1, 'Nair', 'Meera'), customer(2, 'Meera', 'Nair'))).toBe(1);
+    expect(nameScore(customer(1, 'Jon', 'Smith'), customer(2, 'John', 'Smith'))).toBe(0.875);
+  });
+
+  test('matches phones by subscriber number or one typo away', () => {
+    expect(phoneScore({ phone_e164: '+919876543210' }, { phone_number: '098765 43210' })).toBe(1);
+    expect(phoneScore({ phone_number: '9876543210' }, { phone_number: '9876543211' })).toBe(0.5);
+    expect(phoneScore({ phone_number: '9876543210' }, { phone_number: '9000000001' })).toBe(0);
+  });
+
+  test('matches addresses by pin code and shared words', () => {
+    const a = customer(1, 'A', 'B', '', [address({ address_details: '13-2-2A Sagar Nagar' })]);
+    expect(addressScore(a, customer(2, 'C', 'D', '', [address({ address_details: '13/2/2A, Sagar Nagar' })]))).toBe(1);
+    expect(addressScore(a, customer(2, 'C', 'D', '', [address({ address_details: 'Beach Road' })]))).toBe(0.4);
+    expect(addressScore(a, customer(2, 'C', 'D', '', [address({ pin_code: '110001' })]))).toBe(0);
+  });
+
+  test('only compares customers sharing a blocking key', () => {
+    const pairs = findDuplicatePairs([
+      customer(1, 'John', 'Smith', '9000000001'),
+      customer(2, 'Jhon', 'Smith', '9000000002'),
+      customer(3, 'Meera', 'Nair', '9000000003'),
+    ]);
+    expect(pairs).toEqual([{ score: 0.65, signals: { name: 0.88, phone: 0.5, address: 0 }, customers: [expect.objectContaining({ id: 1 }), expect.objectContaining({ id: 2 })] }]);
+  });
+});
+
+describe('GET /api/customers/duplicates', () => {
+  let john;
+  let jon;
+  let asha;
+
+  beforeEach(async () => {
+    john = await createCustomer(api, { first_name: 'John', last_name: 'Smith', phone_number: '9000000001', addresses: [address()] });
+    jon = await createCustomer(api, { first_name: 'Jon', last_name: 'Smith', phone_number: '9111111111', addresses: [address({ address_details: '13-2-2A, Sagar Nagar' })] });
+    asha = await createCustomer(api, { first_name: 'Asha', last_name: 'Rao', phone_number: '9222222222', addresses: [address()] });
+  });
+
+  test('lists scored pairs, best first', async () => {
+    const res = await api.get('/api/customers/duplicates');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ score: 0.78, signals: { name: 0.88, phone: 0, address: 1 } });
+    expect(res.body.data[0].customers.map((c) => c.id)).toEqual([john.id, jon.id]);
+    expect(res.body.data[0].customers[0].addresses).toHaveLength(1);
+
+    const all = await api.get('/api/customers/duplicates?min_score=0');
+    expect(all.body.data.map((p) => p.customers.map((c) => c.first_name))).toEqual([
+      ['John', 'Jon'], ['John', 'Asha'], ['Jon', 'Asha'],
+    ]);
+  });
+
+  test('narrows to one customer', async () => {
+    const res = await api.get('/api/customers/duplicates').query({ customer_id: asha.id, min_score: 0 });
+    expect(res.body.data.every((p) => p.customers.some((c) => c.id === asha.id))).toBe(true);
+    expect(res.body.data).toHaveLength(2);
+
+    expect((await api.get('/api/customers/duplicates?customer_id=999')).status).toBe(404);
+    expect((await api.get('/api/customers/duplicates?min_score=2')).status).toBe(400);
+  });
+
+  test('leaves out trashed customers', async () => {
+    await api.delete(`/api/customers/${jon.id}`);
+    const res = await api.get('/api/customers/duplicates');
+    expect(res.body.data).toEqual([]);
+  });
+
+  test('loads only the customers sharing a key with someone', async () => {
+    const loner = await createCustomer(api, { first_name: 'Zara', last_name: 'Patel', phone_number: '9333333333' });
+    const iterate = jest.spyOn(CustomerRepository.prototype, 'iterate');
+    await api.get('/api/customers/duplicates?min_score=0');
+    const loaded = iterate.mock.calls.flatMap(([query]) => query.ids);
+    expect(loaded.sort()).toEqual([john.id, jon.id, asha.id].sort());
+    expect(loaded).not.toContain(loner.id);
+  });
+
+  test('keeps the keys in step with edits', async () => {
+    const ravi = await createCustomer(api, { first_name: 'Ravi', last_name: 'Kumar', phone_number: '9444444444' });
+    await api.put(`/api/customers/${ravi.id}`).send({ first_name: 'Jhon', last_name: 'Smith' });
+    const res = await api.get('/api/customers/duplicates?min_score=0');
+    expect(res.body.data.map((p) => p.customers.map((c) => c.id))).toContainEqual([john.id, ravi.id]);
+
+    const [primary] = (await api.get(`/api/customers/${jon.id}/addresses`)).body.data;
+    await api.delete(`/api/addresses/${primary.id}`);
+    await api.put(`/api/customers/${jon.id}`).send({ first_name: 'Bob', last_name: 'Brown' });
+    expect((await api.get('/api/customers/duplicates?min_score=0')).body.data.map((p) => p.customers.map((c) => c.id)))
+      .not.toContainEqual([john.id, jon.id]);
+  });
+
+  test('only reads; customers written before keys were kept need the backfill', async () => {
+    await run(db, 'DELETE FROM customer_match_keys');
+    expect((await api.get('/api/customers/duplicates')).body.data).toEqual([]);
+    expect(await all(db, 'SELECT * FROM customer_match_keys')).toEqual([]);
+    const report = await api.get('/api/admin/integrity');
+    expect(report.body.data).toMatchObject({ ok: false, customers_without_match_keys: { count: 3, ids: [john.id, jon.id, asha.id] } });
+
+    expect(await backfillMatchKeys(db)).toEqual({ keyed: 3 });
+    const res = await api.get('/api/customers/duplicates');
+    expect(res.body.data.map((p) => p.customers.map((c) => c.id))).toEqual([[john.id, jon.id]]);
+    expect((await api.get('/api/admin/integrity')).body.data.customers_without_match_keys.count).toBe(0);
+  });
+});
+
+describe('POST /api/customers/:id/merge', () => {
+  test('moves addresses, takes the chosen fields and trashes the duplicate', async () => {
+    const survivor = await createCustomer(api, { first_name: 'Jon', last_name: 'Smith', phone_number: '9000000001', addresses: [address()] });
+    const duplicate = await createCustomer(api, {
+      first_name: 'John', last_name: 'Smyth', phone_number: '9111111111',
+      addresses: [address({ city: 'Guwahati' }), address({ city: 'Shillong' })],
+    });
+
+    const res = await api.post(`/api/customers/${survivor.id}/merge`)
+      .send({ duplicate_id: duplicate.id, keep: { first_name: 'duplicate', phone_number: 'duplicate' } });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: survivor.id, first_name: 'John', last_name: 'Smith', phone_number: '9111111111', phone_e164: '+919111111111' });
+    expect(res.body.data.addresses.map((a) => a.city)).toEqual(['Visakhapatnam', 'Guwahati', 'Shillong']);
+    expect(res.body.data.addresses.map((a) => a.is_primary)).toEqual([1, 0, 0]);
+
+    expect((await api.get(`/api/customers/${duplicate.id}`)).status).toBe(404);
+    const trash = await api.get('/api/customers?deleted=only');
+    expect(trash.body.data.map((c) => c.id)).toEqual([duplicate.id]);
+    const search = await api.get('/api/customers?search=guwahati');
+    expect(search.body.data.map((c) => c.id)).toEqual([survivor.id]);
+
+    const history = await api.get(`/api/customers/${survivor.id}/history`);
+    expect(history.body.data.filter((e) => e.action === 'merge').map((e) => e.entity)).toEqual(['customer', 'address', 'address']);
+    const duplicateHistory = await api.get(`/api/customers/${duplicate.id}/history`);
+    expect(duplicateHistory.body.data[0]).toMatchObject({ action: 'merge', entity: 'customer' });
+  });
+
+  test('keeps the survivor fields by default and combines the tags', async () => {
+    const survivor = await createCustomer(api, { first_name: 'Jon', phone_number: '9000000001', tags: ['VIP'] });
+    const duplicate = await createCustomer(api, { first_name: 'John', phone_number: '9111111111', email: 'john@example.com', tags: ['wholesale', 'vip'] });
+    const res = await api.post(`/api/customers/${survivor.id}/merge`).send({ duplicate_id: duplicate.id });
+    expect(res.body.data).toMatchObject({ first_name: 'Jon', phone_number: '9000000001', email: null, tags: ['VIP', 'wholesale'], addresses: [] });
+  });
+
+  test('can take the duplicate email', async () => {
+    const survivor = await createCustomer(api, { phone_number: '9000000001' });
+    const duplicate = await createCustomer(api, { phone_number: '9111111111', email: 'john@example.com' });
+    const res = await api.post(`/api/customers/${survivor.id}/merge`).send({ duplicate_id: duplicate.id, keep: { email: 'duplicate' } });
+    expect(res.body.data.email).toBe('john@example.com');
+  });
+
+  test('rejects bad requests', async () => {
+    const survivor = await createCustomer(api, { phone_number: '9000000001' });
+    const duplicate = await createCustomer(api, { phone_number: '9111111111' });
+    const merge = (id, body) => api.post(`/api/customers/${id}/merge`).send(body);
+
+    expect((await merge(survivor.id, { duplicate_id: survivor.id })).status).toBe(400);
+    expect((await merge(survivor.id, { duplicate_id: 999 })).status).toBe(404);
+    expect((await merge(999, { duplicate_id: duplicate.id })).status).toBe(404);
+    expect((await merge(survivor.id, { duplicate_id: duplicate.id, keep: { first_name: 'both' } })).status).toBe(400);
+    expect((await merge(survivor.id, {})).status).toBe(400);
+
+    const agent = await as('agent');
+    expect((await agent.post(`/api/customers/${survivor.id}/merge`).send({ duplicate_id: duplicate.id })).status).toBe(403);
+  });
+});
@@ -0,0 +1,87 @@
+const CustomerService = require('../services/CustomerService');
+const { ConflictError, conflictFromDatabase } = require('../errors');
+const { setupApp, closeDb, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+let anonymous;
+
+beforeEach(async () => {
+  ({ db, api, as, anonymous } = await setupApp());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  return closeDb(db);
+});
+
+describe('error responses', () => {
+  test('carry the validation errors', async () => {
+    const res = await api.post('/api/customers').send({ first_name: 'Asha' });
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, code: 'VALIDATION_FAILED', message: 'Validation failed' });
+    expect(res.body.errors.map((e) => [e.path, e.msg])).toEqual([
+      ['last_name', 'last_name required'],
+      ['phone_number', 'phone_number required'],
+    ]);
+  });
+
+  test('name the field of a conflict', async () => {
+    await createCustomer(api, { email: 'asha@example.com' });
+    const res = await api.post('/api/customers').send({ first_name: 'A', last_name: 'B', phone_number: '9876543210' });
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      success: false,
+      code: 'PHONE_NUMBER_TAKEN',
+      message: 'Phone number already exists',
+      errors: [{ path: 'phone_number', msg: 'Phone number already exists' }],
+    });
+  });
+
+  test('use specific codes for authentication and generic ones otherwise', async () => {
+    const login = await anonymous.post('/api/auth/login').send({ username: 'agent', password: 'wrong-password' });
+    expect(login.body.code).toBe('INVALID_CREDENTIALS');
+    expect((await anonymous.get('/api/customers')).body.code).toBe('UNAUTHORIZED');
+
+    const viewer = await as('viewer');
+    const res = await viewer.delete('/api/customers/1');
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ success: false, code: 'FORBIDDEN', message: 'Requires admin role' });
+  });
+
+  test('cover unknown routes and malformed bodies', async () => {
+    const unknown = await api.get('/api/nothing-here');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('ROUTE_NOT_FOUND');
+
+    const malformed = await api.post('/api/customers').set('Content-Type', 'application/json').send('{"first_name":');
+    expect(malformed.status).toBe(400);
+    expect(malformed.body).toEqual({ success: false, code: 'INVALID_BODY', message: 'Malformed JSON body' });
+  });
+
+  test('hide unexpected errors behind a 500', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(CustomerService.prototype, 'getCustomer').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+    const res = await api.get('/api/customers/1');
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ success: false, code: 'INTERNAL_ERROR', message: 'Internal server error' });
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('conflictFromDatabase', () => {
+  const sqliteError = (message) => Object.assign(new Error(message), { code: 'SQLITE_CONSTRAINT' });
+
+  test('maps UNIQUE violations to conflicts', () => {
+    const conflict = conflictFromDatabase(sqliteError('SQLITE_CONSTRAINT: UNIQUE constraint failed: customers.email'));
+    expect(conflict).toBeInstanceOf(ConflictError);
+    expect(conflict).toMatchObject({ status: 409, code: 'EMAIL_TAKEN', field: 'email' });
+    expect(conflictFromDatabase(sqliteError('SQLITE_CONSTRAINT: UNIQUE constraint failed: tags.name')).code).toBe('CONFLICT');
+  });
+
+  test('leaves other errors alone', () => {
+    expect(conflictFromDatabase(sqliteError('SQLITE_CONSTRAINT: CHECK constraint failed: type'))).toBeNull();
+    expect(conflictFromDatabase(new Error('UNIQUE constraint failed: customers.email'))).toBeNull();
+  });
+});
@@ -0,0 +1,139 @@
+const http = require('http');
+const SearchRepository = require('../repositories/SearchRepository');
+const { PASSWORD, setupApp, closeDb, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let anonymous;
+let server;
+let token;
+
+beforeEach(async () => {
+  let app;
+  ({ db, app, api, anonymous } = await setupApp());
+  server = app.listen(0);
+  const login = await anonymous.post('/api/auth/login').send({ username: 'viewer', password: PASSWORD });
+  token = login.body.data.token;
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  return closeDb(db);
+});
+
+// One "id: / event: / data:" block; comments and retry: lines give null.
+function parseEvent(block) {
+  const event = {};
+  for (const line of block.split('\n')) {
+    const [, field, value] = /^(\w+): ?(.*)$/.exec(line) || [];
+    if (field === 'id') event.id = Number(value);
+    if (field === 'event') event.event = value;
+    if (field === 'data') event.data = JSON.parse(value);
+  }
+  return event.event ? event : null;
+}
+
+// GET /api/events, signed in as the viewer through ?access_token=.
+// `next(count)` resolves with the next `count` events.
+function openStream({ query = {}, headers = {} } = {}) {
+  const params = new URLSearchParams({ access_token: token, ...query });
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path: `/api/events?${params}`, headers }, (res) => {
+      const events = [];
+      let buffer = '';
+      let waiting = null;
+      const deliver = () => {
+        if (waiting && events.length >= waiting.count) {
+          waiting.resolve(events.splice(0, waiting.count));
+          waiting = null;
+        }
+      };
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const event = parseEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (event) events.push(event);
+        }
+        deliver();
+      });
+      resolve({
+        res,
+        next: (count = 1) => new Promise((done) => { waiting = { count, resolve: done }; deliver(); }),
+        close: () => req.destroy(),
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('GET /api/events', () => {
+  test('requires a session', async () => {
+    const res = await anonymous.get('/api/events');
+    expect(res.status).toBe(401);
+    const expired = await anonymous.get('/api/events').query({ access_token: 'nope' });
+    expect(expired.body.code).toBe('SESSION_EXPIRED');
+  });
+
+  test('streams committed changes once ready', async () => {
+    const stream = await openStream();
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(await stream.next()).toEqual([{ id: 0, event: 'ready', data: {} }]);
+
+    const customer = await createCustomer(api);
+    const [created] = await stream.next();
+    expect(created).toMatchObject({
+      event: 'change',
+      data: { entity: 'customer', entity_id: customer.id, customer_id: customer.id, action: 'create', actor: { username: 'admin' } },
+    });
+    expect(created.id).toBe(created.data.id);
+
+    await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ravi' });
+    const [updated] = await stream.next();
+    expect(updated).toMatchObject({ event: 'change', data: { action: 'update', after: { first_name: 'Ravi' } } });
+  });
+
+  test('leaves out changes that were rolled back', async () => {
+    const stream = await openStream();
+    await stream.next();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(SearchRepository.prototype, 'reindex').mockRejectedValueOnce(new Error('disk full'));
+    const failed = await api.post('/api/customers').send({ first_name: 'John', last_name: 'Alan', phone_number: '9876543210' });
+    expect(failed.status).toBe(500);
+
+    const customer = await createCustomer(api);
+    const [created] = await stream.next();
+    expect(created.data).toMatchObject({ action: 'create', entity_id: customer.id });
+  });
+
+  test('resumes after the last event seen, from the header or the query', async () => {
+    const first = await openStream();
+    await first.next();
+    const customer = await createCustomer(api);
+    const [seen] = await first.next();
+    first.close();
+
+    await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ravi' });
+    await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ram' });
+
+    const resumed = await openStream({ headers: { 'Last-Event-ID': String(seen.id) } });
+    const events = await resumed.next(3);
+    expect(events.map((e) => [e.event, e.data.after && e.data.after.first_name])).toEqual([
+      ['change', 'Ravi'], ['change', 'Ram'], ['ready', undefined],
+    ]);
+    expect(events[2].id).toBeUndefined();
+
+    const fromQuery = await openStream({ query: { last_event_id: events[0].id } });
+    expect((await fromQuery.next(2)).map((e) => e.id)).toEqual([events[1].id, undefined]);
+  });
+
+  test('rejects a malformed Last-Event-ID', async () => {
+    const res = await api.get('/api/events').set('Last-Event-ID', 'latest');
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ path: 'last_event_id' })]);
+  });
+});
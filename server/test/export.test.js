@@ -0,0 +1,149 @@
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const CustomerRepository = require('../repositories/CustomerRepository');
+const { FLAT_COLUMNS } = require('../export');
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+
+beforeEach(async () => {
+  ({ db, api, as } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function seed() {
+  const asha = await createCustomer(api, {
+    first_name: 'Asha', last_name: 'Rao', phone_number: '9000000001',
+    addresses: [address({ city: 'Bengaluru' }), address({ city: 'Mysuru', pin_code: '570001', type: 'billing' })],
+  });
+  const ravi = await createCustomer(api, { first_name: 'Ravi', last_name: 'Kumar', phone_number: '9000000002' });
+  const john = await createCustomer(api, { phone_number: '9000000003', addresses: [address()] });
+  return { asha, ravi, john };
+}
+
+describe('GET /api/customers/export', () => {
+  test('streams CSV with one line per address', async () => {
+    const { asha, ravi } = await seed();
+    const res = await api.get('/api/customers/export?format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="customers-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const rows = parse(res.text, { columns: true });
+    expect(rows).toHaveLength(4);
+    expect(rows.slice(0, 3)).toMatchObject([
+      { customer_id: String(asha.id), first_name: 'Asha', city: 'Bengaluru', address_type: 'other', is_primary: '1' },
+      { customer_id: String(asha.id), city: 'Mysuru', pin_code: '570001', address_type: 'billing', is_primary: '0' },
+      { customer_id: String(ravi.id), address_id: '', address_type: '', is_primary: '', city: '' },
+    ]);
+  });
+
+  test('exports nested JSON honoring the list filters and sort', async () => {
+    await seed();
+    const res = await api.get('/api/customers/export?format=json&state=Andhra%20Pradesh&sort=first_name:desc');
+    expect(res.status).toBe(200);
+    expect(res.body.map((c) => c.first_name)).toEqual(['John', 'Asha']);
+    expect(res.body[1].addresses.map((a) => a.city)).toEqual(['Bengaluru', 'Mysuru']);
+
+    const empty = await api.get('/api/customers/export?format=json&search=nobody');
+    expect(empty.body).toEqual([]);
+  });
+
+  test('exports XLSX', async () => {
+    await seed();
+    const res = await api.get('/api/customers/export?format=xlsx&search=Asha').buffer(true).parse(binary);
+    expect(res.status).toBe(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.worksheets[0];
+    expect(sheet.getRow(1).getCell(1).text).toBe('customer_id');
+    expect(sheet.rowCount).toBe(3);
+    expect(sheet.getRow(3).getCell(FLAT_COLUMNS.indexOf('city') + 1).text).toBe('Mysuru');
+  });
+
+  test('leaves out trashed customers and addresses', async () => {
+    const { asha, ravi } = await seed();
+    await api.delete(`/api/customers/${ravi.id}`);
+    await api.delete(`/api/addresses/${asha.addresses[0].id}`);
+
+    const res = await api.get('/api/customers/export?format=json');
+    expect(res.body.map((c) => c.id)).not.toContain(ravi.id);
+    expect(res.body[0].addresses.map((a) => a.city)).toEqual(['Mysuru']);
+  });
+
+  test('carries the profile, tags and timestamps on every line', async () => {
+    const asha = await createCustomer(api, {
+      first_name: 'Asha', phone_number: '9000000001', email: 'asha@example.com', date_of_birth: '1990-04-12',
+      notes: 'Prefers calls after 6pm', tags: ['VIP', 'Wholesale'],
+      addresses: [address(), address({ city: 'Mysuru', pin_code: '570001' })],
+    });
+    const rows = parse((await api.get('/api/customers/export')).text, { columns: true });
+    expect(rows).toHaveLength(2);
+    for (const row of rows) {
+      expect(row).toMatchObject({
+        email: 'asha@example.com', date_of_birth: '1990-04-12', notes: 'Prefers calls after 6pm',
+        tags: 'VIP, Wholesale', created_at: asha.created_at, updated_at: asha.updated_at,
+      });
+    }
+  });
+
+  test('guards spreadsheet cells against formulas', async () => {
+    await createCustomer(api, { first_name: '=HYPERLINK("x")', phone_number: '+91 90000 00001' });
+    const rows = parse((await api.get('/api/customers/export')).text, { columns: true });
+    expect(rows[0]).toMatchObject({ first_name: '\'=HYPERLINK("x")', phone_number: '+91 90000 00001' });
+  });
+
+  test('rejects unknown formats and is readable by viewers', async () => {
+    expect((await api.get('/api/customers/export?format=pdf')).status).toBe(400);
+    const viewer = await as('viewer');
+    expect((await viewer.get('/api/customers/export')).status).toBe(200);
+    expect((await viewer.get('/api/customers/export?deleted=only')).status).toBe(403);
+  });
+});
+
+describe('GET /api/customers/export failures', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('answers with an error, not a download, when the export cannot start', async () => {
+    await seed();
+    jest.spyOn(CustomerRepository.prototype, 'iterate').mockImplementation(async function* () {
+      throw new Error('no such column');
+    });
+    const res = await api.get('/api/customers/export?format=csv');
+    expect(res.status).toBe(500);
+    expect(res.headers['content-disposition']).toBeUndefined();
+    expect(res.body).toMatchObject({ success: false, code: 'INTERNAL_ERROR' });
+  });
+
+  test('cuts the connection when it fails half-way, so the file is not taken as complete', async () => {
+    const { asha } = await seed();
+    jest.spyOn(CustomerRepository.prototype, 'iterate').mockImplementation(async function* () {
+      yield { ...asha, addresses: [] };
+      throw new Error('disk I/O error');
+    });
+    await expect(api.get('/api/customers/export?format=json')).rejects.toThrow();
+  });
+});
+
+describe('CustomerRepository#iterate', () => {
+  test('walks every match in order across batches', async () => {
+    await seed();
+    await createCustomer(api, { first_name: 'Zed', phone_number: '9000000004' });
+    const customers = new CustomerRepository(db);
+    const seen = [];
+    for await (const customer of customers.iterate({ sort: 'first_name:asc' }, { batchSize: 2 })) seen.push(customer);
+    expect(seen.map((c) => c.first_name)).toEqual(['Asha', 'John', 'Ravi', 'Zed']);
+    expect(seen[0].addresses).toHaveLength(2);
+  });
+});
@@ -0,0 +1,92 @@
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+
+  await createCustomer(api, {
+    first_name: 'Asha', phone_number: '9000000001',
+    addresses: [address({ city: 'Kochi', state: 'Kerala', pin_code: '682001' })],
+  });
+  await createCustomer(api, {
+    first_name: 'Ravi', phone_number: '9000000002',
+    addresses: [address({ city: 'Panaji', state: 'Goa', pin_code: '403001' }), address({ city: 'Kochi', state: 'Kerala', pin_code: '682020' })],
+  });
+  await createCustomer(api, {
+    first_name: 'Meera', phone_number: '9000000003',
+    addresses: [address({ city: 'Chennai', state: 'Tamil Nadu', pin_code: '600001' })],
+  });
+  await createCustomer(api, { first_name: 'Zed', phone_number: '9000000004' });
+});
+
+afterEach(() => closeDb(db));
+
+async function firstNames(query) {
+  const res = await api.get(`/api/customers?${query}`);
+  expect(res.status).toBe(200);
+  return res.body.data.map((c) => c.first_name);
+}
+
+describe('GET /api/customers filters', () => {
+  test('accepts several values per filter', async () => {
+    expect(await firstNames('state=Goa&state=Tamil%20Nadu')).toEqual(['Ravi', 'Meera']);
+    expect(await firstNames('city=Kochi&state=Goa')).toEqual(['Ravi']);
+    expect(await firstNames('city=Kochi')).toEqual(['Asha', 'Ravi']);
+  });
+
+  test('matches pin codes by prefix', async () => {
+    expect(await firstNames('pin_code=682')).toEqual(['Asha', 'Ravi']);
+    expect(await firstNames('pin_code=6820')).toEqual(['Asha', 'Ravi']);
+    expect(await firstNames('pin_code=68200')).toEqual(['Asha']);
+    expect(await firstNames('pin_code=40&pin_code=60')).toEqual(['Ravi', 'Meera']);
+    expect(await firstNames('pin_code=6_')).toEqual([]);
+  });
+
+  test('filters by number of addresses', async () => {
+    expect(await firstNames('addresses=none')).toEqual(['Zed']);
+    expect(await firstNames('addresses=multiple')).toEqual(['Ravi']);
+    expect((await api.get('/api/customers?addresses=some')).status).toBe(400);
+  });
+
+  test('counts only live addresses', async () => {
+    const ravi = (await api.get('/api/customers?search=Ravi')).body.data[0];
+    const { addresses } = (await api.get(`/api/customers/${ravi.id}`)).body.data;
+    await api.delete(`/api/addresses/${addresses[0].id}`);
+    expect(await firstNames('addresses=multiple')).toEqual([]);
+    expect(await firstNames('state=Goa')).toEqual([]);
+  });
+
+  test('refuses repeated single-value filters', async () => {
+    for (const url of ['/api/customers?sort=id:asc&sort=id:desc', '/api/customers/facets?search=a&search=b', '/api/customers/export?search=a&search=b']) {
+      const res = await api.get(url);
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+    }
+  });
+});
+
+describe('GET /api/customers/facets', () => {
+  test('counts customers per city and state', async () => {
+    const res = await api.get('/api/customers/facets');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      city: [{ value: 'Kochi', count: 2 }, { value: 'Chennai', count: 1 }, { value: 'Panaji', count: 1 }],
+      state: [{ value: 'Kerala', count: 2 }, { value: 'Goa', count: 1 }, { value: 'Tamil Nadu', count: 1 }],
+      tag: [],
+      addresses: { none: 1, multiple: 1 },
+    });
+  });
+
+  test('follows the other filters but not its own', async () => {
+    const res = await api.get('/api/customers/facets?state=Goa&search=ravi');
+    // Only Ravi is left, but every state he could be combined with is still offered.
+    expect(res.body.data.city).toEqual([{ value: 'Kochi', count: 1 }, { value: 'Panaji', count: 1 }]);
+    expect(res.body.data.state).toEqual([{ value: 'Goa', count: 1 }, { value: 'Kerala', count: 1 }]);
+
+    const noAddress = await api.get('/api/customers/facets?addresses=none');
+    expect(noAddress.body.data.city).toEqual([]);
+    expect(noAddress.body.data.addresses).toEqual({ none: 1, multiple: 1 });
+  });
+});
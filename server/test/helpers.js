@@ -0,0 +1,54 @@
+const request = require('supertest');
+const { openDatabase } = require('../db');
+const { migrateUp } = require('../migrator');
+const { createApp } = require('../app');
+const UserRepository = require('../repositories/UserRepository');
+const AuthService = require('../services/AuthService');
+
+const PASSWORD = 'correct-horse';
+
+// Fresh, fully migrated in-memory database plus an app bound to it, with one
+// user per role. `api` is signed in as the admin; `as(role)` signs in others.
+async function setupApp() {
+  const db = await openDatabase(':memory:');
+  await migrateUp(db);
+  const authService = new AuthService({ users: new UserRepository(db) });
+  for (const role of AuthService.ROLES) {
+    await authService.createUser({ username: role, password: PASSWORD, role });
+  }
+  const app = createApp(db);
+
+  async function as(role) {
+    const { token } = await authService.login(role, PASSWORD);
+    return request.agent(app).set('Authorization', `Bearer ${token}`);
+  }
+
+  return { db, app, api: await as('admin'), as, anonymous: request(app) };
+}
+
+function closeDb(db) {
+  return new Promise((resolve, reject) => db.close((err) => (err ? reject(err) : resolve())));
+}
+
+function address(overrides = {}) {
+  return {
+    address_details: '13-2-2A Sagar Nagar',
+    city: 'Visakhapatnam',
+    state: 'Andhra Pradesh',
+    pin_code: '530002',
+    ...overrides,
+  };
+}
+
+async function createCustomer(api, overrides = {}) {
+  const res = await api.post('/api/customers').send({
+    first_name: 'John',
+    last_name: 'Alan',
+    phone_number: '9876543210',
+    ...overrides,
+  });
+  if (res.status !== 201) throw new Error(`createCustomer failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.data;
+}
+
+module.exports = { PASSWORD, setupApp, closeDb, address, createCustomer };
@@ -0,0 +1,83 @@
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+
+beforeEach(async () => {
+  ({ db, api, as } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+async function history(customerId) {
+  const res = await api.get(`/api/customers/${customerId}/history`);
+  expect(res.status).toBe(200);
+  return res.body.data;
+}
+
+describe('GET /api/customers/:id/history', () => {
+  test('records creation of the customer and its addresses', async () => {
+    const customer = await createCustomer(api, { addresses: [address()] });
+    const entries = await history(customer.id);
+    expect(entries.map((e) => [e.entity, e.action])).toEqual([['address', 'create'], ['customer', 'create']]);
+    expect(entries[1].after).toMatchObject({ first_name: 'John', phone_number: '9876543210' });
+    expect(entries[1].before).toBeNull();
+    expect(entries[1].actor).toMatchObject({ username: 'admin' });
+  });
+
+  test('records before and after values with the acting user', async () => {
+    const customer = await createCustomer(api);
+    const agent = await as('agent');
+    await agent.put(`/api/customers/${customer.id}`).send({ phone_number: '9123456789' });
+
+    const [latest] = await history(customer.id);
+    expect(latest).toMatchObject({
+      entity: 'customer',
+      action: 'update',
+      before: { phone_number: '9876543210' },
+      after: { phone_number: '9123456789' },
+      actor: { username: 'agent' },
+    });
+    expect(latest.created_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('records address updates and deletes', async () => {
+    const customer = await createCustomer(api, { addresses: [address()] });
+    const addressId = customer.addresses[0].id;
+    await api.put(`/api/addresses/${addressId}`).send({ city: 'Vizag' });
+    await api.delete(`/api/addresses/${addressId}`);
+
+    const entries = await history(customer.id);
+    expect(entries[0]).toMatchObject({ entity: 'address', entity_id: addressId, action: 'delete', before: { city: 'Vizag' }, after: null });
+    expect(entries[1]).toMatchObject({ action: 'update', before: { city: 'Visakhapatnam' }, after: { city: 'Vizag' } });
+  });
+
+  test('stays available after the customer is deleted', async () => {
+    const customer = await createCustomer(api, { addresses: [address()] });
+    await api.delete(`/api/customers/${customer.id}`);
+
+    const entries = await history(customer.id);
+    expect(entries.map((e) => [e.entity, e.action]).slice(0, 2)).toEqual([['customer', 'delete'], ['address', 'delete']]);
+  });
+
+  test('does not record failed changes', async () => {
+    await createCustomer(api, { phone_number: '9111111111' });
+    const customer = await createCustomer(api, { phone_number: '9222222222' });
+    await api.put(`/api/customers/${customer.id}`).send({ phone_number: '9111111111' });
+
+    const entries = await history(customer.id);
+    expect(entries.map((e) => e.action)).toEqual(['create']);
+  });
+
+  test('returns 404 for a customer that never existed', async () => {
+    const res = await api.get('/api/customers/999/history');
+    expect(res.status).toBe(404);
+  });
+
+  test('is readable by viewers', async () => {
+    const customer = await createCustomer(api);
+    const viewer = await as('viewer');
+    expect((await viewer.get(`/api/customers/${customer.id}/history`)).status).toBe(200);
+  });
+});
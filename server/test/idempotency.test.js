@@ -0,0 +1,94 @@
+const { run, all } = require('../db');
+const IdempotencyRepository = require('../repositories/IdempotencyRepository');
+const CustomerService = require('../services/CustomerService');
+const { setupApp, closeDb, address } = require('./helpers');
+
+let db;
+let api;
+let as;
+
+beforeEach(async () => {
+  ({ db, api, as } = await setupApp());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  return closeDb(db);
+});
+
+const customer = { first_name: 'John', last_name: 'Alan', phone_number: '9876543210' };
+
+function create(client, key, body = customer) {
+  return client.post('/api/customers').set('Idempotency-Key', key).send(body);
+}
+
+async function customerCount() {
+  return (await all(db, 'SELECT COUNT(*) AS count FROM customers'))[0].count;
+}
+
+describe('Idempotency-Key', () => {
+  test('answers a request sent again with the first response instead of repeating it', async () => {
+    const first = await create(api, 'offline-1');
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    const again = await create(api, 'offline-1');
+    expect(again.status).toBe(201);
+    expect(again.headers['idempotent-replayed']).toBe('true');
+    expect(again.body).toEqual(first.body);
+    expect(await customerCount()).toBe(1);
+
+    // a new key is a new request
+    expect((await create(api, 'offline-2')).status).toBe(409);
+  });
+
+  test('works the same for adding an address', async () => {
+    const { id } = (await create(api, 'c')).body.data;
+    const send = () => api.post(`/api/customers/${id}/addresses`).set('Idempotency-Key', 'a').send(address());
+    expect((await send()).status).toBe(201);
+    expect((await send()).status).toBe(201);
+    expect((await api.get(`/api/customers/${id}/addresses`)).body.data).toHaveLength(1);
+  });
+
+  test('keeps keys apart per user', async () => {
+    await create(api, 'shared');
+    const agent = await as('agent');
+    const res = await create(agent, 'shared', { ...customer, phone_number: '9123456789' });
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+    expect(await customerCount()).toBe(2);
+  });
+
+  test('refuses a key used for another request', async () => {
+    const { id } = (await create(api, 'once')).body.data;
+    const res = await api.post(`/api/customers/${id}/addresses`).set('Idempotency-Key', 'once').send(address());
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('refuses a request whose twin is still running', async () => {
+    const me = (await api.get('/api/auth/me')).body.data;
+    await new IdempotencyRepository(db).claim(me.id, 'busy', { method: 'POST', path: '/api/customers' });
+    const res = await create(api, 'busy');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('REQUEST_IN_PROGRESS');
+  });
+
+  test('lets a request that failed on the server be tried again', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(CustomerService.prototype, 'createCustomer').mockRejectedValueOnce(new Error('disk I/O error'));
+    expect((await create(api, 'retry')).status).toBe(500);
+
+    const res = await create(api, 'retry');
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('forgets keys after a day', async () => {
+    await create(api, 'old');
+    await run(db, `UPDATE idempotency_keys SET created_at = '2000-01-01T00:00:00.000Z'`);
+    const res = await create(api, 'old', { ...customer, phone_number: '9123456789' });
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
@@ -0,0 +1,152 @@
+const ExcelJS = require('exceljs');
+const { setupApp, closeDb, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+
+beforeEach(async () => {
+  ({ db, api, as } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+const HEADER = 'first_name,last_name,phone_number,address_details,city,state,pin_code';
+
+function csv(...lines) {
+  return Buffer.from([HEADER, ...lines].join('\n'));
+}
+
+function upload(client, buffer, { filename = 'customers.csv', dryRun = false, mapping } = {}) {
+  const req = client.post(`/api/customers/import${dryRun ? '?dry_run=true' : ''}`).attach('file', buffer, filename);
+  if (mapping) req.field('mapping', JSON.stringify(mapping));
+  return req;
+}
+
+async function listCustomers() {
+  return (await api.get('/api/customers')).body.data;
+}
+
+describe('POST /api/customers/import', () => {
+  test('dry run reports every row without creating customers', async () => {
+    const res = await upload(api, csv(
+      'Asha,Rao,9000000001,1 MG Road,Bengaluru,Karnataka,560001',
+      ',Kumar,12,,,,',
+    ), { dryRun: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.dry_run).toBe(true);
+    expect(res.body.data.summary).toEqual({ total: 2, valid: 1, invalid: 1, created: 0 });
+    expect(res.body.data.rows[0]).toMatchObject({ row: 2, status: 'valid', errors: [] });
+    expect(res.body.data.rows[1]).toMatchObject({ row: 3, status: 'invalid' });
+    expect(res.body.data.rows[1].errors.map((e) => e.msg)).toEqual(['first_name required', 'phone_number must be a valid phone number']);
+    expect(await listCustomers()).toHaveLength(0);
+  });
+
+  test('creates valid rows with their address and skips invalid ones', async () => {
+    const res = await upload(api, csv(
+      'Asha,Rao,9000000001,1 MG Road,Bengaluru,Karnataka,560001',
+      'Ravi,Kumar,9000000002,,,,',
+      'Bad,Row,9000000003,Somewhere,,,',
+    ));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ total: 3, valid: 2, invalid: 1, created: 2 });
+    expect(res.body.data.rows[2].errors.map((e) => e.path)).toEqual(['city', 'state', 'pin_code']);
+
+    const asha = await api.get(`/api/customers/${res.body.data.rows[0].customer_id}`);
+    expect(asha.body.data.addresses).toMatchObject([{ city: 'Bengaluru', pin_code: '560001' }]);
+    const ravi = await api.get(`/api/customers/${res.body.data.rows[1].customer_id}`);
+    expect(ravi.body.data.addresses).toEqual([]);
+  });
+
+  test('flags phone numbers repeated in the file or already taken', async () => {
+    await createCustomer(api, { phone_number: '9000000009' });
+    const res = await upload(api, csv(
+      'Asha,Rao,9000000001,,,,',
+      'Asha,Again,9000000001,,,,',
+      'Ravi,Kumar,9000000009,,,,',
+    ), { dryRun: true });
+
+    expect(res.body.data.rows.map((r) => r.status)).toEqual(['valid', 'invalid', 'invalid']);
+    expect(res.body.data.rows[1].errors).toEqual([{ path: 'phone_number', msg: 'Phone number repeats row 2' }]);
+    expect(res.body.data.rows[2].errors).toEqual([{ path: 'phone_number', msg: 'Phone number already exists' }]);
+  });
+
+  test('imports the profile and tags', async () => {
+    const file = Buffer.from([
+      'First Name,Last Name,Phone,Email,DOB,Notes,Tags',
+      'Asha,Rao,9000000001,Asha@Example.com,1990-04-12,Prefers calls,"VIP, Wholesale"',
+      'Ravi,Kumar,9000000002,not-an-email,2990-01-01,,',
+    ].join('\n'));
+    const res = await upload(api, file);
+    expect(res.body.data.mapping).toMatchObject({ email: 'Email', date_of_birth: 'DOB', notes: 'Notes', tags: 'Tags' });
+    expect(res.body.data.rows[1].errors.map((e) => e.path)).toEqual(['email', 'date_of_birth']);
+
+    const asha = await api.get(`/api/customers/${res.body.data.rows[0].customer_id}`);
+    expect(asha.body.data).toMatchObject({
+      email: 'asha@example.com', date_of_birth: '1990-04-12', notes: 'Prefers calls', tags: ['VIP', 'Wholesale'],
+    });
+  });
+
+  test('flags emails repeated in the file or already taken', async () => {
+    await createCustomer(api, { phone_number: '9000000009', email: 'taken@example.com' });
+    const file = Buffer.from([
+      'first_name,last_name,phone_number,email',
+      'Asha,Rao,9000000001,asha@example.com',
+      'Asha,Again,9000000002,ASHA@example.com',
+      'Ravi,Kumar,9000000003,taken@example.com',
+    ].join('\n'));
+    const res = await upload(api, file, { dryRun: true });
+
+    expect(res.body.data.rows.map((r) => r.status)).toEqual(['valid', 'invalid', 'invalid']);
+    expect(res.body.data.rows[1].errors).toEqual([{ path: 'email', msg: 'Email repeats row 2' }]);
+    expect(res.body.data.rows[2].errors).toEqual([{ path: 'email', msg: 'Email already exists' }]);
+  });
+
+  test('matches headers by name and accepts an explicit mapping', async () => {
+    const file = Buffer.from('First Name,Surname,Mobile\nAsha,Rao,9000000001\n');
+    const guessed = await upload(api, file, { dryRun: true });
+    expect(guessed.body.data.headers).toEqual(['First Name', 'Surname', 'Mobile']);
+    expect(guessed.body.data.mapping).toMatchObject({ first_name: 'First Name', last_name: null, phone_number: 'Mobile' });
+
+    const mapped = await upload(api, file, { mapping: { last_name: 'Surname' } });
+    expect(mapped.body.data.summary.created).toBe(1);
+    expect(await listCustomers()).toMatchObject([{ first_name: 'Asha', last_name: 'Rao', phone_number: '9000000001' }]);
+  });
+
+  test('reads XLSX files', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Customers');
+    sheet.addRow([...HEADER.split(','), 'date_of_birth']);
+    sheet.addRow(['Asha', 'Rao', 9000000001, '1 MG Road', 'Bengaluru', 'Karnataka', 560001, new Date(Date.UTC(1990, 3, 12))]);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const res = await upload(api, buffer, { filename: 'customers.xlsx' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.rows[0]).toMatchObject({
+      status: 'created', data: { phone_number: '9000000001', date_of_birth: '1990-04-12', address: { pin_code: '560001' } },
+    });
+  });
+
+  test('records the importing user in the history', async () => {
+    const agent = await as('agent');
+    const res = await upload(agent, csv('Asha,Rao,9000000001,,,,'));
+    const history = await api.get(`/api/customers/${res.body.data.rows[0].customer_id}/history`);
+    expect(history.body.data[0].actor).toMatchObject({ username: 'agent' });
+  });
+
+  test('rejects unusable uploads', async () => {
+    expect((await api.post('/api/customers/import')).status).toBe(400);
+    expect((await upload(api, Buffer.from('x'), { filename: 'customers.txt' })).status).toBe(400);
+    expect((await upload(api, Buffer.from(HEADER))).status).toBe(400);
+    const badColumn = await upload(api, csv('Asha,Rao,9000000001,,,,'), { mapping: { first_name: 'Nope' } });
+    expect(badColumn.status).toBe(400);
+    expect(badColumn.body.message).toBe('Column "Nope" not found in file');
+  });
+
+  test('requires the agent role', async () => {
+    const viewer = await as('viewer');
+    expect((await upload(viewer, csv('Asha,Rao,9000000001,,,,'))).status).toBe(403);
+  });
+});
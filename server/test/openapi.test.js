@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const CustomerService = require('../services/CustomerService');
+const customerRoutes = require('../routes/customers');
+const customerImportRoutes = require('../routes/customerImport');
+const addressRoutes = require('../routes/addresses');
+const { openApiDocument } = require('../openapi');
+const { generateClient } = require('../clientGenerator');
+const { setupApp, closeDb, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let anonymous;
+
+beforeEach(async () => {
+  ({ db, api, anonymous } = await setupApp());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  return closeDb(db);
+});
+
+// "METHOD /path/{param}" of every route of a router mounted at `base`
+function routesOf(router, base) {
+  return router.stack.filter((layer) => layer.route).flatMap((layer) => Object.keys(layer.route.methods).map((method) => (
+    `${method.toUpperCase()} ${base}${layer.route.path === '/' ? '' : layer.route.path.replace(/:(\w+)/g, '{$1}')}`
+  )));
+}
+
+describe('OpenAPI document', () => {
+  test('is served with its docs page, without signing in', async () => {
+    const document = await anonymous.get('/api/openapi.json');
+    expect(document.status).toBe(200);
+    expect(document.body).toMatchObject({ openapi: '3.0.3', servers: [{ url: '/api' }] });
+
+    const docs = await anonymous.get('/api/docs/');
+    expect(docs.status).toBe(200);
+    expect(docs.text).toContain('swagger-ui');
+  });
+
+  test('describes every customer and address route', () => {
+    const routes = [
+      ...routesOf(customerRoutes({}), '/customers'),
+      ...routesOf(customerImportRoutes({}), '/customers/import'),
+      ...routesOf(addressRoutes({}), '/addresses'),
+    ];
+    const documented = Object.entries(openApiDocument.paths).flatMap(([route, item]) => (
+      ['get', 'post', 'put', 'delete'].filter((method) => item[method]).map((method) => `${method.toUpperCase()} ${route}`)
+    ));
+    expect(documented.sort()).toEqual(routes.sort());
+  });
+
+  test('matches the generated client', () => {
+    const client = fs.readFileSync(path.join(__dirname, '..', '..', 'client', 'src', 'apiClient.js'), 'utf8');
+    expect(client).toBe(generateClient(openApiDocument));
+  });
+});
+
+describe('request validation', () => {
+  test('rejects parameters the document does not allow', async () => {
+    const res = await api.get('/api/customers').query({ addresses: 'some', limit: 'ten' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.errors.map((e) => [e.location, e.path])).toEqual([['query', 'limit'], ['query', 'addresses']]);
+
+    const id = await api.get('/api/customers/abc');
+    expect(id.status).toBe(400);
+    expect(id.body.errors).toEqual([expect.objectContaining({ location: 'params', path: 'id', msg: 'id must be integer' })]);
+  });
+
+  test('reports body errors together with the route validators\' ones', async () => {
+    const res = await api.post('/api/customers').send({ first_name: 7, phone_number: '9000000001', addresses: [{ pin_code: '530002' }] });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => [e.path, e.msg])).toEqual([
+      ['last_name', 'last_name required'],
+      ['addresses[0].address_details', 'address_details required'],
+      ['addresses[0].city', 'city required'],
+      ['addresses[0].state', 'state required'],
+      ['first_name', 'first_name must be string'],
+    ]);
+  });
+});
+
+describe('response validation', () => {
+  test('turns answers that break the document into logged 500s', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const customer = await createCustomer(api);
+    jest.spyOn(CustomerService.prototype, 'getCustomer').mockResolvedValue({ ...customer, phone_number: undefined });
+    const res = await api.get(`/api/customers/${customer.id}`);
+    expect(res.status).toBe(500);
+    expect(res.body.code).toBe('INTERNAL_ERROR');
+    expect(console.error).toHaveBeenCalledWith(expect.objectContaining({ status: 500, path: expect.stringContaining('/api/customers/') }));
+  });
+});
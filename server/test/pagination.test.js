@@ -0,0 +1,87 @@
+const { setupApp, closeDb, createCustomer } = require('./helpers');
+
+let db;
+let api;
+
+const FIRST_NAMES = ['Asha', 'Ravi', 'Meera', 'Ravi', 'Zed', 'Asha', 'Kiran'];
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+  for (const [i, first_name] of FIRST_NAMES.entries()) {
+    await createCustomer(api, { first_name, phone_number: `900000000${i}` });
+  }
+});
+
+afterEach(() => closeDb(db));
+
+async function list(query) {
+  const res = await api.get('/api/customers').query(query);
+  expect(res.status).toBe(200);
+  return res.body;
+}
+
+// Follows next_cursor from the first page to the end and returns every id seen.
+async function walkForward(query) {
+  const ids = [];
+  let body = await list({ ...query, page: 1 });
+  ids.push(...body.data.map((c) => c.id));
+  while (body.meta.next_cursor) {
+    body = await list({ ...query, after: body.meta.next_cursor });
+    ids.push(...body.data.map((c) => c.id));
+  }
+  return ids;
+}
+
+describe('cursor pagination', () => {
+  test('walks the same order as page mode, including ties', async () => {
+    for (const sort of ['id:asc', 'id:desc', 'first_name:asc', 'first_name:desc']) {
+      const all = (await list({ sort, limit: 100 })).data.map((c) => c.id);
+      expect(await walkForward({ sort, limit: 2 })).toEqual(all);
+    }
+  });
+
+  test('breaks ties by id in the direction of the sort', async () => {
+    const ids = (await list({ sort: 'first_name:desc', limit: 100 })).data.map((c) => [c.first_name, c.id]);
+    expect(ids.slice(0, 3)).toEqual([['Zed', 5], ['Ravi', 4], ['Ravi', 2]]);
+  });
+
+  test('goes back with before', async () => {
+    const first = await list({ sort: 'first_name:asc', limit: 3 });
+    const second = await list({ sort: 'first_name:asc', limit: 3, after: first.meta.next_cursor });
+    expect(second.meta).toEqual({ limit: 3, next_cursor: expect.any(String), prev_cursor: expect.any(String) });
+
+    const back = await list({ sort: 'first_name:asc', limit: 3, before: second.meta.prev_cursor });
+    expect(back.data).toEqual(first.data);
+    expect(back.meta.prev_cursor).toBeNull();
+  });
+
+  test('reports the last slice', async () => {
+    const page = await list({ limit: 5, page: 2 });
+    expect(page.meta.next_cursor).toBeNull();
+    const rest = await list({ limit: 5, after: (await list({ limit: 5 })).meta.next_cursor });
+    expect(rest.data).toHaveLength(2);
+    expect(rest.meta.next_cursor).toBeNull();
+  });
+
+  test('is not thrown off by rows inserted before the cursor', async () => {
+    const first = await list({ sort: 'id:desc', limit: 3 });
+    await createCustomer(api, { first_name: 'New', phone_number: '9000000099' });
+    const second = await list({ sort: 'id:desc', limit: 3, after: first.meta.next_cursor });
+    expect(second.data.map((c) => c.id)).toEqual([4, 3, 2]);
+  });
+
+  test('rejects bad cursors and cursor misuse', async () => {
+    const { meta } = await list({ sort: 'first_name:asc', limit: 2 });
+    const bad = [
+      { after: 'not-a-cursor' },
+      { after: meta.next_cursor, sort: 'last_name:asc' },
+      { after: meta.next_cursor, before: meta.next_cursor, sort: 'first_name:asc' },
+      { after: meta.next_cursor, page: 2, sort: 'first_name:asc' },
+    ];
+    for (const query of bad) {
+      expect((await api.get('/api/customers').query(query)).status).toBe(400);
+    }
+    const relevance = await api.get('/api/customers').query({ search: 'asha', after: meta.next_cursor });
+    expect(relevance.status).toBe(400);
+  });
+});
@@ -0,0 +1,114 @@
+const { run, all } = require('../db');
+const { normalizePhone } = require('../phone');
+const { backfillPhoneNumbers } = require('../integrity');
+const { setupApp, closeDb, createCustomer } = require('./helpers');
+
+let db;
+let api;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+describe('normalizePhone', () => {
+  test('reads national and international formats', () => {
+    for (const phone of ['98765 43210', '+91-9876543210', '9876543210', '09876543210', '0091 98765 43210']) {
+      expect(normalizePhone(phone)).toBe('+919876543210');
+    }
+    expect(normalizePhone('+1 (415) 555-2671')).toBe('+14155552671');
+    expect(normalizePhone('(415) 555-2671', 'US')).toBe('+14155552671');
+  });
+
+  test('rejects numbers that cannot exist', () => {
+    expect(normalizePhone('1234567')).toBeNull();
+    expect(normalizePhone('98765')).toBeNull();
+    expect(normalizePhone('')).toBeNull();
+    expect(normalizePhone(undefined)).toBeNull();
+  });
+});
+
+describe('customer phone numbers', () => {
+  test('keep the display format and store E.164 beside it', async () => {
+    const customer = await createCustomer(api, { phone_number: '98765 43210' });
+    expect(customer).toMatchObject({ phone_number: '98765 43210', phone_e164: '+919876543210' });
+  });
+
+  test('are unique by their normalized value', async () => {
+    await createCustomer(api, { phone_number: '98765 43210' });
+    const res = await api.post('/api/customers').send({ first_name: 'A', last_name: 'B', phone_number: '+91-9876543210' });
+    expect(res.status).toBe(409);
+
+    const other = await createCustomer(api, { phone_number: '9000000001' });
+    const update = await api.put(`/api/customers/${other.id}`).send({ phone_number: '09876543210' });
+    expect(update.status).toBe(409);
+  });
+
+  test('are validated on create and update', async () => {
+    const res = await api.post('/api/customers').send({ first_name: 'A', last_name: 'B', phone_number: '1234567' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toMatchObject([{ path: 'phone_number', msg: 'phone_number must be a valid phone number' }]);
+
+    const customer = await createCustomer(api);
+    const update = await api.put(`/api/customers/${customer.id}`).send({ phone_number: '1234567' });
+    expect(update.status).toBe(400);
+  });
+
+  test('derive phone_e164 on update and ignore one sent by the client', async () => {
+    const customer = await createCustomer(api);
+    const res = await api.put(`/api/customers/${customer.id}`).send({ phone_number: '+1 415 555 2671', phone_e164: '+10000000000' });
+    expect(res.body.data).toMatchObject({ phone_number: '+1 415 555 2671', phone_e164: '+14155552671' });
+
+    const only = await api.put(`/api/customers/${customer.id}`).send({ phone_e164: '+10000000000' });
+    expect(only.status).toBe(400);
+  });
+
+  test('are found by search in either form', async () => {
+    await createCustomer(api, { first_name: 'Asha', phone_number: '098765-43210' });
+    for (const search of ['+91 98765', '0987654', '43210']) {
+      const res = await api.get('/api/customers').query({ search });
+      expect(res.body.data.map((c) => c.first_name)).toEqual(['Asha']);
+    }
+  });
+});
+
+describe('backfillPhoneNumbers', () => {
+  // Rows as they were before phone_e164 existed.
+  async function insertLegacy(phone_number, deleted_at = null) {
+    const { id } = await run(db, `INSERT INTO customers (first_name, last_name, phone_number, deleted_at) VALUES ('Old', 'Row', ?, ?)`, [phone_number, deleted_at]);
+    return id;
+  }
+
+  test('normalizes old rows and reports invalid and colliding numbers', async () => {
+    const kept = await createCustomer(api, { phone_number: '9876543210' });
+    const clash = await insertLegacy('+91 98765 43210');
+    const trashed = await insertLegacy('98765-43210', '2024-01-01T00:00:00.000Z');
+    const first = await insertLegacy('90000 00001');
+    const second = await insertLegacy('090000-00001');
+    const broken = await insertLegacy('12345');
+
+    const dryRun = await backfillPhoneNumbers(db, { dryRun: true });
+    expect(dryRun.updated).toBe(2);
+    expect((await all(db, 'SELECT id FROM customers WHERE phone_e164 IS NULL'))).toHaveLength(5);
+
+    const result = await backfillPhoneNumbers(db);
+    expect(result).toEqual({
+      updated: 2,
+      invalid: [{ id: broken, phone_number: '12345' }],
+      collisions: [
+        { phone_e164: '+919876543210', customers: [{ id: kept.id, phone_number: '9876543210' }, { id: clash, phone_number: '+91 98765 43210' }] },
+        { phone_e164: '+919000000001', customers: [{ id: first, phone_number: '90000 00001' }, { id: second, phone_number: '090000-00001' }] },
+      ],
+    });
+    const rows = await all(db, 'SELECT id, phone_e164 FROM customers WHERE id IN (?, ?)', [trashed, first]);
+    expect(rows).toEqual([{ id: trashed, phone_e164: '+919876543210' }, { id: first, phone_e164: '+919000000001' }]);
+
+    const search = await api.get('/api/customers').query({ search: '+91 90000' });
+    expect(search.body.data.map((c) => c.id)).toEqual([first]);
+
+    const report = await api.get('/api/admin/integrity');
+    expect(report.body.data.ok).toBe(false);
+    expect(report.body.data.unnormalized_phones).toEqual({ count: 3, ids: [clash, second, broken] });
+  });
+});
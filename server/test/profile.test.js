@@ -0,0 +1,130 @@
+const { run } = require('../db');
+const { setupApp, closeDb, createCustomer } = require('./helpers');
+
+let db;
+let api;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+describe('customer profile fields', () => {
+  test('are stored on create and returned with the customer', async () => {
+    const customer = await createCustomer(api, {
+      email: ' Asha.Rao@Example.com ',
+      date_of_birth: '1990-02-28',
+      notes: 'Prefers calls after 6pm',
+      tags: ['VIP', ' wholesale '],
+    });
+    expect(customer).toMatchObject({
+      email: 'asha.rao@example.com',
+      date_of_birth: '1990-02-28',
+      notes: 'Prefers calls after 6pm',
+      tags: ['VIP', 'wholesale'],
+    });
+    expect(customer.created_at).toMatch(ISO_TIMESTAMP);
+    expect(customer.updated_at).toBe(customer.created_at);
+  });
+
+  test('are optional', async () => {
+    const customer = await createCustomer(api);
+    expect(customer).toMatchObject({ email: null, date_of_birth: null, notes: null, tags: [] });
+  });
+
+  test('are validated', async () => {
+    const res = await api.post('/api/customers').send({
+      first_name: 'A', last_name: 'B', phone_number: '9000000001',
+      email: 'not-an-email', date_of_birth: '1990-02-30', notes: 5, tags: ['ok', ''],
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(['email', 'date_of_birth', 'notes', 'tags[1]']);
+
+    const future = await api.post('/api/customers').send({ first_name: 'A', last_name: 'B', phone_number: '9000000001', date_of_birth: '2999-01-01' });
+    expect(future.status).toBe(400);
+  });
+
+  test('email is unique among live customers, ignoring case', async () => {
+    const first = await createCustomer(api, { phone_number: '9000000001', email: 'asha@example.com' });
+    const res = await api.post('/api/customers').send({ first_name: 'A', last_name: 'B', phone_number: '9000000002', email: 'ASHA@example.com' });
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Email already exists');
+
+    await api.delete(`/api/customers/${first.id}`);
+    await createCustomer(api, { phone_number: '9000000002', email: 'asha@example.com' });
+    expect((await api.post(`/api/customers/${first.id}/restore`)).status).toBe(409);
+  });
+});
+
+describe('PUT /api/customers/:id profile fields', () => {
+  test('updates, clears and bumps updated_at', async () => {
+    const customer = await createCustomer(api, { email: 'a@example.com', notes: 'old', tags: ['VIP'] });
+    await run(db, `UPDATE customers SET updated_at = '2020-01-01T00:00:00.000Z' WHERE id = ?`, [customer.id]);
+
+    const res = await api.put(`/api/customers/${customer.id}`).send({ email: '', notes: 'new', date_of_birth: '1985-12-01' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ email: null, notes: 'new', date_of_birth: '1985-12-01', tags: ['VIP'] });
+    expect(res.body.data.updated_at > '2020-01-01').toBe(true);
+    expect(res.body.data.created_at).toBe(customer.created_at);
+  });
+
+  test('replaces the tags', async () => {
+    const customer = await createCustomer(api, { tags: ['VIP', 'wholesale'] });
+    await run(db, `UPDATE customers SET updated_at = '2020-01-01T00:00:00.000Z' WHERE id = ?`, [customer.id]);
+
+    const res = await api.put(`/api/customers/${customer.id}`).send({ tags: ['retail'] });
+    expect(res.status).toBe(200);
+    expect(res.body.data.tags).toEqual(['retail']);
+    expect(res.body.data.updated_at > '2020-01-01').toBe(true);
+
+    const history = await api.get(`/api/customers/${customer.id}/history`);
+    expect(history.body.data[0]).toMatchObject({ action: 'update', before: { tags: ['VIP', 'wholesale'] }, after: { tags: ['retail'] } });
+
+    expect((await api.put(`/api/customers/${customer.id}`).send({ tags: [] })).body.data.tags).toEqual([]);
+  });
+
+  test('rejects an email taken by someone else', async () => {
+    await createCustomer(api, { phone_number: '9000000001', email: 'asha@example.com' });
+    const other = await createCustomer(api, { phone_number: '9000000002' });
+    const res = await api.put(`/api/customers/${other.id}`).send({ email: 'Asha@Example.com' });
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('GET /api/customers profile filters', () => {
+  beforeEach(async () => {
+    const asha = await createCustomer(api, { first_name: 'Asha', phone_number: '9000000001', tags: ['VIP'] });
+    await createCustomer(api, { first_name: 'Ravi', phone_number: '9000000002', tags: ['wholesale', 'vip'] });
+    await createCustomer(api, { first_name: 'Meera', phone_number: '9000000003', tags: ['wholesale'] });
+    await run(db, `UPDATE customers SET created_at = '2023-06-01T10:00:00.000Z' WHERE id = ?`, [asha.id]);
+  });
+
+  async function firstNames(query) {
+    const res = await api.get('/api/customers').query(query);
+    expect(res.status).toBe(200);
+    return res.body.data.map((c) => c.first_name);
+  }
+
+  test('filters by tag, ignoring case', async () => {
+    expect(await firstNames({ tag: 'vip' })).toEqual(['Asha', 'Ravi']);
+    expect(await firstNames('tag=VIP&tag=wholesale')).toEqual(['Asha', 'Ravi', 'Meera']);
+    const res = await api.get('/api/customers?tag=wholesale');
+    expect(res.body.data[0].tags).toEqual(['VIP', 'wholesale']);
+  });
+
+  test('filters by creation date', async () => {
+    expect(await firstNames({ created_after: '2024-01-01' })).toEqual(['Ravi', 'Meera']);
+    expect(await firstNames({ created_after: '2023-06-01' })).toEqual(['Asha', 'Ravi', 'Meera']);
+    expect(await firstNames({ created_after: '2023-06-01T11:00:00+01:00' })).toEqual(['Asha', 'Ravi', 'Meera']);
+    expect(await firstNames({ created_after: '2023-06-01T12:00:00Z' })).toEqual(['Ravi', 'Meera']);
+    expect((await api.get('/api/customers?created_after=yesterday')).status).toBe(400);
+  });
+
+  test('counts tags in the facets', async () => {
+    const res = await api.get('/api/customers/facets?tag=VIP');
+    expect(res.body.data.tag).toEqual([{ value: 'VIP', count: 2 }, { value: 'wholesale', count: 2 }]);
+  });
+});
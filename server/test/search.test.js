@@ -0,0 +1,143 @@
+const { MARK_START, MARK_END, parseSearch, matchExpression, phoneSuffixes, editDistance, highlightPhone } = require('../search');
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+
+beforeEach(async () => {
+  ({ db, api } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+async function search(q, params = {}) {
+  const res = await api.get('/api/customers').query({ search: q, ...params });
+  expect(res.status).toBe(200);
+  return res.body.data;
+}
+
+const names = (rows) => rows.map((c) => `${c.first_name} ${c.last_name}`);
+// `[...]` stands for the markers around a matched part, for readability.
+const marked = (text) => text.replace(/\[/g, MARK_START).replace(/\]/g, MARK_END);
+
+describe('GET /api/customers?search=', () => {
+  beforeEach(async () => {
+    await createCustomer(api, {
+      first_name: 'John', last_name: 'Smith', phone_number: '98480-22338',
+      addresses: [address({ address_details: '4 Richard Street', city: 'Chennai', pin_code: '600001' })],
+    });
+    await createCustomer(api, { first_name: 'Johnny', last_name: 'Walker', phone_number: '9000000002' });
+    await createCustomer(api, {
+      first_name: 'Meera', last_name: 'Nair', phone_number: '9000000003',
+      addresses: [address({ address_details: 'Smith Road', city: 'Kochi' })],
+    });
+  });
+
+  test('matches names in any order and by prefix', async () => {
+    expect(names(await search('Smith John'))).toEqual(['John Smith']);
+    expect(names(await search('joh')).sort()).toEqual(['John Smith', 'Johnny Walker']);
+  });
+
+  test('matches address text and pin codes', async () => {
+    expect(names(await search('kochi'))).toEqual(['Meera Nair']);
+    expect(names(await search('600001'))).toEqual(['John Smith']);
+  });
+
+  test('matches phone digits regardless of formatting', async () => {
+    expect(names(await search('9848022338'))).toEqual(['John Smith']);
+    expect(names(await search('(984) 802'))).toEqual(['John Smith']);
+    expect(names(await search('22338'))).toEqual(['John Smith']);
+  });
+
+  test('ranks name matches above address matches', async () => {
+    expect(names(await search('smith'))).toEqual(['John Smith', 'Meera Nair']);
+    expect(names(await search('smith', { sort: 'first_name:desc' }))).toEqual(['Meera Nair', 'John Smith']);
+  });
+
+  test('tolerates typos when nothing matches as typed', async () => {
+    expect(names(await search('Jhon Smtih'))).toEqual(['John Smith']);
+    expect(await search('zzzz')).toEqual([]);
+  });
+
+  test('highlights the matched fragments', async () => {
+    const [row] = await search('smith 22338');
+    expect(row.highlight).toEqual({
+      name: marked('John [Smith]'),
+      address: '4 Richard Street, Chennai, Andhra Pradesh, 600001',
+      phone_number: marked('98480-[22338]'),
+    });
+    const [meera] = await search('road');
+    expect(meera.highlight.address).toBe(marked('Smith [Road], Kochi, Andhra Pradesh, 530002'));
+  });
+
+  test('leaves text that looks like markup as it is', async () => {
+    await createCustomer(api, {
+      first_name: 'Ravi', last_name: 'Kumar', phone_number: '9000000004',
+      addresses: [address({ address_details: 'Near <mark>Fort</mark> Gate', city: 'Kochi' })],
+    });
+    const [row] = await search('gate');
+    expect(row.highlight.address).toBe(marked('Near <mark>Fort</mark> [Gate], Kochi, Andhra Pradesh, 530002'));
+  });
+
+  test('combines with the other filters', async () => {
+    expect(names(await search('smith', { city: 'Kochi' }))).toEqual(['Meera Nair']);
+    const res = await api.get('/api/customers').query({ search: 'smith', limit: 1 });
+    expect(res.body.meta.total).toBe(2);
+  });
+});
+
+describe('index synchronisation', () => {
+  test('follows customer and address changes', async () => {
+    const customer = await createCustomer(api, { first_name: 'Asha', addresses: [address({ city: 'Pune' })] });
+    await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ashwini' });
+    expect(names(await search('ashwini'))).toEqual(['Ashwini Alan']);
+    expect(await search('asha')).toEqual([]);
+
+    const added = await api.post(`/api/customers/${customer.id}/addresses`).send(address({ city: 'Guwahati', state: 'Assam', pin_code: '781001' }));
+    expect(await search('guwahati')).toHaveLength(1);
+    await api.put(`/api/addresses/${added.body.data.id}`).send({ pin_code: '793001' });
+    expect(await search('guwahati')).toEqual([]);
+    await api.delete(`/api/addresses/${customer.addresses[0].id}`);
+    expect(await search('pune')).toEqual([]);
+  });
+
+  test('keeps trashed customers out of the list but searchable in the trash', async () => {
+    const customer = await createCustomer(api, { first_name: 'Asha', addresses: [address({ city: 'Pune' })] });
+    await api.delete(`/api/customers/${customer.id}`);
+    expect(await search('asha')).toEqual([]);
+    expect(names(await search('pune', { deleted: 'only' }))).toEqual(['Asha Alan']);
+
+    await api.post(`/api/customers/${customer.id}/restore`);
+    expect(names(await search('pune'))).toEqual(['Asha Alan']);
+  });
+
+  test('drops purged customers', async () => {
+    const customer = await createCustomer(api, { first_name: 'Asha' });
+    await api.delete(`/api/customers/${customer.id}`);
+    await api.post('/api/customers/purge').send({ older_than_days: 0 });
+    expect(await search('asha', { deleted: 'include' })).toEqual([]);
+  });
+});
+
+describe('search helpers', () => {
+  test('parseSearch separates words from numbers', () => {
+    expect(parseSearch(' John  +91-98480 - ')).toEqual([{ word: 'john' }, { digits: '9198480' }]);
+  });
+
+  test('matchExpression quotes terms and adds alternatives', () => {
+    const [word, number] = parseSearch('o"neil 123');
+    expect(matchExpression([word, number], new Map([[word, ['oneil']]])))
+      .toBe('{name address} : ("o""neil"* OR "oneil") AND {phone_digits address} : "123"*');
+  });
+
+  test('phoneSuffixes and highlightPhone work on the digits only', () => {
+    expect(phoneSuffixes('(12) 3')).toBe('123 23 3');
+    expect(highlightPhone('(984) 802-2338', [{ digits: '4802' }])).toBe(marked('(98[4) 802]-2338'));
+  });
+
+  test('editDistance counts a swap as one edit', () => {
+    expect(editDistance('jhon', 'john')).toBe(1);
+    expect(editDistance('smtih', 'smith')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+  });
+});
@@ -0,0 +1,143 @@
+const { run, all } = require('../db');
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+let db;
+let api;
+let as;
+
+beforeEach(async () => {
+  ({ db, api, as } = await setupApp());
+});
+
+afterEach(() => closeDb(db));
+
+async function trash() {
+  const res = await api.get('/api/customers').query({ deleted: 'only' });
+  expect(res.status).toBe(200);
+  return res.body.data;
+}
+
+describe('soft delete', () => {
+  test('keeps deleted customers in the trash', async () => {
+    const kept = await createCustomer(api, { phone_number: '9111111111' });
+    const deleted = await createCustomer(api, { phone_number: '9222222222' });
+    await api.delete(`/api/customers/${deleted.id}`);
+
+    expect((await api.get('/api/customers')).body.data.map((c) => c.id)).toEqual([kept.id]);
+    const trashed = await trash();
+    expect(trashed.map((c) => c.id)).toEqual([deleted.id]);
+    expect(trashed[0].deleted_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+
+    const everything = await api.get('/api/customers').query({ deleted: 'include' });
+    expect(everything.body.meta.total).toBe(2);
+  });
+
+  test('hides deleted addresses', async () => {
+    const customer = await createCustomer(api, { addresses: [address(), address({ city: 'Guntur' })] });
+    await api.delete(`/api/addresses/${customer.addresses[0].id}`);
+
+    const res = await api.get(`/api/customers/${customer.id}`);
+    expect(res.body.data.addresses.map((a) => a.city)).toEqual(['Guntur']);
+    expect((await api.put(`/api/addresses/${customer.addresses[0].id}`).send({ city: 'X' })).status).toBe(404);
+    expect((await api.get('/api/customers').query({ city: 'Visakhapatnam' })).body.data).toEqual([]);
+  });
+
+  test('only admins can see the trash', async () => {
+    const viewer = await as('viewer');
+    expect((await viewer.get('/api/customers').query({ deleted: 'only' })).status).toBe(403);
+  });
+
+  test('lets a new customer reuse a deleted customer\'s phone number', async () => {
+    const deleted = await createCustomer(api, { phone_number: '9111111111' });
+    await api.delete(`/api/customers/${deleted.id}`);
+
+    const res = await api.post('/api/customers').send({ first_name: 'New', last_name: 'Owner', phone_number: '9111111111' });
+    expect(res.status).toBe(201);
+  });
+});
+
+describe('POST /api/customers/:id/restore', () => {
+  test('restores the customer with the addresses deleted along with it', async () => {
+    const customer = await createCustomer(api, { addresses: [address(), address({ city: 'Guntur' })] });
+    // deleted on its own before the customer; stays deleted
+    await api.delete(`/api/addresses/${customer.addresses[0].id}`);
+    await api.delete(`/api/customers/${customer.id}`);
+
+    const res = await api.post(`/api/customers/${customer.id}/restore`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.deleted_at).toBeNull();
+    expect(res.body.data.addresses.map((a) => a.city)).toEqual(['Guntur']);
+    expect(await trash()).toEqual([]);
+
+    const [latest] = (await api.get(`/api/customers/${customer.id}/history`)).body.data;
+    expect(latest).toMatchObject({ entity: 'customer', action: 'restore' });
+  });
+
+  test('returns 409 when the phone number was reused meanwhile', async () => {
+    const deleted = await createCustomer(api, { phone_number: '9111111111' });
+    await api.delete(`/api/customers/${deleted.id}`);
+    await createCustomer(api, { phone_number: '9111111111' });
+
+    const res = await api.post(`/api/customers/${deleted.id}/restore`);
+    expect(res.status).toBe(409);
+    expect((await trash()).map((c) => c.id)).toEqual([deleted.id]);
+  });
+
+  test('rejects customers that are not deleted or do not exist', async () => {
+    const customer = await createCustomer(api);
+    expect((await api.post(`/api/customers/${customer.id}/restore`)).status).toBe(400);
+    expect((await api.post('/api/customers/999/restore')).status).toBe(404);
+  });
+
+  test('requires the admin role', async () => {
+    const customer = await createCustomer(api);
+    await api.delete(`/api/customers/${customer.id}`);
+    const agent = await as('agent');
+    expect((await agent.post(`/api/customers/${customer.id}/restore`)).status).toBe(403);
+  });
+});
+
+describe('POST /api/customers/purge', () => {
+  async function backdate(table, id, days) {
+    const at = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    await run(db, `UPDATE ${table} SET deleted_at = ? WHERE id = ?`, [at, id]);
+    if (table === 'customers') await run(db, `UPDATE addresses SET deleted_at = ? WHERE customer_id = ?`, [at, id]);
+  }
+
+  test('removes only what is older than the retention period', async () => {
+    const old = await createCustomer(api, { phone_number: '9111111111', addresses: [address()] });
+    const recent = await createCustomer(api, { phone_number: '9222222222' });
+    const live = await createCustomer(api, { phone_number: '9333333333', addresses: [address(), address()] });
+    await api.delete(`/api/customers/${old.id}`);
+    await api.delete(`/api/customers/${recent.id}`);
+    await api.delete(`/api/addresses/${live.addresses[0].id}`);
+    await backdate('customers', old.id, 40);
+    await backdate('addresses', live.addresses[0].id, 40);
+
+    const res = await api.post('/api/customers/purge');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ customers: 1, addresses: 1 });
+
+    expect((await trash()).map((c) => c.id)).toEqual([recent.id]);
+    const rows = await all(db, 'SELECT id FROM addresses ORDER BY id');
+    expect(rows.map((r) => r.id)).toEqual([live.addresses[1].id]);
+
+    const history = (await api.get(`/api/customers/${old.id}/history`)).body.data;
+    expect(history[0]).toMatchObject({ action: 'purge', before: { id: old.id, addresses: [{ id: old.addresses[0].id }] } });
+  });
+
+  test('accepts an explicit age, including zero to empty the trash', async () => {
+    const customer = await createCustomer(api);
+    await api.delete(`/api/customers/${customer.id}`);
+
+    expect((await api.post('/api/customers/purge').send({ older_than_days: 1 })).body.data.customers).toBe(0);
+    expect((await api.post('/api/customers/purge').send({ older_than_days: 0 })).body.data.customers).toBe(1);
+    expect(await trash()).toEqual([]);
+  });
+
+  test('validates the age and requires the admin role', async () => {
+    expect((await api.post('/api/customers/purge').send({ older_than_days: -1 })).status).toBe(400);
+    const agent = await as('agent');
+    expect((await agent.post('/api/customers/purge')).status).toBe(403);
+  });
+});
@@ -0,0 +1,183 @@
+const http = require('http');
+const WebhookService = require('../services/WebhookService');
+const { setupApp, closeDb, address, createCustomer } = require('./helpers');
+
+const SECRET = 'a-shared-secret-of-some-length';
+
+let db;
+let api;
+let as;
+let service;
+let receiver;
+let received;
+// Status codes the receiver answers with, one per request; 200 once used up.
+let answers;
+
+beforeEach(async () => {
+  let app;
+  ({ db, app, api, as } = await setupApp());
+  service = app.locals.webhookService;
+  received = [];
+  answers = [];
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(answers.shift() || 200).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, resolve));
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  return closeDb(db);
+});
+
+function receiverUrl() {
+  return `http://localhost:${receiver.address().port}/hooks`;
+}
+
+async function createWebhook(overrides = {}) {
+  const res = await api.post('/api/webhooks').send({ url: receiverUrl(), events: ['customer.created'], secret: SECRET, ...overrides });
+  if (res.status !== 201) throw new Error(`createWebhook failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.data;
+}
+
+// Moves the worker's clock `ms` ahead, so retries come due.
+function advance(ms) {
+  const now = service.clock();
+  service.clock = () => new Date(now.getTime() + ms);
+}
+
+describe('/api/webhooks', () => {
+  test('creates, lists, updates and deletes webhooks, showing the secret only once', async () => {
+    const created = await api.post('/api/webhooks').send({ url: receiverUrl(), events: ['customer.created', 'customer.deleted'] });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ url: receiverUrl(), events: ['customer.created', 'customer.deleted'], active: 1 });
+    expect(created.body.data.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const list = await api.get('/api/webhooks');
+    expect(list.body.data).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+
+    const { id } = created.body.data;
+    const updated = await api.put(`/api/webhooks/${id}`).send({ events: ['customer.updated'], active: false });
+    expect(updated.body.data).toMatchObject({ events: ['customer.updated'], active: 0 });
+    expect(updated.body.data.secret).toBeUndefined();
+
+    expect((await api.delete(`/api/webhooks/${id}`)).status).toBe(200);
+    expect((await api.get(`/api/webhooks/${id}`)).status).toBe(404);
+  });
+
+  test('validates the url, events and secret', async () => {
+    const res = await api.post('/api/webhooks').send({ url: 'ftp://example.com', events: ['customer.renamed'], secret: 'short' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((e) => e.path)).toEqual(['url', 'events[0]', 'secret']);
+
+    const empty = await api.post('/api/webhooks').send({ url: receiverUrl(), events: [] });
+    expect(empty.body.errors.map((e) => e.path)).toEqual(['events']);
+  });
+
+  test('are for admins only', async () => {
+    const agent = await as('agent');
+    expect((await agent.get('/api/webhooks')).status).toBe(403);
+  });
+});
+
+describe('deliveries', () => {
+  test('carry the event, the customer and an HMAC-SHA256 signature', async () => {
+    const webhook = await createWebhook();
+    const customer = await createCustomer(api, { addresses: [address()] });
+    await service.runOnce();
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    const payload = JSON.parse(body);
+    expect(payload).toMatchObject({
+      event: 'customer.created',
+      actor: { username: 'admin' },
+      data: { id: customer.id, first_name: 'John', addresses: [expect.objectContaining({ city: 'Visakhapatnam' })] },
+    });
+    expect(headers).toMatchObject({ 'content-type': 'application/json', 'x-webhook-event': 'customer.created' });
+    const expected = WebhookService.signPayload(SECRET, headers['x-webhook-timestamp'], body);
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+    const log = await api.get(`/api/webhooks/${webhook.id}/deliveries`);
+    expect(log.body.data).toEqual([expect.objectContaining({
+      id: Number(headers['x-webhook-delivery']), event: 'customer.created', status: 'delivered', attempts: 1, response_status: 200,
+    })]);
+  });
+
+  test('go only to webhooks subscribed to the event', async () => {
+    const customer = await createCustomer(api);
+    await createWebhook({ events: ['customer.deleted'] });
+    await api.put(`/api/customers/${customer.id}`).send({ first_name: 'Ravi' });
+    await api.delete(`/api/customers/${customer.id}`);
+    await service.runOnce();
+
+    expect(received.map((r) => JSON.parse(r.body))).toEqual([
+      expect.objectContaining({ event: 'customer.deleted', data: expect.objectContaining({ id: customer.id, first_name: 'Ravi' }) }),
+    ]);
+  });
+
+  test('are retried with exponential backoff until they succeed', async () => {
+    const webhook = await createWebhook();
+    answers = [500, 503];
+    await createCustomer(api);
+
+    await service.runOnce();
+    let [delivery] = (await api.get(`/api/webhooks/${webhook.id}/deliveries`)).body.data;
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: 500, last_error: 'Answered 500' });
+    const firstRetry = Date.parse(delivery.next_attempt_at) - Date.parse(delivery.last_attempt_at);
+    expect(Math.abs(firstRetry - WebhookService.RETRY_BASE_MS)).toBeLessThan(1000);
+
+    await service.runOnce();
+    expect(received).toHaveLength(1);
+
+    advance(WebhookService.RETRY_BASE_MS);
+    await service.runOnce();
+    [delivery] = (await api.get(`/api/webhooks/${webhook.id}/deliveries`)).body.data;
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 2, response_status: 503 });
+    expect(Date.parse(delivery.next_attempt_at) - service.clock().getTime()).toBe(2 * WebhookService.RETRY_BASE_MS);
+
+    advance(2 * WebhookService.RETRY_BASE_MS);
+    await service.runOnce();
+    [delivery] = (await api.get(`/api/webhooks/${webhook.id}/deliveries`)).body.data;
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 3, next_attempt_at: null });
+    expect(received).toHaveLength(3);
+  });
+
+  test('fail for good after the last attempt, and can be replayed', async () => {
+    const webhook = await createWebhook();
+    answers = Array(WebhookService.MAX_ATTEMPTS).fill(500);
+    await createCustomer(api);
+    for (let attempt = 0; attempt < WebhookService.MAX_ATTEMPTS; attempt++) {
+      await service.runOnce();
+      advance(60 * 60 * 1000);
+    }
+    const failed = await api.get(`/api/webhooks/${webhook.id}/deliveries`).query({ status: 'failed' });
+    expect(failed.body.data).toEqual([expect.objectContaining({ attempts: WebhookService.MAX_ATTEMPTS, next_attempt_at: null })]);
+
+    const replay = await api.post(`/api/webhooks/${webhook.id}/deliveries/${failed.body.data[0].id}/replay`);
+    expect(replay.status).toBe(201);
+    expect(replay.body.data).toMatchObject({ status: 'pending', replay_of: failed.body.data[0].id, payload: failed.body.data[0].payload });
+    await service.runOnce();
+    expect(received).toHaveLength(WebhookService.MAX_ATTEMPTS + 1);
+    expect(received[received.length - 1].body).toBe(received[0].body);
+
+    const missing = await api.post(`/api/webhooks/${webhook.id}/deliveries/999/replay`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('survive a restart: changes are queued from where the last run stopped', async () => {
+    await createWebhook();
+    await createCustomer(api);
+    const restarted = new WebhookService({
+      webhooks: service.webhooks, audit: service.audit, customers: service.customers, changes: service.changes,
+    });
+    await restarted.runOnce();
+    await service.runOnce();
+    expect(received).toHaveLength(1);
+  });
+});